@@ -13,6 +13,10 @@ const fs = require('fs');
 const { connectDB } = require('./config/database');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
+const scheduler = require('./services/schedulerService');
+const { processDueErasures } = require('./services/accountErasureService');
+const { processDataExports } = require('./services/dataExportService');
+const { ALERT_CHECK_INTERVAL_MS, processSavedSearches } = require('./services/savedSearchService');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -20,6 +24,10 @@ const jobRoutes = require('./routes/jobs');
 const userRoutes = require('./routes/users');
 const applicationRoutes = require('./routes/applications');
 const companyRoutes = require('./routes/companies');
+const adminRoutes = require('./routes/admin');
+const apiKeyRoutes = require('./routes/apiKeys');
+const profileRoutes = require('./routes/profiles');
+const savedSearchRoutes = require('./routes/savedSearches');
 
 const app = express();
 
@@ -430,6 +438,10 @@ app.get('/api/status', (req, res) => {
       users: '/api/users',
       applications: '/api/applications',
       companies: '/api/companies',
+      admin: '/api/admin',
+      apiKeys: '/api/api-keys',
+      profiles: '/api/profiles',
+      savedSearches: '/api/saved-searches',
       health: '/api/health',
       corsTest: '/api/cors-test',
       corsDebug: '/api/cors-debug'
@@ -465,6 +477,10 @@ app.use('/api/jobs', jobRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/applications', applicationRoutes);
 app.use('/api/companies', companyRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/profiles', profileRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
 
 // =====================================
 // ERROR HANDLING
@@ -486,7 +502,11 @@ app.use('/api/*', (req, res) => {
       '/api/jobs/*',
       '/api/users/*',
       '/api/applications/*',
-      '/api/companies/*'
+      '/api/companies/*',
+      '/api/admin/*',
+      '/api/api-keys/*',
+      '/api/profiles/*',
+      '/api/saved-searches/*'
     ],
     timestamp: new Date().toISOString()
   });
@@ -512,6 +532,16 @@ app.use('*', (req, res) => {
 // Global error handler
 app.use(errorHandler);
 
+// =====================================
+// SCHEDULED JOBS
+// =====================================
+// Effacement des comptes dont le délai de grâce est écoulé (toutes les heures)
+scheduler.registerJob('account-erasure', 60 * 60 * 1000, processDueErasures);
+// Reprise des exports de données en attente et suppression des archives expirées
+scheduler.registerJob('data-exports', 5 * 60 * 1000, processDataExports);
+// Alertes email des recherches sauvegardées (instant, quotidiennes, hebdomadaires)
+scheduler.registerJob('job-alerts', ALERT_CHECK_INTERVAL_MS, processSavedSearches);
+
 // =====================================
 // SERVER STARTUP
 // =====================================
@@ -560,6 +590,8 @@ const server = app.listen(PORT, HOST, () => {
   console.log('\n');
   
   logger.info(`🚀 WorkWhile API Server started on ${HOST}:${PORT} in ${process.env.NODE_ENV || 'development'} mode`);
+
+  scheduler.start();
 });
 
 // =====================================
@@ -585,6 +617,7 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('🛑 SIGTERM received. Shutting down gracefully...');
+  scheduler.stop();
   server.close(() => {
     logger.info('✅ Process terminated');
     process.exit(0);
@@ -593,6 +626,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('🛑 SIGINT received. Shutting down gracefully...');
+  scheduler.stop();
   server.close(() => {
     logger.info('✅ Process terminated');
     process.exit(0);
@@ -0,0 +1,48 @@
+// config/commonPasswords.js - Mots de passe courants ou présents dans des fuites connues
+//
+// Liste embarquée (en minuscules) utilisée par la politique de mots de passe.
+// Les variantes triviales (majuscules, chiffres ou symboles ajoutés en début
+// ou fin, ex: "Password123!") sont également refusées.
+
+module.exports = [
+  '0000', '000000', '0987654321', '1111', '11111', '111111', '11111111', '112233',
+  '121212', '123123', '123123123', '123321', '1234', '12344321', '12345', '123456',
+  '1234567', '12345678', '123456789', '1234567890', '1234qwer', '123654', '123qwe',
+  '131313', '159753', '1q2w3e4r', '1qaz2wsx', '2000', '222222', '232323', '333333',
+  '555555', '654321', '666666', '696969', '777777', '7777777', '8675309', '87654321',
+  '888888', '88888888', '987654', '987654321', '999999', 'aaaaaa', 'abc123',
+  'abc12345', 'abcd1234', 'access', 'adidas', 'admin', 'admin123', 'administrator',
+  'agadir', 'amanda', 'andrea', 'andrew', 'angel', 'anthony', 'arsenal', 'asdfasdf',
+  'asdfgh', 'ashley', 'austin', 'azerty', 'azerty123', 'azertyuiop', 'badboy',
+  'bailey', 'banana', 'barney', 'baseball', 'batman', 'bigdog',
+  'biteme', 'bonjour', 'booboo', 'boomer', 'boston', 'brandon', 'brandy', 'bulldog',
+  'buster', 'camaro', 'cameron', 'casablanca', 'casper', 'changeme', 'charles',
+  'charlie', 'cheese', 'chelsea', 'chester', 'chicago', 'chicken', 'chouchou',
+  'chris', 'cocacola', 'coffee', 'compaq', 'computer', 'cookie', 'corvette',
+  'cowboy', 'cowboys', 'crystal', 'dakota', 'dallas', 'daniel', 'default',
+  'diablo', 'diamond', 'disney', 'doudou', 'dragon', 'eagles', 'edward', 'enter',
+  'falcon', 'fender', 'ferrari', 'fes', 'findyourjob', 'fishing', 'flower',
+  'football', 'forever', 'freedom', 'gandalf', 'gateway', 'george', 'gfhjkm',
+  'ghbdtn', 'ginger', 'golden', 'golfer', 'guest', 'guitar', 'hammer', 'hannah',
+  'hardcore', 'harley', 'heather', 'hello', 'hockey', 'hunter', 'iceman', 'iloveyou',
+  'iloveyou1', 'internet', 'jackson', 'james', 'jasmine', 'jasper', 'jennifer',
+  'jessica', 'johnny', 'jordan', 'joseph', 'joshua', 'junior', 'justin', 'killer',
+  'klaster', 'knight', 'lakers', 'letmein', 'letmein1', 'login', 'london',
+  'loulou', 'love', 'maggie', 'marina', 'marine', 'marlboro', 'maroc', 'marrakech',
+  'marseille', 'martin', 'master', 'matrix', 'matthew', 'maverick', 'melissa',
+  'mercedes', 'merlin', 'michael', 'michelle', 'mickey', 'midnight', 'miller',
+  'minecraft', 'money', 'monkey', 'monster', 'morgan', 'morocco', 'motdepasse',
+  'mother', 'mustang', 'nascar', 'natasha', 'ncc1701', 'nicole', 'nikita',
+  'oliver', 'orange', 'p@ssw0rd', 'p@ssword', 'pa$$word', 'pass',
+  'passw0rd', 'password', 'password1', 'password123', 'patrick', 'peanut',
+  'pepper', 'phoenix', 'player', 'please', 'porsche', 'prince', 'princess',
+  'purple', 'q1w2e3r4', 'q1w2e3r4t5', 'qazwsx', 'qwer1234', 'qwerty', 'qwerty123',
+  'qwertyuiop', 'rabat', 'rabbit', 'rachel', 'raiders', 'ranger', 'rangers',
+  'redsox', 'richard', 'robert', 'root', 'samantha', 'samsung', 'scooby', 'scooter',
+  'secret', 'shadow', 'silver', 'slayer', 'smokey', 'snoopy', 'soccer', 'soleil',
+  'sparky', 'spider', 'starwars', 'steelers', 'steven', 'summer', 'sunshine',
+  'superman', 'tanger', 'taylor', 'tennis', 'test', 'thomas', 'thunder', 'tigers',
+  'tigger', 'toor', 'trouvetonjob', 'trustno1', 'victoria', 'welcome', 'welcome1',
+  'whatever', 'william', 'winner', 'winter', 'wizard', 'workwhile', 'xxxxxx',
+  'yamaha', 'yankees', 'yellow', 'zxcvbn', 'zxcvbnm'
+];
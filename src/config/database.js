@@ -9,6 +9,38 @@ const connectDB = async () => {
     });
 
     logger.info(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Index texte pondéré de la recherche d'offres
+    try {
+      const dropped = await require('../models/Job').ensureTextIndex();
+      if (dropped.length > 0) {
+        logger.info(`Job text index replaced (dropped: ${dropped.join(', ')})`);
+      }
+    } catch (error) {
+      logger.error('Job text index migration failed:', error);
+    }
+
+    // Date de publication des offres enregistrées avant son ajout (alertes)
+    try {
+      const updated = await require('../models/Job').backfillPublishedAt();
+      if (updated > 0) {
+        logger.info(`Job publication dates set: ${updated}`);
+      }
+    } catch (error) {
+      logger.error('Job publication date backfill failed:', error);
+    }
+
+    // Coordonnées des offres et entreprises enregistrées avant le géocodage
+    try {
+      for (const modelName of ['Job', 'Company']) {
+        const updated = await require(`../models/${modelName}`).backfillGeoLocations();
+        if (updated > 0) {
+          logger.info(`${modelName} locations geocoded: ${updated}`);
+        }
+      }
+    } catch (error) {
+      logger.error('Location geocoding backfill failed:', error);
+    }
   } catch (error) {
     logger.error('Database connection error:', error);
     process.exit(1);
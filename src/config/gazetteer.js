@@ -0,0 +1,90 @@
+// config/gazetteer.js - Villes connues pour le géocodage des lieux (offres, entreprises)
+//
+// Liste embarquée, sans service externe : [nom, pays, latitude, longitude, alias].
+// Les villes marocaines sont en tête : en cas de nom ambigu, elles sont
+// retenues en premier. Les alias couvrent les graphies françaises, anglaises
+// et arabes courantes.
+
+module.exports = [
+  // Maroc
+  ['Casablanca', 'MA', 33.5731, -7.5898, ['casa', 'dar el beida', 'dar al bayda', 'الدار البيضاء']],
+  ['Rabat', 'MA', 34.0209, -6.8416, ['الرباط']],
+  ['Marrakech', 'MA', 31.6295, -7.9811, ['marrakesh', 'marrakesh-safi', 'مراكش']],
+  ['Fès', 'MA', 34.0181, -5.0078, ['fes', 'fez', 'فاس']],
+  ['Tanger', 'MA', 35.7595, -5.8340, ['tangier', 'tangiers', 'tanja', 'طنجة']],
+  ['Agadir', 'MA', 30.4278, -9.5981, ['أكادير']],
+  ['Meknès', 'MA', 33.8950, -5.5547, ['meknes', 'مكناس']],
+  ['Oujda', 'MA', 34.6814, -1.9086, ['وجدة']],
+  ['Kénitra', 'MA', 34.2610, -6.5802, ['kenitra', 'القنيطرة']],
+  ['Tétouan', 'MA', 35.5889, -5.3626, ['tetouan', 'tetuan', 'تطوان']],
+  ['Salé', 'MA', 34.0531, -6.7985, ['sale', 'سلا']],
+  ['Témara', 'MA', 33.9287, -6.9063, ['temara', 'تمارة']],
+  ['Mohammedia', 'MA', 33.6861, -7.3829, ['المحمدية']],
+  ['El Jadida', 'MA', 33.2316, -8.5007, ['el-jadida', 'الجديدة']],
+  ['Safi', 'MA', 32.2994, -9.2372, ['آسفي']],
+  ['Béni Mellal', 'MA', 32.3373, -6.3498, ['beni mellal', 'beni-mellal', 'بني ملال']],
+  ['Khouribga', 'MA', 32.8811, -6.9063, ['خريبكة']],
+  ['Settat', 'MA', 33.0010, -7.6166, ['سطات']],
+  ['Berrechid', 'MA', 33.2655, -7.5876, ['برشيد']],
+  ['Nador', 'MA', 35.1681, -2.9335, ['الناظور']],
+  ['Al Hoceïma', 'MA', 35.2517, -3.9372, ['al hoceima', 'al-hoceima', 'alhucemas', 'الحسيمة']],
+  ['Taza', 'MA', 34.2100, -4.0100, ['تازة']],
+  ['Larache', 'MA', 35.1932, -6.1557, ['العرائش']],
+  ['Ksar El Kébir', 'MA', 35.0017, -5.9053, ['ksar el kebir', 'القصر الكبير']],
+  ['Khémisset', 'MA', 33.8240, -6.0660, ['khemisset', 'الخميسات']],
+  ['Guelmim', 'MA', 28.9870, -10.0574, ['كلميم']],
+  ['Errachidia', 'MA', 31.9314, -4.4244, ['الرشيدية']],
+  ['Ouarzazate', 'MA', 30.9335, -6.9370, ['ورزازات']],
+  ['Essaouira', 'MA', 31.5085, -9.7595, ['mogador', 'الصويرة']],
+  ['Laâyoune', 'MA', 27.1253, -13.1625, ['laayoune', 'layoune', 'العيون']],
+  ['Dakhla', 'MA', 23.6848, -15.9580, ['الداخلة']],
+  ['Ifrane', 'MA', 33.5228, -5.1106, ['إفران']],
+  ['Chefchaouen', 'MA', 35.1688, -5.2636, ['chaouen', 'شفشاون']],
+  ['Taroudant', 'MA', 30.4703, -8.8770, ['تارودانت']],
+  ['Tiznit', 'MA', 29.6974, -9.7316, ['تيزنيت']],
+  ['Inezgane', 'MA', 30.3556, -9.5364, ['إنزكان']],
+  ['Berkane', 'MA', 34.9200, -2.3200, ['بركان']],
+  ['Skhirat', 'MA', 33.8527, -7.0317, ['الصخيرات']],
+  ['Bouskoura', 'MA', 33.4489, -7.6486, ['بوسكورة']],
+
+  // Maghreb et Afrique
+  ['Alger', 'DZ', 36.7538, 3.0588, ['algiers', 'الجزائر']],
+  ['Oran', 'DZ', 35.6971, -0.6308, ['وهران']],
+  ['Tunis', 'TN', 36.8065, 10.1815, ['تونس']],
+  ['Le Caire', 'EG', 30.0444, 31.2357, ['cairo', 'القاهرة']],
+  ['Dakar', 'SN', 14.7167, -17.4677, []],
+  ['Abidjan', 'CI', 5.3600, -4.0083, []],
+  ['Nouakchott', 'MR', 18.0735, -15.9582, ['نواكشوط']],
+
+  // Europe
+  ['Paris', 'FR', 48.8566, 2.3522, []],
+  ['Lyon', 'FR', 45.7640, 4.8357, []],
+  ['Marseille', 'FR', 43.2965, 5.3698, []],
+  ['Toulouse', 'FR', 43.6047, 1.4442, []],
+  ['Lille', 'FR', 50.6292, 3.0573, []],
+  ['Bordeaux', 'FR', 44.8378, -0.5792, []],
+  ['Nantes', 'FR', 47.2184, -1.5536, []],
+  ['Montpellier', 'FR', 43.6108, 3.8767, []],
+  ['Bruxelles', 'BE', 50.8503, 4.3517, ['brussels', 'brussel']],
+  ['Genève', 'CH', 46.2044, 6.1432, ['geneva', 'geneve']],
+  ['Madrid', 'ES', 40.4168, -3.7038, []],
+  ['Barcelone', 'ES', 41.3874, 2.1686, ['barcelona']],
+  ['Séville', 'ES', 37.3891, -5.9845, ['seville', 'sevilla']],
+  ['Málaga', 'ES', 36.7213, -4.4214, ['malaga']],
+  ['Lisbonne', 'PT', 38.7223, -9.1393, ['lisbon', 'lisboa']],
+  ['Londres', 'GB', 51.5074, -0.1278, ['london']],
+  ['Amsterdam', 'NL', 52.3676, 4.9041, []],
+  ['Berlin', 'DE', 52.5200, 13.4050, []],
+  ['Munich', 'DE', 48.1351, 11.5820, ['münchen', 'munchen']],
+  ['Milan', 'IT', 45.4642, 9.1900, ['milano']],
+  ['Rome', 'IT', 41.9028, 12.4964, ['roma']],
+  ['Dublin', 'IE', 53.3498, -6.2603, []],
+
+  // Amérique du Nord et Moyen-Orient
+  ['Montréal', 'CA', 45.5019, -73.5674, ['montreal']],
+  ['Toronto', 'CA', 43.6532, -79.3832, []],
+  ['New York', 'US', 40.7128, -74.0060, ['nyc', 'new york city']],
+  ['Dubaï', 'AE', 25.2048, 55.2708, ['dubai', 'دبي']],
+  ['Doha', 'QA', 25.2854, 51.5310, ['الدوحة']],
+  ['Riyad', 'SA', 24.7136, 46.6753, ['riyadh', 'الرياض']]
+];
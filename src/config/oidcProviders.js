@@ -0,0 +1,82 @@
+// config/oidcProviders.js - Fournisseurs OpenID Connect (connexion sociale)
+//
+// Les fournisseurs sont activés par variables d'environnement :
+//   OIDC_PROVIDERS=google,linkedin            (liste des identifiants activés)
+//   OIDC_<ID>_CLIENT_ID / OIDC_<ID>_CLIENT_SECRET
+//   OIDC_<ID>_ISSUER, OIDC_<ID>_SCOPES, OIDC_<ID>_NAME (optionnels si preset)
+// Un fournisseur sans preset (ex: "mock" pour un émetteur OIDC local) doit
+// définir au minimum OIDC_<ID>_ISSUER.
+
+const PRESETS = {
+  google: {
+    name: 'Google',
+    issuer: 'https://accounts.google.com',
+    scopes: ['openid', 'email', 'profile']
+  },
+  linkedin: {
+    name: 'LinkedIn',
+    issuer: 'https://www.linkedin.com/oauth',
+    scopes: ['openid', 'email', 'profile']
+  }
+};
+
+// URI de redirection enregistrée chez le fournisseur (page du frontend qui
+// renvoie ensuite code + state à POST /api/auth/oidc/:provider/callback)
+const getRedirectUri = (providerId) => {
+  const base = process.env.OIDC_REDIRECT_URI || `${process.env.FRONTEND_URL}/auth/oidc/callback`;
+  return `${base.replace(/\/$/, '')}/${providerId}`;
+};
+
+const loadProviders = () => {
+  const ids = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = {};
+
+  ids.forEach(id => {
+    const envPrefix = `OIDC_${id.toUpperCase()}_`;
+    const preset = PRESETS[id] || {};
+    const issuer = process.env[`${envPrefix}ISSUER`] || preset.issuer;
+    const clientId = process.env[`${envPrefix}CLIENT_ID`];
+
+    if (!issuer || !clientId) {
+      console.warn(`⚠️  OIDC provider "${id}" ignored: issuer and client id are required`);
+      return;
+    }
+
+    providers[id] = {
+      id,
+      name: process.env[`${envPrefix}NAME`] || preset.name || id,
+      issuer: issuer.replace(/\/$/, ''),
+      clientId,
+      clientSecret: process.env[`${envPrefix}CLIENT_SECRET`],
+      scopes: process.env[`${envPrefix}SCOPES`]
+        ? process.env[`${envPrefix}SCOPES`].split(/[\s,]+/).filter(Boolean)
+        : (preset.scopes || ['openid', 'email', 'profile']),
+      redirectUri: getRedirectUri(id)
+    };
+  });
+
+  return providers;
+};
+
+let providersCache = null;
+
+// Obtenir un fournisseur activé (null s'il n'existe pas)
+const getProvider = (id) => {
+  if (!providersCache) providersCache = loadProviders();
+  return providersCache[String(id || '').toLowerCase()] || null;
+};
+
+// Lister les fournisseurs activés (informations publiques uniquement)
+const listProviders = () => {
+  if (!providersCache) providersCache = loadProviders();
+  return Object.values(providersCache).map(({ id, name }) => ({ id, name }));
+};
+
+module.exports = {
+  getProvider,
+  listProviders
+};
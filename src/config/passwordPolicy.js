@@ -0,0 +1,34 @@
+// config/passwordPolicy.js - Politique de mots de passe
+//
+// Valeurs configurables par variables d'environnement :
+//   PASSWORD_MIN_LENGTH (8), PASSWORD_MAX_LENGTH (72, en octets UTF-8)
+//   PASSWORD_REQUIRE_UPPERCASE / _LOWERCASE / _NUMBER / _SPECIAL (true)
+//   PASSWORD_HISTORY_SIZE (5) : nombre d'anciens mots de passe non réutilisables
+//   PASSWORD_BLOCK_COMMON (true) : refuser les mots de passe courants ou compromis
+
+// bcrypt ignore tout ce qui dépasse 72 octets : deux mots de passe partageant
+// ces 72 premiers octets seraient équivalents
+const BCRYPT_MAX_BYTES = 72;
+
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const readBool = (name, fallback) => {
+  if (process.env[name] === undefined) return fallback;
+  return process.env[name] === 'true';
+};
+
+const passwordPolicy = {
+  minLength: readInt('PASSWORD_MIN_LENGTH', 8),
+  maxLength: Math.min(readInt('PASSWORD_MAX_LENGTH', BCRYPT_MAX_BYTES), BCRYPT_MAX_BYTES),
+  requireUppercase: readBool('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: readBool('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireNumber: readBool('PASSWORD_REQUIRE_NUMBER', true),
+  requireSpecial: readBool('PASSWORD_REQUIRE_SPECIAL', true),
+  blockCommon: readBool('PASSWORD_BLOCK_COMMON', true),
+  historySize: readInt('PASSWORD_HISTORY_SIZE', 5)
+};
+
+module.exports = passwordPolicy;
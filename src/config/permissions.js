@@ -0,0 +1,115 @@
+// config/permissions.js - Catalogue des permissions et rôles par défaut
+//
+// Les rôles et permissions sont stockés en base (modèles Role et Permission).
+// Ces valeurs servent uniquement à initialiser les collections au démarrage :
+// une permission ou un rôle déjà présent en base n'est jamais écrasé.
+
+const PERMISSIONS = [
+  // Emplois
+  { key: 'job.view', category: 'job', description: 'View published jobs' },
+  { key: 'job.search', category: 'job', description: 'Search jobs' },
+  { key: 'job.save', category: 'job', description: 'Save jobs to favorites' },
+  { key: 'job.create', category: 'job', description: 'Post new jobs' },
+  { key: 'job.update', category: 'job', description: 'Edit own jobs' },
+  { key: 'job.delete', category: 'job', description: 'Delete own jobs' },
+  { key: 'job.view_all', category: 'job', description: 'List own jobs, including drafts' },
+
+  // Candidatures
+  { key: 'application.create', category: 'application', description: 'Apply to jobs' },
+  { key: 'application.view_own', category: 'application', description: 'View own applications' },
+  { key: 'application.withdraw', category: 'application', description: 'Withdraw own applications' },
+  { key: 'application.view', category: 'application', description: 'View applications received for own jobs' },
+  { key: 'application.update', category: 'application', description: 'Update the status of received applications' },
+  { key: 'application.respond', category: 'application', description: 'Respond to candidates' },
+  { key: 'application.view_any', category: 'application', description: 'View applications for any job' },
+  { key: 'application.update_any', category: 'application', description: 'Update the status of applications for any job' },
+
+  // Entreprises
+  { key: 'company.create', category: 'company', description: 'Create a company profile' },
+  { key: 'company.update', category: 'company', description: 'Edit own company profile' },
+  { key: 'company.delete', category: 'company', description: 'Delete own company profile' },
+  { key: 'company.view', category: 'company', description: 'View own company profile' },
+
+  // Profil et compte
+  { key: 'profile.update', category: 'profile', description: 'Edit own profile' },
+  { key: 'profile.view', category: 'profile', description: 'View own profile' },
+  { key: 'analytics.view', category: 'analytics', description: 'View hiring analytics' },
+  { key: 'account.two_factor', category: 'account', description: 'Enroll in two-factor authentication' },
+  { key: 'api_key.manage', category: 'account', description: 'Create and revoke API keys' },
+
+  // Administration
+  { key: 'role.manage', category: 'admin', description: 'Manage roles, permissions and user overrides' },
+  { key: 'user.manage', category: 'admin', description: 'Manage user accounts' },
+  { key: 'settings.manage', category: 'admin', description: 'Manage platform security settings' }
+];
+
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Platform administrator',
+    permissions: ['*'] // Toutes les permissions
+  },
+  employer: {
+    description: 'Company account posting jobs and reviewing applications',
+    permissions: [
+      'job.create',
+      'job.update',
+      'job.delete',
+      'job.view_all',
+      'application.view',
+      'application.update',
+      'application.respond',
+      'company.create',
+      'company.update',
+      'company.delete',
+      'company.view',
+      'analytics.view',
+      'account.two_factor',
+      'api_key.manage'
+    ]
+  },
+  candidate: {
+    description: 'Job seeker',
+    permissions: [
+      'application.create',
+      'application.view_own',
+      'application.withdraw',
+      'job.view',
+      'job.search',
+      'job.save',
+      'profile.update',
+      'profile.view'
+    ]
+  }
+};
+
+// Rôles fournis par la plateforme (ne peuvent pas être supprimés)
+const SYSTEM_ROLES = Object.keys(DEFAULT_ROLES);
+
+// Scopes qu'un employeur peut accorder à une clé API (intégrations ATS).
+// Les permissions de compte et d'administration ne sont jamais déléguées.
+const API_KEY_SCOPES = [
+  'job.create',
+  'job.update',
+  'job.delete',
+  'job.view_all',
+  'application.view',
+  'application.update',
+  'application.respond',
+  'company.create',
+  'company.update',
+  'company.view',
+  'analytics.view'
+];
+
+// Vérifier si une liste de permissions accorde une permission donnée
+const hasPermission = (permissions, permission) => {
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  SYSTEM_ROLES,
+  API_KEY_SCOPES,
+  hasPermission
+};
@@ -0,0 +1,830 @@
+// controllers/adminController.js
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const AuditLog = require('../models/AuditLog');
+const emailService = require('../services/emailService');
+const { hasPermission } = require('../config/permissions');
+const {
+  catchAsync,
+  AppError,
+  sendResponse,
+  getPaginationMeta,
+  escapeRegex
+} = require('../utils/helpers');
+const { adminValidators } = require('../utils/validators');
+const {
+  getEligibleRoles,
+  getRequiredRoles,
+  setRequiredRoles
+} = require('../services/twoFactorService');
+const {
+  resetLoginAttempts,
+  getAccountLockState
+} = require('../services/loginThrottleService');
+const {
+  ensureDefaults,
+  invalidateCache,
+  roleExists,
+  getRolePermissions,
+  getUserPermissions,
+  findUnknownPermissions
+} = require('../services/permissionService');
+
+// Champs exposés dans la liste des utilisateurs
+const USER_LIST_FIELDS = 'firstName lastName email role isActive suspension emailVerified passwordResetRequired lastLogin createdAt';
+
+// Valider le corps de la requête avec un schéma Joi et retourner la valeur normalisée
+const validateBody = (schema, body, next) => {
+  const { error, value } = schema.validate(body);
+  if (error) {
+    next(new AppError(error.details[0].message, 400));
+    return null;
+  }
+  return value;
+};
+
+// Vérifier que toutes les permissions demandées existent
+const rejectUnknownPermissions = async (keys, next) => {
+  const unknown = await findUnknownPermissions(keys);
+  if (unknown.length > 0) {
+    next(new AppError(`Unknown permissions: ${unknown.join(', ')}`, 400));
+    return true;
+  }
+  return false;
+};
+
+// Un administrateur ne peut pas attribuer ni retirer plus de droits qu'il n'en possède
+const exceedsActorPermissions = async (req, permissions) => {
+  const actorPermissions = req.permissions || await getUserPermissions(req.user);
+  return permissions.some(permission => !hasPermission(actorPermissions, permission));
+};
+
+// =====================================
+// POLITIQUE 2FA - CONSULTATION
+// =====================================
+const getTwoFactorPolicy = catchAsync(async (req, res, next) => {
+  console.log('\n🛡️  GET 2FA POLICY:');
+  console.log('  Admin ID:', req.user._id);
+
+  sendResponse(res, 200, 'success', 'Two-factor policy retrieved successfully', {
+    requiredRoles: await getRequiredRoles(),
+    availableRoles: await getEligibleRoles()
+  });
+});
+
+// =====================================
+// POLITIQUE 2FA - MODIFICATION
+// =====================================
+const updateTwoFactorPolicy = catchAsync(async (req, res, next) => {
+  console.log('\n🛡️  UPDATE 2FA POLICY:');
+  console.log('  Admin ID:', req.user._id);
+  console.log('  Requested roles:', req.body.requiredRoles);
+
+  const { requiredRoles } = req.body;
+
+  if (!Array.isArray(requiredRoles)) {
+    return next(new AppError('requiredRoles must be an array of roles', 400));
+  }
+
+  const eligibleRoles = await getEligibleRoles();
+  const invalidRoles = requiredRoles.filter(role => !eligibleRoles.includes(role));
+  if (invalidRoles.length > 0) {
+    return next(new AppError(`Two-factor cannot be required for: ${invalidRoles.join(', ')}. Allowed roles: ${eligibleRoles.join(', ')}`, 400));
+  }
+
+  const previousRoles = await getRequiredRoles();
+  const roles = await setRequiredRoles(requiredRoles, req.user._id);
+
+  await AuditLog.record(req, {
+    action: 'settings.two_factor_policy',
+    targetType: 'Setting',
+    metadata: { from: previousRoles, to: roles }
+  });
+
+  console.log('  ✅ 2FA policy updated:', roles);
+
+  sendResponse(res, 200, 'success', 'Two-factor policy updated successfully', {
+    requiredRoles: roles,
+    availableRoles: eligibleRoles
+  });
+});
+
+// =====================================
+// DÉVERROUILLER UN COMPTE
+// =====================================
+const unlockUser = catchAsync(async (req, res, next) => {
+  console.log('\n🔓 UNLOCK USER ACCOUNT:');
+  console.log('  Admin ID:', req.user._id);
+  console.log('  Target user ID:', req.params.id);
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const previousState = await getAccountLockState(user.email);
+  await resetLoginAttempts(user.email);
+
+  await AuditLog.record(req, {
+    action: 'user.unlock',
+    targetType: 'User',
+    target: user._id,
+    metadata: { wasLocked: previousState.locked }
+  });
+
+  console.log('  ✅ Account unlocked:', user.email, '(was locked:', previousState.locked, ')');
+
+  sendResponse(res, 200, 'success', 'User account unlocked successfully', {
+    userId: user._id,
+    email: user.email,
+    wasLocked: previousState.locked,
+    lockedUntil: previousState.lockedUntil
+  });
+});
+
+// =====================================
+// PERMISSIONS - LISTE ET CRÉATION
+// =====================================
+const getPermissions = catchAsync(async (req, res, next) => {
+  console.log('\n🛡️  GET PERMISSIONS:');
+
+  await ensureDefaults();
+  const permissions = await Permission.find().sort({ category: 1, key: 1 });
+
+  sendResponse(res, 200, 'success', 'Permissions retrieved successfully', {
+    permissions,
+    total: permissions.length
+  });
+});
+
+const createPermission = catchAsync(async (req, res, next) => {
+  console.log('\n🛡️  CREATE PERMISSION:');
+  console.log('  Admin ID:', req.user._id);
+  console.log('  Key:', req.body.key);
+
+  const data = validateBody(adminValidators.createPermission, req.body, next);
+  if (!data) return;
+
+  await ensureDefaults();
+  if (await Permission.exists({ key: data.key })) {
+    return next(new AppError('A permission with this key already exists', 409));
+  }
+
+  const permission = await Permission.create({
+    ...data,
+    category: data.category || data.key.split('.')[0]
+  });
+
+  await AuditLog.record(req, {
+    action: 'permission.create',
+    targetType: 'Permission',
+    target: permission._id,
+    metadata: { key: permission.key }
+  });
+
+  console.log('  ✅ Permission created:', permission.key);
+
+  sendResponse(res, 201, 'success', 'Permission created successfully', { permission });
+});
+
+// =====================================
+// PERMISSIONS - SUPPRESSION
+// =====================================
+const deletePermission = catchAsync(async (req, res, next) => {
+  console.log('\n🛡️  DELETE PERMISSION:');
+  console.log('  Admin ID:', req.user._id);
+  console.log('  Key:', req.params.key);
+
+  const permission = await Permission.findOne({ key: req.params.key });
+  if (!permission) {
+    return next(new AppError('Permission not found', 404));
+  }
+
+  if (permission.isSystem) {
+    return next(new AppError('Built-in permissions cannot be deleted', 400));
+  }
+
+  // Retirer la permission des rôles et des ajustements individuels
+  await Role.updateMany({}, { $pull: { permissions: permission.key } });
+  await User.updateMany({}, {
+    $pull: {
+      'permissionOverrides.granted': permission.key,
+      'permissionOverrides.revoked': permission.key
+    }
+  });
+  await permission.deleteOne();
+  invalidateCache();
+
+  await AuditLog.record(req, {
+    action: 'permission.delete',
+    targetType: 'Permission',
+    target: permission._id,
+    metadata: { key: permission.key }
+  });
+
+  console.log('  ✅ Permission deleted:', permission.key);
+
+  sendResponse(res, 200, 'success', 'Permission deleted successfully');
+});
+
+// =====================================
+// RÔLES - LISTE ET DÉTAIL
+// =====================================
+const getRoles = catchAsync(async (req, res, next) => {
+  console.log('\n🛡️  GET ROLES:');
+
+  await ensureDefaults();
+  const [roles, counts] = await Promise.all([
+    Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+    User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+  ]);
+
+  const userCounts = Object.fromEntries(counts.map(item => [item._id, item.count]));
+
+  sendResponse(res, 200, 'success', 'Roles retrieved successfully', {
+    roles: roles.map(role => ({ ...role, userCount: userCounts[role.name] || 0 })),
+    total: roles.length
+  });
+});
+
+const getRole = catchAsync(async (req, res, next) => {
+  await ensureDefaults();
+  const role = await Role.findOne({ name: req.params.name });
+  if (!role) {
+    return next(new AppError('Role not found', 404));
+  }
+
+  sendResponse(res, 200, 'success', 'Role retrieved successfully', {
+    role,
+    userCount: await User.countDocuments({ role: role.name })
+  });
+});
+
+// =====================================
+// RÔLES - CRÉATION
+// =====================================
+const createRole = catchAsync(async (req, res, next) => {
+  console.log('\n🛡️  CREATE ROLE:');
+  console.log('  Admin ID:', req.user._id);
+  console.log('  Name:', req.body.name);
+
+  const data = validateBody(adminValidators.createRole, req.body, next);
+  if (!data) return;
+
+  await ensureDefaults();
+  if (await Role.exists({ name: data.name })) {
+    return next(new AppError('A role with this name already exists', 409));
+  }
+
+  if (await rejectUnknownPermissions(data.permissions, next)) return;
+
+  const role = await Role.create({ ...data, updatedBy: req.user._id });
+  invalidateCache();
+
+  await AuditLog.record(req, {
+    action: 'role.create',
+    targetType: 'Role',
+    target: role._id,
+    metadata: { name: role.name, permissions: role.permissions }
+  });
+
+  console.log('  ✅ Role created:', role.name);
+
+  sendResponse(res, 201, 'success', 'Role created successfully', { role });
+});
+
+// =====================================
+// RÔLES - MODIFICATION
+// =====================================
+const updateRole = catchAsync(async (req, res, next) => {
+  console.log('\n🛡️  UPDATE ROLE:');
+  console.log('  Admin ID:', req.user._id);
+  console.log('  Role:', req.params.name);
+
+  const data = validateBody(adminValidators.updateRole, req.body, next);
+  if (!data) return;
+
+  const role = await Role.findOne({ name: req.params.name });
+  if (!role) {
+    return next(new AppError('Role not found', 404));
+  }
+
+  const previousPermissions = [...role.permissions];
+
+  if (data.permissions) {
+    // Le rôle admin garde toutes les permissions (évite de se verrouiller dehors)
+    if (role.permissions.includes('*')) {
+      return next(new AppError('The permissions of this role cannot be changed', 400));
+    }
+
+    if (role.name === req.user.role) {
+      return next(new AppError('You cannot change the permissions of your own role', 400));
+    }
+
+    if (await rejectUnknownPermissions(data.permissions, next)) return;
+
+    if (await exceedsActorPermissions(req, [...previousPermissions, ...data.permissions])) {
+      return next(new AppError('You do not have enough permissions to grant or remove these permissions', 403));
+    }
+
+    role.permissions = data.permissions;
+  }
+
+  if (data.description !== undefined) {
+    role.description = data.description;
+  }
+
+  role.updatedBy = req.user._id;
+  await role.save();
+  invalidateCache();
+
+  await AuditLog.record(req, {
+    action: 'role.update',
+    targetType: 'Role',
+    target: role._id,
+    metadata: { name: role.name, from: previousPermissions, to: role.permissions }
+  });
+
+  console.log('  ✅ Role updated:', role.name);
+
+  sendResponse(res, 200, 'success', 'Role updated successfully', { role });
+});
+
+// =====================================
+// RÔLES - SUPPRESSION
+// =====================================
+const deleteRole = catchAsync(async (req, res, next) => {
+  console.log('\n🛡️  DELETE ROLE:');
+  console.log('  Admin ID:', req.user._id);
+  console.log('  Role:', req.params.name);
+
+  const role = await Role.findOne({ name: req.params.name });
+  if (!role) {
+    return next(new AppError('Role not found', 404));
+  }
+
+  if (role.isSystem) {
+    return next(new AppError('Built-in roles cannot be deleted', 400));
+  }
+
+  const userCount = await User.countDocuments({ role: role.name });
+  if (userCount > 0) {
+    return next(new AppError(`This role is still assigned to ${userCount} user(s). Reassign them first.`, 409));
+  }
+
+  await role.deleteOne();
+  invalidateCache();
+
+  await AuditLog.record(req, {
+    action: 'role.delete',
+    targetType: 'Role',
+    target: role._id,
+    metadata: { name: role.name }
+  });
+
+  console.log('  ✅ Role deleted:', role.name);
+
+  sendResponse(res, 200, 'success', 'Role deleted successfully');
+});
+
+// =====================================
+// PERMISSIONS INDIVIDUELLES D'UN UTILISATEUR
+// =====================================
+const getUserPermissionOverrides = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  sendResponse(res, 200, 'success', 'User permissions retrieved successfully', {
+    userId: user._id,
+    role: user.role,
+    overrides: {
+      granted: user.permissionOverrides?.granted || [],
+      revoked: user.permissionOverrides?.revoked || []
+    },
+    effectivePermissions: await getUserPermissions(user)
+  });
+});
+
+const updateUserPermissionOverrides = catchAsync(async (req, res, next) => {
+  console.log('\n🛡️  UPDATE USER PERMISSIONS:');
+  console.log('  Admin ID:', req.user._id);
+  console.log('  Target user ID:', req.params.id);
+
+  const data = validateBody(adminValidators.userPermissions, req.body, next);
+  if (!data) return;
+
+  if (req.params.id === req.user._id.toString()) {
+    return next(new AppError('You cannot change your own permissions', 400));
+  }
+
+  const conflicting = data.granted.filter(key => data.revoked.includes(key));
+  if (conflicting.length > 0) {
+    return next(new AppError(`Permissions cannot be both granted and revoked: ${conflicting.join(', ')}`, 400));
+  }
+
+  if (await rejectUnknownPermissions([...data.granted, ...data.revoked], next)) return;
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const previousOverrides = {
+    granted: user.permissionOverrides?.granted || [],
+    revoked: user.permissionOverrides?.revoked || []
+  };
+
+  const affectedPermissions = [
+    ...previousOverrides.granted,
+    ...previousOverrides.revoked,
+    ...data.granted,
+    ...data.revoked
+  ];
+  if (await exceedsActorPermissions(req, affectedPermissions)) {
+    return next(new AppError('You do not have enough permissions to grant or revoke these permissions', 403));
+  }
+
+  user.permissionOverrides = {
+    granted: data.granted.length > 0 ? data.granted : undefined,
+    revoked: data.revoked.length > 0 ? data.revoked : undefined
+  };
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record(req, {
+    action: 'user.permissions_update',
+    targetType: 'User',
+    target: user._id,
+    metadata: { from: previousOverrides, to: data }
+  });
+
+  console.log('  ✅ User permissions updated');
+
+  sendResponse(res, 200, 'success', 'User permissions updated successfully', {
+    userId: user._id,
+    role: user.role,
+    overrides: data,
+    effectivePermissions: await getUserPermissions(user)
+  });
+});
+
+// =====================================
+// UTILISATEURS - RECHERCHE ET FILTRES
+// =====================================
+const listUsers = catchAsync(async (req, res, next) => {
+  console.log('\n👥 ADMIN LIST USERS:');
+  console.log('  Admin ID:', req.user._id);
+  console.log('  Query:', req.query);
+
+  const query = validateBody(adminValidators.listUsers, req.query, next);
+  if (!query) return;
+
+  const filter = {};
+
+  if (query.q) {
+    const pattern = new RegExp(escapeRegex(query.q), 'i');
+    filter.$or = [
+      { firstName: pattern },
+      { lastName: pattern },
+      { email: pattern }
+    ];
+  }
+
+  if (query.role) {
+    filter.role = query.role;
+  }
+
+  // active : compte actif ; suspended : suspendu par un administrateur ;
+  // deactivated : désactivé sans suspension (ex: par l'utilisateur lui-même)
+  if (query.status === 'active') {
+    filter.isActive = true;
+  } else if (query.status === 'suspended') {
+    filter.isActive = false;
+    filter['suspension.suspendedAt'] = { $exists: true };
+  } else if (query.status === 'deactivated') {
+    filter.isActive = false;
+    filter['suspension.suspendedAt'] = { $exists: false };
+  }
+
+  if (query.emailVerified !== undefined) {
+    filter.emailVerified = query.emailVerified;
+  }
+
+  if (query.createdFrom || query.createdTo) {
+    filter.createdAt = {};
+    if (query.createdFrom) filter.createdAt.$gte = query.createdFrom;
+    if (query.createdTo) filter.createdAt.$lte = query.createdTo;
+  }
+
+  const sort = { [query.sortBy]: query.sortOrder === 'asc' ? 1 : -1, _id: 1 };
+  const skip = (query.page - 1) * query.limit;
+
+  const [users, totalUsers] = await Promise.all([
+    User.find(filter)
+      .select(USER_LIST_FIELDS)
+      .sort(sort)
+      .skip(skip)
+      .limit(query.limit)
+      .lean(),
+    User.countDocuments(filter)
+  ]);
+
+  console.log(`  ✅ Found ${totalUsers} users, returning ${users.length}`);
+
+  sendResponse(res, 200, 'success', 'Users retrieved successfully', {
+    users,
+    pagination: getPaginationMeta(totalUsers, query.page, query.limit)
+  });
+});
+
+// =====================================
+// UTILISATEURS - DÉTAIL
+// =====================================
+const getUser = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id)
+    .populate('suspension.suspendedBy', 'firstName lastName email');
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const [lockState, recentActivity] = await Promise.all([
+    getAccountLockState(user.email),
+    AuditLog.find({ target: user._id })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean()
+  ]);
+
+  sendResponse(res, 200, 'success', 'User retrieved successfully', {
+    user,
+    lockState,
+    recentActivity
+  });
+});
+
+// =====================================
+// UTILISATEURS - SUSPENSION
+// =====================================
+const suspendUser = catchAsync(async (req, res, next) => {
+  console.log('\n⛔ SUSPEND USER:');
+  console.log('  Admin ID:', req.user._id);
+  console.log('  Target user ID:', req.params.id);
+
+  const data = validateBody(adminValidators.suspendUser, req.body, next);
+  if (!data) return;
+
+  if (req.params.id === req.user._id.toString()) {
+    return next(new AppError('You cannot suspend your own account', 400));
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (user.suspension?.suspendedAt) {
+    return next(new AppError('This account is already suspended', 409));
+  }
+
+  // Suspendre un compte revient à lui retirer tous ses droits
+  if (await exceedsActorPermissions(req, await getUserPermissions(user))) {
+    return next(new AppError('You do not have enough permissions to suspend this account', 403));
+  }
+
+  user.isActive = false;
+  user.suspension = {
+    suspendedAt: new Date(),
+    suspendedBy: req.user._id,
+    reason: data.reason
+  };
+
+  // revokeAllSessions sauvegarde l'utilisateur et déconnecte tous ses appareils
+  await user.revokeAllSessions('suspended');
+
+  await AuditLog.record(req, {
+    action: 'user.suspend',
+    targetType: 'User',
+    target: user._id,
+    reason: data.reason
+  });
+
+  console.log('  ✅ User suspended:', user.email);
+
+  sendResponse(res, 200, 'success', 'User suspended successfully', {
+    userId: user._id,
+    isActive: user.isActive,
+    suspension: user.suspension
+  });
+});
+
+// =====================================
+// UTILISATEURS - RÉACTIVATION
+// =====================================
+const reactivateUser = catchAsync(async (req, res, next) => {
+  console.log('\n✅ REACTIVATE USER:');
+  console.log('  Admin ID:', req.user._id);
+  console.log('  Target user ID:', req.params.id);
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (user.isActive) {
+    return next(new AppError('This account is already active', 409));
+  }
+
+  // Un compte effacé ne contient plus rien : il ne peut pas être réactivé
+  if (user.deletion?.completedAt) {
+    return next(new AppError('This account has been erased and cannot be reactivated', 409));
+  }
+
+  const previousSuspension = user.suspension?.suspendedAt ? user.suspension.toObject() : null;
+
+  user.isActive = true;
+  user.suspension = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record(req, {
+    action: 'user.reactivate',
+    targetType: 'User',
+    target: user._id,
+    reason: req.body?.reason,
+    metadata: previousSuspension ? { suspension: previousSuspension } : undefined
+  });
+
+  console.log('  ✅ User reactivated:', user.email);
+
+  sendResponse(res, 200, 'success', 'User reactivated successfully', {
+    userId: user._id,
+    isActive: user.isActive
+  });
+});
+
+// =====================================
+// UTILISATEURS - CHANGEMENT DE RÔLE
+// =====================================
+const changeUserRole = catchAsync(async (req, res, next) => {
+  console.log('\n🎭 CHANGE USER ROLE:');
+  console.log('  Admin ID:', req.user._id);
+  console.log('  Target user ID:', req.params.id);
+  console.log('  New role:', req.body.role);
+
+  const data = validateBody(adminValidators.changeRole, req.body, next);
+  if (!data) return;
+
+  if (req.params.id === req.user._id.toString()) {
+    return next(new AppError('You cannot change your own role', 400));
+  }
+
+  if (!(await roleExists(data.role))) {
+    return next(new AppError(`Unknown role: ${data.role}`, 400));
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (user.role === data.role) {
+    return next(new AppError(`User already has the ${data.role} role`, 409));
+  }
+
+  const affectedPermissions = [
+    ...await getRolePermissions(user.role),
+    ...await getRolePermissions(data.role)
+  ];
+  if (await exceedsActorPermissions(req, affectedPermissions)) {
+    return next(new AppError('You do not have enough permissions to assign or remove this role', 403));
+  }
+
+  const previousRole = user.role;
+  user.role = data.role;
+
+  // Les tokens en cours contiennent l'ancien rôle : forcer une reconnexion
+  await user.revokeAllSessions('role-changed');
+
+  await AuditLog.record(req, {
+    action: 'user.role_change',
+    targetType: 'User',
+    target: user._id,
+    reason: data.reason,
+    metadata: { from: previousRole, to: user.role }
+  });
+
+  console.log('  ✅ Role changed:', previousRole, '→', user.role);
+
+  sendResponse(res, 200, 'success', 'User role updated successfully', {
+    userId: user._id,
+    role: user.role,
+    previousRole
+  });
+});
+
+// =====================================
+// UTILISATEURS - RÉINITIALISATION FORCÉE DU MOT DE PASSE
+// =====================================
+const forcePasswordReset = catchAsync(async (req, res, next) => {
+  console.log('\n🔑 FORCE PASSWORD RESET:');
+  console.log('  Admin ID:', req.user._id);
+  console.log('  Target user ID:', req.params.id);
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  user.passwordResetRequired = true;
+  const resetToken = user.createPasswordResetToken();
+
+  // Sauvegarde l'utilisateur (token de réinitialisation inclus) et ferme toutes les sessions
+  await user.revokeAllSessions('password-reset-required');
+
+  let emailSent = true;
+  try {
+    await emailService.sendPasswordResetEmail(user.email, resetToken);
+  } catch (error) {
+    console.log('  ⚠️ Password reset email failed:', error.message);
+    emailSent = false;
+  }
+
+  await AuditLog.record(req, {
+    action: 'user.force_password_reset',
+    targetType: 'User',
+    target: user._id,
+    reason: req.body?.reason,
+    metadata: { emailSent }
+  });
+
+  console.log('  ✅ Password reset required for:', user.email);
+
+  sendResponse(res, 200, 'success', emailSent
+    ? 'Password reset required. A reset link has been sent to the user.'
+    : 'Password reset required, but the reset email could not be sent. The user can request a new link from the forgot password page.', {
+    userId: user._id,
+    passwordResetRequired: true,
+    emailSent
+  });
+});
+
+// =====================================
+// JOURNAL D'AUDIT
+// =====================================
+const getAuditLogs = catchAsync(async (req, res, next) => {
+  console.log('\n📊 GET AUDIT LOGS:');
+  console.log('  Admin ID:', req.user._id);
+
+  const query = validateBody(adminValidators.auditLogs, req.query, next);
+  if (!query) return;
+
+  const filter = {};
+  if (query.action) filter.action = query.action;
+  if (query.actor) filter.actor = query.actor;
+  if (query.target) filter.target = query.target;
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = query.from;
+    if (query.to) filter.createdAt.$lte = query.to;
+  }
+
+  const [logs, totalLogs] = await Promise.all([
+    AuditLog.find(filter)
+      .populate('actor', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip((query.page - 1) * query.limit)
+      .limit(query.limit)
+      .lean(),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  sendResponse(res, 200, 'success', 'Audit logs retrieved successfully', {
+    logs,
+    pagination: getPaginationMeta(totalLogs, query.page, query.limit)
+  });
+});
+
+module.exports = {
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  listUsers,
+  getUser,
+  suspendUser,
+  reactivateUser,
+  changeUserRole,
+  forcePasswordReset,
+  unlockUser,
+  getPermissions,
+  createPermission,
+  deletePermission,
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+  getUserPermissionOverrides,
+  updateUserPermissionOverrides,
+  getAuditLogs
+};
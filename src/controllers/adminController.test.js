@@ -0,0 +1,211 @@
+// controllers/adminController.test.js - Plafond des droits attribuables par un administrateur
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+jest.mock('../services/twoFactorService', () => ({
+  ...jest.requireActual('../services/twoFactorService'),
+  isRequiredForRole: jest.fn().mockResolvedValue(false)
+}));
+
+jest.mock('../services/permissionService', () => ({
+  ...jest.requireActual('../services/permissionService'),
+  getUserPermissions: jest.fn(),
+  getRolePermissions: jest.fn(),
+  findUnknownPermissions: jest.fn().mockResolvedValue([]),
+  invalidateCache: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const adminRoutes = require('../routes/admin');
+const errorHandler = require('../middleware/errorHandler');
+const { generateToken } = require('../services/tokenService');
+const { getUserPermissions, getRolePermissions } = require('../services/permissionService');
+
+// Requête Mongoose simulée (chaînable et "thenable")
+const mockQuery = (result) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+// Gestionnaire du support : gère les comptes et les rôles, sans être administrateur
+const SUPPORT_PERMISSIONS = ['user.manage', 'role.manage', 'job.view', 'job.search'];
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  support: SUPPORT_PERMISSIONS,
+  employer: ['job.create', 'application.view'],
+  candidate: ['job.view', 'job.search']
+};
+
+const actor = {
+  _id: new mongoose.Types.ObjectId(),
+  email: 'support@example.com',
+  role: 'support',
+  isActive: true,
+  tokenVersion: 0
+};
+
+let target;
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+app.use(errorHandler);
+
+const token = () => generateToken({ id: actor._id, email: actor.email, role: actor.role, family: 'session-1' });
+const asActor = (req) => req.set('Authorization', `Bearer ${token()}`);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  target = new User({
+    _id: new mongoose.Types.ObjectId(),
+    firstName: 'Sara',
+    lastName: 'Alaoui',
+    email: 'sara@example.com',
+    password: 'Str0ng!Passphrase',
+    role: 'candidate'
+  });
+  jest.spyOn(target, 'save').mockResolvedValue(target);
+
+  jest.spyOn(User, 'findById').mockImplementation((id) =>
+    mockQuery(String(id) === String(actor._id) ? actor : String(id) === String(target._id) ? target : null));
+  jest.spyOn(RevokedToken, 'isRevoked').mockResolvedValue(false);
+  jest.spyOn(Session, 'isRevoked').mockResolvedValue(false);
+  jest.spyOn(AuditLog, 'record').mockResolvedValue();
+
+  getUserPermissions.mockImplementation(async (user) => ROLE_PERMISSIONS[user.role] || []);
+  getRolePermissions.mockImplementation(async (role) => ROLE_PERMISSIONS[role] || []);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('user permission overrides', () => {
+  const updateOverrides = (id, body) => asActor(request(app).put(`/api/admin/users/${id}/permissions`)).send(body);
+
+  it('grants a permission the actor holds', async () => {
+    const res = await updateOverrides(target._id, { granted: ['job.view'] });
+
+    expect(res.status).toBe(200);
+    expect(target.permissionOverrides.granted).toEqual(['job.view']);
+  });
+
+  it('refuses to grant a permission the actor does not hold', async () => {
+    const res = await updateOverrides(target._id, { granted: ['settings.manage'] });
+
+    expect(res.status).toBe(403);
+    expect(target.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses to remove an override the actor could not have granted', async () => {
+    target.permissionOverrides = { granted: ['settings.manage'] };
+
+    const res = await updateOverrides(target._id, { granted: [] });
+
+    expect(res.status).toBe(403);
+    expect(target.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses to change the actor\'s own overrides', async () => {
+    const res = await updateOverrides(actor._id, { granted: ['job.view'] });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('role permissions', () => {
+  const updateRole = (name, body) => asActor(request(app).put(`/api/admin/roles/${name}`)).send(body);
+
+  const mockRole = (name) => {
+    const role = new Role({ name, permissions: ROLE_PERMISSIONS[name] });
+    jest.spyOn(role, 'save').mockResolvedValue(role);
+    jest.spyOn(Role, 'findOne').mockResolvedValue(role);
+    return role;
+  };
+
+  it('updates a role within the actor\'s permissions', async () => {
+    const role = mockRole('candidate');
+
+    const res = await updateRole('candidate', { permissions: ['job.view'] });
+
+    expect(res.status).toBe(200);
+    expect(role.permissions).toEqual(['job.view']);
+  });
+
+  it('refuses to add a permission the actor does not hold', async () => {
+    const role = mockRole('candidate');
+
+    const res = await updateRole('candidate', { permissions: ['job.view', 'settings.manage'] });
+
+    expect(res.status).toBe(403);
+    expect(role.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses to strip a role of permissions the actor does not hold', async () => {
+    const role = mockRole('employer');
+
+    const res = await updateRole('employer', { permissions: [] });
+
+    expect(res.status).toBe(403);
+    expect(role.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses to change the actor\'s own role', async () => {
+    const role = mockRole('support');
+
+    const res = await updateRole('support', { permissions: [...SUPPORT_PERMISSIONS, 'job.save'] });
+
+    expect(res.status).toBe(400);
+    expect(role.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('suspension', () => {
+  const suspend = (id) => asActor(request(app).post(`/api/admin/users/${id}/suspend`)).send({ reason: 'Spam reports' });
+
+  beforeEach(() => {
+    jest.spyOn(target, 'revokeAllSessions').mockResolvedValue();
+  });
+
+  it('suspends an account with fewer permissions', async () => {
+    const res = await suspend(target._id);
+
+    expect(res.status).toBe(200);
+    expect(target.isActive).toBe(false);
+  });
+
+  it('refuses to suspend an account with more permissions than the actor', async () => {
+    target.role = 'admin';
+
+    const res = await suspend(target._id);
+
+    expect(res.status).toBe(403);
+    expect(target.revokeAllSessions).not.toHaveBeenCalled();
+  });
+});
+
+describe('reactivation', () => {
+  it('refuses to reactivate an erased account', async () => {
+    target.isActive = false;
+    target.deletion = { requestedAt: new Date(), completedAt: new Date() };
+
+    const res = await asActor(request(app).post(`/api/admin/users/${target._id}/reactivate`)).send({});
+
+    expect(res.status).toBe(409);
+    expect(target.isActive).toBe(false);
+    expect(target.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,110 @@
+// controllers/apiKeyController.js
+const ApiKey = require('../models/ApiKey');
+const { catchAsync, AppError, sendResponse } = require('../utils/helpers');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+// Nombre maximum de clés actives par utilisateur
+const MAX_ACTIVE_KEYS = parseInt(process.env.API_KEY_MAX_PER_USER) || 10;
+// Durée de validité par défaut d'une clé
+const DEFAULT_EXPIRY_DAYS = 90;
+
+// =====================================
+// LISTER LES SCOPES DISPONIBLES
+// =====================================
+const getScopes = catchAsync(async (req, res, next) => {
+  sendResponse(res, 200, 'success', 'API key scopes retrieved successfully', {
+    scopes: API_KEY_SCOPES
+  });
+});
+
+// =====================================
+// LISTER MES CLÉS API
+// =====================================
+const getMyApiKeys = catchAsync(async (req, res, next) => {
+  console.log('\n🔑 GET MY API KEYS:');
+  console.log('  User ID:', req.user._id);
+
+  const apiKeys = await ApiKey.find({ owner: req.user._id, revokedAt: null })
+    .sort({ createdAt: -1 });
+
+  console.log('  API keys found:', apiKeys.length);
+
+  sendResponse(res, 200, 'success', 'API keys retrieved successfully', {
+    apiKeys,
+    total: apiKeys.length
+  });
+});
+
+// =====================================
+// CRÉER UNE CLÉ API
+// =====================================
+const createApiKey = catchAsync(async (req, res, next) => {
+  console.log('\n🔑 CREATE API KEY:');
+  console.log('  User ID:', req.user._id);
+  console.log('  Name:', req.body.name);
+  console.log('  Scopes:', req.body.scopes);
+
+  const { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS } = req.body;
+
+  const activeKeys = await ApiKey.countDocuments({
+    owner: req.user._id,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+
+  if (activeKeys >= MAX_ACTIVE_KEYS) {
+    console.log('  ❌ Active key limit reached:', activeKeys);
+    return next(new AppError(`You cannot have more than ${MAX_ACTIVE_KEYS} active API keys`, 400));
+  }
+
+  const { apiKey, plainKey } = await ApiKey.generate({
+    owner: req.user._id,
+    name,
+    scopes,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+
+  console.log('  ✅ API key created:', apiKey.prefix);
+
+  // La clé en clair n'est renvoyée qu'à la création
+  sendResponse(res, 201, 'success', 'API key created. Copy it now, it will not be shown again.', {
+    apiKey,
+    key: plainKey
+  });
+});
+
+// =====================================
+// RÉVOQUER UNE CLÉ API
+// =====================================
+const revokeApiKey = catchAsync(async (req, res, next) => {
+  console.log('\n🔑 REVOKE API KEY:');
+  console.log('  User ID:', req.user._id);
+  console.log('  API key ID:', req.params.id);
+
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    return next(new AppError('Invalid API key ID format', 400));
+  }
+
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: req.params.id, owner: req.user._id, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+
+  if (!apiKey) {
+    return next(new AppError('API key not found', 404));
+  }
+
+  console.log('  ✅ API key revoked:', apiKey.prefix);
+
+  sendResponse(res, 200, 'success', 'API key revoked successfully', {
+    apiKey
+  });
+});
+
+module.exports = {
+  getScopes,
+  getMyApiKeys,
+  createApiKey,
+  revokeApiKey
+};
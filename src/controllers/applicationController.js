@@ -3,7 +3,106 @@
 const Application = require('../models/Application');
 const Job = require('../models/Job');
 const User = require('../models/User');
+const CandidateDocument = require('../models/CandidateDocument');
 const { catchAsync, AppError, sendResponse } = require('../utils/helpers');
+const { copyUploadedFile, deleteFile } = require('../middleware/uploadMiddleware');
+const { parseCursor, applyCursor, getCursorSort, buildCursorPage } = require('../utils/cursorPagination');
+const { hasPermission } = require('../config/permissions');
+const { getUserPermissions } = require('../services/permissionService');
+
+// =====================================
+// ACCÈS AUX CANDIDATURES DES AUTRES EMPLOYEURS
+// =====================================
+
+// Permission d'agir sur les candidatures de n'importe quelle offre (admins).
+// Une clé API ne peut pas porter ces permissions : elle reste limitée aux
+// offres de son propriétaire.
+const canManageAnyJob = async (req, permission) => {
+  if (req.apiKey) return false;
+  return hasPermission(req.permissions || await getUserPermissions(req.user), permission);
+};
+
+// =====================================
+// DOCUMENTS DE LA BIBLIOTHÈQUE DU CANDIDAT
+// =====================================
+
+// Copier un document de la bibliothèque pour la candidature : l'employeur garde
+// le fichier reçu même si le candidat modifie ou supprime ensuite son document
+const snapshotDocument = async (document, type) => {
+  const copy = await copyUploadedFile(document.file.url, type, document.type === 'resume' ? 'resume' : 'coverLetter');
+
+  return {
+    path: copy.path,
+    file: {
+      filename: copy.filename,
+      originalName: document.file.originalName,
+      mimetype: document.file.mimetype,
+      size: document.file.size,
+      url: copy.url,
+      sourceDocument: document._id
+    }
+  };
+};
+
+// Trouver un document du candidat par ID, ou son document par défaut
+const findLibraryDocument = (ownerId, type, documentId) => {
+  if (documentId) {
+    if (!String(documentId).match(/^[0-9a-fA-F]{24}$/)) return null;
+    return CandidateDocument.findOne({ _id: documentId, owner: ownerId, type });
+  }
+  return CandidateDocument.findDefault(ownerId, type);
+};
+
+// =====================================
+// PRÉ-REMPLISSAGE DEPUIS LE PROFIL
+// =====================================
+
+// Période d'un poste au format "2021-03 - present"
+const formatPositionDuration = (position) => {
+  const format = (date) => new Date(date).toISOString().slice(0, 7);
+  if (!position.startDate) return undefined;
+  return `${format(position.startDate)} - ${position.current || !position.endDate ? 'present' : format(position.endDate)}`;
+};
+
+// Convertir les sections structurées du profil au format de la candidature
+const buildApplicationProfileData = (profile) => {
+  if (!profile) return {};
+
+  const data = {};
+  const positions = profile.experience?.positions || [];
+
+  if (positions.length > 0 || profile.experience?.totalYears !== undefined) {
+    data.experience = {
+      totalYears: profile.experience?.totalYears,
+      previousPositions: positions.map(position => ({
+        title: position.title,
+        company: position.company,
+        duration: formatPositionDuration(position),
+        description: position.description
+      }))
+    };
+  }
+
+  if (profile.skills?.length > 0) {
+    data.skills = profile.skills.map(({ name, level, yearsOfExperience }) => ({ name, level, yearsOfExperience }));
+  }
+
+  if (profile.education?.length > 0) {
+    data.education = profile.education.map(({ degree, field, institution, graduationYear, gpa }) => ({
+      degree,
+      field,
+      institution,
+      graduationYear,
+      gpa
+    }));
+  }
+
+  if (profile.languages?.length > 0) {
+    data.languages = profile.languages.map(({ name, proficiency }) => ({ name, proficiency }));
+  }
+
+  return data;
+};
 
 // =====================================
 // CRÉER UNE NOUVELLE CANDIDATURE
@@ -19,11 +118,7 @@ const createApplication = catchAsync(async (req, res, next) => {
   // À ce point, les fichiers ont déjà été validés par le middleware uploadMiddleware
   // et les données ont été validées par validateApplicationWithFiles
 
-  // Vérifier que l'utilisateur est un candidat
-  if (req.user.role !== 'candidate') {
-    console.log('  ❌ User is not a candidate:', req.user.role);
-    return next(new AppError('Only candidates can submit applications', 403));
-  }
+  // Le droit de postuler est vérifié par la route (checkPermission('application.create'))
 
   // Vérifier que le job existe
   console.log('  🔍 Checking if job exists...');
@@ -49,6 +144,9 @@ const createApplication = catchAsync(async (req, res, next) => {
 
   console.log('  ✅ No existing application found');
 
+  // Copies de documents de la bibliothèque, supprimées si la candidature échoue
+  const snapshotPaths = [];
+
   try {
     // Les données personnelles ont déjà été parsées par le middleware
     const personalInfo = req.body.personalInfo;
@@ -97,7 +195,8 @@ const createApplication = catchAsync(async (req, res, next) => {
     // ✅ TRAITEMENT DES FICHIERS (déjà uploadés par le middleware)
     console.log('  📁 Processing uploaded files...');
 
-    // Traiter le CV (obligatoire)
+    // Traiter le CV (obligatoire) : fichier envoyé, sinon document de la
+    // bibliothèque (resumeId) ou CV par défaut du candidat
     if (req.files && req.files.resume && req.files.resume[0]) {
       const resumeFile = req.files.resume[0];
       applicationData.resume = {
@@ -109,21 +208,51 @@ const createApplication = catchAsync(async (req, res, next) => {
       };
       console.log('  ✅ Resume file processed:', resumeFile.originalname);
     } else {
-      console.log('  ❌ No resume file found');
-      return next(new AppError('Resume file is required', 400));
+      const libraryResume = await findLibraryDocument(req.user._id, 'resume', req.body.resumeId);
+
+      if (!libraryResume) {
+        console.log('  ❌ No resume file or stored resume found');
+        return next(new AppError(req.body.resumeId
+          ? 'Resume not found in your documents'
+          : 'Resume file is required. Upload one or choose a stored resume.', 400));
+      }
+
+      const snapshot = await snapshotDocument(libraryResume, 'resumes');
+      snapshotPaths.push(snapshot.path);
+      applicationData.resume = snapshot.file;
+      console.log('  ✅ Stored resume attached:', libraryResume.name);
+    }
+
+    // Lettre de motivation de la bibliothèque (texte ou fichier)
+    if (req.body.coverLetterId) {
+      const libraryCoverLetter = await findLibraryDocument(req.user._id, 'cover_letter', req.body.coverLetterId);
+      if (!libraryCoverLetter) {
+        await Promise.all(snapshotPaths.map(filePath => deleteFile(filePath).catch(() => {})));
+        return next(new AppError('Cover letter not found in your documents', 400));
+      }
+
+      if (libraryCoverLetter.file?.url) {
+        const snapshot = await snapshotDocument(libraryCoverLetter, 'portfolios');
+        snapshotPaths.push(snapshot.path);
+        applicationData.additionalDocuments = [{ ...snapshot.file, type: 'cover_letter' }];
+      } else if (!applicationData.coverLetter) {
+        applicationData.coverLetter = libraryCoverLetter.content;
+      }
+      console.log('  ✅ Stored cover letter attached:', libraryCoverLetter.name);
     }
 
     // Traiter le portfolio (optionnel)
     if (req.files && req.files.portfolio && req.files.portfolio[0]) {
       const portfolioFile = req.files.portfolio[0];
-      applicationData.additionalDocuments = [{
+      applicationData.additionalDocuments = applicationData.additionalDocuments || [];
+      applicationData.additionalDocuments.push({
         filename: portfolioFile.filename,
         originalName: portfolioFile.originalname,
         mimetype: portfolioFile.mimetype,
         size: portfolioFile.size,
         url: `/uploads/portfolios/${portfolioFile.filename}`,
         type: 'portfolio'
-      }];
+      });
       console.log('  ✅ Portfolio file processed:', portfolioFile.originalname);
     }
 
@@ -146,8 +275,18 @@ const createApplication = catchAsync(async (req, res, next) => {
       console.log('  ✅ Additional documents processed:', req.files.additionalDocuments.length);
     }
 
-    // Ajouter des informations supplémentaires si disponibles
-    if (personalInfo.currentPosition) {
+    // Pré-remplir expérience, compétences, formation et langues depuis le profil
+    const applicant = await User.findById(req.user._id).select('profile');
+    Object.assign(applicationData, buildApplicationProfileData(applicant?.profile));
+    console.log('  ✅ Profile data prefilled:', {
+      positions: applicationData.experience?.previousPositions?.length || 0,
+      skills: applicationData.skills?.length || 0,
+      education: applicationData.education?.length || 0,
+      languages: applicationData.languages?.length || 0
+    });
+
+    // Poste actuel saisi dans le formulaire (profil sans expérience renseignée)
+    if (!applicationData.experience?.previousPositions?.length && personalInfo.currentPosition) {
       applicationData.experience = {
         totalYears: personalInfo.totalExperience || 0,
         previousPositions: [{
@@ -157,14 +296,6 @@ const createApplication = catchAsync(async (req, res, next) => {
       };
     }
 
-    if (personalInfo.skills) {
-      const skillsArray = personalInfo.skills.split(',').map(skill => skill.trim()).filter(Boolean);
-      applicationData.skills = skillsArray.map(skill => ({
-        name: skill,
-        level: 'intermediate' // Valeur par défaut
-      }));
-    }
-
     console.log('  💾 Saving application to database...');
     console.log('  Application data summary:', {
       applicant: applicationData.applicant,
@@ -178,6 +309,14 @@ const createApplication = catchAsync(async (req, res, next) => {
     const application = await Application.create(applicationData);
     console.log('  ✅ Application created successfully:', application._id);
 
+    const usedDocuments = [applicationData.resume?.sourceDocument, req.body.coverLetterId].filter(Boolean);
+    if (usedDocuments.length > 0) {
+      await CandidateDocument.updateMany(
+        { _id: { $in: usedDocuments }, owner: req.user._id },
+        { $set: { lastUsedAt: new Date() } }
+      );
+    }
+
     // Peupler les relations pour la réponse
     await application.populate([
       { path: 'applicant', select: 'firstName lastName email' },
@@ -202,6 +341,8 @@ const createApplication = catchAsync(async (req, res, next) => {
   } catch (error) {
     console.error('  ❌ Error creating application:', error);
 
+    await Promise.all(snapshotPaths.map(filePath => deleteFile(filePath).catch(() => {})));
+
     if (error.name === 'ValidationError') {
       const messages = Object.values(error.errors).map(err => err.message);
       return next(new AppError(`Validation error: ${messages.join(', ')}`, 400));
@@ -219,11 +360,13 @@ const getMyApplications = catchAsync(async (req, res, next) => {
   console.log('  User ID:', req.user._id);
   console.log('  User role:', req.user.role);
 
-  const page = parseInt(req.query.page) || 1;
+  // Pagination par curseur (?after= / ?before=) ou par page
+  const cursor = parseCursor(req.query, 'createdAt', -1);
+  const page = cursor ? 1 : parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const status = req.query.status;
 
-  console.log('  Query params:', { page, limit, status });
+  console.log('  Query params:', { page, limit, status, cursor: cursor?.direction || null });
 
   // Construire la requête
   const query = { applicant: req.user._id };
@@ -238,7 +381,7 @@ const getMyApplications = catchAsync(async (req, res, next) => {
   console.log('  Total applications:', totalApplications);
 
   // Récupérer les candidatures avec pagination
-  const applications = await Application.find(query)
+  const results = await Application.find(applyCursor(query, cursor, 'createdAt', -1))
     .populate({
       path: 'job',
       select: 'title company location type salary status',
@@ -247,9 +390,13 @@ const getMyApplications = catchAsync(async (req, res, next) => {
         select: 'name logo'
       }
     })
-    .sort({ createdAt: -1 })
+    .sort(getCursorSort('createdAt', -1, cursor))
     .skip((page - 1) * limit)
-    .limit(limit);
+    .limit(limit + 1);
+
+  const { items: applications, cursors } = buildCursorPage(results, {
+    limit, cursor, sortField: 'createdAt', sortDirection: -1, page
+  });
 
   console.log('  Applications retrieved:', applications.length);
 
@@ -259,7 +406,8 @@ const getMyApplications = catchAsync(async (req, res, next) => {
       current: page,
       pages: Math.ceil(totalApplications / limit),
       total: totalApplications,
-      limit
+      limit,
+      ...cursors
     }
   });
 });
@@ -279,11 +427,14 @@ const getJobApplications = catchAsync(async (req, res, next) => {
     return next(new AppError('Job not found', 404));
   }
 
-  if (req.user.role !== 'admin' && job.employer.toString() !== req.user._id.toString()) {
+  if (job.postedBy.toString() !== req.user._id.toString() &&
+      !(await canManageAnyJob(req, 'application.view_any'))) {
     return next(new AppError('You can only view applications for your own jobs', 403));
   }
 
-  const page = parseInt(req.query.page) || 1;
+  // Pagination par curseur (?after= / ?before=) ou par page
+  const cursor = parseCursor(req.query, 'createdAt', -1);
+  const page = cursor ? 1 : parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const status = req.query.status;
 
@@ -292,11 +443,15 @@ const getJobApplications = catchAsync(async (req, res, next) => {
 
   const totalApplications = await Application.countDocuments(query);
 
-  const applications = await Application.find(query)
+  const results = await Application.find(applyCursor(query, cursor, 'createdAt', -1))
     .populate('applicant', 'firstName lastName email profile')
-    .sort({ createdAt: -1 })
+    .sort(getCursorSort('createdAt', -1, cursor))
     .skip((page - 1) * limit)
-    .limit(limit);
+    .limit(limit + 1);
+
+  const { items: applications, cursors } = buildCursorPage(results, {
+    limit, cursor, sortField: 'createdAt', sortDirection: -1, page
+  });
 
   console.log('  Job applications retrieved:', applications.length);
 
@@ -311,7 +466,8 @@ const getJobApplications = catchAsync(async (req, res, next) => {
       current: page,
       pages: Math.ceil(totalApplications / limit),
       total: totalApplications,
-      limit
+      limit,
+      ...cursors
     }
   });
 });
@@ -328,15 +484,15 @@ const updateApplicationStatus = catchAsync(async (req, res, next) => {
   const { status, notes } = req.body;
 
   const application = await Application.findById(req.params.id)
-    .populate('job', 'employer');
+    .populate('job', 'postedBy');
 
   if (!application) {
     return next(new AppError('Application not found', 404));
   }
 
   // Vérifier les permissions
-  if (req.user.role !== 'admin' && 
-      application.job.employer.toString() !== req.user._id.toString()) {
+  if (application.job.postedBy.toString() !== req.user._id.toString() &&
+      !(await canManageAnyJob(req, 'application.update_any'))) {
     return next(new AppError('You can only update applications for your own jobs', 403));
   }
 
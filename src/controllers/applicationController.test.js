@@ -0,0 +1,255 @@
+// controllers/applicationController.test.js - Accès aux candidatures reçues pour une offre, copie des documents joints
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+jest.mock('../services/twoFactorService', () => ({
+  ...jest.requireActual('../services/twoFactorService'),
+  isRequiredForRole: jest.fn().mockResolvedValue(false)
+}));
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const CandidateDocument = require('../models/CandidateDocument');
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const applicationRoutes = require('../routes/applications');
+const errorHandler = require('../middleware/errorHandler');
+const { invalidateCache } = require('../services/permissionService');
+const { generateToken } = require('../services/tokenService');
+
+// Requête Mongoose simulée (chaînable et "thenable")
+const mockQuery = (result) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/applications', applicationRoutes);
+app.use(errorHandler);
+
+const roles = [
+  { name: 'employer', permissions: ['application.view', 'application.update'] },
+  { name: 'support', permissions: ['application.view', 'application.view_any'] },
+  { name: 'candidate', permissions: ['application.create'] },
+  { name: 'admin', permissions: ['*'] }
+];
+
+const account = (role, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  email: `${role}@example.com`,
+  role,
+  firstName: 'Sara',
+  lastName: 'Alaoui',
+  isActive: true,
+  tokenVersion: 0,
+  ...fields
+});
+
+const owner = account('employer');
+const job = { _id: new mongoose.Types.ObjectId(), title: 'React developer', company: 'Atlas', postedBy: owner._id };
+let currentUser;
+let application;
+
+const asUser = (req, user) => {
+  currentUser = user;
+  const token = generateToken({ id: user._id, email: user.email, role: user.role, family: 'session-1' });
+  return req.set('Authorization', `Bearer ${token}`);
+};
+
+const getJobApplications = (user) => asUser(request(app).get(`/api/applications/job/${job._id}`), user);
+
+const updateStatus = (user) => asUser(
+  request(app).put(`/api/applications/${application._id}/status`).send({ status: 'reviewing' }),
+  user
+);
+
+beforeEach(() => {
+  invalidateCache();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Permission, 'bulkWrite').mockResolvedValue({});
+  jest.spyOn(Role, 'bulkWrite').mockResolvedValue({});
+  jest.spyOn(Role, 'find').mockImplementation(() => mockQuery(roles));
+  jest.spyOn(RevokedToken, 'isRevoked').mockResolvedValue(false);
+  jest.spyOn(Session, 'isRevoked').mockResolvedValue(false);
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(currentUser));
+
+  application = {
+    _id: new mongoose.Types.ObjectId(),
+    job: { _id: job._id, postedBy: owner._id },
+    status: 'pending',
+    updateStatus: jest.fn().mockResolvedValue()
+  };
+  jest.spyOn(Job, 'findById').mockResolvedValue(job);
+  jest.spyOn(Application, 'countDocuments').mockResolvedValue(1);
+  jest.spyOn(Application, 'find').mockImplementation(() => mockQuery([{ _id: application._id, createdAt: new Date() }]));
+  jest.spyOn(Application, 'findById').mockImplementation(() => mockQuery(application));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/applications/job/:jobId', () => {
+  it('lets the employer who posted the job see its applications', async () => {
+    const res = await getJobApplications(owner);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.applications).toHaveLength(1);
+  });
+
+  it('refuses another employer', async () => {
+    const res = await getJobApplications(account('employer'));
+
+    expect(res.status).toBe(403);
+    expect(Application.find).not.toHaveBeenCalled();
+  });
+
+  it('lets a role holding application.view_any see any job', async () => {
+    expect((await getJobApplications(account('support'))).status).toBe(200);
+    expect((await getJobApplications(account('admin'))).status).toBe(200);
+  });
+
+  it('follows individual permission overrides', async () => {
+    const granted = account('employer', { permissionOverrides: { granted: ['application.view_any'], revoked: [] } });
+
+    expect((await getJobApplications(granted)).status).toBe(200);
+  });
+});
+
+describe('PUT /api/applications/:id/status', () => {
+  it('lets the employer who posted the job update the status', async () => {
+    const res = await updateStatus(owner);
+
+    expect(res.status).toBe(200);
+    expect(application.updateStatus).toHaveBeenCalledWith('reviewing', undefined, owner._id);
+  });
+
+  it('refuses a role that can only view applications for any job', async () => {
+    const res = await updateStatus(account('support', { permissionOverrides: { granted: ['application.update'], revoked: [] } }));
+
+    expect(res.status).toBe(403);
+    expect(application.updateStatus).not.toHaveBeenCalled();
+  });
+
+  it('lets an admin update any application', async () => {
+    expect((await updateStatus(account('admin'))).status).toBe(200);
+  });
+});
+
+describe('POST /api/applications - stored documents', () => {
+  const uploadsDir = path.join(__dirname, '../uploads');
+  const candidate = account('candidate');
+  const writtenFiles = [];
+  let resume;
+
+  const apply = (fields) => {
+    const req = asUser(request(app).post('/api/applications'), candidate)
+      .field('jobId', String(job._id))
+      .field('personalInfo', JSON.stringify({ firstName: 'Sara', lastName: 'Alaoui', email: 'sara@example.com', phone: '+212600000000' }));
+    Object.entries(fields).forEach(([key, value]) => req.field(key, value));
+    return req;
+  };
+
+  beforeEach(() => {
+    const filename = `document-test-${Date.now()}.pdf`;
+    const filePath = path.join(uploadsDir, 'documents', filename);
+    fs.writeFileSync(filePath, '%PDF-1.4 stored resume');
+    writtenFiles.push(filePath);
+
+    resume = new CandidateDocument({
+      owner: candidate._id,
+      type: 'resume',
+      name: 'My resume',
+      isDefault: true,
+      file: { filename, originalName: 'resume.pdf', mimetype: 'application/pdf', size: 22, url: `/uploads/documents/${filename}` }
+    });
+
+    jest.spyOn(Application, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Application, 'create').mockImplementation(async (data) => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...data,
+      populate: jest.fn().mockResolvedValue()
+    }));
+    jest.spyOn(CandidateDocument, 'updateMany').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    writtenFiles.splice(0).forEach(file => fs.rmSync(file, { force: true }));
+  });
+
+  it('attaches a copy of the chosen resume that outlives the original', async () => {
+    const findOne = jest.spyOn(CandidateDocument, 'findOne').mockResolvedValue(resume);
+
+    const res = await apply({ resumeId: String(resume._id) });
+
+    expect(res.status).toBe(201);
+    expect(findOne).toHaveBeenCalledWith({ _id: String(resume._id), owner: candidate._id, type: 'resume' });
+
+    const attached = res.body.data.application.resume;
+    const copyPath = path.join(uploadsDir, 'resumes', attached.filename);
+    writtenFiles.push(copyPath);
+
+    expect(attached).toMatchObject({ originalName: 'resume.pdf', sourceDocument: String(resume._id) });
+    expect(attached.url).toBe(`/uploads/resumes/${attached.filename}`);
+    expect(attached.url).not.toBe(resume.file.url);
+
+    // Le candidat supprime ensuite son document : l'employeur garde la copie
+    fs.rmSync(path.join(uploadsDir, 'documents', resume.file.filename));
+    expect(fs.readFileSync(copyPath, 'utf8')).toBe('%PDF-1.4 stored resume');
+    expect(CandidateDocument.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [resume._id] }, owner: candidate._id },
+      { $set: { lastUsedAt: expect.any(Date) } }
+    );
+  });
+
+  it('uses the default resume when none is uploaded or chosen', async () => {
+    jest.spyOn(CandidateDocument, 'findOne').mockResolvedValue(resume);
+
+    const res = await apply({});
+    writtenFiles.push(path.join(uploadsDir, 'resumes', res.body.data.application.resume.filename));
+
+    expect(res.status).toBe(201);
+    expect(CandidateDocument.findOne).toHaveBeenCalledWith({ owner: candidate._id, type: 'resume', isDefault: true });
+  });
+
+  it('refuses the resume of another candidate', async () => {
+    jest.spyOn(CandidateDocument, 'findOne').mockResolvedValue(null);
+    const resumes = fs.readdirSync(path.join(uploadsDir, 'resumes'));
+
+    const res = await apply({ resumeId: String(new mongoose.Types.ObjectId()) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Resume not found in your documents');
+    expect(Application.create).not.toHaveBeenCalled();
+    expect(fs.readdirSync(path.join(uploadsDir, 'resumes'))).toEqual(resumes);
+  });
+
+  it('removes the copies when the application cannot be saved', async () => {
+    jest.spyOn(CandidateDocument, 'findOne').mockResolvedValue(resume);
+    Application.create.mockRejectedValue(new Error('write conflict'));
+    const resumes = fs.readdirSync(path.join(uploadsDir, 'resumes'));
+
+    const res = await apply({ resumeId: String(resume._id) });
+
+    expect(res.status).toBe(500);
+    expect(fs.readdirSync(path.join(uploadsDir, 'resumes'))).toEqual(resumes);
+  });
+});
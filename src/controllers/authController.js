@@ -1,61 +1,39 @@
 // controllers/authController.js - VERSION COMPLÈTE CORRIGÉE
+const crypto = require('crypto');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const DeletionReceipt = require('../models/DeletionReceipt');
+const AuditLog = require('../models/AuditLog');
+const emailService = require('../services/emailService');
 const { catchAsync, AppError, sendResponse } = require('../utils/helpers');
 const { authValidators } = require('../utils/validators');
+const {
+  generateToken,
+  generateRefreshToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeRefreshToken,
+  revokeSession,
+  reissueAfterPasswordChange
+} = require('../services/tokenService');
+const {
+  isRequiredForRole,
+  createChallengeToken,
+  verifyChallengeToken,
+  verifyUserCode
+} = require('../services/twoFactorService');
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  resetLoginAttempts
+} = require('../services/loginThrottleService');
+const { getPolicy, getPasswordPolicyError } = require('../services/passwordPolicyService');
+const logger = require('../utils/logger');
 
 // =====================================
-// FONCTIONS UTILITAIRES POUR LES TOKENS
+// FONCTIONS UTILITAIRES
 // =====================================
 
-// Générer un token JWT avec logging pour debug
-const generateToken = (payload) => {
-  console.log('🎟️  GENERATING TOKEN:');
-  console.log('  Input payload:', payload);
-  
-  // ✅ CORRECTION CRITIQUE: S'assurer que l'ID est bien présent
-  const tokenPayload = {
-    id: payload.id || payload._id,  // Support des deux formats
-    email: payload.email,
-    role: payload.role
-  };
-  
-  console.log('  Final token payload:', tokenPayload);
-  console.log('  JWT_SECRET present:', !!process.env.JWT_SECRET);
-  console.log('  JWT_EXPIRE:', process.env.JWT_EXPIRE || '15m');
-  
-  const token = jwt.sign(tokenPayload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '15m'
-  });
-  
-  console.log('  Token generated successfully, length:', token.length);
-  console.log('  Token preview:', token.substring(0, 20) + '...');
-  
-  return token;
-};
-
-// Générer un refresh token
-const generateRefreshToken = (payload) => {
-  console.log('🔄 GENERATING REFRESH TOKEN:');
-  
-  const refreshPayload = {
-    id: payload.id || payload._id,
-    email: payload.email,
-    role: payload.role,
-    type: 'refresh'
-  };
-  
-  console.log('  Refresh token payload:', refreshPayload);
-  
-  const refreshToken = jwt.sign(refreshPayload, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d'
-  });
-  
-  console.log('  Refresh token generated successfully');
-  
-  return refreshToken;
-};
-
 // Valider et nettoyer les données d'entrée
 const sanitizeUserInput = (data) => {
   const sanitized = {};
@@ -69,6 +47,100 @@ const sanitizeUserInput = (data) => {
   return sanitized;
 };
 
+// Durée minimale entre deux envois de l'email de vérification
+const VERIFICATION_EMAIL_COOLDOWN_MS = 60 * 1000;
+
+// Générer un lien de vérification et l'envoyer par email
+// Seul le dernier token envoyé reste valide (son hash est stocké)
+const sendVerificationLink = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  await emailService.sendVerificationEmail(user.email, verificationToken);
+  console.log('  📧 Verification email sent to:', user.email);
+};
+
+// Notifier l'utilisateur d'un changement de mot de passe (sans bloquer la réponse)
+const notifyPasswordChanged = (user, req) => {
+  emailService.sendPasswordChangedEmail(user, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    changedAt: new Date()
+  }).catch(emailError => {
+    console.error('  ⚠️  Failed to send password changed email:', emailError.message);
+  });
+};
+
+// Finaliser une connexion: dernière connexion, tokens et réponse
+const completeLogin = async (user, req, res, extra = {}) => {
+  // Mettre à jour la dernière connexion (et l'éventuel état 2FA modifié)
+  console.log('  📅 Updating last login...');
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  console.log('  ✅ LOGIN SUCCESSFUL for user:', user._id);
+  await resetLoginAttempts(user.email);
+
+  // Générer les tokens
+  console.log('  🎟️  Generating authentication tokens...');
+  const { token, refreshToken } = await issueAuthTokens(user, req);
+
+  // Préparer la réponse utilisateur (sans le mot de passe)
+  const userResponse = {
+    _id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    role: user.role, // ✅ CRITIQUE: Inclure le rôle
+    profile: user.profile || {},
+    isActive: user.isActive,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: !!user.twoFactor?.enabled,
+    lastLogin: user.lastLogin,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
+
+  // Signaler au frontend que l'enrôlement 2FA est obligatoire pour ce rôle
+  const twoFactorSetupRequired = !user.twoFactor?.enabled && await isRequiredForRole(user.role);
+
+  console.log('  📤 Sending login response');
+  console.log('    User data:', {
+    id: userResponse._id,
+    email: userResponse.email,
+    role: userResponse.role
+  });
+
+  // Envoyer la réponse
+  sendResponse(res, 200, 'success', 'Login successful', {
+    user: userResponse,
+    token,
+    refreshToken,
+    twoFactorSetupRequired,
+    ...extra
+  });
+};
+
+// Terminer une authentification réussie (mot de passe ou fournisseur OIDC)
+// Deuxième étape si la 2FA est activée: pas de JWT avant le code TOTP
+const finishLogin = async (user, req, res, next) => {
+  // Réinitialisation imposée par un administrateur
+  if (user.passwordResetRequired) {
+    console.log('  ❌ Password reset required by an administrator');
+    return next(new AppError('A password reset is required for this account. Use the link sent by email or request a new one.', 403));
+  }
+
+  if (user.twoFactor?.enabled) {
+    console.log('  🔐 Two-factor enabled, issuing challenge token');
+    return sendResponse(res, 200, 'success', 'Two-factor authentication required', {
+      twoFactorRequired: true,
+      challengeToken: createChallengeToken(user)
+    });
+  }
+
+  await completeLogin(user, req, res);
+};
+
 // =====================================
 // INSCRIPTION D'UN NOUVEL UTILISATEUR
 // =====================================
@@ -93,6 +165,13 @@ const register = catchAsync(async (req, res, next) => {
   console.log('  ✅ Validation passed');
   console.log('  Sanitized data:', { firstName, lastName, email, role });
 
+  // Politique de mots de passe (erreurs détaillées par règle)
+  const policyError = await getPasswordPolicyError(password, { email, firstName, lastName });
+  if (policyError) {
+    console.log('  ❌ Password policy not met:', policyError.errors.map(e => e.rule).join(', '));
+    return next(policyError);
+  }
+
   // Vérifier si l'utilisateur existe déjà
   console.log('  🔍 Checking if user already exists...');
   const existingUser = await User.findOne({ email });
@@ -132,16 +211,20 @@ const register = catchAsync(async (req, res, next) => {
     console.log('    Role:', user.role);
     console.log('    Active:', user.isActive);
 
+    // Envoyer l'email de vérification (un échec d'envoi ne bloque pas l'inscription)
+    let verificationEmailSent = false;
+    if (!user.emailVerified) {
+      try {
+        await sendVerificationLink(user);
+        verificationEmailSent = true;
+      } catch (emailError) {
+        console.error('  ⚠️  Failed to send verification email:', emailError.message);
+      }
+    }
+
     // Générer les tokens
     console.log('  🎟️  Generating authentication tokens...');
-    const tokenPayload = {
-      id: user._id,
-      email: user.email,
-      role: user.role
-    };
-
-    const token = generateToken(tokenPayload);
-    const refreshToken = generateRefreshToken(tokenPayload);
+    const { token, refreshToken } = await issueAuthTokens(user, req);
 
     // Préparer la réponse utilisateur (sans le mot de passe)
     const userResponse = {
@@ -167,7 +250,8 @@ const register = catchAsync(async (req, res, next) => {
     sendResponse(res, 201, 'success', 'User registered successfully', {
       user: userResponse,
       token,
-      refreshToken
+      refreshToken,
+      verificationEmailSent
     });
 
   } catch (error) {
@@ -216,6 +300,7 @@ const login = catchAsync(async (req, res, next) => {
 
     if (!user) {
       console.log('  ❌ User not found with email:', email);
+      await recordFailedLogin(req, email);
       return next(new AppError('Invalid email or password', 401));
     }
 
@@ -229,7 +314,9 @@ const login = catchAsync(async (req, res, next) => {
     // Vérifier si l'utilisateur est actif
     if (!user.isActive) {
       console.log('  ❌ User account is deactivated');
-      return next(new AppError('Account has been deactivated. Please contact support.', 401));
+      return next(new AppError(user.suspension?.suspendedAt
+        ? 'Account has been suspended. Please contact support.'
+        : 'Account has been deactivated. Please contact support.', 401));
     }
 
     console.log('  🔐 Verifying password...');
@@ -238,62 +325,65 @@ const login = catchAsync(async (req, res, next) => {
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
       console.log('  ❌ Invalid password');
+      await recordFailedLogin(req, email, user);
       return next(new AppError('Invalid email or password', 401));
     }
 
     console.log('  ✅ Password verified');
 
-    // Mettre à jour la dernière connexion
-    console.log('  📅 Updating last login...');
-    user.lastLogin = new Date();
-    await user.save({ validateBeforeSave: false });
+    await finishLogin(user, req, res, next);
 
-    console.log('  ✅ LOGIN SUCCESSFUL for user:', user._id);
+  } catch (error) {
+    console.error('  ❌ Login error:', error);
+    return next(new AppError('Login failed. Please try again.', 500));
+  }
+});
 
-    // Générer les tokens
-    console.log('  🎟️  Generating authentication tokens...');
-    const tokenPayload = {
-      id: user._id,
-      email: user.email,
-      role: user.role
-    };
+// =====================================
+// CONNEXION - ÉTAPE 2FA
+// =====================================
+const verifyTwoFactorLogin = catchAsync(async (req, res, next) => {
+  console.log('\n🔐 2FA LOGIN VERIFICATION:');
+  console.log('  IP:', req.ip);
 
-    const token = generateToken(tokenPayload);
-    const refreshToken = generateRefreshToken(tokenPayload);
+  const { challengeToken, code, recoveryCode } = req.body;
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return next(new AppError('Challenge token and a verification or recovery code are required', 400));
+  }
 
-    // Préparer la réponse utilisateur (sans le mot de passe)
-    const userResponse = {
-      _id: user._id,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      email: user.email,
-      role: user.role, // ✅ CRITIQUE: Inclure le rôle
-      profile: user.profile || {},
-      isActive: user.isActive,
-      emailVerified: user.emailVerified,
-      lastLogin: user.lastLogin,
-      createdAt: user.createdAt,
-      updatedAt: user.updatedAt
-    };
+  const userId = verifyChallengeToken(challengeToken);
+  if (!userId) {
+    console.log('  ❌ Invalid or expired challenge token');
+    return next(new AppError('Invalid or expired challenge. Please log in again.', 401));
+  }
 
-    console.log('  📤 Sending login response');
-    console.log('    User data:', {
-      id: userResponse._id,
-      email: userResponse.email,
-      role: userResponse.role
-    });
+  const user = await User.findById(userId)
+    .select('+isActive +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
 
-    // Envoyer la réponse
-    sendResponse(res, 200, 'success', 'Login successful', {
-      user: userResponse,
-      token,
-      refreshToken
-    });
+  if (!user || !user.isActive || !user.twoFactor?.enabled) {
+    return next(new AppError('Invalid or expired challenge. Please log in again.', 401));
+  }
 
-  } catch (error) {
-    console.error('  ❌ Login error:', error);
-    return next(new AppError('Login failed. Please try again.', 500));
+  // Les échecs de code 2FA comptent pour le verrouillage du compte
+  const throttle = await checkLoginAllowed(req, user.email);
+  if (!throttle.allowed) {
+    console.log('  ❌ Login blocked:', throttle.reason);
+    res.set('Retry-After', String(throttle.retryAfter));
+    return next(new AppError(`Too many failed login attempts. Please try again in ${Math.ceil(throttle.retryAfter / 60)} minutes.`, 429));
+  }
+
+  const result = verifyUserCode(user, { code, recoveryCode });
+  if (!result.valid) {
+    console.log('  ❌ Invalid two-factor code');
+    await recordFailedLogin(req, user.email, user);
+    return next(new AppError('Invalid verification code', 401));
   }
+
+  console.log('  ✅ Two-factor verified via', result.method);
+
+  await completeLogin(user, req, res, result.method === 'recovery-code'
+    ? { remainingRecoveryCodes: result.remainingRecoveryCodes }
+    : {});
 });
 
 // =====================================
@@ -305,13 +395,42 @@ const logout = catchAsync(async (req, res, next) => {
   console.log('  User email:', req.user?.email);
   console.log('  Timestamp:', new Date().toISOString());
 
-  // En production, vous pourriez vouloir invalider le token
-  // Pour l'instant, on renvoie juste une réponse de succès
+  // Révoquer l'access token courant jusqu'à son expiration
+  await revokeAccessToken(req.tokenPayload, 'logout');
+  console.log('  🚫 Access token revoked');
+
+  // Terminer la session de l'access token (et celle du refresh token envoyé)
+  if (req.tokenPayload?.sid) {
+    await revokeSession(req.tokenPayload.sid, 'logout');
+    console.log('  🚫 Session revoked:', req.tokenPayload.sid);
+  }
+
+  if (req.body && req.body.refreshToken) {
+    const revoked = await revokeRefreshToken(req.body.refreshToken, req.user._id, 'logout');
+    console.log('  🚫 Refresh token family revoked:', revoked);
+  }
+
   console.log('  ✅ Logout successful');
   
   sendResponse(res, 200, 'success', 'Logout successful');
 });
 
+// =====================================
+// DÉCONNEXION DE TOUS LES APPAREILS
+// =====================================
+const logoutAll = catchAsync(async (req, res, next) => {
+  console.log('\n👋 LOGOUT EVERYWHERE REQUEST:');
+  console.log('  User ID:', req.user._id);
+
+  // Incrémenter tokenVersion invalide tous les access tokens déjà émis,
+  // et tous les refresh tokens de l'utilisateur sont révoqués
+  const tokenVersion = await req.user.revokeAllSessions('logout-all');
+
+  console.log('  ✅ All sessions revoked, new token version:', tokenVersion);
+
+  sendResponse(res, 200, 'success', 'Logged out from all devices');
+});
+
 // =====================================
 // OBTENIR LE PROFIL DE L'UTILISATEUR CONNECTÉ
 // =====================================
@@ -390,57 +509,17 @@ const refreshToken = catchAsync(async (req, res, next) => {
   console.log('  🔍 Validating refresh token...');
   console.log('  Token length:', clientRefreshToken.length);
 
-  try {
-    // Vérifier le refresh token
-    const decoded = jwt.verify(clientRefreshToken, process.env.JWT_REFRESH_SECRET);
-    console.log('  ✅ Refresh token verified');
-    console.log('  Token payload:', {
-      id: decoded.id,
-      email: decoded.email,
-      role: decoded.role,
-      type: decoded.type
-    });
-
-    // Rechercher l'utilisateur
-    console.log('  🔍 Looking up user...');
-    const user = await User.findById(decoded.id).select('+isActive');
-    
-    if (!user || !user.isActive) {
-      console.log('  ❌ User not found or inactive');
-      return next(new AppError('Invalid refresh token', 401));
-    }
-
-    console.log('  ✅ User found and active');
-
-    // Générer de nouveaux tokens
-    console.log('  🎟️  Generating new tokens...');
-    const tokenPayload = {
-      id: user._id,
-      email: user.email,
-      role: user.role
-    };
-
-    const newToken = generateToken(tokenPayload);
-    const newRefreshToken = generateRefreshToken(tokenPayload);
+  // La rotation vérifie le token, le marque comme utilisé et en émet un nouveau.
+  // Les erreurs (token invalide, expiré ou réutilisé) sont des AppError 401.
+  const { user, token: newToken, refreshToken: newRefreshToken } =
+    await rotateRefreshToken(clientRefreshToken, req);
 
-    console.log('  ✅ New tokens generated successfully');
+  console.log('  ✅ New tokens generated successfully for user:', user._id);
 
-    sendResponse(res, 200, 'success', 'Token refreshed successfully', {
-      token: newToken,
-      refreshToken: newRefreshToken
-    });
-
-  } catch (error) {
-    console.error('  ❌ Refresh token error:', error);
-    
-    if (error.name === 'JsonWebTokenError') {
-      return next(new AppError('Invalid refresh token', 401));
-    } else if (error.name === 'TokenExpiredError') {
-      return next(new AppError('Refresh token has expired', 401));
-    }
-    
-    return next(new AppError('Invalid or expired refresh token', 401));
-  }
+  sendResponse(res, 200, 'success', 'Token refreshed successfully', {
+    token: newToken,
+    refreshToken: newRefreshToken
+  });
 });
 
 // =====================================
@@ -471,24 +550,28 @@ const forgotPassword = catchAsync(async (req, res, next) => {
 
     console.log('  ✅ User found, generating reset token...');
 
-    // Générer un token de réinitialisation
-    const resetToken = jwt.sign(
-      { id: user._id, purpose: 'password-reset' },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
-
-    // Sauvegarder le token dans la base (hashé)
-    const crypto = require('crypto');
-    user.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
-    user.passwordResetExpires = Date.now() + 60 * 60 * 1000; // 1 heure
+    // Générer un token de réinitialisation et sauvegarder son hash
+    // Une nouvelle demande remplace le token précédent
+    const resetToken = user.createPasswordResetToken();
     await user.save({ validateBeforeSave: false });
 
     console.log('  ✅ Reset token saved to database');
-    console.log('  🔑 Reset token (dev only):', resetToken);
+    if (process.env.NODE_ENV === 'development') {
+      console.log('  🔑 Reset token (dev only):', resetToken);
+    }
 
-    // En production, envoyer l'email ici
-    // await sendResetPasswordEmail(user.email, resetToken);
+    // Envoyer l'email de réinitialisation
+    try {
+      await emailService.sendPasswordResetEmail(user.email, resetToken);
+      console.log('  📧 Password reset email sent');
+    } catch (emailError) {
+      // Même réponse que pour un email inconnu : ne pas révéler les comptes existants
+      console.error('  ❌ Failed to send password reset email:', emailError);
+      logger.error(`Password reset email failed for user ${user._id}: ${emailError.message}`);
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
 
     sendResponse(res, 200, 'success', 
       'If an account with that email exists, a password reset link has been sent');
@@ -516,30 +599,43 @@ const resetPassword = catchAsync(async (req, res, next) => {
 
   try {
     console.log('  🔍 Verifying reset token...');
-    
-    // Vérifier le token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    if (decoded.purpose !== 'password-reset') {
-      console.log('  ❌ Invalid token purpose:', decoded.purpose);
-      return next(new AppError('Invalid reset token', 400));
-    }
 
-    console.log('  ✅ Token verified, looking up user...');
+    // Token aléatoire : seul son hash est stocké
+    if (!/^[0-9a-f]{64}$/.test(token)) {
+      console.log('  ❌ Malformed reset token');
+      return next(new AppError('Invalid or expired reset token', 400));
+    }
 
     // Hasher le token pour comparer avec la base
-    const crypto = require('crypto');
     const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
-
-    // Rechercher l'utilisateur avec le token valide
-    const user = await User.findOne({
-      _id: decoded.id,
+    const tokenFilter = {
       passwordResetToken: hashedToken,
       passwordResetExpires: { $gt: Date.now() }
-    });
+    };
+
+    const pendingUser = await User.findOne(tokenFilter);
+    if (!pendingUser) {
+      console.log('  ❌ User not found, token already used or expired');
+      return next(new AppError('Invalid or expired reset token', 400));
+    }
+
+    // Vérifier la politique avant de consommer le token (l'utilisateur peut réessayer)
+    const policyError = await getPasswordPolicyError(password, { user: pendingUser });
+    if (policyError) {
+      console.log('  ❌ Password policy not met:', policyError.errors.map(e => e.rule).join(', '));
+      return next(policyError);
+    }
+
+    // Consommer le token de façon atomique : il ne peut servir qu'une seule fois,
+    // même si deux requêtes arrivent en même temps
+    const user = await User.findOneAndUpdate(
+      tokenFilter,
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
 
     if (!user) {
-      console.log('  ❌ User not found or token expired');
+      console.log('  ❌ Token already used');
       return next(new AppError('Invalid or expired reset token', 400));
     }
 
@@ -547,21 +643,13 @@ const resetPassword = catchAsync(async (req, res, next) => {
 
     // Mettre à jour le mot de passe
     user.password = password;
-    user.passwordResetToken = undefined;
-    user.passwordResetExpires = undefined;
     await user.save();
 
     console.log('  ✅ Password updated successfully');
 
-    // Générer de nouveaux tokens
-    const tokenPayload = {
-      id: user._id,
-      email: user.email,
-      role: user.role
-    };
-
-    const newToken = generateToken(tokenPayload);
-    const refreshToken = generateRefreshToken(tokenPayload);
+    // Invalider toutes les sessions existantes puis générer de nouveaux tokens
+    const { token: newToken, refreshToken } = await reissueAfterPasswordChange(user, req);
+    notifyPasswordChanged(user, req);
 
     // Préparer la réponse utilisateur
     const userResponse = {
@@ -583,11 +671,6 @@ const resetPassword = catchAsync(async (req, res, next) => {
     });
 
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      console.log('  ❌ Token verification failed:', error.message);
-      return next(new AppError('Invalid or expired reset token', 400));
-    }
-    
     console.error('  ❌ Reset password error:', error);
     return next(new AppError('Failed to reset password', 500));
   }
@@ -604,45 +687,137 @@ const verifyEmail = catchAsync(async (req, res, next) => {
 
   try {
     console.log('  🔍 Verifying token...');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    if (decoded.purpose !== 'email-verification') {
-      console.log('  ❌ Invalid token purpose:', decoded.purpose);
-      return next(new AppError('Invalid verification token', 400));
+
+    // Token aléatoire : seul le hash du dernier lien envoyé est stocké
+    if (!/^[0-9a-f]{64}$/.test(token)) {
+      console.log('  ❌ Malformed verification token');
+      return next(new AppError('Invalid or expired verification token', 400));
     }
 
-    console.log('  ✅ Token verified, looking up user...');
-    const user = await User.findById(decoded.id);
-    
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+    const user = await User.findOne({ emailVerificationToken: hashedToken })
+      .select('+emailVerificationToken +emailVerificationSentAt');
+
     if (!user) {
-      console.log('  ❌ User not found');
-      return next(new AppError('Invalid verification token', 400));
+      console.log('  ❌ No user for this token (already used or replaced by a newer link)');
+      return next(new AppError('Invalid or expired verification token', 400));
+    }
+
+    const sentAt = user.emailVerificationSentAt?.getTime() || 0;
+    if (Date.now() - sentAt > User.EMAIL_VERIFICATION_TTL_MS) {
+      console.log('  ❌ Verification link expired');
+      return next(new AppError('Invalid or expired verification token', 400));
     }
 
     if (user.emailVerified) {
       console.log('  ℹ️  Email already verified');
+      user.emailVerificationToken = undefined;
+      await user.save({ validateBeforeSave: false });
       return sendResponse(res, 200, 'success', 'Email already verified');
     }
 
     console.log('  ✅ Marking email as verified...');
     user.emailVerified = true;
+    user.emailVerificationToken = undefined;
     await user.save({ validateBeforeSave: false });
 
     console.log('  ✅ Email verification completed for user:', user._id);
 
+    try {
+      await emailService.sendWelcomeEmail(user);
+    } catch (emailError) {
+      console.error('  ⚠️  Failed to send welcome email:', emailError.message);
+    }
+
     sendResponse(res, 200, 'success', 'Email verified successfully');
 
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      console.log('  ❌ Token verification failed:', error.message);
-      return next(new AppError('Invalid or expired verification token', 400));
-    }
-    
     console.error('  ❌ Email verification error:', error);
     return next(new AppError('Failed to verify email', 500));
   }
 });
 
+// =====================================
+// ANNULATION D'UN CHANGEMENT D'EMAIL
+// =====================================
+// Lien envoyé à l'ancienne adresse : utilisable sans être connecté, au cas où
+// le compte aurait été pris par quelqu'un d'autre
+const cancelEmailChange = catchAsync(async (req, res, next) => {
+  console.log('\n📧 EMAIL CHANGE CANCELLATION:');
+
+  const { token } = req.body || {};
+  if (!token || typeof token !== 'string') {
+    return next(new AppError('Cancellation token is required', 400));
+  }
+
+  const cancelTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  const user = await User.findOne({ 'pendingEmailChange.cancelTokenHash': cancelTokenHash });
+
+  if (!user) {
+    console.log('  ❌ No pending email change for this token');
+    return next(new AppError('Invalid cancellation link, or the email change was already confirmed or cancelled', 400));
+  }
+
+  const newEmail = user.pendingEmailChange.newEmail;
+  user.pendingEmailChange = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  // Demande non sollicitée : déconnecter toutes les sessions par précaution
+  await user.revokeAllSessions('email-change-cancelled');
+
+  await AuditLog.record(req, {
+    action: 'user.email_change_cancelled',
+    targetType: 'User',
+    target: user._id,
+    metadata: { newEmail, via: 'email-link' }
+  });
+
+  console.log('  ✅ Email change cancelled for user:', user._id);
+
+  sendResponse(res, 200, 'success', 'The email change has been cancelled and all sessions were signed out. We recommend changing your password.');
+});
+
+// =====================================
+// RENVOI DE L'EMAIL DE VÉRIFICATION
+// =====================================
+const resendVerificationEmail = catchAsync(async (req, res, next) => {
+  console.log('\n📧 RESEND VERIFICATION EMAIL:');
+
+  const { error } = authValidators.resendVerification.validate(req.body);
+  if (error) {
+    console.log('  ❌ Validation error:', error.details[0].message);
+    return next(new AppError(error.details[0].message, 400));
+  }
+
+  const { email } = sanitizeUserInput(req.body);
+  console.log('  📧 Email:', email);
+
+  // Pour la sécurité, on renvoie toujours la même réponse
+  const genericMessage = 'If an unverified account with that email exists, a verification link has been sent';
+
+  const user = await User.findOne({ email }).select('+emailVerificationSentAt');
+
+  if (!user || user.emailVerified) {
+    console.log('  ⚠️  No unverified account found, sending generic response');
+    return sendResponse(res, 200, 'success', genericMessage);
+  }
+
+  if (user.emailVerificationSentAt &&
+      Date.now() - user.emailVerificationSentAt.getTime() < VERIFICATION_EMAIL_COOLDOWN_MS) {
+    console.log('  ⏳ Verification email sent too recently, skipping');
+    return sendResponse(res, 200, 'success', genericMessage);
+  }
+
+  try {
+    await sendVerificationLink(user);
+  } catch (emailError) {
+    console.error('  ❌ Failed to send verification email:', emailError);
+    return next(new AppError('Failed to send verification email. Please try again later.', 500));
+  }
+
+  sendResponse(res, 200, 'success', genericMessage);
+});
+
 // =====================================
 // ROUTE DE DEBUG (DÉVELOPPEMENT UNIQUEMENT)
 // =====================================
@@ -744,6 +919,13 @@ const changePassword = catchAsync(async (req, res, next) => {
   }
 
   console.log('  ✅ Current password verified');
+
+  const policyError = await getPasswordPolicyError(newPassword, { user });
+  if (policyError) {
+    console.log('  ❌ Password policy not met:', policyError.errors.map(e => e.rule).join(', '));
+    return next(policyError);
+  }
+
   console.log('  🔄 Updating to new password...');
 
   // Mettre à jour le mot de passe
@@ -752,7 +934,44 @@ const changePassword = catchAsync(async (req, res, next) => {
 
   console.log('  ✅ Password changed successfully');
 
-  sendResponse(res, 200, 'success', 'Password changed successfully');
+  // Invalider les autres sessions, la session courante reçoit de nouveaux tokens
+  const { token, refreshToken } = await reissueAfterPasswordChange(user, req);
+  notifyPasswordChanged(user, req);
+
+  sendResponse(res, 200, 'success', 'Password changed successfully', {
+    token,
+    refreshToken
+  });
+});
+
+// =====================================
+// POLITIQUE DE MOTS DE PASSE
+// =====================================
+const getPasswordPolicy = (req, res) => {
+  sendResponse(res, 200, 'success', 'Password policy retrieved successfully', {
+    policy: getPolicy()
+  });
+};
+
+// =====================================
+// REÇU DE SUPPRESSION DE COMPTE
+// =====================================
+// Public : le reçu ne contient aucune donnée personnelle (ni moyen de vérifier
+// à quel email il correspond)
+const getDeletionReceipt = catchAsync(async (req, res, next) => {
+  const receipt = await DeletionReceipt.findOne({ receiptId: req.params.receiptId }).lean();
+  if (!receipt) {
+    return next(new AppError('Deletion receipt not found', 404));
+  }
+
+  sendResponse(res, 200, 'success', 'Deletion receipt retrieved successfully', {
+    receipt: {
+      receiptId: receipt.receiptId,
+      requestedAt: receipt.requestedAt,
+      completedAt: receipt.completedAt,
+      summary: receipt.summary
+    }
+  });
 });
 
 // =====================================
@@ -762,17 +981,25 @@ module.exports = {
   // Fonctions principales
   register,
   login,
+  verifyTwoFactorLogin,
   logout,
+  logoutAll,
   getMe,
   refreshToken,
   
   // Gestion des mots de passe
+  getPasswordPolicy,
   forgotPassword,
   resetPassword,
   changePassword,
   
+  // Suppression de compte
+  getDeletionReceipt,
+  
   // Vérifications
   verifyEmail,
+  cancelEmailChange,
+  resendVerificationEmail,
   
   // Profil utilisateur
   updateProfile,
@@ -782,5 +1009,6 @@ module.exports = {
   
   // Utilitaires (pour tests ou usage interne)
   generateToken,
-  generateRefreshToken
+  generateRefreshToken,
+  finishLogin
 };
\ No newline at end of file
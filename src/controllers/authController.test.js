@@ -0,0 +1,325 @@
+// controllers/authController.test.js - Liens email (vérification, réinitialisation) et connexion 2FA
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+jest.mock('../services/twoFactorService', () => ({
+  ...jest.requireActual('../services/twoFactorService'),
+  isRequiredForRole: jest.fn().mockResolvedValue(false)
+}));
+
+jest.mock('../services/loginThrottleService', () => ({
+  ...jest.requireActual('../services/loginThrottleService'),
+  checkLoginAllowed: jest.fn(),
+  recordFailedLogin: jest.fn(),
+  resetLoginAttempts: jest.fn()
+}));
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const DeletionReceipt = require('../models/DeletionReceipt');
+const authRoutes = require('../routes/auth');
+const errorHandler = require('../middleware/errorHandler');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const emailService = require('../services/emailService');
+const { generateToken, verifyAccessToken } = require('../services/tokenService');
+const { createChallengeToken } = require('../services/twoFactorService');
+const { checkLoginAllowed, recordFailedLogin, resetLoginAttempts } = require('../services/loginThrottleService');
+const { generateSecret, generateTOTP, encryptSecret } = require('../utils/totp');
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Requête Mongoose simulée (chaînable et "thenable")
+const mockQuery = (result) => {
+  const query = {
+    select: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+const buildUser = (fields = {}) => new User({
+  _id: new mongoose.Types.ObjectId(),
+  firstName: 'Yassine',
+  lastName: 'Bennani',
+  email: 'yassine@example.com',
+  password: 'Str0ng!Passphrase',
+  role: 'candidate',
+  ...fields
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  checkLoginAllowed.mockResolvedValue({ allowed: true });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('email verification links', () => {
+  it('uses a random token and stores only its hash', () => {
+    const user = buildUser();
+    const token = user.createEmailVerificationToken();
+
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(user.emailVerificationToken).toBe(hash(token));
+    expect(user.emailVerificationSentAt).toBeInstanceOf(Date);
+  });
+
+  it('verifies the email with the latest link', async () => {
+    const user = buildUser();
+    const token = user.createEmailVerificationToken();
+    const findOne = jest.spyOn(User, 'findOne').mockReturnValue({ select: () => Promise.resolve(user) });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(emailService, 'sendWelcomeEmail').mockResolvedValue();
+
+    const res = await request(app).get(`/api/auth/verify-email/${token}`);
+
+    expect(res.status).toBe(200);
+    expect(findOne).toHaveBeenCalledWith({ emailVerificationToken: hash(token) });
+    expect(user.emailVerified).toBe(true);
+    expect(user.emailVerificationToken).toBeUndefined();
+  });
+
+  it('rejects an expired link', async () => {
+    const user = buildUser();
+    const token = user.createEmailVerificationToken();
+    user.emailVerificationSentAt = new Date(Date.now() - User.EMAIL_VERIFICATION_TTL_MS - 1000);
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: () => Promise.resolve(user) });
+
+    const res = await request(app).get(`/api/auth/verify-email/${token}`);
+
+    expect(res.status).toBe(400);
+    expect(user.emailVerified).toBe(false);
+  });
+
+  it('rejects malformed tokens without querying the database', async () => {
+    const findOne = jest.spyOn(User, 'findOne');
+
+    const res = await request(app).get('/api/auth/verify-email/not-a-token');
+
+    expect(res.status).toBe(400);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  it('cannot be used as a Bearer token', async () => {
+    const token = buildUser().createEmailVerificationToken();
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('password reset links', () => {
+  it('uses a random single-use token and stores only its hash', () => {
+    const user = buildUser();
+    const token = user.createPasswordResetToken();
+
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(user.passwordResetToken).toBe(hash(token));
+    expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('cannot be used as a Bearer token', async () => {
+    const token = buildUser().createPasswordResetToken();
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('looks the token up by hash and rejects unknown or used tokens', async () => {
+    const token = buildUser().createPasswordResetToken();
+    const findOne = jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'N3w!Passphrase#2024' });
+
+    expect(res.status).toBe(400);
+    expect(findOne).toHaveBeenCalledWith(expect.objectContaining({ passwordResetToken: hash(token) }));
+  });
+
+  it('refuses the token when another request consumed it first', async () => {
+    const user = buildUser();
+    const token = user.createPasswordResetToken();
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(user, 'isPasswordReused').mockResolvedValue(false);
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'N3w!Passphrase#2024' });
+
+    expect(res.status).toBe(400);
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ passwordResetToken: hash(token) }),
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+  });
+
+  it('rejects malformed tokens', async () => {
+    const findOne = jest.spyOn(User, 'findOne');
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: 'eyJhbGciOiJIUzI1NiJ9.e30.x', password: 'N3w!Passphrase#2024' });
+
+    expect(res.status).toBe(400);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('password policy', () => {
+  it('returns the failed rules when registering with a weak password', async () => {
+    const findOne = jest.spyOn(User, 'findOne');
+
+    const res = await request(app).post('/api/auth/register').send({
+      firstName: 'Yassine',
+      lastName: 'Bennani',
+      email: 'yassine@example.com',
+      password: 'yassine2024'
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Password does not meet the security requirements');
+    expect(res.body.errors.map(error => error.rule)).toEqual(['uppercase', 'special', 'personalInfo']);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  it('keeps the reset token usable when the new password is refused', async () => {
+    const user = buildUser();
+    const token = user.createPasswordResetToken();
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(user, 'isPasswordReused').mockResolvedValue(true);
+    const consume = jest.spyOn(User, 'findOneAndUpdate');
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'N3w!Passphrase#2024' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ rule: 'history', message: 'You cannot reuse any of your last 5 passwords' }]);
+    expect(consume).not.toHaveBeenCalled();
+  });
+});
+
+describe('forgot password', () => {
+  const forgotPassword = (email) => request(app).post('/api/auth/forgot-password').send({ email });
+
+  it('gives the same answer for unknown emails and failed deliveries', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValueOnce(null);
+    const unknown = await forgotPassword('nobody@example.com');
+
+    const user = buildUser();
+    jest.spyOn(User, 'findOne').mockResolvedValueOnce(user);
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(emailService, 'sendPasswordResetEmail').mockRejectedValue(new Error('SMTP down'));
+    const failed = await forgotPassword(user.email);
+
+    expect(failed.status).toBe(200);
+    expect(failed.status).toBe(unknown.status);
+    expect(failed.body.message).toBe(unknown.body.message);
+    expect(user.passwordResetToken).toBeUndefined();
+  });
+});
+
+describe('deletion receipts', () => {
+  it('does not reveal which email a receipt belongs to', async () => {
+    const receipt = { receiptId: 'DR-123', emailHash: DeletionReceipt.hashEmail('yassine@example.com'), summary: {} };
+    jest.spyOn(DeletionReceipt, 'findOne').mockReturnValue({ lean: () => Promise.resolve(receipt) });
+
+    const res = await request(app).get('/api/auth/deletion-receipts/DR-123?email=yassine@example.com');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.receipt.receiptId).toBe('DR-123');
+    expect(JSON.stringify(res.body)).not.toMatch(/emailMatches|emailHash/);
+  });
+});
+
+describe('two-factor login', () => {
+  const secret = generateSecret();
+  // Code TOTP et pas de temps (30 s) correspondant
+  const now = Date.now();
+  const code = () => generateTOTP(secret, now);
+  const codeStep = Math.floor(now / 1000 / 30);
+  let user;
+
+  beforeEach(() => {
+    user = buildUser({
+      role: 'employer',
+      isActive: true,
+      twoFactor: { enabled: true, secret: encryptSecret(secret), recoveryCodes: [] }
+    });
+    jest.spyOn(user, 'comparePassword').mockResolvedValue(true);
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(User, 'findOne').mockImplementation(() => mockQuery(user));
+    jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+    jest.spyOn(RefreshToken, 'create').mockResolvedValue({});
+    jest.spyOn(Session, 'create').mockResolvedValue({});
+  });
+
+  const verifyLogin = (body) => request(app).post('/api/auth/2fa/verify-login').send(body);
+
+  it('answers the password step with a challenge token only', async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password: 'Str0ng!Passphrase' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.twoFactorRequired).toBe(true);
+    expect(res.body.data.token).toBeUndefined();
+    expect(() => verifyAccessToken(res.body.data.challengeToken)).toThrow();
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('issues the session tokens for a valid TOTP code', async () => {
+    const res = await verifyLogin({ challengeToken: createChallengeToken(user), code: code() });
+
+    expect(res.status).toBe(200);
+    expect(verifyAccessToken(res.body.data.token).id).toBe(String(user._id));
+    expect(user.twoFactor.lastUsedStep).toBe(codeStep);
+    expect(resetLoginAttempts).toHaveBeenCalledWith(user.email);
+    expect(Session.create).toHaveBeenCalled();
+  });
+
+  it('refuses a code already used in the current time step', async () => {
+    user.twoFactor.lastUsedStep = codeStep;
+
+    const res = await verifyLogin({ challengeToken: createChallengeToken(user), code: code() });
+
+    expect(res.status).toBe(401);
+    expect(recordFailedLogin).toHaveBeenCalledWith(expect.anything(), user.email, user);
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('counts wrong codes towards the account lockout and stops once locked', async () => {
+    checkLoginAllowed.mockResolvedValue({ allowed: false, reason: 'account-locked', retryAfter: 600 });
+
+    const res = await verifyLogin({ challengeToken: createChallengeToken(user), code: code() });
+
+    expect(res.status).toBe(429);
+    expect(user.twoFactor.lastUsedStep).toBeUndefined();
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('does not accept an access token as the challenge', async () => {
+    const accessToken = generateToken({ id: user._id, email: user.email, role: user.role, family: 'session-1' });
+
+    const res = await verifyLogin({ challengeToken: accessToken, code: code() });
+
+    expect(res.status).toBe(401);
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+});
@@ -1,5 +1,6 @@
 // controllers/companyController.js
 const Company = require('../models/Company');
+const { processImage, removeImage, isLocalUploadUrl } = require('../services/imageService');
 
 // @desc    Get all companies
 // @route   GET /api/companies
@@ -211,15 +212,36 @@ const updateCompany = async (req, res) => {
       }
     }
 
+    // ✅ Les variantes du logo sont gérées par PUT /api/companies/my/logo
+    const updates = { ...req.body };
+    delete updates.logoImage;
+    delete updates.geoLocation; // déduit de "location"
+
+    // Un logo saisi sous forme d'URL remplace le logo téléversé
+    const logoReplaced = updates.logo !== undefined && updates.logo !== company.logo;
+    if (logoReplaced && isLocalUploadUrl(updates.logo)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please upload your logo with PUT /api/companies/my/logo'
+      });
+    }
+    if (logoReplaced) {
+      updates.$unset = { logoImage: 1 };
+    }
+
     const updatedCompany = await Company.findByIdAndUpdate(
       company._id,
-      req.body,
+      updates,
       { 
         new: true, 
         runValidators: true 
       }
     ).populate('employer', 'name email');
 
+    if (logoReplaced) {
+      await removeImage(company.logoImage);
+    }
+
     res.status(200).json({
       status: 'success',
       message: 'Company updated successfully',
@@ -277,9 +299,21 @@ const updateSpecificCompany = async (req, res) => {
       });
     }
 
+    const updates = { ...req.body };
+    delete updates.logoImage;
+    delete updates.geoLocation; // déduit de "location"
+
+    // Nos fichiers ne sont référencés que par PUT /api/companies/my/logo
+    if (updates.logo !== undefined && updates.logo !== company.logo && isLocalUploadUrl(updates.logo)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please upload the logo with PUT /api/companies/my/logo'
+      });
+    }
+
     const updatedCompany = await Company.findByIdAndUpdate(
       id,
-      req.body,
+      updates,
       { 
         new: true, 
         runValidators: true 
@@ -335,6 +369,7 @@ const deleteCompany = async (req, res) => {
     }
 
     await Company.findByIdAndDelete(id);
+    await removeImage(company.logoImage);
 
     res.status(200).json({
       status: 'success',
@@ -351,12 +386,124 @@ const deleteCompany = async (req, res) => {
   }
 };
 
+// @desc    Upload current user's company logo
+// @route   PUT /api/companies/my/logo
+// @access  Private (Employer/Admin)
+const uploadLogo = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please select an image to upload (field "logo")'
+      });
+    }
+
+    const company = await Company.findOne({ employer: req.user._id });
+
+    if (!company) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No company found for this user'
+      });
+    }
+
+    const logoImage = await processImage(req.file.buffer, 'logo', company._id);
+    const previousImage = company.logoImage;
+
+    company.logoImage = logoImage;
+    company.logo = logoImage.variants.medium.jpeg;
+
+    try {
+      await company.save();
+    } catch (error) {
+      await removeImage(logoImage);
+      throw error;
+    }
+
+    // ✅ Old variants are removed only once the new logo is saved
+    await removeImage(previousImage);
+
+    console.log('Company logo updated:', company._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Company logo updated successfully',
+      data: {
+        logo: company.logo,
+        logoImage: company.logoImage
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in uploadLogo:', error);
+
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        status: error.status,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      error: error
+    });
+  }
+};
+
+// @desc    Remove current user's company logo
+// @route   DELETE /api/companies/my/logo
+// @access  Private (Employer/Admin)
+const deleteLogo = async (req, res) => {
+  try {
+    const company = await Company.findOne({ employer: req.user._id });
+
+    if (!company) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No company found for this user'
+      });
+    }
+
+    if (!company.logo && !company.logoImage) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'This company has no logo'
+      });
+    }
+
+    const previousImage = company.logoImage;
+
+    company.logo = undefined;
+    company.logoImage = undefined;
+    await company.save();
+
+    await removeImage(previousImage);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Company logo removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error in deleteLogo:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      error: error
+    });
+  }
+};
+
 module.exports = {
   getCompanies,
   getCompanyById,
   getMyCompany,
   createCompany,
   updateCompany,
+  uploadLogo,
+  deleteLogo,
   updateSpecificCompany,
   deleteCompany
 };
\ No newline at end of file
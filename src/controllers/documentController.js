@@ -0,0 +1,182 @@
+// controllers/documentController.js
+const CandidateDocument = require('../models/CandidateDocument');
+const { catchAsync, AppError, sendResponse } = require('../utils/helpers');
+const { documentValidators } = require('../utils/validators');
+const { deleteFile, getUploadPath } = require('../middleware/uploadMiddleware');
+
+const MAX_DOCUMENTS_PER_TYPE = 10;
+
+// Supprimer le fichier d'un document (déjà absent : ignoré)
+const removeDocumentFile = async (document) => {
+  const filePath = getUploadPath(document.file?.url);
+  if (!filePath) return;
+
+  try {
+    await deleteFile(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('  ⚠️ Could not delete document file:', error.message);
+    }
+  }
+};
+
+// =====================================
+// LISTER LES DOCUMENTS
+// =====================================
+const getDocuments = catchAsync(async (req, res, next) => {
+  const filter = { owner: req.user._id };
+  if (req.query.type) {
+    if (!['resume', 'cover_letter'].includes(req.query.type)) {
+      return next(new AppError('Document type must be either resume or cover_letter', 400));
+    }
+    filter.type = req.query.type;
+  }
+
+  const documents = await CandidateDocument.find(filter).sort({ isDefault: -1, createdAt: -1 });
+
+  sendResponse(res, 200, 'success', 'Documents retrieved successfully', {
+    documents,
+    total: documents.length
+  });
+});
+
+// =====================================
+// AJOUTER UN DOCUMENT
+// =====================================
+const createDocument = catchAsync(async (req, res, next) => {
+  console.log('\n📄 CREATE DOCUMENT:');
+  console.log('  User ID:', req.user._id);
+  console.log('  Type:', req.body.type);
+  console.log('  File:', req.file ? req.file.originalname : 'No file');
+
+  // Refuser la requête en supprimant le fichier déjà reçu
+  const reject = async (message, statusCode = 400) => {
+    if (req.file) {
+      await deleteFile(req.file.path).catch(() => {});
+    }
+    return next(new AppError(message, statusCode));
+  };
+
+  const { error, value } = documentValidators.create.validate(req.body);
+  if (error) {
+    return reject(error.details[0].message);
+  }
+
+  if (value.type === 'resume' && !req.file) {
+    return reject('Resume file is required');
+  }
+
+  if (value.type === 'cover_letter' && !req.file && !value.content) {
+    return reject('Upload a cover letter file or provide its text content');
+  }
+
+  const count = await CandidateDocument.countDocuments({ owner: req.user._id, type: value.type });
+  if (count >= MAX_DOCUMENTS_PER_TYPE) {
+    return reject(`You can store at most ${MAX_DOCUMENTS_PER_TYPE} documents of this type. Delete one first.`);
+  }
+
+  const document = new CandidateDocument({
+    owner: req.user._id,
+    type: value.type,
+    name: value.name,
+    content: req.file ? undefined : value.content,
+    file: req.file ? {
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      mimetype: req.file.mimetype,
+      size: req.file.size,
+      url: `/uploads/documents/${req.file.filename}`
+    } : undefined
+  });
+
+  // Le premier document d'un type devient le document par défaut
+  if (value.isDefault || count === 0) {
+    await CandidateDocument.setDefault(document);
+  } else {
+    await document.save();
+  }
+
+  console.log('  ✅ Document created:', document._id);
+
+  sendResponse(res, 201, 'success', 'Document saved successfully', { document });
+});
+
+// =====================================
+// MODIFIER UN DOCUMENT (nom, document par défaut, texte)
+// =====================================
+const updateDocument = catchAsync(async (req, res, next) => {
+  const { error, value } = documentValidators.update.validate(req.body);
+  if (error) {
+    return next(new AppError(error.details[0].message, 400));
+  }
+
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    return next(new AppError('Invalid document ID format', 400));
+  }
+
+  const document = await CandidateDocument.findOne({ _id: req.params.id, owner: req.user._id });
+  if (!document) {
+    return next(new AppError('Document not found', 404));
+  }
+
+  if (value.content !== undefined) {
+    if (document.file?.url) {
+      return next(new AppError('Only text cover letters can be edited. Upload a new document instead.', 400));
+    }
+    document.content = value.content;
+  }
+
+  if (value.name) {
+    document.name = value.name;
+  }
+
+  if (value.isDefault) {
+    await CandidateDocument.setDefault(document);
+  } else {
+    await document.save();
+  }
+
+  sendResponse(res, 200, 'success', 'Document updated successfully', { document });
+});
+
+// =====================================
+// SUPPRIMER UN DOCUMENT
+// =====================================
+// Les candidatures déjà envoyées conservent leur propre copie du fichier
+const deleteDocument = catchAsync(async (req, res, next) => {
+  console.log('\n🗑️  DELETE DOCUMENT:');
+  console.log('  User ID:', req.user._id);
+  console.log('  Document ID:', req.params.id);
+
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    return next(new AppError('Invalid document ID format', 400));
+  }
+
+  const document = await CandidateDocument.findOne({ _id: req.params.id, owner: req.user._id });
+  if (!document) {
+    return next(new AppError('Document not found', 404));
+  }
+
+  await document.deleteOne();
+  await removeDocumentFile(document);
+
+  // Promouvoir le document le plus récent du même type comme nouveau défaut
+  if (document.isDefault) {
+    const replacement = await CandidateDocument.findOne({ owner: req.user._id, type: document.type })
+      .sort({ createdAt: -1 });
+    if (replacement) {
+      await CandidateDocument.setDefault(replacement);
+    }
+  }
+
+  console.log('  ✅ Document deleted');
+
+  sendResponse(res, 200, 'success', 'Document deleted successfully');
+});
+
+module.exports = {
+  getDocuments,
+  createDocument,
+  updateDocument,
+  deleteDocument
+};
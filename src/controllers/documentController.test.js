@@ -0,0 +1,231 @@
+// controllers/documentController.test.js - Bibliothèque de documents : fichiers acceptés et accès du propriétaire
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+jest.mock('../services/twoFactorService', () => ({
+  ...jest.requireActual('../services/twoFactorService'),
+  isRequiredForRole: jest.fn().mockResolvedValue(false)
+}));
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CandidateDocument = require('../models/CandidateDocument');
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const userRoutes = require('../routes/users');
+const errorHandler = require('../middleware/errorHandler');
+const { invalidateCache } = require('../services/permissionService');
+const { generateToken } = require('../services/tokenService');
+
+const documentsDir = path.join(__dirname, '../uploads/documents');
+
+// Requête Mongoose simulée (chaînable et "thenable")
+const mockQuery = (result) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    sort: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+app.use(errorHandler);
+
+const candidate = {
+  _id: new mongoose.Types.ObjectId(),
+  email: 'sara@example.com',
+  role: 'candidate',
+  isActive: true,
+  tokenVersion: 0
+};
+
+const token = generateToken({ id: candidate._id, email: candidate.email, role: candidate.role, family: 'session-1' });
+const asCandidate = (req) => req.set('Authorization', `Bearer ${token}`);
+
+const uploadDocument = (file, fields = { name: 'My resume', type: 'resume' }) => {
+  const req = asCandidate(request(app).post('/api/users/documents'));
+  Object.entries(fields).forEach(([key, value]) => req.field(key, value));
+  return req.attach('document', file.content, { filename: file.filename, contentType: file.contentType });
+};
+
+const pdf = { content: Buffer.from('%PDF-1.4 resume'), filename: 'resume.pdf', contentType: 'application/pdf' };
+
+// Fichiers écrits par les tests, supprimés après chacun
+const writtenFiles = [];
+const listDocuments = () => fs.readdirSync(documentsDir);
+
+const storedDocument = (fields = {}) => {
+  const document = new CandidateDocument({
+    owner: candidate._id,
+    type: 'resume',
+    name: 'My resume',
+    file: { filename: 'document-1.pdf', url: '/uploads/documents/document-1.pdf' },
+    ...fields
+  });
+  jest.spyOn(document, 'deleteOne').mockResolvedValue();
+  jest.spyOn(document, 'save').mockResolvedValue(document);
+  return document;
+};
+
+beforeEach(() => {
+  invalidateCache();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Permission, 'bulkWrite').mockResolvedValue({});
+  jest.spyOn(Role, 'bulkWrite').mockResolvedValue({});
+  jest.spyOn(Role, 'find').mockImplementation(() => mockQuery([{ name: 'candidate', permissions: ['application.create'] }]));
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(candidate));
+  jest.spyOn(RevokedToken, 'isRevoked').mockResolvedValue(false);
+  jest.spyOn(Session, 'isRevoked').mockResolvedValue(false);
+
+  jest.spyOn(CandidateDocument, 'countDocuments').mockResolvedValue(0);
+  jest.spyOn(CandidateDocument, 'setDefault').mockImplementation(async (document) => {
+    document.isDefault = true;
+    return document;
+  });
+  jest.spyOn(CandidateDocument.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  writtenFiles.splice(0).forEach(file => fs.rmSync(file, { force: true }));
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/users/documents', () => {
+  it('stores an uploaded resume and makes the first one the default', async () => {
+    const res = await uploadDocument(pdf);
+
+    const { document } = res.body.data;
+    writtenFiles.push(path.join(documentsDir, document.file.filename));
+
+    expect(res.status).toBe(201);
+    expect(document).toMatchObject({ type: 'resume', isDefault: true, owner: String(candidate._id) });
+    expect(document.file).toMatchObject({ originalName: 'resume.pdf', mimetype: 'application/pdf', size: pdf.content.length });
+    expect(document.file.url).toBe(`/uploads/documents/${document.file.filename}`);
+    expect(fs.readFileSync(path.join(documentsDir, document.file.filename))).toEqual(pdf.content);
+  });
+
+  it.each([
+    ['a file type outside PDF and Word', { content: Buffer.from('MZ'), filename: 'resume.exe', contentType: 'application/octet-stream' }],
+    ['a PDF extension with another MIME type', { content: Buffer.from('<html>'), filename: 'resume.pdf', contentType: 'text/html' }],
+    ['a PDF MIME type with another extension', { content: Buffer.from('%PDF'), filename: 'resume.html', contentType: 'application/pdf' }]
+  ])('rejects %s without keeping the file', async (label, file) => {
+    const before = listDocuments();
+
+    const res = await uploadDocument(file);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid file type for document. Allowed types: .pdf, .doc, .docx');
+    expect(listDocuments()).toEqual(before);
+    expect(CandidateDocument.setDefault).not.toHaveBeenCalled();
+  });
+
+  it('rejects a file larger than 5MB without keeping the file', async () => {
+    const before = listDocuments();
+
+    const res = await uploadDocument({ ...pdf, content: Buffer.alloc(5 * 1024 * 1024 + 1) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('File size too large. Maximum size is 5MB.');
+    expect(listDocuments()).toEqual(before);
+  });
+
+  it('deletes the received file when the request is refused', async () => {
+    CandidateDocument.countDocuments.mockResolvedValue(10);
+    const before = listDocuments();
+
+    const res = await uploadDocument(pdf);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('You can store at most 10 documents of this type. Delete one first.');
+    expect(listDocuments()).toEqual(before);
+  });
+});
+
+describe('documents of another candidate', () => {
+  const otherId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    // Le document existe, mais appartient à un autre candidat
+    jest.spyOn(CandidateDocument, 'findOne').mockImplementation(filter =>
+      mockQuery(String(filter.owner) === String(candidate._id) ? null : storedDocument({ owner: otherId })));
+  });
+
+  it('cannot be deleted', async () => {
+    const id = new mongoose.Types.ObjectId();
+
+    const res = await asCandidate(request(app).delete(`/api/users/documents/${id}`));
+
+    expect(res.status).toBe(404);
+    expect(CandidateDocument.findOne).toHaveBeenCalledWith({ _id: String(id), owner: candidate._id });
+  });
+
+  it('cannot be renamed or made the default', async () => {
+    const id = new mongoose.Types.ObjectId();
+
+    const res = await asCandidate(request(app).patch(`/api/users/documents/${id}`)).send({ isDefault: true });
+
+    expect(res.status).toBe(404);
+    expect(CandidateDocument.setDefault).not.toHaveBeenCalled();
+  });
+
+  it('are never listed', async () => {
+    const find = jest.spyOn(CandidateDocument, 'find').mockReturnValue(mockQuery([]));
+
+    await asCandidate(request(app).get('/api/users/documents?type=resume'));
+
+    expect(find).toHaveBeenCalledWith({ owner: candidate._id, type: 'resume' });
+  });
+});
+
+describe('DELETE /api/users/documents/:id', () => {
+  it('removes the file and promotes the most recent document of the same type', async () => {
+    const filename = `document-test-${Date.now()}.pdf`;
+    const filePath = path.join(documentsDir, filename);
+    fs.writeFileSync(filePath, pdf.content);
+    writtenFiles.push(filePath);
+
+    const document = storedDocument({ isDefault: true, file: { filename, url: `/uploads/documents/${filename}` } });
+    const replacement = storedDocument({ name: 'Older resume' });
+    jest.spyOn(CandidateDocument, 'findOne')
+      .mockReturnValueOnce(mockQuery(document))
+      .mockReturnValueOnce(mockQuery(replacement));
+
+    const res = await asCandidate(request(app).delete(`/api/users/documents/${document._id}`));
+
+    expect(res.status).toBe(200);
+    expect(document.deleteOne).toHaveBeenCalled();
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(CandidateDocument.setDefault).toHaveBeenCalledWith(replacement);
+  });
+});
+
+describe('CandidateDocument', () => {
+  // Champs invalides (les règles sont dans un hook pre('validate'))
+  const validationErrors = (fields) =>
+    new CandidateDocument({ owner: candidate._id, name: 'Document', ...fields }).validate()
+      .then(() => [], error => Object.keys(error.errors));
+
+  it('requires a file for a resume', async () => {
+    expect(await validationErrors({ type: 'resume', content: 'Pasted resume' })).toEqual(['file']);
+  });
+
+  it('accepts a cover letter as a file or as text', async () => {
+    expect(await validationErrors({ type: 'cover_letter', content: 'Dear hiring manager' })).toEqual([]);
+    expect(await validationErrors({ type: 'cover_letter', file: { url: '/uploads/documents/letter.pdf' } })).toEqual([]);
+    expect(await validationErrors({ type: 'cover_letter' })).toEqual(['content']);
+  });
+});
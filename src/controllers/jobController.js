@@ -2,11 +2,36 @@
 const Job = require('../models/Job');
 const { catchAsync, AppError, sendResponse, getPaginationMeta } = require('../utils/helpers');
 const { jobValidators } = require('../utils/validators');
+const {
+  buildJobFilter,
+  parseGeoCriteria,
+  buildGeoFilter,
+  getDistanceKm,
+  findRankedJobs,
+  getJobFacets
+} = require('../services/jobService');
+const { usesTextIndex, buildHighlights } = require('../utils/textSearch');
+const { parseCursor, applyCursor, getCursorSort, buildCursorPage } = require('../utils/cursorPagination');
+
+// Tris acceptés par GET /api/jobs (sortBy) et champ trié correspondant.
+// relevance et distance sont calculés par une agrégation (voir findRankedJobs)
+const JOB_SORT_FIELDS = {
+  relevance: 'score',
+  distance: 'distance',
+  createdAt: 'createdAt',
+  salary: 'salary.min',
+  title: 'title',
+  deadlineDate: 'deadlineDate',
+  viewsCount: 'viewsCount'
+};
 
 // Obtenir tous les emplois avec filtres et pagination
 const getAllJobs = catchAsync(async (req, res, next) => {
   console.log('Fetching jobs with query:', req.query);
 
+  // Recherche par rayon (?lat=&lng=&radiusKm=) : erreur 400 si invalide
+  const geo = parseGeoCriteria(req.query);
+
   try {
     // Extraction des paramètres de requête
     const {
@@ -18,82 +43,88 @@ const getAllJobs = catchAsync(async (req, res, next) => {
       minSalary = '',
       maxSalary = '',
       isRemote = '',
-      sortBy = 'createdAt',
       sortOrder = 'desc',
       page = 1,
       limit = 10
     } = req.query;
 
-    // Construction du filtre
-    const filter = { status: 'active' }; // Seulement les emplois actifs
-
-    // Recherche textuelle
-    if (search.trim()) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { skills: { $in: [new RegExp(search, 'i')] } }
-      ];
-    }
-
-    // Filtres spécifiques
-    if (location.trim()) {
-      filter.location = { $regex: location, $options: 'i' };
-    }
+    // Construction du filtre (partagé avec les recherches sauvegardées)
+    const filter = { ...buildJobFilter(req.query), ...buildGeoFilter(geo) };
+    const textSearch = usesTextIndex(filter);
 
-    if (type) {
-      filter.type = type;
-    }
+    // Tri par pertinence par défaut lors d'une recherche plein texte
+    const sortBy = req.query.sortBy || (textSearch ? 'relevance' : 'createdAt');
 
-    if (category) {
-      filter.category = { $regex: category, $options: 'i' };
+    // Un champ arbitraire permettrait de trier (et paginer) sur des données internes
+    if (!Object.prototype.hasOwnProperty.call(JOB_SORT_FIELDS, sortBy)) {
+      return next(new AppError(`sortBy must be one of: ${Object.keys(JOB_SORT_FIELDS).join(', ')}`, 400));
     }
-
-    if (experienceLevel) {
-      filter.experienceLevel = experienceLevel;
+    if (sortBy === 'distance' && !geo) {
+      return next(new AppError('Sorting by distance requires lat and lng', 400));
     }
-
-    if (isRemote === 'true') {
-      filter.isRemote = true;
+    if (sortBy === 'distance' && textSearch) {
+      return next(new AppError('Sorting by distance cannot be combined with a text search, use sortBy=relevance', 400));
     }
 
-    // Filtres de salaire
-    if (minSalary || maxSalary) {
-      filter['salary.min'] = {};
-      if (minSalary) filter['salary.min'].$gte = parseInt(minSalary);
-      if (maxSalary) filter['salary.max'] = { $lte: parseInt(maxSalary) };
+    // Construction du tri : { champ, sens }, départagé par _id (voir cursorPagination).
+    // score et distance sont calculés par une agrégation (voir findRankedJobs)
+    let sort;
+    let ranked = false;
+    if (sortBy === 'distance') {
+      sort = { field: 'distance', direction: 1 };
+      ranked = true;
+    } else if (sortBy === 'relevance' && textSearch) {
+      sort = { field: 'score', direction: -1 };
+      ranked = true;
+    } else if (sortBy === 'relevance') {
+      // Pas de score sans recherche textuelle : les plus récents d'abord
+      sort = { field: 'createdAt', direction: -1 };
+    } else {
+      sort = { field: JOB_SORT_FIELDS[sortBy], direction: sortOrder === 'desc' ? -1 : 1 };
     }
 
-    // Construction du tri
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    // Pagination par curseur (?after= / ?before=) pour le défilement infini
+    const cursor = parseCursor(req.query, sort.field, sort.direction);
 
-    // Calcul de la pagination
-    const pageNum = parseInt(page);
+    // Calcul de la pagination (le curseur remplace skip)
+    const pageNum = cursor ? 1 : parseInt(page);
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
-    // Requête avec pagination
-    const [jobs, totalResults] = await Promise.all([
-      Job.find(filter)
-        .populate('company', 'name logo location')
-        .populate('postedBy', 'firstName lastName')
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(limitNum)
-        .lean(),
-      Job.countDocuments(filter)
+    // Compteurs par facette, seulement si demandés (?facets=true)
+    const includeFacets = req.query.facets === 'true';
+
+    // Requête avec pagination (un élément en plus pour savoir s'il reste une page)
+    const [jobs, totalResults, facets] = await Promise.all([
+      ranked
+        ? findRankedJobs({ filter, geo, sort, cursor, skip, limit: limitNum + 1 })
+        : Job.find(applyCursor(filter, cursor, sort.field, sort.direction))
+          .populate('company', 'name logo location')
+          .populate('postedBy', 'firstName lastName')
+          .sort(getCursorSort(sort.field, sort.direction, cursor))
+          .skip(skip)
+          .limit(limitNum + 1)
+          .lean(),
+      Job.countDocuments(filter),
+      includeFacets ? getJobFacets(req.query, geo) : null
     ]);
 
-    // Métadonnées de pagination
-    const pagination = getPaginationMeta(totalResults, pageNum, limitNum);
+    // Élément en trop retiré ; curseurs des éléments de bordure
+    const { items: pageJobs, cursors } = buildCursorPage(jobs, {
+      limit: limitNum, cursor, sortField: sort.field, sortDirection: sort.direction, page: pageNum
+    });
+
+    // Métadonnées de pagination (en mode curseur, hasNextPage/hasPrevPage suivent le curseur)
+    const pagination = { ...getPaginationMeta(totalResults, pageNum, limitNum), ...cursors };
 
     // Enrichir les données des emplois
-    const enrichedJobs = jobs.map(job => ({
+    const enrichedJobs = pageJobs.map(job => ({
       ...job,
       applicationsCount: job.applications?.length || 0,
       isNew: (new Date() - new Date(job.createdAt)) < (7 * 24 * 60 * 60 * 1000), // 7 jours
-      timeAgo: getTimeAgo(job.createdAt)
+      timeAgo: getTimeAgo(job.createdAt),
+      ...(search ? { highlights: buildHighlights(job, search) } : {}),
+      ...(geo ? { distanceKm: getDistanceKm(geo, job) } : {})
     }));
 
     console.log(`Found ${totalResults} jobs, returning ${enrichedJobs.length} for page ${pageNum}`);
@@ -108,12 +139,16 @@ const getAllJobs = catchAsync(async (req, res, next) => {
         category,
         experienceLevel,
         isRemote: isRemote === 'true',
-        salary: { min: minSalary, max: maxSalary }
-      }
+        salary: { min: minSalary, max: maxSalary },
+        ...(geo ? { near: geo } : {})
+      },
+      sortBy: textSearch || sortBy !== 'relevance' ? sortBy : 'createdAt',
+      ...(includeFacets ? { facets } : {})
     });
 
   } catch (error) {
     console.error('Get all jobs error:', error);
+    if (error instanceof AppError) return next(error);
     return next(new AppError('Failed to retrieve jobs', 500));
   }
 });
@@ -163,11 +198,7 @@ const createJob = catchAsync(async (req, res, next) => {
   console.log('👤 User info:', { id: req.user._id, role: req.user.role });
 
   try {
-    // ✅ STEP 1: Validate user permissions
-    if (req.user.role !== 'employer' && req.user.role !== 'admin') {
-      console.log('❌ Permission denied - User role:', req.user.role);
-      return next(new AppError('Only employers can create jobs', 403));
-    }
+    // ✅ STEP 1: Permissions vérifiées par la route (checkPermission('job.create'))
 
     // ✅ STEP 2: Clean and validate request data (WITHOUT postedBy - added after validation)
     const cleanedData = {
@@ -322,9 +353,16 @@ const updateJob = catchAsync(async (req, res, next) => {
     }
 
     // Mettre à jour
+    const update = { ...req.body, updatedAt: new Date() };
+
+    // Première activation (brouillon) : date de publication, reprise par les alertes
+    if (req.body.status === 'active' && !job.publishedAt) {
+      update.publishedAt = new Date();
+    }
+
     const updatedJob = await Job.findByIdAndUpdate(
       id,
-      { ...req.body, updatedAt: new Date() },
+      update,
       { new: true, runValidators: true }
     )
       .populate('company', 'name logo location')
@@ -0,0 +1,240 @@
+// controllers/jobController.test.js - Liste des offres : tri et pagination par curseur, publication
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+jest.mock('../services/twoFactorService', () => ({
+  ...jest.requireActual('../services/twoFactorService'),
+  isRequiredForRole: jest.fn().mockResolvedValue(false)
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const jobRoutes = require('../routes/jobs');
+const errorHandler = require('../middleware/errorHandler');
+const { decodeCursor } = require('../utils/cursorPagination');
+const { invalidateCache } = require('../services/permissionService');
+const { generateToken } = require('../services/tokenService');
+
+// Requête Mongoose simulée (chaînable et "thenable")
+const mockQuery = (result) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+const buildJob = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'React developer',
+  description: 'Build React interfaces',
+  createdAt: new Date('2024-05-01T10:00:00Z'),
+  ...fields
+});
+
+const app = express();
+app.use(express.json());
+app.use('/api/jobs', jobRoutes);
+app.use(errorHandler);
+
+// Pipeline de la dernière agrégation findRankedJobs
+const lastPipeline = () => Job.aggregate.mock.calls[Job.aggregate.mock.calls.length - 1][0];
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Job, 'countDocuments').mockResolvedValue(25);
+  jest.spyOn(Job, 'populate').mockImplementation(async (jobs) => jobs);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/jobs - relevance', () => {
+  const rankedJobs = [3, 2.5, 1].map(score => buildJob({ score }));
+
+  it('pages a text search by relevance with a score cursor', async () => {
+    jest.spyOn(Job, 'aggregate').mockResolvedValue(rankedJobs);
+
+    const first = await request(app).get('/api/jobs?search=react&limit=2');
+
+    expect(first.status).toBe(200);
+    expect(first.body.data.sortBy).toBe('relevance');
+    expect(lastPipeline()[0].$match.$text).toEqual({ $search: 'react' });
+    expect(lastPipeline()[1]).toEqual({ $addFields: { score: { $meta: 'textScore' } } });
+
+    const { nextCursor } = first.body.data.pagination;
+    expect(decodeCursor(nextCursor, 'score', -1).value).toBe(2.5);
+
+    const next = await request(app).get(`/api/jobs?search=react&limit=2&after=${nextCursor}`);
+
+    expect(next.status).toBe(200);
+    const cursorMatch = lastPipeline()[2].$match.$and[0].$or;
+    expect(cursorMatch[0]).toEqual({ score: { $lt: 2.5 } });
+    expect(lastPipeline()[3]).toEqual({ $sort: { score: -1, _id: -1 } });
+    expect(lastPipeline()[4]).toEqual({ $skip: 0 });
+  });
+
+  it('keeps the page metadata alongside the cursors', async () => {
+    jest.spyOn(Job, 'aggregate').mockResolvedValue(rankedJobs);
+    const first = await request(app).get('/api/jobs?search=react&limit=2');
+
+    const res = await request(app).get(`/api/jobs?search=react&limit=2&after=${first.body.data.pagination.nextCursor}`);
+
+    expect(res.body.data.pagination).toMatchObject({
+      totalItems: 25,
+      totalPages: 13,
+      itemsPerPage: 2,
+      hasPrevPage: true,
+      hasNextPage: true
+    });
+    expect(res.body.data.pagination.prevCursor).toEqual(expect.any(String));
+  });
+
+  it('rejects a cursor carrying a query operator', async () => {
+    const find = jest.spyOn(Job, 'find');
+    const token = Buffer.from(JSON.stringify({
+      k: 'createdAt', d: -1, v: { $ne: null }, id: String(new mongoose.Types.ObjectId())
+    })).toString('base64url');
+
+    const res = await request(app).get(`/api/jobs?after=${token}`);
+
+    expect(res.status).toBe(400);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/jobs - distance', () => {
+  it('pages a radius search by distance with a distance cursor', async () => {
+    jest.spyOn(Job, 'aggregate').mockResolvedValue([
+      buildJob({ distance: 1200, geoLocation: { type: 'Point', coordinates: [-7.6, 33.58] } }),
+      buildJob({ distance: 4800, geoLocation: { type: 'Point', coordinates: [-7.55, 33.6] } })
+    ]);
+
+    const res = await request(app).get('/api/jobs?lat=33.57&lng=-7.59&radiusKm=20&sortBy=distance&limit=1');
+
+    expect(res.status).toBe(200);
+    const geoNear = lastPipeline()[0].$geoNear;
+    expect(geoNear).toMatchObject({
+      near: { type: 'Point', coordinates: [-7.59, 33.57] },
+      distanceField: 'distance',
+      maxDistance: 20000
+    });
+    expect(geoNear.query.geoLocation).toBeUndefined();
+    expect(decodeCursor(res.body.data.pagination.nextCursor, 'distance', 1).value).toBe(1200);
+
+    await request(app).get(`/api/jobs?lat=33.57&lng=-7.59&radiusKm=20&sortBy=distance&limit=1&after=${res.body.data.pagination.nextCursor}`);
+
+    expect(lastPipeline()[1].$match.$and[0].$or[0]).toEqual({ distance: { $gt: 1200 } });
+  });
+});
+
+describe('GET /api/jobs - field sorts', () => {
+  it('uses find and returns page metadata with a next cursor', async () => {
+    const jobs = [buildJob(), buildJob({ createdAt: new Date('2024-04-01T10:00:00Z') })];
+    const find = jest.spyOn(Job, 'find').mockImplementation(() => mockQuery(jobs));
+
+    const res = await request(app).get('/api/jobs?limit=1');
+
+    expect(res.status).toBe(200);
+    expect(find).toHaveBeenCalledWith({ status: 'active' });
+    expect(res.body.data.pagination).toMatchObject({ currentPage: 1, totalPages: 25, hasNextPage: true });
+    expect(res.body.data.pagination.nextCursor).toEqual(expect.any(String));
+  });
+
+  it('maps the public sort keys to the sorted field', async () => {
+    const query = mockQuery([buildJob({ salary: { min: 12000 } }), buildJob({ salary: { min: 15000 } })]);
+    query.sort = jest.fn(() => query);
+    jest.spyOn(Job, 'find').mockReturnValue(query);
+
+    const res = await request(app).get('/api/jobs?sortBy=salary&sortOrder=asc&limit=1');
+
+    expect(res.status).toBe(200);
+    expect(query.sort).toHaveBeenCalledWith({ 'salary.min': 1, _id: 1 });
+    expect(decodeCursor(res.body.data.pagination.nextCursor, 'salary.min', 1).value).toBe(12000);
+  });
+
+  it.each(['password', 'postedBy', 'salary.min', '__proto__', 'toString'])('rejects sortBy=%s with a 400', async (sortBy) => {
+    const find = jest.spyOn(Job, 'find');
+
+    const res = await request(app).get(`/api/jobs?sortBy=${sortBy}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^sortBy must be one of: relevance, distance, createdAt, salary/);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('rejects a cursor issued for another sort', async () => {
+    const jobs = [buildJob(), buildJob({ createdAt: new Date('2024-04-01T10:00:00Z') })];
+    jest.spyOn(Job, 'find').mockImplementation(() => mockQuery(jobs));
+    const first = await request(app).get('/api/jobs?limit=1');
+
+    const res = await request(app).get(`/api/jobs?sortBy=salary&limit=1&after=${first.body.data.pagination.nextCursor}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Pagination cursor does not match the current sort order');
+  });
+});
+
+describe('PUT /api/jobs/:id - publication', () => {
+  const employer = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'employer@example.com',
+    role: 'employer',
+    isActive: true,
+    tokenVersion: 0
+  };
+
+  const updateJob = (job, body) => {
+    jest.spyOn(Job, 'findById').mockResolvedValue(job);
+    const token = generateToken({ id: employer._id, email: employer.email, role: employer.role, family: 'session-1' });
+    return request(app).put(`/api/jobs/${job._id}`).set('Authorization', `Bearer ${token}`).send(body);
+  };
+
+  const sentUpdate = () => Job.findByIdAndUpdate.mock.calls[0][1];
+
+  beforeEach(() => {
+    invalidateCache();
+    jest.spyOn(Permission, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(Role, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(Role, 'find').mockImplementation(() => mockQuery([{ name: 'employer', permissions: ['job.update'] }]));
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(employer) });
+    jest.spyOn(RevokedToken, 'isRevoked').mockResolvedValue(false);
+    jest.spyOn(Session, 'isRevoked').mockResolvedValue(false);
+    jest.spyOn(Job, 'findByIdAndUpdate').mockImplementation((id, update) => mockQuery({ _id: id, ...update }));
+  });
+
+  it('dates the first activation of a draft for the job alerts', async () => {
+    const res = await updateJob(buildJob({ status: 'draft', postedBy: employer._id }), { status: 'active' });
+
+    expect(res.status).toBe(200);
+    expect(sentUpdate().publishedAt).toEqual(expect.any(Date));
+  });
+
+  it('keeps the publication date when a paused job is reactivated', async () => {
+    const publishedAt = new Date('2024-05-02T10:00:00Z');
+
+    await updateJob(buildJob({ status: 'paused', publishedAt, postedBy: employer._id }), { status: 'active' });
+
+    expect(sentUpdate()).not.toHaveProperty('publishedAt');
+  });
+
+  it('does not publish a job kept as a draft', async () => {
+    await updateJob(buildJob({ status: 'draft', postedBy: employer._id }), { title: 'Senior React developer' });
+
+    expect(sentUpdate()).not.toHaveProperty('publishedAt');
+  });
+});
@@ -0,0 +1,255 @@
+// controllers/oidcController.js - Connexion via fournisseurs OpenID Connect
+const crypto = require('crypto');
+const User = require('../models/User');
+const { catchAsync, AppError, sendResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { getProvider, listProviders } = require('../config/oidcProviders');
+const { createAuthorizationRequest, completeAuthorization, STATE_TTL_MS } = require('../services/oidcService');
+const { finishLogin } = require('./authController');
+
+// Cookie liant le state OIDC au navigateur qui a démarré la connexion : sans
+// lui, un code + state obtenus par un tiers ne peuvent pas être rejoués ici
+const STATE_COOKIE = 'oidc_state';
+
+const stateCookieOptions = (req) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: `${req.baseUrl}/oidc`
+});
+
+// Lire un cookie de la requête (pas de cookie-parser dans l'application)
+const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const index = cookie.indexOf('=');
+    if (index > 0 && cookie.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(cookie.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+// Comparaison à temps constant (sur les empreintes, de longueur fixe)
+const sameValue = (a, b) => {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+};
+
+// Récupérer le fournisseur demandé ou renvoyer une 404
+const resolveProvider = (req, next) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    next(new AppError(`Unknown sign-in provider: ${req.params.provider}`, 404));
+    return null;
+  }
+  return provider;
+};
+
+// Ajouter (ou rafraîchir) une identité externe sur un utilisateur
+const attachIdentity = (user, identity) => {
+  const existing = user.identities.find(
+    item => item.provider === identity.provider && item.subject === identity.subject
+  );
+
+  if (existing) {
+    existing.lastUsedAt = new Date();
+    existing.email = identity.email || existing.email;
+  } else {
+    user.identities.push({
+      provider: identity.provider,
+      subject: identity.subject,
+      email: identity.email,
+      lastUsedAt: new Date()
+    });
+  }
+};
+
+// Fournisseurs liés, tels que renvoyés au client
+const listIdentities = (user) => user.identities.map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt }));
+
+// =====================================
+// LISTE DES FOURNISSEURS DISPONIBLES
+// =====================================
+const getProviders = catchAsync(async (req, res, next) => {
+  sendResponse(res, 200, 'success', 'Sign-in providers retrieved successfully', {
+    providers: listProviders()
+  });
+});
+
+// =====================================
+// DÉMARRER UNE CONNEXION OIDC
+// =====================================
+const authorize = catchAsync(async (req, res, next) => {
+  console.log('\n🌐 OIDC AUTHORIZE:');
+  console.log('  Provider:', req.params.provider);
+  console.log('  Linking:', Boolean(req.user));
+
+  const provider = resolveProvider(req, next);
+  if (!provider) return;
+
+  let request;
+  try {
+    // Sur la route protégée /link, le fournisseur sera lié au compte connecté
+    request = await createAuthorizationRequest(provider, { linkUser: req.user?._id });
+  } catch (error) {
+    console.error('  ❌ OIDC discovery failed:', error.message);
+    return next(new AppError('The sign-in provider is currently unavailable', 502));
+  }
+
+  res.cookie(STATE_COOKIE, request.state, { ...stateCookieOptions(req), maxAge: STATE_TTL_MS });
+  console.log('  ✅ Authorization URL generated');
+
+  sendResponse(res, 200, 'success', 'Authorization URL generated', request);
+});
+
+// =====================================
+// TERMINER UNE CONNEXION OIDC
+// =====================================
+const callback = catchAsync(async (req, res, next) => {
+  console.log('\n🌐 OIDC CALLBACK:');
+  console.log('  Provider:', req.params.provider);
+  console.log('  IP:', req.ip);
+
+  const provider = resolveProvider(req, next);
+  if (!provider) return;
+
+  const { code, state, error: providerError } = req.body;
+
+  if (providerError) {
+    console.log('  ❌ Provider returned an error:', providerError);
+    return next(new AppError('Sign-in was cancelled or denied by the provider', 400));
+  }
+
+  if (!code || !state) {
+    return next(new AppError('Authorization code and state are required', 400));
+  }
+
+  // Le state doit avoir été émis pour ce navigateur (protection login CSRF)
+  const browserState = readCookie(req, STATE_COOKIE);
+  res.clearCookie(STATE_COOKIE, stateCookieOptions(req));
+  if (!browserState || !sameValue(browserState, state)) {
+    console.log('  ❌ State does not match the browser that started the sign-in');
+    return next(new AppError('Invalid or expired login request. Please try again.', 400));
+  }
+
+  const { identity, linkUser } = await completeAuthorization(provider, { code, state });
+  console.log('  ✅ Identity verified for provider:', identity.provider);
+
+  let user = await User.findOne({
+    identities: { $elemMatch: { provider: identity.provider, subject: identity.subject } }
+  }).select('+isActive');
+
+  if (linkUser) {
+    // Liaison explicite : uniquement pour le compte connecté qui l'a demandée
+    if (!req.user || req.user._id.toString() !== linkUser.toString()) {
+      console.log('  ❌ Link requested by another account or without authentication');
+      return next(new AppError('Sign in to the account that started linking this provider.', 403));
+    }
+    if (user && user._id.toString() !== linkUser.toString()) {
+      return next(new AppError('This account is already linked to another user', 409));
+    }
+
+    user = await User.findById(linkUser);
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    attachIdentity(user, identity);
+    await user.save({ validateBeforeSave: false });
+    logger.debug(`OIDC identity ${identity.provider} linked to user ${user._id}`);
+
+    // Pas de nouvelle session : l'utilisateur est déjà connecté
+    return sendResponse(res, 200, 'success', 'Sign-in provider linked successfully', {
+      identities: listIdentities(user)
+    });
+  }
+
+  if (!user && identity.email) {
+    const existingUser = await User.findOne({ email: identity.email }).select('+isActive');
+
+    if (existingUser) {
+      // Liaison automatique uniquement si le fournisseur garantit l'email
+      if (!identity.emailVerified) {
+        console.log('  ❌ Unverified provider email matches an existing account');
+        return next(new AppError(
+          'An account with this email already exists. Sign in with your password and link this provider from your account settings.',
+          409
+        ));
+      }
+      user = existingUser;
+      logger.debug(`OIDC identity ${identity.provider} linked by verified email to user ${user._id}`);
+    }
+  }
+
+  if (!user) {
+    if (!identity.email) {
+      return next(new AppError('The sign-in provider did not share an email address', 400));
+    }
+
+    console.log('  👤 Creating new user from identity');
+    user = new User({
+      firstName: identity.firstName || identity.email.split('@')[0],
+      lastName: identity.lastName || '-',
+      email: identity.email,
+      role: 'candidate',
+      isActive: true,
+      emailVerified: identity.emailVerified,
+      profile: identity.picture ? { avatar: identity.picture } : undefined,
+      identities: []
+    });
+  }
+
+  if (user.isActive === false) {
+    console.log('  ❌ User account is deactivated');
+    return next(new AppError('Account has been deactivated. Please contact support.', 401));
+  }
+
+  attachIdentity(user, identity);
+  if (identity.emailVerified && user.email === identity.email && !user.emailVerified) {
+    user.emailVerified = true;
+  }
+  await user.save({ validateBeforeSave: user.isNew });
+
+  await finishLogin(user, req, res, next);
+});
+
+// =====================================
+// DÉLIER UN FOURNISSEUR
+// =====================================
+const unlink = catchAsync(async (req, res, next) => {
+  console.log('\n🌐 OIDC UNLINK:');
+  console.log('  Provider:', req.params.provider);
+
+  const user = await User.findById(req.user._id).select('+password');
+  const remaining = user.identities.filter(item => item.provider !== req.params.provider);
+
+  if (remaining.length === user.identities.length) {
+    return next(new AppError('This provider is not linked to your account', 404));
+  }
+
+  // Ne pas laisser un compte sans aucun moyen de connexion
+  if (!user.password && remaining.length === 0) {
+    return next(new AppError('Set a password before unlinking your last sign-in provider', 400));
+  }
+
+  user.identities = remaining;
+  await user.save({ validateBeforeSave: false });
+
+  console.log('  ✅ Provider unlinked');
+
+  sendResponse(res, 200, 'success', 'Sign-in provider unlinked successfully', {
+    identities: listIdentities(user)
+  });
+});
+
+module.exports = {
+  getProviders,
+  authorize,
+  callback,
+  unlink
+};
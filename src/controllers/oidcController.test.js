@@ -0,0 +1,354 @@
+// controllers/oidcController.test.js - Connexion OIDC face à un émetteur local simulé
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+process.env.OIDC_PROVIDERS = 'mock';
+process.env.OIDC_MOCK_CLIENT_ID = 'workwhile-test';
+process.env.FRONTEND_URL = 'http://localhost:3000';
+
+jest.mock('../services/twoFactorService', () => ({
+  ...jest.requireActual('../services/twoFactorService'),
+  isRequiredForRole: jest.fn().mockResolvedValue(false)
+}));
+
+jest.mock('../services/loginThrottleService', () => ({
+  ...jest.requireActual('../services/loginThrottleService'),
+  resetLoginAttempts: jest.fn()
+}));
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const OidcState = require('../models/OidcState');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth');
+const errorHandler = require('../middleware/errorHandler');
+const { generateToken } = require('../services/tokenService');
+
+const CLIENT_ID = process.env.OIDC_MOCK_CLIENT_ID;
+
+// Requête Mongoose simulée (chaînable et "thenable")
+const mockQuery = (result) => {
+  const query = {
+    select: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+// =====================================
+// ÉMETTEUR OIDC LOCAL
+// =====================================
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+// Codes d'autorisation émis : code -> { codeChallenge, claims, signingKey }
+const codes = new Map();
+let issuerUrl;
+let issuerServer;
+
+const issuer = express();
+issuer.use(express.urlencoded({ extended: false }));
+
+issuer.get('/.well-known/openid-configuration', (req, res) => res.json({
+  issuer: issuerUrl,
+  authorization_endpoint: `${issuerUrl}/authorize`,
+  token_endpoint: `${issuerUrl}/token`,
+  jwks_uri: `${issuerUrl}/jwks`
+}));
+
+issuer.get('/jwks', (req, res) => res.json({
+  keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' }]
+}));
+
+issuer.post('/token', (req, res) => {
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+  if (!grant || req.body.client_id !== CLIENT_ID || challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  res.json({
+    access_token: 'provider-access-token',
+    id_token: jwt.sign(grant.claims, grant.signingKey, { algorithm: 'RS256', keyid: 'test-key' })
+  });
+});
+
+// =====================================
+// APPLICATION TESTÉE
+// =====================================
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+let users;
+let states;
+
+const buildUser = (fields = {}) => new User({
+  _id: new mongoose.Types.ObjectId(),
+  firstName: 'Sara',
+  lastName: 'Alaoui',
+  email: 'sara@example.com',
+  password: 'Str0ng!Passphrase',
+  role: 'candidate',
+  isActive: true,
+  ...fields
+});
+
+// Démarrer une connexion : state, nonce et challenge PKCE envoyés au fournisseur
+const startSignIn = async (token) => {
+  const req = token
+    ? request(app).post('/api/auth/oidc/mock/link').set('Authorization', `Bearer ${token}`)
+    : request(app).get('/api/auth/oidc/mock/authorize');
+  const res = await req;
+  const params = new URL(res.body.data.authorizationUrl).searchParams;
+
+  return {
+    state: params.get('state'),
+    nonce: params.get('nonce'),
+    codeChallenge: params.get('code_challenge'),
+    cookie: res.headers['set-cookie'][0].split(';')[0]
+  };
+};
+
+// Le fournisseur authentifie l'utilisateur et émet un code pour cette connexion
+const issueCode = (signIn, claims = {}, { signingKey = privateKey } = {}) => {
+  const code = crypto.randomBytes(16).toString('hex');
+  const now = Math.floor(Date.now() / 1000);
+
+  codes.set(code, {
+    codeChallenge: signIn.codeChallenge,
+    signingKey,
+    claims: {
+      iss: issuerUrl,
+      aud: CLIENT_ID,
+      sub: 'provider-user-1',
+      email: 'sara@example.com',
+      email_verified: true,
+      given_name: 'Sara',
+      family_name: 'Alaoui',
+      nonce: signIn.nonce,
+      iat: now,
+      exp: now + 300,
+      ...claims
+    }
+  });
+  return code;
+};
+
+const finishSignIn = (signIn, code, { cookie = signIn.cookie, token } = {}) => {
+  const req = request(app).post('/api/auth/oidc/mock/callback');
+  if (cookie) req.set('Cookie', cookie);
+  if (token) req.set('Authorization', `Bearer ${token}`);
+  return req.send({ code, state: signIn.state });
+};
+
+const accessToken = (user) => generateToken({ id: user._id, email: user.email, role: user.role, family: 'session-1' });
+
+beforeAll((done) => {
+  issuerServer = issuer.listen(0, '127.0.0.1', () => {
+    issuerUrl = `http://127.0.0.1:${issuerServer.address().port}`;
+    process.env.OIDC_MOCK_ISSUER = issuerUrl;
+    done();
+  });
+});
+
+afterAll((done) => {
+  issuerServer.close(done);
+});
+
+beforeEach(() => {
+  users = [];
+  states = new Map();
+  codes.clear();
+
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  jest.spyOn(OidcState, 'create').mockImplementation(async (pending) => {
+    states.set(pending.state, pending);
+    return pending;
+  });
+  jest.spyOn(OidcState, 'consume').mockImplementation(async (state, provider) => {
+    const pending = states.get(state);
+    states.delete(state);
+    return pending && pending.provider === provider ? pending : null;
+  });
+
+  const findUser = (filter) => users.find(user => (filter.email
+    ? user.email === filter.email
+    : user.identities.some(item =>
+      item.provider === filter.identities.$elemMatch.provider && item.subject === filter.identities.$elemMatch.subject)));
+
+  jest.spyOn(User, 'findOne').mockImplementation((filter) => mockQuery(findUser(filter) || null));
+  jest.spyOn(User, 'findById').mockImplementation((id) =>
+    mockQuery(users.find(user => String(user._id) === String(id)) || null));
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+    if (!users.includes(this)) users.push(this);
+    return this;
+  });
+
+  jest.spyOn(RevokedToken, 'isRevoked').mockResolvedValue(false);
+  jest.spyOn(Session, 'isRevoked').mockResolvedValue(false);
+  jest.spyOn(RefreshToken, 'create').mockResolvedValue({});
+  jest.spyOn(Session, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('OIDC sign-in', () => {
+  it('exchanges the code with the PKCE verifier and signs in a new user', async () => {
+    const signIn = await startSignIn();
+
+    const res = await finishSignIn(signIn, issueCode(signIn));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(users).toHaveLength(1);
+    expect(users[0].emailVerified).toBe(true);
+    expect(users[0].identities[0]).toMatchObject({ provider: 'mock', subject: 'provider-user-1' });
+  });
+
+  it('sets the state cookie as httpOnly and SameSite', async () => {
+    const res = await request(app).get('/api/auth/oidc/mock/authorize');
+
+    expect(res.headers['set-cookie'][0]).toMatch(/^oidc_state=[\w-]+;/);
+    expect(res.headers['set-cookie'][0]).toMatch(/HttpOnly/);
+    expect(res.headers['set-cookie'][0]).toMatch(/SameSite=Lax/);
+  });
+
+  it('fails the exchange when the verifier does not match the challenge', async () => {
+    const signIn = await startSignIn();
+    const code = issueCode({ ...signIn, codeChallenge: 'another-challenge' });
+
+    const res = await finishSignIn(signIn, code);
+
+    expect(res.status).toBe(401);
+    expect(users).toHaveLength(0);
+  });
+
+  it.each([
+    ['another nonce', { nonce: 'replayed-nonce' }],
+    ['another issuer', { iss: 'https://evil.example.com' }],
+    ['another audience', { aud: 'someone-else' }],
+    ['an expired token', { exp: Math.floor(Date.now() / 1000) - 60 }]
+  ])('rejects an ID token with %s', async (label, claims) => {
+    const signIn = await startSignIn();
+
+    const res = await finishSignIn(signIn, issueCode(signIn, claims));
+
+    expect(res.status).toBe(401);
+    expect(users).toHaveLength(0);
+  });
+
+  it('rejects an ID token signed with an unknown key', async () => {
+    const signIn = await startSignIn();
+
+    const res = await finishSignIn(signIn, issueCode(signIn, {}, { signingKey: otherKey }));
+
+    expect(res.status).toBe(401);
+  });
+
+  it('refuses to use the same state twice', async () => {
+    const signIn = await startSignIn();
+    await finishSignIn(signIn, issueCode(signIn));
+
+    const res = await finishSignIn(signIn, issueCode(signIn));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid or expired login request. Please try again.');
+  });
+
+  it('refuses a state started in another browser', async () => {
+    const attacker = await startSignIn();
+    const code = issueCode(attacker);
+
+    const withoutCookie = await finishSignIn(attacker, code, { cookie: null });
+    const victim = await startSignIn();
+    const withOtherCookie = await finishSignIn(attacker, code, { cookie: victim.cookie });
+
+    expect(withoutCookie.status).toBe(400);
+    expect(withOtherCookie.status).toBe(400);
+    expect(OidcState.consume).not.toHaveBeenCalled();
+    expect(users).toHaveLength(0);
+  });
+});
+
+describe('OIDC account linking', () => {
+  it('links automatically to an account with the same verified email', async () => {
+    const existing = buildUser();
+    users.push(existing);
+    const signIn = await startSignIn();
+
+    const res = await finishSignIn(signIn, issueCode(signIn));
+
+    expect(res.status).toBe(200);
+    expect(users).toHaveLength(1);
+    expect(existing.identities).toHaveLength(1);
+  });
+
+  it('does not link on an unverified provider email', async () => {
+    const existing = buildUser();
+    users.push(existing);
+    const signIn = await startSignIn();
+
+    const res = await finishSignIn(signIn, issueCode(signIn, { email_verified: false }));
+
+    expect(res.status).toBe(409);
+    expect(existing.identities).toHaveLength(0);
+  });
+
+  it('links the provider to the signed-in account without a new login', async () => {
+    const account = buildUser({ email: 'account@example.com' });
+    users.push(account);
+    const signIn = await startSignIn(accessToken(account));
+
+    const res = await finishSignIn(signIn, issueCode(signIn), { token: accessToken(account) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Sign-in provider linked successfully');
+    expect(res.body.data.token).toBeUndefined();
+    expect(account.identities[0]).toMatchObject({ provider: 'mock', subject: 'provider-user-1' });
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses to complete a link for anyone but the account that started it', async () => {
+    const attacker = buildUser({ email: 'attacker@example.com' });
+    const victim = buildUser({ email: 'victim@example.com' });
+    users.push(attacker, victim);
+    const signIn = await startSignIn(accessToken(attacker));
+    const code = issueCode(signIn, { sub: 'victim-google-id', email: 'victim@example.com' });
+
+    const anonymous = await finishSignIn(signIn, code);
+
+    expect(anonymous.status).toBe(403);
+    expect(attacker.identities).toHaveLength(0);
+  });
+
+  it('refuses to link an identity already linked to another user', async () => {
+    const owner = buildUser({
+      email: 'owner@example.com',
+      identities: [{ provider: 'mock', subject: 'provider-user-1' }]
+    });
+    const account = buildUser({ email: 'account@example.com' });
+    users.push(owner, account);
+    const signIn = await startSignIn(accessToken(account));
+
+    const res = await finishSignIn(signIn, issueCode(signIn), { token: accessToken(account) });
+
+    expect(res.status).toBe(409);
+    expect(account.identities).toHaveLength(0);
+  });
+});
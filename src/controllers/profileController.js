@@ -0,0 +1,124 @@
+// controllers/profileController.js
+const User = require('../models/User');
+const { catchAsync, AppError, sendResponse } = require('../utils/helpers');
+
+// Champs de chaque section exposés publiquement (liste blanche)
+const PUBLIC_FIELDS = {
+  skills: ['name', 'level', 'yearsOfExperience'],
+  positions: ['title', 'company', 'location', 'startDate', 'endDate', 'current', 'description'],
+  education: ['degree', 'field', 'institution', 'startYear', 'graduationYear', 'description'],
+  languages: ['name', 'proficiency'],
+  links: ['type', 'url', 'label']
+};
+
+const pick = (source, fields) => {
+  const result = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined && source[field] !== null) {
+      result[field] = source[field];
+    }
+  });
+  return result;
+};
+
+// =====================================
+// CONSTRUCTION DU PROFIL PUBLIC
+// =====================================
+
+// Construire la vue publique d'un profil selon les paramètres de confidentialité
+const buildPublicProfile = (user) => {
+  const profile = user.profile || {};
+  const settings = user.publicProfile || {};
+  const hidden = new Set(settings.hiddenSections || []);
+
+  const publicProfile = {
+    slug: settings.slug,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    avatar: profile.avatar || null,
+    avatarVariants: profile.avatarImage?.variants || null,
+    location: profile.location || null,
+    memberSince: user.createdAt
+  };
+
+  if (!hidden.has('bio')) {
+    publicProfile.bio = profile.bio || null;
+  }
+
+  if (!hidden.has('skills')) {
+    publicProfile.skills = (profile.skills || []).map(skill => pick(skill, PUBLIC_FIELDS.skills));
+  }
+
+  if (!hidden.has('experience')) {
+    const experience = profile.experience || {};
+
+    publicProfile.experience = {
+      totalYears: experience.totalYears ?? null,
+      summary: experience.summary || null,
+      positions: (experience.positions || []).map(position => {
+        const entry = pick(position, PUBLIC_FIELDS.positions);
+        // L'employeur actuel peut être masqué (recherche d'emploi discrète)
+        if (settings.hideCurrentEmployer && position.current) {
+          delete entry.company;
+        }
+        return entry;
+      })
+    };
+  }
+
+  if (!hidden.has('education')) {
+    publicProfile.education = (profile.education || []).map(entry => pick(entry, PUBLIC_FIELDS.education));
+  }
+
+  if (!hidden.has('languages')) {
+    publicProfile.languages = (profile.languages || []).map(language => pick(language, PUBLIC_FIELDS.languages));
+  }
+
+  if (!hidden.has('links')) {
+    publicProfile.links = (profile.links || []).map(link => pick(link, PUBLIC_FIELDS.links));
+  }
+
+  // Coordonnées masquées par défaut
+  if (settings.hideContactInfo === false) {
+    publicProfile.contact = {
+      email: user.email,
+      phone: profile.phone || null
+    };
+  }
+
+  return publicProfile;
+};
+
+// =====================================
+// CONSULTER UN PROFIL PUBLIC
+// =====================================
+const getPublicProfile = catchAsync(async (req, res, next) => {
+  const slug = String(req.params.slug || '').toLowerCase();
+  console.log('🌐 Public profile requested:', slug);
+
+  // Profil privé, compte désactivé ou en cours d'effacement : même réponse
+  // qu'un profil inexistant pour ne rien révéler
+  const user = await User.findOne({
+    'publicProfile.slug': slug,
+    'publicProfile.visibility': 'public',
+    isActive: true,
+    'deletion.scheduledFor': { $exists: false }
+  })
+    .select('firstName lastName email profile publicProfile createdAt');
+
+  if (!user) {
+    return next(new AppError('Profile not found', 404));
+  }
+
+  // Un changement de confidentialité doit être visible immédiatement
+  res.set('Cache-Control', 'no-store');
+
+  sendResponse(res, 200, 'success', 'Profile retrieved successfully', {
+    // Document hydraté : les anciens formats de profil sont convertis à la lecture
+    profile: buildPublicProfile(user.toObject())
+  });
+});
+
+module.exports = {
+  getPublicProfile
+};
@@ -0,0 +1,160 @@
+// controllers/profileController.test.js - Profils publics : ce qui est montré et ce qui est masqué
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const profileRoutes = require('../routes/profiles');
+const errorHandler = require('../middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/profiles', profileRoutes);
+app.use(errorHandler);
+
+// Document tel que lu en base (hydraté : conversions pre('init') comprises)
+const storedUser = (publicProfile = {}, fields = {}) => User.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  firstName: 'Sara',
+  lastName: 'Alaoui',
+  email: 'sara@example.com',
+  password: '$2a$10$hashedpasswordhashedpasswordhashedpasswordhashe',
+  role: 'candidate',
+  isActive: true,
+  tokenVersion: 3,
+  emailVerificationToken: 'verification-token-hash',
+  passwordResetToken: 'reset-token-hash',
+  twoFactor: { enabled: true, secret: 'encrypted-secret' },
+  identities: [{ provider: 'google', subject: 'google-sub', email: 'sara@example.com' }],
+  deletion: { requestedAt: new Date() },
+  createdAt: new Date('2024-01-15T10:00:00Z'),
+  profile: {
+    phone: '+212600000000',
+    location: 'Casablanca',
+    bio: 'Frontend developer',
+    skills: [{ name: 'React', level: 'expert' }],
+    experience: {
+      totalYears: 6,
+      positions: [
+        { title: 'Lead developer', company: 'Current Corp', current: true },
+        { title: 'Developer', company: 'Previous SARL', current: false }
+      ]
+    },
+    education: [{ degree: 'Master', institution: 'ENSIAS', gpa: 3.2 }],
+    languages: [{ name: 'French', proficiency: 'fluent' }],
+    links: [{ type: 'github', url: 'https://github.com/sara' }]
+  },
+  publicProfile: { visibility: 'public', slug: 'sara-alaoui', ...publicProfile },
+  ...fields
+});
+
+let findOne;
+
+const mockProfile = (user) => {
+  findOne = jest.spyOn(User, 'findOne').mockReturnValue({ select: () => Promise.resolve(user) });
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/profiles/:slug', () => {
+  it('only looks up public profiles of active accounts not scheduled for deletion', async () => {
+    mockProfile(storedUser());
+
+    const res = await request(app).get('/api/profiles/Sara-Alaoui');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(findOne).toHaveBeenCalledWith({
+      'publicProfile.slug': 'sara-alaoui',
+      'publicProfile.visibility': 'public',
+      isActive: true,
+      'deletion.scheduledFor': { $exists: false }
+    });
+  });
+
+  it('answers 404 for a private, inactive or deleted profile', async () => {
+    mockProfile(null);
+
+    const res = await request(app).get('/api/profiles/sara-alaoui');
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Profile not found');
+  });
+
+  it('only exposes whitelisted fields', async () => {
+    mockProfile(storedUser({ hideContactInfo: false }));
+
+    const res = await request(app).get('/api/profiles/sara-alaoui');
+    const { profile } = res.body.data;
+
+    expect(Object.keys(profile).sort()).toEqual([
+      'avatar', 'avatarVariants', 'bio', 'contact', 'education', 'experience', 'firstName',
+      'languages', 'lastName', 'links', 'location', 'memberSince', 'skills', 'slug'
+    ]);
+    expect(profile.education[0]).toEqual({ degree: 'Master', institution: 'ENSIAS' });
+
+    const body = JSON.stringify(res.body);
+    ['password', 'tokenVersion', 'identities', 'deletion', 'twoFactor', 'google-sub', 'token-hash', 'encrypted-secret', 'role']
+      .forEach(secret => expect(body).not.toContain(secret));
+  });
+
+  it('hides the contact details by default', async () => {
+    mockProfile(storedUser());
+
+    const res = await request(app).get('/api/profiles/sara-alaoui');
+
+    expect(res.body.data.profile.contact).toBeUndefined();
+    expect(JSON.stringify(res.body)).not.toContain('sara@example.com');
+    expect(JSON.stringify(res.body)).not.toContain('+212600000000');
+  });
+
+  it('shows the contact details only when the candidate allows it', async () => {
+    mockProfile(storedUser({ hideContactInfo: false }));
+
+    const res = await request(app).get('/api/profiles/sara-alaoui');
+
+    expect(res.body.data.profile.contact).toEqual({ email: 'sara@example.com', phone: '+212600000000' });
+  });
+
+  it('removes the company of current positions only when hiding the current employer', async () => {
+    mockProfile(storedUser({ hideCurrentEmployer: true }));
+
+    const res = await request(app).get('/api/profiles/sara-alaoui');
+    const [current, previous] = res.body.data.profile.experience.positions;
+
+    expect(current).toEqual({ title: 'Lead developer', current: true });
+    expect(previous).toMatchObject({ title: 'Developer', company: 'Previous SARL' });
+    expect(JSON.stringify(res.body)).not.toContain('Current Corp');
+  });
+
+  it('leaves hidden sections out of the response', async () => {
+    mockProfile(storedUser({ hiddenSections: ['bio', 'experience', 'links'] }));
+
+    const res = await request(app).get('/api/profiles/sara-alaoui');
+    const { profile } = res.body.data;
+
+    expect(profile).not.toHaveProperty('bio');
+    expect(profile).not.toHaveProperty('experience');
+    expect(profile).not.toHaveProperty('links');
+    expect(profile.skills).toEqual([{ name: 'React', level: 'expert' }]);
+  });
+
+  it('converts legacy profile formats before filtering', async () => {
+    mockProfile(storedUser({}, {
+      profile: { skills: ['React', 'Node.js'], experience: '5 years of frontend work', education: 'Master ENSIAS' }
+    }));
+
+    const res = await request(app).get('/api/profiles/sara-alaoui');
+    const { profile } = res.body.data;
+
+    expect(profile.skills).toEqual([{ name: 'React' }, { name: 'Node.js' }]);
+    expect(profile.experience).toMatchObject({ summary: '5 years of frontend work', positions: [] });
+    expect(profile.education).toEqual([{ description: 'Master ENSIAS' }]);
+  });
+});
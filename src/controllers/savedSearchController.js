@@ -0,0 +1,168 @@
+// controllers/savedSearchController.js
+const SavedSearch = require('../models/SavedSearch');
+const { catchAsync, AppError, sendResponse } = require('../utils/helpers');
+const { savedSearchValidators } = require('../utils/validators');
+const { findMatchingJobs } = require('../services/savedSearchService');
+
+const MAX_SAVED_SEARCHES = 20;
+
+// Trouver une recherche de l'utilisateur connecté
+const findOwnSavedSearch = (req) => {
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) return null;
+  return SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+};
+
+// =====================================
+// LISTER LES RECHERCHES
+// =====================================
+const getSavedSearches = catchAsync(async (req, res, next) => {
+  const savedSearches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+  sendResponse(res, 200, 'success', 'Saved searches retrieved successfully', {
+    savedSearches,
+    total: savedSearches.length
+  });
+});
+
+// =====================================
+// ENREGISTRER UNE RECHERCHE
+// =====================================
+const createSavedSearch = catchAsync(async (req, res, next) => {
+  console.log('\n🔔 CREATE SAVED SEARCH:');
+  console.log('  User ID:', req.user._id);
+
+  const { error, value } = savedSearchValidators.create.validate(req.body);
+  if (error) {
+    return next(new AppError(error.details[0].message, 400));
+  }
+
+  const count = await SavedSearch.countDocuments({ user: req.user._id });
+  if (count >= MAX_SAVED_SEARCHES) {
+    return next(new AppError(`You can save at most ${MAX_SAVED_SEARCHES} searches. Delete one first.`, 400));
+  }
+
+  const savedSearch = await SavedSearch.create({
+    user: req.user._id,
+    ...value
+  });
+
+  console.log('  ✅ Saved search created:', savedSearch._id, `(${savedSearch.frequency})`);
+
+  sendResponse(res, 201, 'success', 'Search saved successfully', {
+    savedSearch
+  });
+});
+
+// =====================================
+// MODIFIER UNE RECHERCHE
+// =====================================
+const updateSavedSearch = catchAsync(async (req, res, next) => {
+  const { error, value } = savedSearchValidators.update.validate(req.body);
+  if (error) {
+    return next(new AppError(error.details[0].message, 400));
+  }
+
+  const savedSearch = await findOwnSavedSearch(req);
+  if (!savedSearch) {
+    return next(new AppError('Saved search not found', 404));
+  }
+
+  savedSearch.set(value);
+  await savedSearch.save();
+
+  sendResponse(res, 200, 'success', 'Saved search updated successfully', {
+    savedSearch
+  });
+});
+
+// =====================================
+// SUPPRIMER UNE RECHERCHE
+// =====================================
+const deleteSavedSearch = catchAsync(async (req, res, next) => {
+  const savedSearch = await findOwnSavedSearch(req);
+  if (!savedSearch) {
+    return next(new AppError('Saved search not found', 404));
+  }
+
+  await savedSearch.deleteOne();
+
+  sendResponse(res, 200, 'success', 'Saved search deleted successfully');
+});
+
+// =====================================
+// OFFRES CORRESPONDANTES
+// =====================================
+// Aperçu des offres actives correspondant à une recherche (toutes, ou
+// seulement celles publiées depuis la dernière alerte avec ?new=true)
+const getSavedSearchJobs = catchAsync(async (req, res, next) => {
+  const savedSearch = await findOwnSavedSearch(req);
+  if (!savedSearch) {
+    return next(new AppError('Saved search not found', 404));
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+  const { jobs, total } = await findMatchingJobs(savedSearch.toObject().criteria || {}, {
+    since: req.query.new === 'true' ? savedSearch.lastCheckedAt : undefined,
+    limit
+  });
+
+  sendResponse(res, 200, 'success', 'Matching jobs retrieved successfully', {
+    jobs,
+    total,
+    since: req.query.new === 'true' ? savedSearch.lastCheckedAt : null
+  });
+});
+
+// =====================================
+// DÉSINSCRIPTION EN UN CLIC
+// =====================================
+// Recherche désignée par le lien de désinscription d'une alerte
+const findByUnsubscribeToken = (token) => (/^[0-9a-f]{48}$/.test(token)
+  ? SavedSearch.findOne({ unsubscribeToken: token })
+  : null);
+
+// GET (lien de l'email) : confirmation uniquement. Les antivirus et les
+// préchargements de liens ouvrent l'URL sans action de l'utilisateur.
+const getUnsubscribe = catchAsync(async (req, res, next) => {
+  const savedSearch = await findByUnsubscribeToken(req.params.token);
+  if (!savedSearch) {
+    return next(new AppError('Invalid unsubscribe link', 404));
+  }
+
+  sendResponse(res, 200, 'success', savedSearch.alertsEnabled
+    ? `Confirm to stop receiving alerts for "${savedSearch.name}"`
+    : `Alerts for "${savedSearch.name}" are already turned off`, {
+    name: savedSearch.name,
+    alertsEnabled: savedSearch.alertsEnabled
+  });
+});
+
+// POST (page de confirmation ou client mail, RFC 8058) : désactive les alertes
+// sans connexion
+const unsubscribe = catchAsync(async (req, res, next) => {
+  const savedSearch = await findByUnsubscribeToken(req.params.token);
+  if (!savedSearch) {
+    return next(new AppError('Invalid unsubscribe link', 404));
+  }
+
+  if (savedSearch.alertsEnabled) {
+    savedSearch.alertsEnabled = false;
+    await savedSearch.save();
+    console.log('🔕 Job alert unsubscribed:', savedSearch._id);
+  }
+
+  sendResponse(res, 200, 'success', `You will no longer receive alerts for "${savedSearch.name}"`, {
+    name: savedSearch.name,
+    alertsEnabled: false
+  });
+});
+
+module.exports = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchJobs,
+  getUnsubscribe,
+  unsubscribe
+};
@@ -0,0 +1,61 @@
+// controllers/savedSearchController.test.js - Désinscription depuis l'email d'alerte
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const SavedSearch = require('../models/SavedSearch');
+const savedSearchRoutes = require('../routes/savedSearches');
+const errorHandler = require('../middleware/errorHandler');
+
+const token = 'a'.repeat(48);
+
+const app = express();
+app.use(express.json());
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use(errorHandler);
+
+let savedSearch;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  savedSearch = new SavedSearch({
+    user: new mongoose.Types.ObjectId(),
+    name: 'React in Casablanca',
+    criteria: { search: 'react', location: 'Casablanca' },
+    alertsEnabled: true
+  });
+  jest.spyOn(savedSearch, 'save').mockResolvedValue(savedSearch);
+  jest.spyOn(SavedSearch, 'findOne').mockResolvedValue(savedSearch);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('unsubscribe links', () => {
+  it('only asks for confirmation on GET (link scanners and prefetch)', async () => {
+    const res = await request(app).get(`/api/saved-searches/unsubscribe/${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ name: 'React in Casablanca', alertsEnabled: true });
+    expect(savedSearch.alertsEnabled).toBe(true);
+    expect(savedSearch.save).not.toHaveBeenCalled();
+  });
+
+  it('turns the alerts off on POST', async () => {
+    const res = await request(app).post(`/api/saved-searches/unsubscribe/${token}`);
+
+    expect(res.status).toBe(200);
+    expect(SavedSearch.findOne).toHaveBeenCalledWith({ unsubscribeToken: token });
+    expect(savedSearch.alertsEnabled).toBe(false);
+    expect(savedSearch.save).toHaveBeenCalled();
+  });
+
+  it('rejects malformed tokens without querying the database', async () => {
+    const res = await request(app).post('/api/saved-searches/unsubscribe/not-a-token');
+
+    expect(res.status).toBe(404);
+    expect(SavedSearch.findOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,195 @@
+// controllers/twoFactorController.js
+const User = require('../models/User');
+const { catchAsync, AppError, sendResponse } = require('../utils/helpers');
+const {
+  generateSecret,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  verifyTOTP,
+  encryptSecret,
+  decryptSecret
+} = require('../utils/totp');
+const {
+  isRequiredForRole,
+  verifyUserCode,
+  hashRecoveryCodes
+} = require('../services/twoFactorService');
+
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// =====================================
+// STATUT DE LA 2FA
+// =====================================
+const getStatus = catchAsync(async (req, res, next) => {
+  console.log('\n🔐 2FA STATUS:');
+  console.log('  User ID:', req.user._id);
+
+  const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+  sendResponse(res, 200, 'success', 'Two-factor status retrieved successfully', {
+    enabled: !!user.twoFactor?.enabled,
+    enabledAt: user.twoFactor?.enabledAt || null,
+    required: await isRequiredForRole(user.role),
+    remainingRecoveryCodes: user.twoFactor?.enabled ? (user.twoFactor.recoveryCodes || []).length : 0
+  });
+});
+
+// =====================================
+// DÉMARRER L'ENRÔLEMENT
+// =====================================
+const setup = catchAsync(async (req, res, next) => {
+  console.log('\n🔐 2FA SETUP:');
+  console.log('  User ID:', req.user._id);
+
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+  if (user.twoFactor?.enabled) {
+    console.log('  ❌ 2FA already enabled');
+    return next(new AppError('Two-factor authentication is already enabled', 409));
+  }
+
+  // Le secret reste "en attente" jusqu'à la confirmation par un premier code
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save({ validateBeforeSave: false });
+
+  const otpauthUrl = buildOtpauthUri({
+    secret,
+    accountName: user.email,
+    issuer: process.env.TWO_FACTOR_ISSUER || 'WorkWhile'
+  });
+
+  console.log('  ✅ Pending secret generated');
+
+  sendResponse(res, 200, 'success', 'Scan the QR code with your authenticator app, then confirm with a code', {
+    secret,
+    otpauthUrl
+  });
+});
+
+// =====================================
+// CONFIRMER ET ACTIVER LA 2FA
+// =====================================
+const enable = catchAsync(async (req, res, next) => {
+  console.log('\n🔐 2FA ENABLE:');
+  console.log('  User ID:', req.user._id);
+
+  const { code } = req.body;
+  if (!code) {
+    return next(new AppError('Verification code is required', 400));
+  }
+
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+  if (user.twoFactor?.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 409));
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    return next(new AppError('No two-factor setup in progress. Start the setup first.', 400));
+  }
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyTOTP(secret, code);
+  if (step === null) {
+    console.log('  ❌ Invalid verification code');
+    return next(new AppError('Invalid verification code', 400));
+  }
+
+  // Les codes de récupération ne sont affichés qu'une seule fois
+  const recoveryCodes = generateRecoveryCodes();
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = hashRecoveryCodes(recoveryCodes);
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  console.log('  ✅ 2FA enabled');
+
+  sendResponse(res, 200, 'success', 'Two-factor authentication enabled. Store your recovery codes in a safe place.', {
+    recoveryCodes
+  });
+});
+
+// =====================================
+// DÉSACTIVER LA 2FA
+// =====================================
+const disable = catchAsync(async (req, res, next) => {
+  console.log('\n🔐 2FA DISABLE:');
+  console.log('  User ID:', req.user._id);
+
+  const { password, code, recoveryCode } = req.body;
+  if (!password || (!code && !recoveryCode)) {
+    return next(new AppError('Password and a verification or recovery code are required', 400));
+  }
+
+  if (await isRequiredForRole(req.user.role)) {
+    console.log('  ❌ 2FA is mandatory for role:', req.user.role);
+    return next(new AppError('Two-factor authentication is required for your role and cannot be disabled', 403));
+  }
+
+  const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+  if (!user.twoFactor?.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (!(await user.comparePassword(password))) {
+    return next(new AppError('Password is incorrect', 400));
+  }
+
+  if (!verifyUserCode(user, { code, recoveryCode }).valid) {
+    return next(new AppError('Invalid verification code', 400));
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  console.log('  ✅ 2FA disabled');
+
+  sendResponse(res, 200, 'success', 'Two-factor authentication disabled');
+});
+
+// =====================================
+// RÉGÉNÉRER LES CODES DE RÉCUPÉRATION
+// =====================================
+const regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  console.log('\n🔐 2FA REGENERATE RECOVERY CODES:');
+  console.log('  User ID:', req.user._id);
+
+  const { code } = req.body;
+  if (!code) {
+    return next(new AppError('Verification code is required', 400));
+  }
+
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+  if (!user.twoFactor?.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (!verifyUserCode(user, { code }).valid) {
+    return next(new AppError('Invalid verification code', 400));
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashRecoveryCodes(recoveryCodes);
+  await user.save({ validateBeforeSave: false });
+
+  console.log('  ✅ Recovery codes regenerated');
+
+  sendResponse(res, 200, 'success', 'Recovery codes regenerated. Previous codes are no longer valid.', {
+    recoveryCodes
+  });
+});
+
+module.exports = {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateRecoveryCodes
+};
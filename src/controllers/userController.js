@@ -2,7 +2,27 @@
 const User = require('../models/User');
 const Job = require('../models/Job');
 const { catchAsync, AppError, sendResponse, getPaginationMeta } = require('../utils/helpers');
-const { userValidators } = require('../utils/validators');
+const { userValidators, profileEntryValidators } = require('../utils/validators');
+const Session = require('../models/Session');
+const crypto = require('crypto');
+const { reissueAfterPasswordChange, reissueAfterEmailChange, revokeSession } = require('../services/tokenService');
+const emailService = require('../services/emailService');
+const { getPasswordPolicyError } = require('../services/passwordPolicyService');
+const { checkLoginAllowed, recordFailedLogin } = require('../services/loginThrottleService');
+const {
+  GRACE_PERIOD_DAYS,
+  scheduleErasure,
+  cancelErasure
+} = require('../services/accountErasureService');
+const AuditLog = require('../models/AuditLog');
+const DataExport = require('../models/DataExport');
+const {
+  EXPORT_TTL_HOURS,
+  requestExport,
+  createDownloadLink
+} = require('../services/dataExportService');
+const { processImage, removeImage, isLocalUploadUrl } = require('../services/imageService');
+const { evaluateCompleteness } = require('../services/profileCompletenessService');
 
 // Obtenir le profil de l'utilisateur
 const getProfile = catchAsync(async (req, res, next) => {
@@ -31,39 +51,381 @@ const getProfile = catchAsync(async (req, res, next) => {
   }
 });
 
+// Sections structurées du profil : chemin du tableau et nombre maximal d'entrées
+const PROFILE_SECTIONS = {
+  skills: { path: 'profile.skills', max: 50, uniqueBy: 'name' },
+  experience: { path: 'profile.experience.positions', max: 30 },
+  education: { path: 'profile.education', max: 20 },
+  languages: { path: 'profile.languages', max: 20, uniqueBy: 'name' },
+  links: { path: 'profile.links', max: 10, uniqueBy: 'url' }
+};
+
+// Convertir une mise à jour du profil en chemins champ par champ (ne pas écraser
+// les sections absentes de la requête) en acceptant les anciens formats texte
+const buildProfileUpdate = (profile = {}) => {
+  const updates = {};
+
+  Object.entries(profile).forEach(([key, value]) => {
+    if (key === 'skills') {
+      updates['profile.skills'] = value.map(skill => (typeof skill === 'string' ? { name: skill } : skill));
+    } else if (key === 'experience' && typeof value === 'string') {
+      updates['profile.experience.summary'] = value;
+    } else if (key === 'experience') {
+      Object.entries(value).forEach(([field, fieldValue]) => {
+        updates[`profile.experience.${field}`] = fieldValue;
+      });
+    } else if (key === 'education' && typeof value === 'string') {
+      updates['profile.education'] = value ? [{ description: value }] : [];
+    } else {
+      updates[`profile.${key}`] = value;
+    }
+  });
+
+  return updates;
+};
+
 // Mettre à jour le profil de l'utilisateur
 const updateProfile = catchAsync(async (req, res, next) => {
   try {
     // Filtrer les champs autorisés
-    const allowedFields = ['firstName', 'lastName', 'profile'];
     const updates = {};
     
-    Object.keys(req.body).forEach(key => {
-      if (allowedFields.includes(key)) {
+    ['firstName', 'lastName'].forEach(key => {
+      if (req.body[key] !== undefined) {
         updates[key] = req.body[key];
       }
     });
 
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      updates,
-      { new: true, runValidators: true }
-    );
+    Object.assign(updates, buildProfileUpdate(req.body.profile));
+
+    const user = await User.findById(req.user._id);
 
     if (!user) {
       return next(new AppError('User not found', 404));
     }
 
+    // Une URL d'avatar saisie à la main remplace l'image téléversée
+    let replacedAvatar = null;
+    if (updates['profile.avatar'] !== undefined && updates['profile.avatar'] !== user.profile?.avatar) {
+      // Nos fichiers ne sont référencés que par PUT /profile/avatar
+      if (isLocalUploadUrl(updates['profile.avatar'])) {
+        return next(new AppError('Please upload your profile picture with PUT /api/users/profile/avatar', 400));
+      }
+      replacedAvatar = user.profile?.avatarImage;
+      user.set('profile.avatarImage', undefined);
+    }
+
+    Object.entries(updates).forEach(([path, value]) => user.set(path, value));
+    // Réécrire le profil entier : les anciens formats lus en base sont convertis
+    user.markModified('profile');
+    await user.save();
+
+    if (replacedAvatar) {
+      await removeImage(replacedAvatar);
+    }
+
     sendResponse(res, 200, 'success', 'Profile updated successfully', {
       user
     });
 
   } catch (error) {
     console.error('Update profile error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return next(new AppError(`Validation error: ${messages.join(', ')}`, 400));
+    }
+
     return next(new AppError('Failed to update profile', 500));
   }
 });
 
+// =====================================
+// PHOTO DE PROFIL
+// =====================================
+
+// Téléverser une photo de profil (variantes redimensionnées WebP + JPEG)
+const uploadAvatar = catchAsync(async (req, res, next) => {
+  console.log('🖼️ Avatar upload for user:', req.user._id);
+
+  if (!req.file) {
+    return next(new AppError('Please select an image to upload (field "avatar")', 400));
+  }
+
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const image = await processImage(req.file.buffer, 'avatar', user._id);
+  const previousImage = user.profile?.avatarImage;
+
+  user.set('profile.avatarImage', image);
+  user.set('profile.avatar', image.variants.medium.jpeg);
+
+  try {
+    await user.save();
+  } catch (error) {
+    await removeImage(image);
+    throw error;
+  }
+
+  // Les anciennes variantes ne sont supprimées qu'une fois la nouvelle image enregistrée
+  const filesDeleted = await removeImage(previousImage);
+  console.log('  ✅ Avatar updated, old files removed:', filesDeleted);
+
+  sendResponse(res, 200, 'success', 'Profile picture updated successfully', {
+    avatar: user.profile.avatar,
+    avatarImage: user.profile.avatarImage
+  });
+});
+
+// Supprimer la photo de profil
+const deleteAvatar = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (!user.profile?.avatar && !user.profile?.avatarImage) {
+    return next(new AppError('You do not have a profile picture', 404));
+  }
+
+  const previousImage = user.profile.avatarImage;
+
+  user.set('profile.avatar', undefined);
+  user.set('profile.avatarImage', undefined);
+  await user.save();
+
+  await removeImage(previousImage);
+
+  sendResponse(res, 200, 'success', 'Profile picture removed successfully');
+});
+
+// Complétude du profil (et de l'entreprise pour les employeurs) avec conseils
+const getProfileCompleteness = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const completeness = await evaluateCompleteness(user);
+  console.log('📊 Profile completeness for user:', user._id, `${completeness.score}%`);
+
+  sendResponse(res, 200, 'success', 'Profile completeness calculated successfully', completeness);
+});
+
+// =====================================
+// PROFIL PUBLIC
+// =====================================
+
+const formatPublicProfileSettings = (user) => {
+  const settings = user.publicProfile?.toObject ? user.publicProfile.toObject() : (user.publicProfile || {});
+
+  return {
+    visibility: settings.visibility || 'private',
+    slug: settings.slug || null,
+    hideContactInfo: settings.hideContactInfo !== false,
+    hideCurrentEmployer: settings.hideCurrentEmployer === true,
+    hiddenSections: settings.hiddenSections || [],
+    url: settings.slug ? `${process.env.FRONTEND_URL}/profiles/${settings.slug}` : null
+  };
+};
+
+// Obtenir les paramètres de confidentialité du profil public
+const getPublicProfileSettings = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('publicProfile');
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  sendResponse(res, 200, 'success', 'Public profile settings retrieved successfully', {
+    publicProfile: formatPublicProfileSettings(user)
+  });
+});
+
+// Mettre à jour les paramètres du profil public (visibilité, adresse, sections masquées)
+const updatePublicProfileSettings = catchAsync(async (req, res, next) => {
+  console.log('🌐 Updating public profile settings for user:', req.user._id);
+
+  const user = await User.findById(req.user._id);
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const { visibility, hideContactInfo, hideCurrentEmployer, hiddenSections } = req.body;
+  const slug = req.body.slug !== undefined ? String(req.body.slug).trim().toLowerCase() : undefined;
+
+  if (slug !== undefined && slug !== user.publicProfile?.slug) {
+    const taken = await User.exists({ 'publicProfile.slug': slug, _id: { $ne: user._id } });
+    if (taken) {
+      return next(new AppError('This profile URL is already taken', 409));
+    }
+    user.set('publicProfile.slug', slug);
+  }
+
+  if (visibility !== undefined) user.set('publicProfile.visibility', visibility);
+  if (hideContactInfo !== undefined) user.set('publicProfile.hideContactInfo', hideContactInfo);
+  if (hideCurrentEmployer !== undefined) user.set('publicProfile.hideCurrentEmployer', hideCurrentEmployer);
+  if (hiddenSections !== undefined) user.set('publicProfile.hiddenSections', hiddenSections);
+
+  // Adresse générée à partir du nom lors de la première publication
+  if (user.publicProfile.visibility === 'public' && !user.publicProfile.slug) {
+    user.set('publicProfile.slug', await User.generatePublicSlug(`${user.firstName} ${user.lastName}`, user._id));
+  }
+
+  try {
+    await user.save();
+  } catch (error) {
+    // Adresse prise entre la vérification et l'enregistrement
+    if (error.code === 11000) {
+      return next(new AppError('This profile URL is already taken', 409));
+    }
+    throw error;
+  }
+
+  console.log('  ✅ Public profile is now', user.publicProfile.visibility);
+
+  sendResponse(res, 200, 'success', 'Public profile settings updated successfully', {
+    publicProfile: formatPublicProfileSettings(user)
+  });
+});
+
+// =====================================
+// SECTIONS STRUCTURÉES DU PROFIL
+// =====================================
+
+// Lister les entrées d'une section (skills, experience, education, languages, links)
+const getProfileSection = catchAsync(async (req, res, next) => {
+  const { section } = req.params;
+  const user = await User.findById(req.user._id);
+
+  sendResponse(res, 200, 'success', 'Profile section retrieved successfully', {
+    section,
+    entries: user.get(PROFILE_SECTIONS[section].path) || []
+  });
+});
+
+// Vérifier qu'une entrée n'existe pas déjà (ex: même compétence deux fois)
+const findDuplicateEntry = (entries, config, value, excludeId) => {
+  if (!config.uniqueBy) return null;
+
+  const key = String(value[config.uniqueBy]).toLowerCase();
+  return entries.find(entry =>
+    String(entry[config.uniqueBy]).toLowerCase() === key &&
+    (!excludeId || entry._id.toString() !== excludeId)
+  );
+};
+
+// Ajouter une entrée à une section
+const addProfileEntry = catchAsync(async (req, res, next) => {
+  const { section } = req.params;
+  const config = PROFILE_SECTIONS[section];
+
+  console.log('\n🧩 ADD PROFILE ENTRY:');
+  console.log('  User ID:', req.user._id);
+  console.log('  Section:', section);
+
+  const { error, value } = profileEntryValidators[section].validate(req.body);
+  if (error) {
+    return next(new AppError(error.details[0].message, 400));
+  }
+
+  const user = await User.findById(req.user._id);
+  const entries = user.get(config.path);
+
+  if (entries.length >= config.max) {
+    return next(new AppError(`You cannot add more than ${config.max} ${section} entries`, 400));
+  }
+
+  if (findDuplicateEntry(entries, config, value)) {
+    return next(new AppError(`This ${section} entry already exists`, 409));
+  }
+
+  entries.push(value);
+  // Réécrire le profil entier (convertit aussi les anciens formats stockés)
+  user.markModified('profile');
+  await user.save();
+
+  console.log('  ✅ Entry added');
+
+  sendResponse(res, 201, 'success', 'Profile entry added successfully', {
+    section,
+    entry: entries[entries.length - 1],
+    entries
+  });
+});
+
+// Modifier une entrée d'une section
+const updateProfileEntry = catchAsync(async (req, res, next) => {
+  const { section, entryId } = req.params;
+  const config = PROFILE_SECTIONS[section];
+
+  const { error, value } = profileEntryValidators[section].validate(req.body);
+  if (error) {
+    return next(new AppError(error.details[0].message, 400));
+  }
+
+  if (!entryId.match(/^[0-9a-fA-F]{24}$/)) {
+    return next(new AppError('Invalid entry ID format', 400));
+  }
+
+  const user = await User.findById(req.user._id);
+  const entries = user.get(config.path);
+  const entry = entries.id(entryId);
+
+  if (!entry) {
+    return next(new AppError('Profile entry not found', 404));
+  }
+
+  if (findDuplicateEntry(entries, config, value, entryId)) {
+    return next(new AppError(`This ${section} entry already exists`, 409));
+  }
+
+  // Remplacement complet de l'entrée (PUT)
+  Object.keys(entry.toObject()).forEach(field => {
+    if (field !== '_id') entry.set(field, undefined);
+  });
+  entry.set(value);
+  user.markModified('profile');
+  await user.save();
+
+  sendResponse(res, 200, 'success', 'Profile entry updated successfully', {
+    section,
+    entry,
+    entries
+  });
+});
+
+// Supprimer une entrée d'une section
+const deleteProfileEntry = catchAsync(async (req, res, next) => {
+  const { section, entryId } = req.params;
+  const config = PROFILE_SECTIONS[section];
+
+  if (!entryId.match(/^[0-9a-fA-F]{24}$/)) {
+    return next(new AppError('Invalid entry ID format', 400));
+  }
+
+  const user = await User.findById(req.user._id);
+  const entries = user.get(config.path);
+
+  if (!entries.id(entryId)) {
+    return next(new AppError('Profile entry not found', 404));
+  }
+
+  entries.pull(entryId);
+  user.markModified('profile');
+  await user.save();
+
+  sendResponse(res, 200, 'success', 'Profile entry deleted successfully', {
+    section,
+    entries
+  });
+});
+
 // Obtenir les emplois sauvegardés
 const getSavedJobs = catchAsync(async (req, res, next) => {
   try {
@@ -187,11 +549,31 @@ const changePassword = catchAsync(async (req, res, next) => {
       return next(new AppError('Current password is incorrect', 400));
     }
 
+    // Politique de mots de passe, historique inclus (erreurs détaillées par règle)
+    const policyError = await getPasswordPolicyError(newPassword, { user });
+    if (policyError) {
+      return next(policyError);
+    }
+
     // Mettre à jour le mot de passe
     user.password = newPassword;
     await user.save();
 
-    sendResponse(res, 200, 'success', 'Password changed successfully');
+    // Invalider les autres sessions, la session courante reçoit de nouveaux tokens
+    const { token, refreshToken } = await reissueAfterPasswordChange(user, req);
+
+    emailService.sendPasswordChangedEmail(user, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      changedAt: new Date()
+    }).catch(emailError => {
+      console.error('Password changed email error:', emailError.message);
+    });
+
+    sendResponse(res, 200, 'success', 'Password changed successfully', {
+      token,
+      refreshToken
+    });
 
   } catch (error) {
     console.error('Change password error:', error);
@@ -210,7 +592,7 @@ const getUserStats = catchAsync(async (req, res, next) => {
 
     // Calculer les statistiques selon le rôle
     let stats = {
-      profileCompleteness: calculateProfileCompleteness(user),
+      profileCompleteness: (await evaluateCompleteness(user)).score,
       savedJobsCount: user.savedJobs.length,
       accountAge: Math.floor((new Date() - new Date(user.createdAt)) / (1000 * 60 * 60 * 24))
     };
@@ -242,47 +624,453 @@ const getUserStats = catchAsync(async (req, res, next) => {
   }
 });
 
+// =====================================
+// CHANGEMENT D'ADRESSE EMAIL
+// =====================================
+
+// Délai minimal entre deux demandes (limite les envois d'emails)
+const EMAIL_CHANGE_COOLDOWN_MS = 60 * 1000;
+
+const formatPendingEmailChange = (pending) => {
+  if (!pending?.newEmail) return null;
+
+  return {
+    newEmail: pending.newEmail,
+    requestedAt: pending.requestedAt,
+    expiresAt: pending.expiresAt,
+    expired: pending.expiresAt < new Date()
+  };
+};
+
+// Demander un changement d'email : rien ne change avant la confirmation
+// depuis la nouvelle adresse
+const requestEmailChange = catchAsync(async (req, res, next) => {
+  console.log('\n📧 EMAIL CHANGE REQUEST:');
+  console.log('  User ID:', req.user._id);
+
+  const user = await User.findById(req.user._id).select('+password');
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  // Avant toute vérification du mot de passe
+  const requestedAt = user.pendingEmailChange?.requestedAt;
+  if (requestedAt && Date.now() - requestedAt.getTime() < EMAIL_CHANGE_COOLDOWN_MS) {
+    return next(new AppError('Please wait a minute before requesting another email change', 429));
+  }
+
+  const newEmail = req.body.newEmail.toLowerCase().trim();
+
+  if (newEmail === user.email) {
+    return next(new AppError('This is already your email address', 400));
+  }
+
+  // Mêmes règles de format que le champ email du modèle
+  const emailError = new User({ email: newEmail }).validateSync(['email']);
+  if (emailError) {
+    return next(new AppError(emailError.errors.email.message, 400));
+  }
+
+  // Confirmation par mot de passe (sauf comptes créés via un fournisseur OIDC)
+  if (user.password) {
+    if (!req.body.password) {
+      return next(new AppError('Please confirm your password to change your email address', 400));
+    }
+
+    // Les échecs comptent pour le verrouillage du compte (comme à la connexion)
+    const throttle = await checkLoginAllowed(req, user.email);
+    if (!throttle.allowed) {
+      console.log('  ❌ Password confirmation blocked:', throttle.reason);
+      res.set('Retry-After', String(throttle.retryAfter));
+      return next(new AppError(`Too many failed attempts. Please try again in ${Math.ceil(throttle.retryAfter / 60)} minutes.`, 429));
+    }
+
+    if (!(await user.comparePassword(req.body.password))) {
+      console.log('  ❌ Password confirmation failed');
+      await recordFailedLogin(req, user.email, user);
+      return next(new AppError('Password is incorrect', 401));
+    }
+  }
+
+  if (await User.exists({ email: newEmail })) {
+    return next(new AppError('This email address is already used by another account', 409));
+  }
+
+  const { confirmToken, cancelToken } = user.createEmailChangeTokens(newEmail);
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record(req, {
+    action: 'user.email_change_requested',
+    targetType: 'User',
+    target: user._id,
+    metadata: { newEmail }
+  });
+
+  try {
+    await emailService.sendEmailChangeConfirmationEmail(user, newEmail, confirmToken, user.pendingEmailChange.expiresAt);
+  } catch (emailError) {
+    console.error('  ❌ Email change confirmation could not be sent:', emailError.message);
+    user.pendingEmailChange = undefined;
+    await user.save({ validateBeforeSave: false });
+    return next(new AppError('Could not send the confirmation email. Please try again later.', 500));
+  }
+
+  emailService.sendEmailChangeRequestedEmail(user, newEmail, cancelToken).catch(emailError => {
+    console.error('Email change notice error:', emailError.message);
+  });
+
+  console.log('  ✅ Confirmation sent to the new address');
+
+  sendResponse(res, 200, 'success', `A confirmation link has been sent to ${newEmail}. Your email will change once you confirm it.`, {
+    pendingEmailChange: formatPendingEmailChange(user.pendingEmailChange)
+  });
+});
+
+// Obtenir le changement d'email en attente
+const getEmailChange = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('pendingEmailChange');
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  sendResponse(res, 200, 'success', 'Email change status retrieved successfully', {
+    pendingEmailChange: formatPendingEmailChange(user.pendingEmailChange)
+  });
+});
+
+// Confirmer le changement (lien reçu sur la nouvelle adresse, utilisateur connecté)
+const confirmEmailChange = catchAsync(async (req, res, next) => {
+  console.log('\n📧 EMAIL CHANGE CONFIRMATION:');
+  console.log('  User ID:', req.user._id);
+
+  const user = await User.findById(req.user._id).select('+pendingEmailChange.tokenHash');
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const pending = user.pendingEmailChange;
+  const tokenHash = crypto.createHash('sha256').update(req.body.token).digest('hex');
+
+  if (!pending?.tokenHash || pending.tokenHash !== tokenHash) {
+    console.log('  ❌ Token does not match the pending email change');
+    return next(new AppError('Invalid or expired confirmation link', 400));
+  }
+
+  if (pending.expiresAt < new Date()) {
+    console.log('  ❌ Email change request expired');
+    return next(new AppError('This confirmation link has expired. Please request the change again.', 400));
+  }
+
+  // L'adresse a pu être prise depuis la demande
+  if (await User.exists({ email: pending.newEmail, _id: { $ne: user._id } })) {
+    return next(new AppError('This email address is already used by another account', 409));
+  }
+
+  const previousEmail = user.email;
+  user.email = pending.newEmail;
+  user.emailVerified = true; // le lien a été ouvert depuis la nouvelle boîte
+  user.pendingEmailChange = undefined;
+
+  try {
+    await user.save({ validateBeforeSave: false });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new AppError('This email address is already used by another account', 409));
+    }
+    throw error;
+  }
+
+  // L'identifiant de connexion a changé : rotation de toutes les sessions
+  const { token, refreshToken } = await reissueAfterEmailChange(user, req);
+
+  await AuditLog.record(req, {
+    action: 'user.email_changed',
+    targetType: 'User',
+    target: user._id,
+    metadata: { previousEmail, newEmail: user.email }
+  });
+
+  emailService.sendEmailChangedEmail(user, previousEmail).catch(emailError => {
+    console.error('Email changed notice error:', emailError.message);
+  });
+
+  console.log('  ✅ Email changed for user:', user._id);
+
+  sendResponse(res, 200, 'success', 'Your email address has been changed', {
+    email: user.email,
+    token,
+    refreshToken
+  });
+});
+
+// Annuler le changement en attente (utilisateur connecté)
+const cancelEmailChange = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('pendingEmailChange');
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (!user.pendingEmailChange?.newEmail) {
+    return next(new AppError('No email change is pending', 404));
+  }
+
+  user.pendingEmailChange = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record(req, {
+    action: 'user.email_change_cancelled',
+    targetType: 'User',
+    target: user._id
+  });
+
+  sendResponse(res, 200, 'success', 'Email change cancelled');
+});
+
 // Supprimer le compte (soft delete)
+// Le compte est effacé à la fin du délai de grâce (voir accountErasureService)
 const deleteAccount = catchAsync(async (req, res, next) => {
-  try {
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      { 
-        isActive: false,
-        email: `deleted_${Date.now()}_${user.email}` // Éviter les conflits d'email
-      },
-      { new: true }
-    );
+  console.log('\n🗑️  ACCOUNT DELETION REQUEST:');
+  console.log('  User ID:', req.user._id);
 
-    if (!user) {
-      return next(new AppError('User not found', 404));
+  const { error, value } = userValidators.deleteAccount.validate(req.body || {});
+  if (error) {
+    return next(new AppError(error.details[0].message, 400));
+  }
+
+  const user = await User.findById(req.user._id).select('+password');
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (user.deletion?.scheduledFor) {
+    return next(new AppError(`Account deletion is already scheduled for ${user.deletion.scheduledFor.toISOString()}`, 409));
+  }
+
+  // Confirmation par mot de passe (sauf comptes créés via un fournisseur OIDC)
+  if (user.password) {
+    if (!value.password) {
+      return next(new AppError('Please confirm your password to delete your account', 400));
     }
 
-    sendResponse(res, 200, 'success', 'Account deactivated successfully');
+    // Les échecs comptent pour le verrouillage du compte (comme à la connexion)
+    const throttle = await checkLoginAllowed(req, user.email);
+    if (!throttle.allowed) {
+      console.log('  ❌ Password confirmation blocked:', throttle.reason);
+      res.set('Retry-After', String(throttle.retryAfter));
+      return next(new AppError(`Too many failed attempts. Please try again in ${Math.ceil(throttle.retryAfter / 60)} minutes.`, 429));
+    }
 
-  } catch (error) {
-    console.error('Delete account error:', error);
-    return next(new AppError('Failed to delete account', 500));
+    if (!(await user.comparePassword(value.password))) {
+      console.log('  ❌ Password confirmation failed');
+      await recordFailedLogin(req, user.email, user);
+      return next(new AppError('Password is incorrect', 401));
+    }
   }
+
+  const deletion = await scheduleErasure(user, { reason: value.reason || undefined });
+
+  await AuditLog.record(req, {
+    action: 'user.deletion_requested',
+    targetType: 'User',
+    target: user._id,
+    metadata: { scheduledFor: deletion.scheduledFor }
+  });
+
+  emailService.sendAccountDeletionScheduledEmail(user, deletion).catch(emailError => {
+    console.error('Deletion scheduled email error:', emailError.message);
+  });
+
+  console.log('  ✅ Deletion scheduled for:', deletion.scheduledFor.toISOString());
+
+  sendResponse(res, 200, 'success', `Your account will be permanently deleted in ${GRACE_PERIOD_DAYS} days. You can cancel until then.`, {
+    requestedAt: deletion.requestedAt,
+    scheduledFor: deletion.scheduledFor,
+    gracePeriodDays: GRACE_PERIOD_DAYS
+  });
 });
 
-// Fonction utilitaire pour calculer la complétude du profil
-const calculateProfileCompleteness = (user) => {
-  const fields = [
-    user.firstName,
-    user.lastName,
-    user.email,
-    user.profile?.phone,
-    user.profile?.location,
-    user.profile?.bio,
-    user.profile?.skills?.length > 0,
-    user.profile?.experience,
-    user.profile?.education
-  ];
-
-  const completedFields = fields.filter(Boolean).length;
-  return Math.round((completedFields / fields.length) * 100);
-};
+// Consulter l'état d'une demande de suppression
+const getDeletionStatus = catchAsync(async (req, res, next) => {
+  const deletion = req.user.deletion;
+
+  sendResponse(res, 200, 'success', 'Deletion status retrieved successfully', {
+    scheduled: !!deletion?.scheduledFor,
+    requestedAt: deletion?.requestedAt || null,
+    scheduledFor: deletion?.scheduledFor || null,
+    gracePeriodDays: GRACE_PERIOD_DAYS
+  });
+});
+
+// Annuler la suppression pendant le délai de grâce
+const cancelDeletion = catchAsync(async (req, res, next) => {
+  console.log('\n♻️  CANCEL ACCOUNT DELETION:');
+  console.log('  User ID:', req.user._id);
+
+  const user = await User.findById(req.user._id);
+  if (!user?.deletion?.scheduledFor) {
+    return next(new AppError('No account deletion is scheduled', 404));
+  }
+
+  if (user.deletion.processingAt) {
+    return next(new AppError('Account deletion is already in progress and can no longer be cancelled', 409));
+  }
+
+  await cancelErasure(user);
+
+  await AuditLog.record(req, {
+    action: 'user.deletion_cancelled',
+    targetType: 'User',
+    target: user._id
+  });
+
+  console.log('  ✅ Deletion cancelled');
+
+  sendResponse(res, 200, 'success', 'Account deletion cancelled');
+});
+
+// Lister les sessions actives (appareils connectés)
+const getSessions = catchAsync(async (req, res, next) => {
+  const sessions = await Session.findActiveForUser(req.user._id);
+  const currentSessionId = req.tokenPayload?.sid;
+
+  const formattedSessions = sessions.map(session => ({
+    _id: session._id,
+    device: session.device,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    lastIp: session.lastIp,
+    lastLogin: session.lastLogin,
+    lastActiveAt: session.lastActiveAt,
+    lastActive: getTimeAgo(session.lastActiveAt),
+    expiresAt: session.expiresAt,
+    current: session.family === currentSessionId
+  }));
+
+  sendResponse(res, 200, 'success', 'Sessions retrieved successfully', {
+    sessions: formattedSessions,
+    total: formattedSessions.length
+  });
+});
+
+// Révoquer une session (déconnecter un appareil)
+const deleteSession = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return next(new AppError('Invalid session ID format', 400));
+  }
+
+  const session = await Session.findOne({ _id: id, user: req.user._id, revokedAt: null });
+  if (!session) {
+    return next(new AppError('Session not found', 404));
+  }
+
+  await revokeSession(session.family, 'user-revoked');
+
+  sendResponse(res, 200, 'success', 'Session revoked successfully', {
+    sessionId: session._id,
+    current: session.family === req.tokenPayload?.sid
+  });
+});
+
+// =====================================
+// EXPORT DES DONNÉES PERSONNELLES
+// =====================================
+
+// Demander un export (généré en arrière-plan, lien envoyé par email)
+const requestDataExport = catchAsync(async (req, res, next) => {
+  console.log('\n📦 DATA EXPORT REQUEST:');
+  console.log('  User ID:', req.user._id);
+
+  const activeExport = await DataExport.findOne({
+    user: req.user._id,
+    $or: [
+      { status: { $in: ['pending', 'processing'] } },
+      { status: 'ready', expiresAt: { $gt: new Date() } }
+    ]
+  });
+
+  if (activeExport) {
+    const message = activeExport.status === 'ready'
+      ? 'A data export is already available. Request a new download link instead.'
+      : 'A data export is already being prepared';
+    return next(new AppError(message, 409));
+  }
+
+  const dataExport = await requestExport(req.user._id);
+
+  console.log('  ✅ Export queued:', dataExport._id);
+
+  sendResponse(res, 202, 'success', 'Your data export is being prepared. You will receive an email with a download link when it is ready.', {
+    export: dataExport
+  });
+});
+
+// Lister les exports de l'utilisateur
+const getDataExports = catchAsync(async (req, res, next) => {
+  const exports = await DataExport.find({ user: req.user._id })
+    .sort({ createdAt: -1 })
+    .limit(20);
+
+  sendResponse(res, 200, 'success', 'Data exports retrieved successfully', {
+    exports,
+    linkValidityHours: EXPORT_TTL_HOURS
+  });
+});
+
+// Obtenir un nouveau lien de téléchargement (l'ancien lien devient invalide)
+const createDataExportLink = catchAsync(async (req, res, next) => {
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    return next(new AppError('Invalid export ID format', 400));
+  }
+
+  const dataExport = await DataExport.findOne({ _id: req.params.id, user: req.user._id });
+  if (!dataExport) {
+    return next(new AppError('Data export not found', 404));
+  }
+
+  if (!dataExport.isDownloadable) {
+    return next(new AppError('This data export is not available for download', 410));
+  }
+
+  const downloadUrl = await createDownloadLink(dataExport);
+
+  sendResponse(res, 200, 'success', 'Download link created successfully', {
+    downloadUrl,
+    expiresAt: dataExport.expiresAt
+  });
+});
+
+// Télécharger l'archive (route publique protégée par le token du lien)
+const downloadDataExport = catchAsync(async (req, res, next) => {
+  const { token } = req.query;
+
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/) || typeof token !== 'string' || !token) {
+    return next(new AppError('Invalid or expired download link', 404));
+  }
+
+  const dataExport = await DataExport.findOne({
+    _id: req.params.id,
+    downloadTokenHash: DataExport.hashToken(token)
+  }).select('+filePath');
+
+  if (!dataExport || !dataExport.isDownloadable) {
+    return next(new AppError('Invalid or expired download link', 404));
+  }
+
+  await DataExport.updateOne(
+    { _id: dataExport._id },
+    { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } }
+  );
+
+  const date = dataExport.completedAt.toISOString().slice(0, 10);
+  res.set('Cache-Control', 'no-store');
+  res.download(dataExport.filePath, `workwhile-data-export-${date}.zip`, (error) => {
+    if (error && !res.headersSent) {
+      next(new AppError('The export file is no longer available', 410));
+    }
+  });
+});
 
 // Fonction utilitaire pour calculer le temps écoulé
 const getTimeAgo = (date) => {
@@ -299,12 +1087,34 @@ const getTimeAgo = (date) => {
 };
 
 module.exports = {
+  PROFILE_SECTIONS,
   getProfile,
   updateProfile,
+  getProfileCompleteness,
+  uploadAvatar,
+  deleteAvatar,
+  getPublicProfileSettings,
+  updatePublicProfileSettings,
+  getProfileSection,
+  addProfileEntry,
+  updateProfileEntry,
+  deleteProfileEntry,
   getSavedJobs,
   saveJob,
   removeSavedJob,
   changePassword,
   getUserStats,
-  deleteAccount
+  requestEmailChange,
+  getEmailChange,
+  confirmEmailChange,
+  cancelEmailChange,
+  deleteAccount,
+  getDeletionStatus,
+  cancelDeletion,
+  getSessions,
+  deleteSession,
+  requestDataExport,
+  getDataExports,
+  createDataExportLink,
+  downloadDataExport
 };
\ No newline at end of file
@@ -0,0 +1,431 @@
+// controllers/userController.test.js - Changement d'email et de mot de passe, suppression du compte, export des données
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+jest.mock('../services/twoFactorService', () => ({
+  ...jest.requireActual('../services/twoFactorService'),
+  isRequiredForRole: jest.fn().mockResolvedValue(false)
+}));
+
+jest.mock('../services/loginThrottleService', () => ({
+  ...jest.requireActual('../services/loginThrottleService'),
+  checkLoginAllowed: jest.fn(),
+  recordFailedLogin: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const DataExport = require('../models/DataExport');
+const userRoutes = require('../routes/users');
+const errorHandler = require('../middleware/errorHandler');
+const { generateToken } = require('../services/tokenService');
+const { checkLoginAllowed, recordFailedLogin } = require('../services/loginThrottleService');
+
+// Requête Mongoose simulée (chaînable et "thenable")
+const mockQuery = (result) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+app.use(errorHandler);
+
+let user;
+
+const requestEmailChange = (body) => {
+  const token = generateToken({ id: user._id, email: user.email, role: user.role, family: 'session-1' });
+  return request(app)
+    .post('/api/users/profile/email')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ newEmail: 'new@example.com', password: 'wrong-password', ...body });
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  user = new User({
+    _id: new mongoose.Types.ObjectId(),
+    firstName: 'Sara',
+    lastName: 'Alaoui',
+    email: 'sara@example.com',
+    password: 'Str0ng!Passphrase',
+    role: 'candidate',
+    isActive: true
+  });
+  jest.spyOn(user, 'comparePassword').mockResolvedValue(false);
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  jest.spyOn(RevokedToken, 'isRevoked').mockResolvedValue(false);
+  jest.spyOn(Session, 'isRevoked').mockResolvedValue(false);
+
+  checkLoginAllowed.mockResolvedValue({ allowed: true });
+  recordFailedLogin.mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('POST /api/users/profile/email', () => {
+  it('records a failed password confirmation for the account lockout', async () => {
+    const res = await requestEmailChange();
+
+    expect(res.status).toBe(401);
+    expect(checkLoginAllowed).toHaveBeenCalledWith(expect.anything(), 'sara@example.com');
+    expect(recordFailedLogin).toHaveBeenCalledWith(expect.anything(), 'sara@example.com', user);
+  });
+
+  it('does not check the password while the account is locked', async () => {
+    checkLoginAllowed.mockResolvedValue({ allowed: false, reason: 'account-locked', retryAfter: 900 });
+
+    const res = await requestEmailChange();
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe('900');
+    expect(user.comparePassword).not.toHaveBeenCalled();
+  });
+
+  it('applies the cooldown before the password check', async () => {
+    user.pendingEmailChange = { newEmail: 'other@example.com', requestedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) };
+
+    const res = await requestEmailChange();
+
+    expect(res.status).toBe(429);
+    expect(user.comparePassword).not.toHaveBeenCalled();
+    expect(recordFailedLogin).not.toHaveBeenCalled();
+  });
+});
+
+describe('DELETE /api/users/profile', () => {
+  const deleteAccount = (body) => {
+    const token = generateToken({ id: user._id, email: user.email, role: user.role, family: 'session-1' });
+    return request(app)
+      .delete('/api/users/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'wrong-password', ...body });
+  };
+
+  it('records a failed password confirmation for the account lockout', async () => {
+    const res = await deleteAccount();
+
+    expect(res.status).toBe(401);
+    expect(checkLoginAllowed).toHaveBeenCalledWith(expect.anything(), 'sara@example.com');
+    expect(recordFailedLogin).toHaveBeenCalledWith(expect.anything(), 'sara@example.com', user);
+  });
+
+  it('does not check the password while the account is locked', async () => {
+    checkLoginAllowed.mockResolvedValue({ allowed: false, reason: 'account-locked', retryAfter: 900 });
+
+    const res = await deleteAccount();
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe('900');
+    expect(user.comparePassword).not.toHaveBeenCalled();
+    expect(user.deletion?.scheduledFor).toBeUndefined();
+  });
+});
+
+describe('PUT /api/users/change-password', () => {
+  const changePassword = (newPassword) => {
+    const token = generateToken({ id: user._id, email: user.email, role: user.role, family: 'session-1' });
+    return request(app)
+      .put('/api/users/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'Str0ng!Passphrase', newPassword });
+  };
+
+  beforeEach(() => {
+    user.comparePassword.mockResolvedValue(true);
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+  });
+
+  it('returns each failed rule of the password policy', async () => {
+    const res = await changePassword('alaoui-password');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.rule)).toEqual(['uppercase', 'number', 'personalInfo']);
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses a recently used password', async () => {
+    jest.spyOn(user, 'isPasswordReused').mockResolvedValue(true);
+
+    const res = await changePassword('N3w!Passphrase#2024');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.rule)).toEqual(['history']);
+    expect(user.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('data export download', () => {
+  const token = 'a'.repeat(64);
+  let archivePath;
+  let dataExport;
+
+  const download = (id = dataExport._id, query = `token=${token}`) =>
+    request(app).get(`/api/users/data-exports/${id}/download?${query}`);
+
+  beforeEach(() => {
+    archivePath = path.join(os.tmpdir(), `workwhile-export-${Date.now()}.zip`);
+    fs.writeFileSync(archivePath, 'zip archive');
+
+    dataExport = new DataExport({
+      user: user._id,
+      status: 'ready',
+      filePath: archivePath,
+      completedAt: new Date('2024-05-01T10:00:00Z'),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    jest.spyOn(DataExport, 'findOne').mockImplementation(filter =>
+      mockQuery(filter.downloadTokenHash === DataExport.hashToken(token) ? dataExport : null));
+    jest.spyOn(DataExport, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    fs.rmSync(archivePath, { force: true });
+  });
+
+  it('sends the archive for a valid link, without caching', async () => {
+    const res = await download();
+
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.headers['content-disposition']).toContain('workwhile-data-export-2024-05-01.zip');
+    expect(DataExport.findOne).toHaveBeenCalledWith({ _id: String(dataExport._id), downloadTokenHash: DataExport.hashToken(token) });
+    expect(DataExport.updateOne).toHaveBeenCalledWith(
+      { _id: dataExport._id },
+      { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: expect.any(Date) } }
+    );
+  });
+
+  it.each([
+    ['a wrong token', `token=${'b'.repeat(64)}`],
+    ['no token', ''],
+    ['several tokens', `token=${token}&token=${token}`]
+  ])('answers 404 for %s', async (label, query) => {
+    const res = await download(dataExport._id, query);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Invalid or expired download link');
+    expect(DataExport.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 once the link has expired', async () => {
+    dataExport.expiresAt = new Date(Date.now() - 1000);
+
+    const res = await download();
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Invalid or expired download link');
+  });
+
+  it('answers 410 when the archive was already deleted', async () => {
+    fs.rmSync(archivePath);
+
+    const res = await download();
+
+    expect(res.status).toBe(410);
+    expect(res.body.message).toBe('The export file is no longer available');
+  });
+
+  it('refuses a new link for an expired export with 410', async () => {
+    dataExport.status = 'expired';
+    DataExport.findOne.mockResolvedValue(dataExport);
+    const accessToken = generateToken({ id: user._id, email: user.email, role: user.role, family: 'session-1' });
+
+    const res = await request(app)
+      .post(`/api/users/data-exports/${dataExport._id}/link`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(res.status).toBe(410);
+    expect(DataExport.findOne).toHaveBeenCalledWith({ _id: String(dataExport._id), user: user._id });
+  });
+});
+
+describe('profile sections', () => {
+  const withToken = (req) => req.set('Authorization', `Bearer ${generateToken({ id: user._id, email: user.email, role: user.role, family: 'session-1' })}`);
+
+  // Document lu en base : passe par les conversions pre('init')
+  const useStoredUser = (profile) => {
+    user = User.hydrate({ ...user.toObject({ depopulate: true }), profile });
+  };
+
+  // save() valide le document comme en base, sans connexion
+  const mockSave = () => jest.spyOn(user, 'save').mockImplementation(async function() {
+    await this.validate();
+    return this;
+  });
+
+  const entries = (section) => user.get(`profile.${section}`).map(entry => entry.toObject());
+
+  it('lists the entries of a section', async () => {
+    useStoredUser({ skills: [{ name: 'React', level: 'expert' }] });
+
+    const res = await withToken(request(app).get('/api/users/profile/skills'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.section).toBe('skills');
+    expect(res.body.data.entries).toEqual([expect.objectContaining({ name: 'React', level: 'expert' })]);
+  });
+
+  it('only routes the known sections', async () => {
+    const res = await withToken(request(app).get('/api/users/profile/hobbies'));
+
+    expect(res.status).toBe(404);
+  });
+
+  it('adds an entry', async () => {
+    useStoredUser({ skills: [] });
+    mockSave();
+
+    const res = await withToken(request(app).post('/api/users/profile/experience'))
+      .send({ title: 'Frontend developer', company: 'Atlas', startDate: '2020-01-01' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.entry).toMatchObject({ title: 'Frontend developer', company: 'Atlas', current: false });
+    expect(entries('experience.positions')).toHaveLength(1);
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  it('rejects an invalid entry before reading the profile', async () => {
+    const res = await withToken(request(app).post('/api/users/profile/links')).send({ url: 'javascript:alert(1)' });
+
+    expect(res.status).toBe(400);
+    // Seule la lecture du middleware d'authentification
+    expect(User.findById).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses a duplicate, whatever its case', async () => {
+    useStoredUser({ skills: [{ name: 'React' }] });
+    mockSave();
+
+    const res = await withToken(request(app).post('/api/users/profile/skills')).send({ name: 'react' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('This skills entry already exists');
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('allows the same value in sections without a unique key', async () => {
+    useStoredUser({ education: [{ degree: 'Master', institution: 'ENSIAS' }] });
+    mockSave();
+
+    const res = await withToken(request(app).post('/api/users/profile/education')).send({ degree: 'Master', institution: 'ENSIAS' });
+
+    expect(res.status).toBe(201);
+    expect(entries('education')).toHaveLength(2);
+  });
+
+  it('stops at the maximum number of entries of the section', async () => {
+    useStoredUser({ links: Array.from({ length: 10 }, (_, i) => ({ url: `https://example.com/${i}` })) });
+    mockSave();
+
+    const res = await withToken(request(app).post('/api/users/profile/links')).send({ url: 'https://github.com/sara' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('You cannot add more than 10 links entries');
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('replaces an entry as a whole', async () => {
+    useStoredUser({ languages: [{ name: 'French', proficiency: 'fluent' }, { name: 'Arabic', proficiency: 'native' }] });
+    mockSave();
+    const [french] = user.profile.languages;
+
+    const res = await withToken(request(app).put(`/api/users/profile/languages/${french._id}`)).send({ name: 'french' });
+
+    expect(res.status).toBe(200);
+    expect(entries('languages')[0]).toEqual({ _id: french._id, name: 'french' });
+  });
+
+  it('refuses to rename an entry into another existing one', async () => {
+    useStoredUser({ languages: [{ name: 'French' }, { name: 'Arabic' }] });
+    mockSave();
+    const [french] = user.profile.languages;
+
+    const res = await withToken(request(app).put(`/api/users/profile/languages/${french._id}`)).send({ name: 'ARABIC' });
+
+    expect(res.status).toBe(409);
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('deletes an entry', async () => {
+    useStoredUser({ skills: [{ name: 'React' }, { name: 'Node.js' }] });
+    mockSave();
+    const [react] = user.profile.skills;
+
+    const res = await withToken(request(app).delete(`/api/users/profile/skills/${react._id}`));
+
+    expect(res.status).toBe(200);
+    expect(entries('skills').map(entry => entry.name)).toEqual(['Node.js']);
+  });
+
+  it.each([
+    ['put', { name: 'React' }],
+    ['delete', undefined]
+  ])('answers 404 or 400 for an unknown or invalid entry id (%s)', async (method, body) => {
+    useStoredUser({ skills: [{ name: 'React' }] });
+
+    const unknown = await withToken(request(app)[method](`/api/users/profile/skills/${new mongoose.Types.ObjectId()}`)).send(body);
+    const invalid = await withToken(request(app)[method]('/api/users/profile/skills/not-an-id')).send(body);
+
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.message).toBe('Profile entry not found');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.message).toBe('Invalid entry ID format');
+  });
+
+  it('converts a legacy profile when it is read and saves it in the new format', async () => {
+    useStoredUser({ skills: ['React', 'Node.js'], experience: '5 years of frontend work', education: 'Master ENSIAS' });
+    mockSave();
+
+    const res = await withToken(request(app).post('/api/users/profile/experience')).send({ title: 'Frontend developer' });
+
+    expect(res.status).toBe(201);
+    expect(entries('skills').map(({ name }) => name)).toEqual(['React', 'Node.js']);
+    expect(user.profile.experience.summary).toBe('5 years of frontend work');
+    expect(entries('experience.positions')).toEqual([expect.objectContaining({ title: 'Frontend developer' })]);
+    expect(entries('education')).toEqual([expect.objectContaining({ description: 'Master ENSIAS' })]);
+  });
+
+  it('drops a blank legacy education text', async () => {
+    useStoredUser({ education: '  ' });
+
+    expect(entries('education')).toEqual([]);
+  });
+
+  it('accepts the legacy text formats on PUT /profile without overwriting the other sections', async () => {
+    useStoredUser({ languages: [{ name: 'French' }], experience: { totalYears: 6, positions: [{ title: 'Developer' }] } });
+    mockSave();
+
+    const res = await withToken(request(app).put('/api/users/profile')).send({
+      profile: { skills: ['React', { name: 'CSS', level: 'advanced' }], experience: 'Frontend since 2018', education: 'Master ENSIAS' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(entries('skills')).toEqual([
+      expect.objectContaining({ name: 'React' }),
+      expect.objectContaining({ name: 'CSS', level: 'advanced' })
+    ]);
+    expect(user.profile.experience.summary).toBe('Frontend since 2018');
+    expect(user.profile.experience.totalYears).toBe(6);
+    expect(entries('experience.positions')).toEqual([expect.objectContaining({ title: 'Developer' })]);
+    expect(entries('education')).toEqual([expect.objectContaining({ description: 'Master ENSIAS' })]);
+    expect(entries('languages')).toEqual([expect.objectContaining({ name: 'French' })]);
+  });
+});
@@ -1,7 +1,54 @@
 // middleware/auth.js - VERSION COMPLÈTE CORRIGÉE
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { AppError, catchAsync } = require('../utils/helpers');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+const { hasPermission } = require('../config/permissions');
+const { AppError, catchAsync, isValidObjectId } = require('../utils/helpers');
+const { verifyAccessToken, isAccessTokenRevoked } = require('../services/tokenService');
+const { isRequiredForRole } = require('../services/twoFactorService');
+const { checkLoginAllowed } = require('../services/loginThrottleService');
+const { getUserPermissions, userHasPermission } = require('../services/permissionService');
+
+// Routes accessibles tant que l'enrôlement 2FA obligatoire n'est pas terminé
+const TWO_FACTOR_SETUP_PATHS = ['/api/auth/2fa', '/api/auth/me', '/api/auth/logout'];
+
+// Authentifier une requête "Authorization: ApiKey <clé>" (intégrations ATS)
+const authenticateApiKey = async (req, next) => {
+  const plainKey = req.headers.authorization.slice('ApiKey '.length).trim();
+  console.log('  🔑 API key found in Authorization header');
+
+  const apiKey = await ApiKey.findByPlainKey(plainKey);
+  if (!apiKey) {
+    console.log('  ❌ API key invalid, expired or revoked');
+    return next(new AppError('Invalid or expired API key.', 401));
+  }
+
+  const owner = await User.findById(apiKey.owner).select('+isActive');
+  if (!owner || !owner.isActive) {
+    console.log('  ❌ API key owner not found or inactive');
+    return next(new AppError('Invalid or expired API key.', 401));
+  }
+
+  if (!(await userHasPermission(owner, 'api_key.manage'))) {
+    console.log('  ❌ API key owner no longer allowed to use API keys:', owner.role);
+    return next(new AppError('This API key is no longer allowed.', 403));
+  }
+
+  apiKey.touch(req.ip).catch(error => {
+    console.error('  ⚠️  Failed to update API key usage:', error.message);
+  });
+
+  // L'utilisateur propriétaire agit via la clé, limité à ses scopes (checkPermission)
+  req.user = owner;
+  req.apiKey = apiKey;
+  console.log('  ✅ API KEY AUTHENTICATION SUCCESSFUL:', {
+    keyPrefix: apiKey.prefix,
+    owner: owner.email,
+    scopes: apiKey.scopes
+  });
+
+  next();
+};
 
 // =====================================
 // MIDDLEWARE D'AUTHENTIFICATION PRINCIPAL
@@ -11,6 +58,11 @@ const auth = catchAsync(async (req, res, next) => {
   console.log('  📍 Path:', req.path);
   console.log('  📋 Method:', req.method);
   console.log('  🕐 Timestamp:', new Date().toISOString());
+
+  // 0. Clé API employeur (alternative au JWT)
+  if (req.headers.authorization && req.headers.authorization.startsWith('ApiKey ')) {
+    return authenticateApiKey(req, next);
+  }
   
   // 1. Récupérer le token depuis les headers
   let token;
@@ -34,8 +86,8 @@ const auth = catchAsync(async (req, res, next) => {
   try {
     console.log('  🔍 Verifying JWT token...');
     
-    // 2. Vérifier le token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // 2. Vérifier le token (access token uniquement, voir verifyAccessToken)
+    const decoded = verifyAccessToken(token);
     console.log('  ✅ Token verified successfully');
     console.log('  📦 Decoded payload:', {
       id: decoded.id,
@@ -77,18 +129,35 @@ const auth = catchAsync(async (req, res, next) => {
     // 4. Vérifier si l'utilisateur est actif
     if (!currentUser.isActive) {
       console.log('  ❌ User account is deactivated');
-      return next(new AppError('Your account has been deactivated. Please contact support.', 401));
+      return next(new AppError(currentUser.suspension?.suspendedAt
+        ? 'Your account has been suspended. Please contact support.'
+        : 'Your account has been deactivated. Please contact support.', 401));
+    }
+
+    // 4b. Vérifier que le token n'a pas été révoqué (logout ou "log out everywhere")
+    if (await isAccessTokenRevoked(decoded, currentUser)) {
+      console.log('  ❌ Token has been revoked');
+      return next(new AppError('This token has been revoked. Please log in again.', 401));
     }
 
-    // 5. Vérifier si l'email est vérifié (optionnel selon vos besoins)
+    // 5. Vérifier si l'email est vérifié (informatif uniquement)
+    // L'obligation est appliquée route par route via requireEmailVerification
     if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !currentUser.emailVerified) {
       console.log('  ⚠️  Email not verified but continuing...');
-      // Uncomment if you want to enforce email verification:
-      // return next(new AppError('Please verify your email address before proceeding.', 403));
     }
 
-    // 6. Attacher l'utilisateur à la requête
+    // 5b. 2FA obligatoire pour ce rôle mais pas encore activée:
+    // seules l'enrôlement, le profil et la déconnexion restent accessibles
+    if (!currentUser.twoFactor?.enabled &&
+        !TWO_FACTOR_SETUP_PATHS.some(path => req.originalUrl.startsWith(path)) &&
+        await isRequiredForRole(currentUser.role)) {
+      console.log('  ❌ Two-factor enrollment required for role:', currentUser.role);
+      return next(new AppError('Two-factor authentication is required for your account. Please enable it to continue.', 403));
+    }
+
+    // 6. Attacher l'utilisateur (et le token décodé, utilisé par logout) à la requête
     req.user = currentUser;
+    req.tokenPayload = decoded;
     console.log('  ✅ AUTHENTICATION SUCCESSFUL');
     console.log('  👤 User attached to request:', {
       id: req.user._id,
@@ -130,6 +199,12 @@ const authorize = (...roles) => {
       return next(new AppError('Authentication required.', 401));
     }
 
+    // Les clés API ne passent que par les routes protégées par checkPermission
+    if (req.apiKey) {
+      console.log('  ❌ AUTHORIZATION FAILED: API key used on a role-only route');
+      return next(new AppError('This endpoint cannot be accessed with an API key.', 403));
+    }
+
     console.log('  👤 Current user details:', {
       id: req.user._id,
       email: req.user.email,
@@ -183,15 +258,16 @@ const optionalAuth = catchAsync(async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
     const userId = decoded.id;
     const currentUser = await User.findById(userId).select('+isActive');
     
-    if (currentUser && currentUser.isActive) {
+    if (currentUser && currentUser.isActive && !(await isAccessTokenRevoked(decoded, currentUser))) {
       req.user = currentUser;
+      req.tokenPayload = decoded;
       console.log('  ✅ Optional auth successful for user:', currentUser.email);
     } else {
-      console.log('  ⚠️  User not found or inactive, continuing without auth');
+      console.log('  ⚠️  User not found, inactive or token revoked, continuing without auth');
     }
     
     next();
@@ -254,106 +330,48 @@ const checkOwnership = (model, paramName = 'id', userField = 'user') => {
 // =====================================
 // MIDDLEWARE DE LIMITATION DE TENTATIVES DE CONNEXION
 // =====================================
-const loginLimiter = (req, res, next) => {
+// Les échecs sont enregistrés par le contrôleur (recordFailedLogin / resetLoginAttempts
+// dans services/loginThrottleService), par compte et par IP, en base de données.
+const loginLimiter = catchAsync(async (req, res, next) => {
   console.log('\n🚦 LOGIN RATE LIMIT CHECK:');
-  
-  // Implémentation simple basée sur l'IP
-  // En production, utiliser Redis pour un stockage distribué
-  
-  const maxAttempts = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
-  const windowMs = parseInt(process.env.LOGIN_WINDOW_MS) || 15 * 60 * 1000; // 15 minutes
-  
-  const clientIp = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
-  const key = `login_attempts_${clientIp}`;
-  
-  console.log('  🌐 Client IP:', clientIp);
-  console.log('  📊 Max attempts:', maxAttempts);
-  console.log('  ⏰ Window:', windowMs / 1000, 'seconds');
-  
-  // Simuler un stockage en mémoire (en production, utiliser Redis)
-  if (!global.loginAttempts) {
-    global.loginAttempts = new Map();
-  }
-  
-  const attempts = global.loginAttempts.get(key);
-  const now = Date.now();
-  
-  if (attempts && attempts.count >= maxAttempts) {
-    if (now - attempts.firstAttempt < windowMs) {
-      const remainingTime = Math.ceil((windowMs - (now - attempts.firstAttempt)) / 60000);
-      console.log('  ❌ Rate limit exceeded for IP:', clientIp);
-      console.log('  ⏰ Remaining time:', remainingTime, 'minutes');
-      
+
+  const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null;
+  console.log('  🌐 Client IP:', req.ip);
+  console.log('  📧 Account:', email || 'N/A');
+
+  const result = await checkLoginAllowed(req, email);
+
+  if (!result.allowed) {
+    console.log('  ❌ Login blocked:', result.reason);
+    console.log('  ⏰ Retry after:', result.retryAfter, 'seconds');
+
+    res.set('Retry-After', String(result.retryAfter));
+
+    if (result.reason === 'backoff') {
       return next(new AppError(
-        `Too many login attempts. Please try again in ${remainingTime} minutes.`, 
+        `Too many failed login attempts. Please wait ${result.retryAfter} seconds before trying again.`,
         429
       ));
-    } else {
-      // Réinitialiser après la fenêtre de temps
-      console.log('  🔄 Resetting rate limit for IP:', clientIp);
-      global.loginAttempts.delete(key);
     }
-  }
-  
-  console.log('  ✅ Rate limit check passed');
-  next();
-};
 
-// =====================================
-// MIDDLEWARE POUR ENREGISTRER LES ÉCHECS DE CONNEXION
-// =====================================
-const recordFailedLogin = (req, res, next) => {
-  console.log('\n📝 RECORDING FAILED LOGIN ATTEMPT:');
-  
-  const clientIp = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
-  const key = `login_attempts_${clientIp}`;
-  
-  if (!global.loginAttempts) {
-    global.loginAttempts = new Map();
+    const remainingTime = Math.ceil(result.retryAfter / 60);
+    return next(new AppError(
+      result.reason === 'account-locked'
+        ? `This account is temporarily locked after too many failed login attempts. Please try again in ${remainingTime} minutes.`
+        : `Too many login attempts. Please try again in ${remainingTime} minutes.`,
+      429
+    ));
   }
-  
-  const attempts = global.loginAttempts.get(key);
-  const now = Date.now();
-  
-  if (!attempts) {
-    global.loginAttempts.set(key, {
-      count: 1,
-      firstAttempt: now,
-      lastAttempt: now
-    });
-    console.log('  📝 First failed attempt recorded for IP:', clientIp);
-  } else {
-    attempts.count += 1;
-    attempts.lastAttempt = now;
-    global.loginAttempts.set(key, attempts);
-    console.log('  📝 Failed attempt #' + attempts.count + ' recorded for IP:', clientIp);
-  }
-  
-  next();
-};
 
-// =====================================
-// MIDDLEWARE POUR RÉINITIALISER LES TENTATIVES APRÈS SUCCÈS
-// =====================================
-const resetLoginAttempts = (req, res, next) => {
-  console.log('\n🔄 RESETTING LOGIN ATTEMPTS:');
-  
-  const clientIp = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
-  const key = `login_attempts_${clientIp}`;
-  
-  if (global.loginAttempts && global.loginAttempts.has(key)) {
-    global.loginAttempts.delete(key);
-    console.log('  ✅ Login attempts reset for IP:', clientIp);
-  }
-  
+  console.log('  ✅ Rate limit check passed');
   next();
-};
+});
 
 // =====================================
 // MIDDLEWARE DE VÉRIFICATION DES PERMISSIONS SPÉCIFIQUES
 // =====================================
 const checkPermission = (permission) => {
-  return (req, res, next) => {
+  return catchAsync(async (req, res, next) => {
     console.log('\n🔐 PERMISSION CHECK:');
     console.log('  📋 Required permission:', permission);
     
@@ -364,45 +382,25 @@ const checkPermission = (permission) => {
 
     console.log('  👤 User role:', req.user.role);
 
-    // Système de permissions basé sur les rôles
-    const permissions = {
-      admin: ['*'], // Toutes les permissions
-      employer: [
-        'job.create',
-        'job.update',
-        'job.delete',
-        'job.view_all',
-        'application.view',
-        'application.update',
-        'application.respond',
-        'company.create',
-        'company.update',
-        'company.view',
-        'analytics.view'
-      ],
-      candidate: [
-        'application.create',
-        'application.view_own',
-        'application.withdraw',
-        'job.view',
-        'job.search',
-        'job.save',
-        'profile.update',
-        'profile.view'
-      ]
-    };
+    // Une clé API est limitée à ses scopes
+    if (req.apiKey) {
+      console.log('  🔑 API key scopes:', req.apiKey.scopes);
 
-    const userPermissions = permissions[req.user.role] || [];
-    console.log('  📋 User permissions:', userPermissions);
-    
-    // Les admins ont tous les droits
-    if (userPermissions.includes('*')) {
-      console.log('  ✅ Admin access granted');
-      return next();
+      if (!req.apiKey.scopes.includes(permission)) {
+        console.log('  ❌ Scope missing on API key:', permission);
+        return next(new AppError(`This API key is missing the required scope: ${permission}`, 403));
+      }
+    }
+
+    // Permissions du rôle (en base) + ajustements individuels, calculées une fois par requête
+    if (!req.permissions) {
+      req.permissions = await getUserPermissions(req.user);
     }
+    const userPermissions = req.permissions;
+    console.log('  📋 User permissions:', userPermissions);
 
-    // Vérifier la permission spécifique
-    if (!userPermissions.includes(permission)) {
+    // Vérifier la permission spécifique (les admins ont tous les droits)
+    if (!hasPermission(userPermissions, permission)) {
       console.log('  ❌ Permission denied');
       console.log('    Required:', permission);
       console.log('    Available:', userPermissions);
@@ -411,7 +409,21 @@ const checkPermission = (permission) => {
 
     console.log('  ✅ Permission granted');
     next();
-  };
+  });
+};
+
+// =====================================
+// MIDDLEWARE POUR REFUSER LES CLÉS API
+// =====================================
+// À placer après auth sur les routes réservées aux sessions utilisateur
+// (profil, sécurité du compte, gestion des clés...)
+const denyApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    console.log('\n🔑 API KEY DENIED on', req.originalUrl);
+    return next(new AppError('This endpoint cannot be accessed with an API key.', 403));
+  }
+
+  next();
 };
 
 // =====================================
@@ -446,6 +458,12 @@ const requireEmailVerification = (req, res, next) => {
   if (!req.user) {
     return next(new AppError('Authentication required.', 401));
   }
+
+  // Contrôlé par REQUIRE_EMAIL_VERIFICATION
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    console.log('  ℹ️  Email verification not required by configuration');
+    return next();
+  }
   
   console.log('  📧 Email verified:', req.user.emailVerified);
   
@@ -485,11 +503,16 @@ const auditLog = (action) => {
     
     console.log('  📊 Audit entry:', JSON.stringify(logData, null, 2));
     
-    // En production, envoyer vers un service de logging comme Winston, MongoDB, ou un service externe
-    if (process.env.NODE_ENV === 'production') {
-      // TODO: Implement actual audit logging service
-      // logger.audit(logData);
-    }
+    // Persister l'entrée une fois la requête terminée avec succès
+    res.on('finish', () => {
+      if (res.statusCode >= 400) return;
+
+      AuditLog.record(req, {
+        action,
+        target: isValidObjectId(req.params.id) ? req.params.id : undefined,
+        metadata: { method: logData.method, path: req.originalUrl, fields: logData.body }
+      }).catch(error => console.log('  ⚠️ Failed to persist audit entry:', error.message));
+    });
     
     next();
   };
@@ -550,13 +573,12 @@ module.exports = {
   // Middlewares de vérification
   checkOwnership,
   checkPermission,
+  denyApiKey,
   validateUserParams,
   requireEmailVerification,
   
   // Middlewares de sécurité
   loginLimiter,
-  recordFailedLogin,
-  resetLoginAttempts,
   
   // Middlewares utilitaires
   auditLog,
@@ -0,0 +1,263 @@
+// middleware/auth.test.js - Seuls les access tokens ouvrent une session, permissions par route
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+jest.mock('../services/twoFactorService', () => ({
+  ...jest.requireActual('../services/twoFactorService'),
+  isRequiredForRole: jest.fn().mockResolvedValue(false)
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const ApiKey = require('../models/ApiKey');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth');
+const errorHandler = require('./errorHandler');
+const { auth, checkPermission, denyApiKey } = require('./auth');
+const { invalidateCache } = require('../services/permissionService');
+const { generateToken } = require('../services/tokenService');
+const { createChallengeToken } = require('../services/twoFactorService');
+
+// Requête Mongoose simulée (chaînable et "thenable")
+const mockQuery = (result) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  email: 'employer@example.com',
+  role: 'employer',
+  firstName: 'Sara',
+  lastName: 'Alaoui',
+  isActive: true,
+  tokenVersion: 0,
+  twoFactor: { enabled: true }
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+// Routes protégées par une permission précise
+const protectedApp = express();
+protectedApp.post('/jobs', auth, checkPermission('job.create'), (req, res) => res.json({ ok: true }));
+protectedApp.get('/account', auth, denyApiKey, (req, res) => res.json({ ok: true }));
+protectedApp.use(errorHandler);
+
+const roles = [
+  { name: 'employer', permissions: ['job.create', 'application.view', 'api_key.manage'] },
+  { name: 'candidate', permissions: ['job.view', 'application.create'] }
+];
+
+const accessToken = (account = user) =>
+  generateToken({ id: account._id, email: account.email, role: account.role, family: 'session-1' });
+
+beforeEach(() => {
+  invalidateCache();
+  jest.spyOn(Permission, 'bulkWrite').mockResolvedValue({});
+  jest.spyOn(Role, 'bulkWrite').mockResolvedValue({});
+  jest.spyOn(Role, 'find').mockImplementation(() => mockQuery(roles));
+
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  jest.spyOn(RevokedToken, 'isRevoked').mockResolvedValue(false);
+  jest.spyOn(Session, 'isRevoked').mockResolvedValue(false);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('auth middleware', () => {
+  it('accepts an access token issued for a session', async () => {
+    const token = generateToken({ id: user._id, email: user.email, role: user.role, family: 'session-1' });
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.email).toBe(user.email);
+  });
+
+  it('rejects the 2FA challenge token returned after the password step', async () => {
+    const challengeToken = createChallengeToken(user);
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${challengeToken}`);
+
+    expect(res.status).toBe(401);
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+
+  it('rejects a token carrying a purpose claim even without an audience', async () => {
+    const token = jwt.sign(
+      { id: user._id, purpose: 'email-verification', sid: 'session-1' },
+      process.env.JWT_SECRET,
+      { expiresIn: '24h', jwtid: 'jti-1' }
+    );
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects a token without jti or sid', async () => {
+    const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects a revoked access token', async () => {
+    RevokedToken.isRevoked.mockResolvedValue(true);
+    const token = generateToken({ id: user._id, email: user.email, role: user.role, family: 'session-1' });
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects an access token rotated out before its session was revoked', async () => {
+    // Token émis avant la dernière rotation : absent de la liste de révocation
+    const earlierToken = generateToken({ id: user._id, email: user.email, role: user.role, family: 'session-1' });
+    Session.isRevoked.mockRestore();
+    const exists = jest.spyOn(Session, 'exists').mockImplementation(async (filter) =>
+      (filter.family === 'session-1' && filter.revokedAt.$ne === null ? { _id: 'session-id' } : null));
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${earlierToken}`);
+
+    expect(res.status).toBe(401);
+    expect(RevokedToken.isRevoked).toHaveBeenCalled();
+    expect(exists).toHaveBeenCalledWith({ family: 'session-1', revokedAt: { $ne: null } });
+  });
+
+  it('rejects tokens issued before the last "log out everywhere"', async () => {
+    User.findById.mockImplementation(() => mockQuery({ ...user, tokenVersion: 2 }));
+    const token = generateToken({ id: user._id, email: user.email, role: user.role, tokenVersion: 1, family: 'session-1' });
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('checkPermission', () => {
+  const candidate = { ...user, _id: new mongoose.Types.ObjectId(), email: 'candidate@example.com', role: 'candidate' };
+
+  it('lets a role holding the permission through', async () => {
+    const res = await request(protectedApp).post('/jobs').set('Authorization', `Bearer ${accessToken()}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('refuses a role without the permission', async () => {
+    User.findById.mockImplementation(() => mockQuery(candidate));
+
+    const res = await request(protectedApp).post('/jobs').set('Authorization', `Bearer ${accessToken(candidate)}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Insufficient permissions.');
+  });
+
+  it('honours a permission granted to the user', async () => {
+    const promoted = { ...candidate, permissionOverrides: { granted: ['job.create'] } };
+    User.findById.mockImplementation(() => mockQuery(promoted));
+
+    const res = await request(protectedApp).post('/jobs').set('Authorization', `Bearer ${accessToken(promoted)}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('honours a permission revoked from the user', async () => {
+    User.findById.mockImplementation(() => mockQuery({ ...user, permissionOverrides: { revoked: ['job.create'] } }));
+
+    const res = await request(protectedApp).post('/jobs').set('Authorization', `Bearer ${accessToken()}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('requires an authenticated user', async () => {
+    const res = await request(protectedApp).post('/jobs');
+
+    expect(res.status).toBe(401);
+    expect(Role.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('API keys', () => {
+  const plainKey = 'ww_abc123_secret';
+  let apiKey;
+
+  beforeEach(() => {
+    apiKey = {
+      owner: user._id,
+      prefix: 'abc123',
+      scopes: ['job.create'],
+      touch: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(ApiKey, 'findByPlainKey').mockImplementation(async () => apiKey);
+  });
+
+  it('acts as the owner within the key scopes', async () => {
+    const res = await request(protectedApp).post('/jobs').set('Authorization', `ApiKey ${plainKey}`);
+
+    expect(res.status).toBe(200);
+    expect(ApiKey.findByPlainKey).toHaveBeenCalledWith(plainKey);
+    expect(apiKey.touch).toHaveBeenCalled();
+  });
+
+  it('refuses a permission the owner holds but the key was not scoped for', async () => {
+    apiKey.scopes = ['application.view'];
+
+    const res = await request(protectedApp).post('/jobs').set('Authorization', `ApiKey ${plainKey}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('This API key is missing the required scope: job.create');
+  });
+
+  it('refuses a scope the owner no longer holds', async () => {
+    User.findById.mockImplementation(() => mockQuery({ ...user, permissionOverrides: { revoked: ['job.create'] } }));
+
+    const res = await request(protectedApp).post('/jobs').set('Authorization', `ApiKey ${plainKey}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Insufficient permissions.');
+  });
+
+  it('refuses the key once its owner loses api_key.manage', async () => {
+    User.findById.mockImplementation(() => mockQuery({ ...user, role: 'candidate' }));
+
+    const res = await request(protectedApp).post('/jobs').set('Authorization', `ApiKey ${plainKey}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('This API key is no longer allowed.');
+  });
+
+  it('refuses an unknown, expired or revoked key', async () => {
+    apiKey = null;
+
+    const res = await request(protectedApp).post('/jobs').set('Authorization', `ApiKey ${plainKey}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('is refused on session-only routes', async () => {
+    const res = await request(protectedApp).get('/account').set('Authorization', `ApiKey ${plainKey}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('This endpoint cannot be accessed with an API key.');
+  });
+});
@@ -29,6 +29,7 @@ const sendErrorDev = (err, res) => {
     status: err.status,
     error: err,
     message: err.message,
+    ...(err.errors && { errors: err.errors }),
     stack: err.stack
   });
 };
@@ -38,7 +39,8 @@ const sendErrorProd = (err, res) => {
   if (err.isOperational) {
     res.status(err.statusCode).json({
       status: err.status,
-      message: err.message
+      message: err.message,
+      ...(err.errors && { errors: err.errors })
     });
   } else {
     // Programming or other unknown error: don't leak error details
@@ -0,0 +1,35 @@
+// middleware/rateLimiter.js
+const rateLimit = require('express-rate-limit');
+
+// =====================================
+// LIMITATION DU RENVOI DES EMAILS DE VÉRIFICATION
+// =====================================
+const verificationEmailLimiter = rateLimit({
+  windowMs: parseInt(process.env.VERIFICATION_EMAIL_WINDOW_MS) || 60 * 60 * 1000, // 1 heure
+  max: parseInt(process.env.VERIFICATION_EMAIL_MAX_REQUESTS) || 5,
+  message: {
+    status: 'fail',
+    message: 'Too many verification emails requested. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// =====================================
+// LIMITATION DES TENTATIVES DE CODE 2FA
+// =====================================
+const twoFactorLimiter = rateLimit({
+  windowMs: parseInt(process.env.TWO_FACTOR_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 10,
+  message: {
+    status: 'fail',
+    message: 'Too many two-factor attempts. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+module.exports = {
+  verificationEmailLimiter,
+  twoFactorLimiter
+};
@@ -7,8 +7,9 @@ const fs = require('fs');
 const uploadsDir = path.join(__dirname, '../uploads');
 const resumesDir = path.join(uploadsDir, 'resumes');
 const portfoliosDir = path.join(uploadsDir, 'portfolios');
+const documentsDir = path.join(uploadsDir, 'documents'); // Bibliothèque de documents des candidats
 
-[uploadsDir, resumesDir, portfoliosDir].forEach(dir => {
+[uploadsDir, resumesDir, portfoliosDir, documentsDir].forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
@@ -24,6 +25,8 @@ const storage = multer.diskStorage({
       uploadPath = resumesDir;
     } else if (file.fieldname === 'portfolio' || file.fieldname === 'additionalDocuments') {
       uploadPath = portfoliosDir;
+    } else if (file.fieldname === 'document') {
+      uploadPath = documentsDir;
     }
     
     cb(null, uploadPath);
@@ -68,6 +71,11 @@ const fileFilter = (req, file, cb) => {
       'application/x-rar-compressed',
       'image/jpeg',
       'image/png'
+    ],
+    document: [
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
     ]
   };
   
@@ -75,7 +83,8 @@ const fileFilter = (req, file, cb) => {
   const allowedExtensions = {
     resume: ['.pdf', '.doc', '.docx'],
     portfolio: ['.pdf', '.doc', '.docx', '.zip', '.rar', '.jpg', '.jpeg', '.png'],
-    additionalDocuments: ['.pdf', '.doc', '.docx', '.zip', '.rar', '.jpg', '.jpeg', '.png']
+    additionalDocuments: ['.pdf', '.doc', '.docx', '.zip', '.rar', '.jpg', '.jpeg', '.png'],
+    document: ['.pdf', '.doc', '.docx']
   };
   
   const fileExtension = path.extname(file.originalname).toLowerCase();
@@ -114,6 +123,37 @@ const uploadApplicationFiles = upload.fields([
   { name: 'additionalDocuments', maxCount: 5 }
 ]);
 
+// Middleware pour l'upload d'un document de la bibliothèque (CV, lettre de motivation)
+const uploadCandidateDocument = upload.single('document');
+
+// Images (avatar, logo) : gardées en mémoire, le service d'images vérifie le
+// contenu réel du fichier et écrit lui-même les variantes redimensionnées
+const imageFileFilter = (req, file, cb) => {
+  const allowedMimeTypes = ['image/jpeg', 'image/png', 'image/webp'];
+  const allowedExtensions = ['.jpg', '.jpeg', '.png', '.webp'];
+  const fileExtension = path.extname(file.originalname).toLowerCase();
+
+  if (allowedMimeTypes.includes(file.mimetype) && allowedExtensions.includes(fileExtension)) {
+    cb(null, true);
+  } else {
+    const error = new Error(`Invalid file type for ${file.fieldname}. Allowed types: ${allowedExtensions.join(', ')}`);
+    error.code = 'INVALID_FILE_TYPE';
+    cb(error, false);
+  }
+};
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max
+    files: 1
+  },
+  fileFilter: imageFileFilter
+});
+
+const uploadAvatar = imageUpload.single('avatar');
+const uploadCompanyLogo = imageUpload.single('logo');
+
 // Middleware pour gérer les erreurs de multer
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -182,6 +222,42 @@ const deleteFile = (filePath) => {
   });
 };
 
+// Utilitaire pour copier un fichier uploadé vers un autre dossier (ex: copie figée
+// d'un document de la bibliothèque jointe à une candidature)
+const copyUploadedFile = async (url, type, prefix) => {
+  const sourcePath = getUploadPath(url);
+  if (!sourcePath) {
+    throw new Error(`Cannot copy file outside of the uploads directory: ${url}`);
+  }
+
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const filename = `${prefix}-${uniqueSuffix}${path.extname(sourcePath)}`;
+  const targetPath = path.join(uploadsDir, type, filename);
+
+  await fs.promises.copyFile(sourcePath, targetPath, fs.constants.COPYFILE_EXCL);
+
+  return {
+    filename,
+    path: targetPath,
+    url: `/uploads/${type}/${filename}`
+  };
+};
+
+// Utilitaire pour obtenir le chemin local d'un fichier à partir de son URL (/uploads/...)
+// Retourne null pour une URL externe ou un chemin hors du dossier uploads
+const getUploadPath = (url) => {
+  if (!url) return null;
+
+  const baseUrl = process.env.BACKEND_URL || 'http://localhost:5000';
+  if (/^https?:\/\//.test(url) && !url.startsWith(baseUrl)) return null;
+
+  const pathname = /^https?:\/\//.test(url) ? new URL(url).pathname : url;
+  if (!pathname.startsWith('/uploads/')) return null;
+
+  const filePath = path.resolve(uploadsDir, decodeURIComponent(pathname.slice('/uploads/'.length)));
+  return filePath.startsWith(uploadsDir + path.sep) ? filePath : null;
+};
+
 // Utilitaire pour obtenir l'URL publique d'un fichier
 const getFileUrl = (filename, type) => {
   const baseUrl = process.env.BACKEND_URL || 'http://localhost:5000';
@@ -236,13 +312,8 @@ const validateApplicationWithFiles = (req, res, next) => {
       }
     }
     
-    // Valider que le CV est présent
-    if (!req.files || !req.files.resume || req.files.resume.length === 0) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Resume file is required'
-      });
-    }
+    // Le CV peut être envoyé ou choisi dans la bibliothèque (resumeId) :
+    // sa présence est vérifiée par le contrôleur
     
     // Valider les informations personnelles
     const { personalInfo } = req.body;
@@ -278,9 +349,14 @@ const validateApplicationWithFiles = (req, res, next) => {
 
 module.exports = {
   uploadApplicationFiles,
+  uploadCandidateDocument,
+  uploadAvatar,
+  uploadCompanyLogo,
   handleUploadError,
   cleanupFiles,
   deleteFile,
+  copyUploadedFile,
+  getUploadPath,
   getFileUrl,
   serveProtectedFile,
   validateApplicationWithFiles
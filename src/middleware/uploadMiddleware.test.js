@@ -0,0 +1,51 @@
+// middleware/uploadMiddleware.test.js - Chemins locaux des fichiers uploadés et copies figées
+const fs = require('fs');
+const path = require('path');
+const { getUploadPath, copyUploadedFile } = require('./uploadMiddleware');
+
+const uploadsDir = path.join(__dirname, '../uploads');
+
+describe('getUploadPath', () => {
+  it('resolves relative and same-server URLs inside the uploads directory', () => {
+    expect(getUploadPath('/uploads/documents/document-1.pdf')).toBe(path.join(uploadsDir, 'documents', 'document-1.pdf'));
+    expect(getUploadPath('http://localhost:5000/uploads/resumes/resume-1.pdf')).toBe(path.join(uploadsDir, 'resumes', 'resume-1.pdf'));
+  });
+
+  it.each([
+    ['an external URL', 'https://cdn.example.com/uploads/documents/document-1.pdf'],
+    ['a path outside /uploads', '/etc/passwd'],
+    ['a path escaping the uploads directory', '/uploads/../package.json'],
+    ['an encoded traversal', '/uploads/documents/%2e%2e%2f%2e%2e%2fpackage.json'],
+    ['an empty URL', undefined]
+  ])('returns null for %s', (label, url) => {
+    expect(getUploadPath(url)).toBeNull();
+  });
+});
+
+describe('copyUploadedFile', () => {
+  const source = path.join(uploadsDir, 'documents', `document-test-${Date.now()}.pdf`);
+  let copy;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    fs.writeFileSync(source, '%PDF-1.4 cover letter');
+  });
+
+  afterEach(() => {
+    [source, copy?.path].filter(Boolean).forEach(file => fs.rmSync(file, { force: true }));
+    jest.restoreAllMocks();
+  });
+
+  it('copies the file under a new name in the target folder', async () => {
+    copy = await copyUploadedFile(`/uploads/documents/${path.basename(source)}`, 'portfolios', 'coverLetter');
+
+    expect(copy.filename).toMatch(/^coverLetter-\d+-\d+\.pdf$/);
+    expect(copy.url).toBe(`/uploads/portfolios/${copy.filename}`);
+    expect(fs.readFileSync(copy.path, 'utf8')).toBe('%PDF-1.4 cover letter');
+  });
+
+  it('refuses to copy a file outside the uploads directory', async () => {
+    await expect(copyUploadedFile('/uploads/../package.json', 'resumes', 'resume'))
+      .rejects.toThrow('Cannot copy file outside of the uploads directory');
+  });
+});
@@ -0,0 +1,120 @@
+// models/ApiKey.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+const KEY_NAMESPACE = 'ww';
+
+// Clés API des employeurs (intégrations ATS). Seul le hash de la clé est
+// stocké ; le préfixe permet de la retrouver et de l'identifier dans l'UI.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'API key must belong to a user']
+  },
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: {
+    type: [String],
+    validate: [
+      {
+        validator: scopes => scopes.length > 0,
+        message: 'At least one scope is required'
+      },
+      {
+        validator: scopes => scopes.every(scope => API_KEY_SCOPES.includes(scope)),
+        message: `Invalid scope. Allowed scopes: ${API_KEY_SCOPES.join(', ')}`
+      }
+    ]
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+apiKeySchema.index({ owner: 1, revokedAt: 1 });
+
+// Virtual pour savoir si la clé est utilisable
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+const hashKey = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Méthode statique pour générer une nouvelle clé
+// Retourne le document et la clé en clair (affichée une seule fois)
+apiKeySchema.statics.generate = async function({ owner, name, scopes, expiresAt }) {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const plainKey = `${KEY_NAMESPACE}_${prefix}_${secret}`;
+
+  const apiKey = await this.create({
+    owner,
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    prefix,
+    keyHash: hashKey(plainKey)
+  });
+
+  return { apiKey, plainKey };
+};
+
+// Méthode statique pour retrouver une clé active à partir de la clé en clair
+apiKeySchema.statics.findByPlainKey = async function(plainKey) {
+  const [namespace, prefix] = String(plainKey || '').split('_');
+  if (namespace !== KEY_NAMESPACE || !prefix) return null;
+
+  const apiKey = await this.findOne({ prefix }).select('+keyHash');
+  if (!apiKey) return null;
+
+  const expected = Buffer.from(apiKey.keyHash, 'hex');
+  const actual = Buffer.from(hashKey(plainKey), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  return apiKey.isActive ? apiKey : null;
+};
+
+// Méthode pour enregistrer une utilisation (au plus une écriture par minute)
+apiKeySchema.methods.touch = function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < 60 * 1000) {
+    return Promise.resolve();
+  }
+
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: new Date(), lastUsedIp: ip }
+  );
+};
+
+// Transformer la sortie JSON
+apiKeySchema.methods.toJSON = function() {
+  const apiKey = this.toObject({ virtuals: true });
+  delete apiKey.keyHash;
+  delete apiKey.id;
+  delete apiKey.__v;
+  return apiKey;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -30,7 +30,12 @@ const applicationSchema = new mongoose.Schema({
     originalName: String,
     mimetype: String,
     size: Number,
-    url: String
+    url: String,
+    // Document de la bibliothèque du candidat dont ce fichier est une copie figée
+    sourceDocument: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CandidateDocument'
+    }
   },
   additionalDocuments: [{
     filename: String,
@@ -40,7 +45,11 @@ const applicationSchema = new mongoose.Schema({
     url: String,
     type: {
       type: String,
-      enum: ['portfolio', 'certificate', 'reference', 'other']
+      enum: ['portfolio', 'cover_letter', 'certificate', 'reference', 'other']
+    },
+    sourceDocument: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CandidateDocument'
     }
   }],
   personalInfo: {
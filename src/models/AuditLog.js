@@ -0,0 +1,63 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+// Journal d'audit des actions sensibles (administration, sécurité)
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: [true, 'Audit action is required'],
+    trim: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorEmail: String,
+  actorRole: String,
+  targetType: {
+    type: String,
+    trim: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Détails de l'action (ex: { from: 'candidate', to: 'employer' })
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Méthode statique pour enregistrer une action à partir de la requête courante
+auditLogSchema.statics.record = function(req, { action, targetType, target, reason, metadata }) {
+  return this.create({
+    action,
+    actor: req.user?._id,
+    actorEmail: req.user?.email,
+    actorRole: req.user?.role,
+    targetType,
+    target,
+    reason,
+    metadata,
+    ip: req.ip,
+    userAgent: req.get ? req.get('User-Agent') : undefined
+  });
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,87 @@
+// models/CandidateDocument.js
+const mongoose = require('mongoose');
+
+// Bibliothèque de documents d'un candidat (CV et lettres de motivation) réutilisables
+// d'une candidature à l'autre. Une candidature reçoit une copie figée du document.
+const candidateDocumentSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Document must belong to a user']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['resume', 'cover_letter'],
+      message: 'Document type must be either resume or cover_letter'
+    },
+    required: [true, 'Document type is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Document name is required'],
+    trim: true,
+    maxlength: [100, 'Document name cannot exceed 100 characters']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  file: {
+    filename: String,
+    originalName: String,
+    mimetype: String,
+    size: Number,
+    url: String
+  },
+  // Lettre de motivation saisie en texte (au lieu d'un fichier)
+  content: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Cover letter cannot exceed 2000 characters']
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+candidateDocumentSchema.index({ owner: 1, type: 1, createdAt: -1 });
+// Un seul document par défaut par type
+candidateDocumentSchema.index(
+  { owner: 1, type: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+// Un CV est toujours un fichier ; une lettre de motivation est un fichier ou un texte
+candidateDocumentSchema.pre('validate', function(next) {
+  const hasFile = !!this.file?.url;
+
+  if (this.type === 'resume' && !hasFile) {
+    this.invalidate('file', 'A resume document requires a file');
+  } else if (this.type === 'cover_letter' && !hasFile && !this.content) {
+    this.invalidate('content', 'A cover letter requires a file or text content');
+  }
+
+  next();
+});
+
+// Méthode statique pour obtenir le document par défaut d'un type
+candidateDocumentSchema.statics.findDefault = function(ownerId, type) {
+  return this.findOne({ owner: ownerId, type, isDefault: true });
+};
+
+// Méthode statique pour définir le document par défaut (retire l'ancien)
+candidateDocumentSchema.statics.setDefault = async function(document) {
+  await this.updateMany(
+    { owner: document.owner, type: document.type, isDefault: true, _id: { $ne: document._id } },
+    { $set: { isDefault: false } }
+  );
+
+  document.isDefault = true;
+  return document.save();
+};
+
+const CandidateDocument = mongoose.model('CandidateDocument', candidateDocumentSchema);
+
+module.exports = CandidateDocument;
@@ -1,5 +1,7 @@
 // src/models/Company.js
 const mongoose = require('mongoose');
+const imageSchema = require('./schemas/imageSchema');
+const { geoLocationPlugin } = require('./schemas/geoPointSchema');
 
 const companySchema = new mongoose.Schema({
   name: {
@@ -62,10 +64,12 @@ const companySchema = new mongoose.Schema({
       message: 'Please enter a valid phone number (at least 10 digits)'
     }
   },
+  // URL principale (JPEG medium) ; les variantes sont dans logoImage
   logo: {
     type: String,
     trim: true
   },
+  logoImage: imageSchema,
   founded: {
     type: Date
   },
@@ -137,6 +141,9 @@ companySchema.pre('save', async function(next) {
   next();
 });
 
+// Coordonnées GeoJSON déduites de "location" (recherche par rayon)
+companySchema.plugin(geoLocationPlugin);
+
 const Company = mongoose.model('Company', companySchema);
 
 module.exports = Company;
\ No newline at end of file
@@ -0,0 +1,80 @@
+// models/DataExport.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Export des données personnelles d'un utilisateur (portabilité RGPD).
+// L'archive est générée en arrière-plan puis téléchargeable via un lien
+// temporaire ; seul le hash du token de téléchargement est stocké.
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Data export must belong to a user']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  startedAt: Date,
+  completedAt: Date,
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileSize: Number,
+  contents: {
+    applications: Number,
+    savedJobs: Number,
+    documents: Number,
+    files: Number
+  },
+  downloadTokenHash: {
+    type: String,
+    select: false
+  },
+  expiresAt: Date, // Fin de validité du lien (l'archive est ensuite supprimée)
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  lastDownloadedAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual pour vérifier si l'archive peut être téléchargée
+dataExportSchema.virtual('isDownloadable').get(function() {
+  return this.status === 'ready' && this.expiresAt > new Date();
+});
+
+// Méthode statique pour hasher un token de téléchargement
+dataExportSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Générer un nouveau token de téléchargement (remplace le précédent)
+// Le document doit ensuite être sauvegardé par l'appelant
+dataExportSchema.methods.createDownloadToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.downloadTokenHash = this.constructor.hashToken(token);
+  return token;
+};
+
+dataExportSchema.methods.toJSON = function() {
+  const dataExport = this.toObject({ virtuals: true });
+  delete dataExport.filePath;
+  delete dataExport.downloadTokenHash;
+  delete dataExport.id;
+  delete dataExport.__v;
+  return dataExport;
+};
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+module.exports = DataExport;
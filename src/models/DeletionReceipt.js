@@ -0,0 +1,57 @@
+// models/DeletionReceipt.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Preuve d'effacement d'un compte (RGPD). Ne contient aucune donnée
+// personnelle : l'email n'est conservé que sous forme de hash, ce qui permet
+// de confirmer l'effacement à la personne concernée sans pouvoir le retrouver.
+const deletionReceiptSchema = new mongoose.Schema({
+  receiptId: {
+    type: String,
+    required: [true, 'Receipt identifier is required'],
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId // Compte anonymisé (non peuplé)
+  },
+  emailHash: {
+    type: String,
+    required: [true, 'Email hash is required']
+  },
+  role: String,
+  requestedAt: Date,
+  scheduledFor: Date,
+  completedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Détail des données effacées ou anonymisées
+  summary: {
+    applicationsAnonymized: { type: Number, default: 0 },
+    filesDeleted: { type: Number, default: 0 },
+    documentsDeleted: { type: Number, default: 0 },
+    companiesDeleted: { type: Number, default: 0 },
+    jobsClosed: { type: Number, default: 0 },
+    sessionsDeleted: { type: Number, default: 0 },
+    apiKeysDeleted: { type: Number, default: 0 },
+    auditEntriesScrubbed: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+deletionReceiptSchema.index({ emailHash: 1 });
+
+// Méthode statique pour hasher un email (comparaison sans stockage en clair)
+deletionReceiptSchema.statics.hashEmail = function(email) {
+  return crypto.createHash('sha256').update(String(email).toLowerCase().trim()).digest('hex');
+};
+
+// Méthode statique pour générer un identifiant de reçu lisible
+deletionReceiptSchema.statics.generateReceiptId = function() {
+  return `DEL-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+};
+
+const DeletionReceipt = mongoose.model('DeletionReceipt', deletionReceiptSchema);
+
+module.exports = DeletionReceipt;
@@ -1,5 +1,9 @@
 // models/Job.js - FIXED VERSION with MAD currency
 const mongoose = require('mongoose');
+const { buildTextSearchFilter, usesTextIndex } = require('../utils/textSearch');
+const { geoLocationPlugin } = require('./schemas/geoPointSchema');
+
+const TEXT_INDEX_NAME = 'job_text_search';
 
 const jobSchema = new mongoose.Schema({
   title: {
@@ -99,6 +103,11 @@ const jobSchema = new mongoose.Schema({
     },
     default: 'active'
   },
+  // Première mise en ligne (passage au statut "active") : les alertes des
+  // recherches sauvegardées partent de cette date, pas de la création
+  publishedAt: {
+    type: Date
+  },
   postedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -137,8 +146,17 @@ const jobSchema = new mongoose.Schema({
 });
 
 // Indexes pour optimiser les requêtes
-jobSchema.index({ title: 'text', description: 'text', skills: 'text' });
+// Index texte pondéré : un mot du titre compte plus qu'un mot de la description.
+// Une collection n'accepte qu'un index texte : voir ensureTextIndex.
+jobSchema.index(
+  { title: 'text', skills: 'text', tags: 'text', category: 'text', description: 'text' },
+  {
+    name: TEXT_INDEX_NAME,
+    weights: { title: 10, skills: 6, tags: 4, category: 3, description: 1 }
+  }
+);
 jobSchema.index({ status: 1, createdAt: -1 });
+jobSchema.index({ status: 1, publishedAt: -1 });
 jobSchema.index({ location: 1 });
 jobSchema.index({ type: 1 });
 jobSchema.index({ category: 1 });
@@ -215,6 +233,11 @@ jobSchema.pre('save', function(next) {
   if (this.tags) {
     this.tags = [...new Set(this.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
   }
+
+  // Date de première mise en ligne (un brouillon n'est pas encore publié)
+  if (this.status === 'active' && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
   
   next();
 });
@@ -224,13 +247,13 @@ jobSchema.statics.searchJobs = function(searchTerm, filters = {}) {
   const query = this.find();
   
   if (searchTerm) {
-    query.where({
-      $or: [
-        { title: { $regex: searchTerm, $options: 'i' } },
-        { description: { $regex: searchTerm, $options: 'i' } },
-        { skills: { $in: [new RegExp(searchTerm, 'i')] } }
-      ]
-    });
+    const textFilter = buildTextSearchFilter(searchTerm);
+    query.where(textFilter);
+
+    // Résultats les plus pertinents en premier
+    if (usesTextIndex(textFilter)) {
+      query.select({ score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' } });
+    }
   }
   
   // Appliquer les filtres
@@ -243,6 +266,30 @@ jobSchema.statics.searchJobs = function(searchTerm, filters = {}) {
   return query;
 };
 
+// Remplacer un ancien index texte (non pondéré) par celui du schéma.
+// MongoDB refuse de créer un second index texte : l'ancien doit être supprimé.
+jobSchema.statics.ensureTextIndex = async function() {
+  const indexes = await this.collection.indexes().catch(() => []);
+  const outdated = indexes.filter(index => index.textIndexVersion && index.name !== TEXT_INDEX_NAME);
+
+  for (const index of outdated) {
+    await this.collection.dropIndex(index.name);
+  }
+
+  await this.createIndexes();
+  return outdated.map(index => index.name);
+};
+
+// Renseigner la date de publication des offres créées avant son ajout
+// (les brouillons la recevront à leur activation)
+jobSchema.statics.backfillPublishedAt = async function() {
+  const { modifiedCount } = await this.updateMany(
+    { publishedAt: { $exists: false }, status: { $ne: 'draft' } },
+    [{ $set: { publishedAt: '$createdAt' } }]
+  );
+  return modifiedCount;
+};
+
 // Méthode pour obtenir les emplois similaires
 jobSchema.methods.getSimilarJobs = function(limit = 5) {
   return this.constructor.find({
@@ -277,6 +324,9 @@ jobSchema.methods.updateStatus = function(newStatus) {
   return this.save();
 };
 
+// Coordonnées GeoJSON déduites de "location" (recherche par rayon)
+jobSchema.plugin(geoLocationPlugin);
+
 const Job = mongoose.model('Job', jobSchema);
 
 module.exports = Job;
\ No newline at end of file
@@ -0,0 +1,133 @@
+// models/LoginAttempt.js
+const mongoose = require('mongoose');
+
+// Compteur d'échecs de connexion, par compte (email) et par adresse IP.
+// Stocké en base pour survivre aux redémarrages et être partagé entre instances.
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Attempt key is required'],
+    unique: true
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  identifier: {
+    type: String,
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  nextAttemptAt: Date, // backoff exponentiel entre deux tentatives
+  lockedUntil: Date,
+  lockCount: {
+    type: Number,
+    default: 0 // nombre de verrouillages consécutifs (durée doublée à chaque fois)
+  },
+  lastIp: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Suppression automatique des compteurs inactifs (TTL)
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Construire la clé d'un compteur
+loginAttemptSchema.statics.buildKey = function(scope, identifier) {
+  return `${scope}:${String(identifier).toLowerCase()}`;
+};
+
+// Méthode statique pour enregistrer un échec et appliquer backoff/verrouillage
+// Retourne le compteur à jour et `newlyLocked` si cet échec déclenche le verrouillage
+loginAttemptSchema.statics.registerFailure = async function(scope, identifier, options) {
+  const {
+    windowMs,
+    maxAttempts,
+    lockoutMs,
+    maxLockoutMs,
+    backoffBaseMs = 0,
+    backoffMaxMs = 0,
+    retentionMs,
+    ip
+  } = options;
+
+  const key = this.buildKey(scope, identifier);
+  const now = new Date();
+
+  // Les échecs plus anciens que la fenêtre ne comptent plus
+  await this.updateOne(
+    { key, lastFailureAt: { $lt: new Date(now.getTime() - windowMs) } },
+    { $set: { failures: 0 } }
+  );
+
+  let attempt = await this.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, lastIp: ip, expiresAt: new Date(now.getTime() + retentionMs) },
+      $setOnInsert: { scope, identifier: String(identifier).toLowerCase() }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  if (attempt.failures >= maxAttempts) {
+    const duration = Math.min(lockoutMs * 2 ** attempt.lockCount, maxLockoutMs);
+    const lockedUntil = new Date(now.getTime() + duration);
+
+    // Condition sur lockedUntil: un seul appel concurrent déclenche le verrouillage
+    const locked = await this.findOneAndUpdate(
+      {
+        key,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        $set: {
+          failures: 0,
+          lockedUntil,
+          nextAttemptAt: null,
+          expiresAt: new Date(lockedUntil.getTime() + retentionMs)
+        },
+        $inc: { lockCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (locked) {
+      return { attempt: locked, newlyLocked: true };
+    }
+  } else if (backoffBaseMs > 0) {
+    const delay = Math.min(backoffBaseMs * 2 ** (attempt.failures - 1), backoffMaxMs);
+    attempt = await this.findOneAndUpdate(
+      { key },
+      { $set: { nextAttemptAt: new Date(now.getTime() + delay) } },
+      { new: true }
+    );
+  }
+
+  return { attempt, newlyLocked: false };
+};
+
+// Méthode statique pour effacer les échecs (connexion réussie ou déverrouillage)
+loginAttemptSchema.statics.clear = function(scope, identifier, { resetLockCount = false } = {}) {
+  const update = {
+    $set: { failures: 0, nextAttemptAt: null, lockedUntil: null }
+  };
+  if (resetLockCount) {
+    update.$set.lockCount = 0;
+  }
+
+  return this.updateOne({ key: this.buildKey(scope, identifier) }, update);
+};
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -0,0 +1,50 @@
+// models/OidcState.js
+const mongoose = require('mongoose');
+
+// État temporaire d'une connexion OIDC en cours (state, nonce et code_verifier PKCE)
+const oidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // Utilisateur connecté qui demande à lier ce fournisseur à son compte
+  linkUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Suppression automatique des états expirés (TTL)
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Méthode statique pour consommer un state (utilisable une seule fois)
+oidcStateSchema.statics.consume = function(state, provider) {
+  return this.findOneAndDelete({
+    state,
+    provider,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+const OidcState = mongoose.model('OidcState', oidcStateSchema);
+
+module.exports = OidcState;
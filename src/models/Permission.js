@@ -0,0 +1,38 @@
+// models/Permission.js
+const mongoose = require('mongoose');
+
+// Permission attribuable aux rôles (ex: "job.create")
+const permissionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Permission key is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z_]+(\.[a-z_]+)+$/, 'Permission key must look like "resource.action"']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Permissions du catalogue par défaut (non supprimables)
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+permissionSchema.index({ category: 1, key: 1 });
+
+const Permission = mongoose.model('Permission', permissionSchema);
+
+module.exports = Permission;
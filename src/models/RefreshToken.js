@@ -0,0 +1,72 @@
+// models/RefreshToken.js
+const mongoose = require('mongoose');
+
+// Chaque refresh token émis est stocké ici. Les tokens d'une même session
+// partagent une "family" : à chaque rotation, l'ancien token est marqué comme
+// utilisé et un nouveau token de la même famille est émis.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Refresh token must belong to a user']
+  },
+  jti: {
+    type: String,
+    required: [true, 'Token identifier is required'],
+    unique: true
+  },
+  family: {
+    type: String,
+    required: [true, 'Token family is required']
+  },
+  parent: {
+    type: String // jti du token qui a été échangé contre celui-ci
+  },
+  replacedBy: {
+    type: String // jti du token émis lors de la rotation
+  },
+  usedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    trim: true
+  },
+  createdByIp: String,
+  userAgent: String,
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+// Suppression automatique des tokens expirés (TTL)
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Méthode statique pour révoquer toute une famille de tokens
+refreshTokenSchema.statics.revokeFamily = function(family, reason = 'revoked') {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Méthode statique pour révoquer tous les refresh tokens d'un utilisateur
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason = 'revoked') {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -0,0 +1,55 @@
+// models/RevokedToken.js
+const mongoose = require('mongoose');
+
+// Liste de révocation des access tokens (par jti). Une entrée n'a besoin
+// d'exister que jusqu'à l'expiration naturelle du token révoqué.
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token identifier is required'],
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Suppression automatique une fois le token expiré (TTL)
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Méthode statique pour révoquer un access token décodé
+revokedTokenSchema.statics.revoke = function(decoded, reason = 'logout') {
+  return this.updateOne(
+    { jti: decoded.jti },
+    {
+      $setOnInsert: {
+        jti: decoded.jti,
+        user: decoded.id,
+        reason,
+        expiresAt: new Date(decoded.exp * 1000)
+      }
+    },
+    { upsert: true }
+  );
+};
+
+// Méthode statique pour vérifier si un token est révoqué
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  if (!jti) return false;
+  return !!(await this.exists({ jti }));
+};
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+module.exports = RevokedToken;
@@ -0,0 +1,116 @@
+// models/SavedSearch.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Intervalle entre deux alertes selon la fréquence choisie
+const ALERT_INTERVALS_MS = {
+  instant: 10 * 60 * 1000, // vérifiée à chaque passage du planificateur
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Recherche d'offres enregistrée par un candidat, avec alerte email des
+// nouvelles offres correspondantes (voir savedSearchService)
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Saved search must belong to a user']
+  },
+  name: {
+    type: String,
+    required: [true, 'Saved search name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Mêmes critères que GET /api/jobs (voir jobService.buildJobFilter)
+  criteria: {
+    search: { type: String, trim: true },
+    location: { type: String, trim: true },
+    type: {
+      type: String,
+      enum: ['full-time', 'part-time', 'contract', 'freelance', 'internship']
+    },
+    category: { type: String, trim: true },
+    experienceLevel: {
+      type: String,
+      enum: ['entry', 'mid', 'senior', 'executive']
+    },
+    minSalary: { type: Number, min: 0 },
+    maxSalary: { type: Number, min: 0 },
+    isRemote: Boolean
+  },
+  frequency: {
+    type: String,
+    enum: {
+      values: Object.keys(ALERT_INTERVALS_MS),
+      message: 'Frequency must be one of: instant, daily, weekly'
+    },
+    default: 'daily'
+  },
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Lien de désinscription en un clic inclus dans chaque alerte
+  unsubscribeToken: {
+    type: String,
+    select: false
+  },
+  // Les offres publiées après cette date sont "nouvelles" pour la prochaine alerte
+  lastCheckedAt: {
+    type: Date,
+    default: Date.now
+  },
+  nextRunAt: Date,
+  processingAt: Date,
+  lastSentAt: Date,
+  lastMatchCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ alertsEnabled: 1, nextRunAt: 1 });
+savedSearchSchema.index({ unsubscribeToken: 1 }, { sparse: true });
+
+// Générer le token de désinscription et planifier la première alerte
+savedSearchSchema.pre('save', function(next) {
+  if (!this.unsubscribeToken && this.isNew) {
+    this.unsubscribeToken = crypto.randomBytes(24).toString('hex');
+  }
+
+  if (this.isNew || this.isModified('frequency') || this.isModified('alertsEnabled')) {
+    this.nextRunAt = this.alertsEnabled ? this.constructor.getNextRunAt(this.frequency) : undefined;
+  }
+
+  // Alertes réactivées : ne pas envoyer les offres publiées entre-temps
+  if (!this.isNew && this.isModified('alertsEnabled') && this.alertsEnabled) {
+    this.lastCheckedAt = new Date();
+  }
+
+  next();
+});
+
+// Date de la prochaine alerte pour une fréquence
+savedSearchSchema.statics.getNextRunAt = function(frequency, from = new Date()) {
+  return new Date(from.getTime() + (ALERT_INTERVALS_MS[frequency] || ALERT_INTERVALS_MS.daily));
+};
+
+savedSearchSchema.statics.ALERT_INTERVALS_MS = ALERT_INTERVALS_MS;
+
+savedSearchSchema.methods.toJSON = function() {
+  const savedSearch = this.toObject();
+  delete savedSearch.unsubscribeToken;
+  delete savedSearch.processingAt;
+  delete savedSearch.__v;
+  return savedSearch;
+};
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
@@ -0,0 +1,100 @@
+// models/Session.js
+const mongoose = require('mongoose');
+
+// Une session correspond à une connexion sur un appareil, c'est-à-dire à une
+// famille de refresh tokens. Elle est mise à jour à chaque rotation.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Session must belong to a user']
+  },
+  family: {
+    type: String,
+    required: [true, 'Token family is required'],
+    unique: true
+  },
+  device: {
+    browser: String,
+    browserVersion: String,
+    os: String,
+    type: {
+      type: String,
+      enum: ['desktop', 'mobile', 'tablet', 'other'],
+      default: 'other'
+    },
+    label: String
+  },
+  userAgent: String,
+  ip: String, // IP de connexion
+  lastIp: String, // IP de la dernière activité (rotation)
+  lastLogin: {
+    type: Date,
+    default: Date.now
+  },
+  lastActiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Dernier access token émis pour cette session (révoqué avec elle)
+  accessJti: {
+    type: String,
+    select: false
+  },
+  accessExpiresAt: {
+    type: Date,
+    select: false
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1, lastActiveAt: -1 });
+// Suppression automatique des sessions expirées (TTL)
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Méthode statique pour obtenir les sessions actives d'un utilisateur
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastActiveAt: -1 });
+};
+
+// Méthode statique pour révoquer toutes les sessions d'un utilisateur
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'revoked') {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Méthode statique pour vérifier si une session a été révoquée (index unique sur family)
+sessionSchema.statics.isRevoked = async function(family) {
+  if (!family) return false;
+  return !!(await this.exists({ family, revokedAt: { $ne: null } }));
+};
+
+// Transformer la sortie JSON
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.accessJti;
+  delete session.accessExpiresAt;
+  delete session.__v;
+  return session;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
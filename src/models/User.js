@@ -1,6 +1,13 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const passwordPolicy = require('../config/passwordPolicy');
+const imageSchema = require('./schemas/imageSchema');
+const { generateSlug } = require('../utils/helpers');
+
+const EMAIL_CHANGE_TTL_MS = 24 * 60 * 60 * 1000; // Lien de confirmation valable 24 heures
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // Lien de vérification valable 24 heures
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -25,32 +32,212 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
-    minlength: [8, 'Password must be at least 8 characters long'],
+    // Facultatif pour les comptes créés via un fournisseur OIDC
+    required: [function() { return !this.identities || this.identities.length === 0; }, 'Password is required'],
+    minlength: [passwordPolicy.minLength, `Password must be at least ${passwordPolicy.minLength} characters long`],
     select: false
   },
   role: {
-    type: String,
-    enum: ['candidate', 'employer', 'admin'],
+    type: String, // nom d'un document Role (admin, employer, candidate, ...)
+    trim: true,
+    lowercase: true,
     default: 'candidate'
   },
+  // Ajustements individuels des permissions du rôle
+  permissionOverrides: {
+    granted: {
+      type: [String],
+      default: undefined
+    },
+    revoked: {
+      type: [String],
+      default: undefined
+    }
+  },
   profile: {
     phone: String,
     location: String,
     bio: String,
-    skills: [String],
-    experience: String,
-    education: String,
-    avatar: String
+    // Sections structurées (mêmes notions que Application, pour pré-remplir les candidatures)
+    skills: [{
+      name: {
+        type: String,
+        required: [true, 'Skill name is required'],
+        trim: true,
+        maxlength: [50, 'Skill name cannot exceed 50 characters']
+      },
+      level: {
+        type: String,
+        enum: ['beginner', 'intermediate', 'advanced', 'expert']
+      },
+      yearsOfExperience: {
+        type: Number,
+        min: [0, 'Years of experience cannot be negative']
+      }
+    }],
+    experience: {
+      totalYears: {
+        type: Number,
+        min: [0, 'Experience cannot be negative'],
+        max: [50, 'Experience cannot exceed 50 years']
+      },
+      summary: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Experience summary cannot exceed 1000 characters']
+      },
+      positions: [{
+        title: {
+          type: String,
+          required: [true, 'Position title is required'],
+          trim: true,
+          maxlength: [100, 'Position title cannot exceed 100 characters']
+        },
+        company: {
+          type: String,
+          trim: true,
+          maxlength: [100, 'Company name cannot exceed 100 characters']
+        },
+        location: {
+          type: String,
+          trim: true
+        },
+        startDate: Date,
+        endDate: Date,
+        current: {
+          type: Boolean,
+          default: false
+        },
+        description: {
+          type: String,
+          trim: true,
+          maxlength: [2000, 'Description cannot exceed 2000 characters']
+        }
+      }]
+    },
+    education: [{
+      degree: {
+        type: String,
+        trim: true
+      },
+      field: {
+        type: String,
+        trim: true
+      },
+      institution: {
+        type: String,
+        trim: true
+      },
+      startYear: Number,
+      graduationYear: {
+        type: Number,
+        min: [1950, 'Graduation year cannot be before 1950'],
+        max: [new Date().getFullYear() + 10, 'Graduation year cannot be too far in the future']
+      },
+      gpa: {
+        type: Number,
+        min: [0, 'GPA cannot be negative'],
+        max: [4, 'GPA cannot exceed 4.0']
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+      }
+    }],
+    languages: [{
+      name: {
+        type: String,
+        required: [true, 'Language name is required'],
+        trim: true
+      },
+      proficiency: {
+        type: String,
+        enum: ['basic', 'conversational', 'fluent', 'native']
+      }
+    }],
+    links: [{
+      type: {
+        type: String,
+        enum: ['linkedin', 'github', 'portfolio', 'website', 'other'],
+        default: 'other'
+      },
+      url: {
+        type: String,
+        required: [true, 'Link URL is required'],
+        trim: true,
+        match: [/^https?:\/\/.+/i, 'Link must be a valid http(s) URL']
+      },
+      label: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Label cannot exceed 50 characters']
+      }
+    }],
+    // URL principale (JPEG medium) ; les variantes sont dans avatarImage
+    avatar: String,
+    avatarImage: imageSchema
   },
   savedJobs: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Job'
   }],
+  // Profil public partageable (GET /api/profiles/:slug), privé par défaut
+  publicProfile: {
+    visibility: {
+      type: String,
+      enum: ['private', 'public'],
+      default: 'private'
+    },
+    slug: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      minlength: [3, 'Profile URL must be at least 3 characters long'],
+      maxlength: [60, 'Profile URL cannot exceed 60 characters'],
+      match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Profile URL can only contain lowercase letters, numbers and hyphens']
+    },
+    hideContactInfo: {
+      type: Boolean,
+      default: true
+    },
+    hideCurrentEmployer: {
+      type: Boolean,
+      default: false
+    },
+    hiddenSections: {
+      type: [{
+        type: String,
+        enum: ['bio', 'skills', 'experience', 'education', 'languages', 'links']
+      }],
+      default: undefined
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Suspension par un administrateur (isActive passe alors à false)
+  suspension: {
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String
+  },
+  // Effacement du compte (RGPD) : planifié puis exécuté après le délai de grâce
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    processingAt: Date,
+    completedAt: Date
+  },
   emailVerified: {
     type: Boolean,
     default: false
@@ -59,6 +246,28 @@ const userSchema = new mongoose.Schema({
     type: String,
     select: false
   },
+  emailVerificationSentAt: {
+    type: Date,
+    select: false
+  },
+  // Changement d'adresse email en attente de confirmation par la nouvelle adresse
+  pendingEmailChange: {
+    newEmail: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    cancelTokenHash: {
+      type: String,
+      select: false
+    },
+    requestedAt: Date,
+    expiresAt: Date
+  },
   passwordResetToken: {
     type: String,
     select: false
@@ -67,9 +276,72 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Hashs des derniers mots de passe (empêche leur réutilisation)
+  passwordHistory: {
+    type: [{
+      _id: false,
+      hash: String,
+      changedAt: Date
+    }],
+    select: false
+  },
+  // Réinitialisation imposée par un administrateur (connexion bloquée d'ici là)
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
   lastLogin: {
     type: Date
-  }
+  },
+  // Authentification à deux facteurs (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String, // chiffré (AES-256-GCM)
+      select: false
+    },
+    pendingSecret: {
+      type: String, // secret en cours d'enrôlement, chiffré
+      select: false
+    },
+    recoveryCodes: {
+      type: [String], // hashés (SHA-256)
+      select: false
+    },
+    lastUsedStep: {
+      type: Number, // empêche la réutilisation d'un même code TOTP
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Incrémenté pour invalider tous les tokens émis auparavant ("log out everywhere")
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Identités externes liées (connexion sociale OIDC)
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String, // claim "sub" de l'ID token
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: Date
+  }]
 }, {
   timestamps: true
 });
@@ -78,6 +350,36 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index(
+  { 'publicProfile.slug': 1 },
+  { unique: true, partialFilterExpression: { 'publicProfile.slug': { $type: 'string' } } }
+);
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+// Conversion à la lecture des anciens profils (skills en chaînes, experience et
+// education en texte libre) vers les sections structurées
+userSchema.pre('init', function(doc) {
+  const profile = doc.profile;
+  if (!profile) return;
+
+  if (Array.isArray(profile.skills)) {
+    profile.skills = profile.skills.map(skill => (typeof skill === 'string' ? { name: skill } : skill));
+  }
+
+  if (typeof profile.experience === 'string') {
+    profile.experience = { summary: profile.experience, positions: [] };
+  }
+
+  if (typeof profile.education === 'string') {
+    profile.education = profile.education.trim() ? [{ description: profile.education }] : [];
+  }
+});
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -91,14 +393,101 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Ajouté à l'historique après la sauvegarde (le champ n'est pas toujours sélectionné)
+    this.$locals.passwordHistoryEntry = { hash: this.password, changedAt: new Date() };
+
+    // Un changement de mot de passe invalide les liens de réinitialisation en cours
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+      this.passwordResetToken = undefined;
+      this.passwordResetExpires = undefined;
+      this.passwordResetRequired = false;
+    }
+
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Conserver les derniers hashs de mot de passe
+userSchema.post('save', async function() {
+  const entry = this.$locals.passwordHistoryEntry;
+  if (!entry) return;
+
+  delete this.$locals.passwordHistoryEntry;
+  if (passwordPolicy.historySize <= 0) return;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $push: { passwordHistory: { $each: [entry], $slice: -passwordPolicy.historySize } } }
+  );
+});
+
+userSchema.statics.EMAIL_VERIFICATION_TTL_MS = EMAIL_VERIFICATION_TTL_MS;
+
+// Trouver une adresse de profil public libre à partir d'un texte (ex: nom complet)
+userSchema.statics.generatePublicSlug = async function(text, excludeUserId) {
+  const base = (generateSlug(text).replace(/_/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '') || 'candidate').slice(0, 50);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const slug = attempt === 0 && base.length >= 3
+      ? base
+      : `${base}-${crypto.randomBytes(3).toString('hex')}`;
+
+    const taken = await this.exists({ 'publicProfile.slug': slug, _id: { $ne: excludeUserId } });
+    if (!taken) return slug;
+  }
+
+  return `${base}-${crypto.randomBytes(6).toString('hex')}`;
+};
+
+// Lien de vérification d'email : token aléatoire dont seul le hash est stocké.
+// Un nouvel envoi remplace le précédent ; l'appelant sauvegarde le document
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Method to create a password reset token (random, only its hash is stored)
+// A new token replaces the previous one; the caller saves the document
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = Date.now() + 60 * 60 * 1000; // 1 heure
+
+  return resetToken;
+};
+
+// Préparer un changement d'email : un lien de confirmation pour la nouvelle
+// adresse, un lien d'annulation pour l'ancienne (seuls les hashs sont stockés)
+userSchema.methods.createEmailChangeTokens = function(newEmail) {
+  const confirmToken = crypto.randomBytes(32).toString('hex');
+  const cancelToken = crypto.randomBytes(32).toString('hex');
+  const requestedAt = new Date();
+
+  this.pendingEmailChange = {
+    newEmail,
+    tokenHash: crypto.createHash('sha256').update(confirmToken).digest('hex'),
+    cancelTokenHash: crypto.createHash('sha256').update(cancelToken).digest('hex'),
+    requestedAt,
+    expiresAt: new Date(requestedAt.getTime() + EMAIL_CHANGE_TTL_MS)
+  };
+
+  return { confirmToken, cancelToken };
+};
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // Compte sans mot de passe (créé via un fournisseur OIDC)
+  if (!this.password) return false;
+
   try {
     return await bcrypt.compare(candidatePassword, this.password);
   } catch (error) {
@@ -106,6 +495,35 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Method to invalidate every access and refresh token of the user
+userSchema.methods.revokeAllSessions = async function(reason = 'logout-all') {
+  const RefreshToken = require('./RefreshToken');
+  const Session = require('./Session');
+
+  this.tokenVersion = (this.tokenVersion || 0) + 1;
+  await this.save({ validateBeforeSave: false });
+  await RefreshToken.revokeAllForUser(this._id, reason);
+  await Session.revokeAllForUser(this._id, reason);
+
+  return this.tokenVersion;
+};
+
+// Vérifier si un mot de passe correspond au mot de passe actuel ou à l'un des précédents
+userSchema.methods.isPasswordReused = async function(candidatePassword) {
+  const stored = await this.constructor.findById(this._id).select('+password +passwordHistory');
+  if (!stored) return false;
+
+  const hashes = [
+    stored.password,
+    ...(stored.passwordHistory || []).map(entry => entry.hash)
+  ].filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) return true;
+  }
+  return false;
+};
+
 // Method to generate JWT token
 userSchema.methods.generateToken = function() {
   return jwt.sign(
@@ -124,8 +542,21 @@ userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.emailVerificationToken;
+  delete user.emailVerificationSentAt;
   delete user.passwordResetToken;
   delete user.passwordResetExpires;
+  delete user.passwordHistory;
+  if (user.pendingEmailChange) {
+    delete user.pendingEmailChange.tokenHash;
+    delete user.pendingEmailChange.cancelTokenHash;
+  }
+  delete user.tokenVersion;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.recoveryCodes;
+    delete user.twoFactor.lastUsedStep;
+  }
   delete user.__v;
   return user;
 };
@@ -0,0 +1,98 @@
+// models/schemas/geoPointSchema.js - Coordonnées GeoJSON déduites du champ "location"
+const mongoose = require('mongoose');
+const { toGeoPoint } = require('../../services/geocodingService');
+
+// Point GeoJSON : coordinates = [longitude, latitude]
+const geoPointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: (value) => value.length === 2 &&
+        value[0] >= -180 && value[0] <= 180 &&
+        value[1] >= -90 && value[1] <= 90,
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+/**
+ * Plugin : ajoute `geoLocation` (index 2dsphere), renseigné à partir du lieu
+ * libre `location` via le gazetteer à chaque création ou modification du lieu.
+ * Les lieux non reconnus n'ont pas de coordonnées (exclus des recherches par rayon).
+ */
+const geoLocationPlugin = (schema) => {
+  schema.add({
+    geoLocation: {
+      type: geoPointSchema,
+      default: undefined
+    }
+  });
+
+  schema.index({ geoLocation: '2dsphere' });
+
+  schema.pre('save', function(next) {
+    if (this.isNew || this.isModified('location')) {
+      this.geoLocation = toGeoPoint(this.location) || undefined;
+    }
+    next();
+  });
+
+  // findByIdAndUpdate / findOneAndUpdate avec un nouveau lieu
+  schema.pre('findOneAndUpdate', function(next) {
+    const update = this.getUpdate() || {};
+    const location = update.$set?.location !== undefined ? update.$set.location : update.location;
+
+    if (location !== undefined) {
+      const point = toGeoPoint(location);
+      delete update.geoLocation;
+      if (update.$set) delete update.$set.geoLocation;
+
+      if (point) {
+        this.set('geoLocation', point);
+      } else {
+        update.$unset = { ...update.$unset, geoLocation: 1 };
+      }
+    }
+
+    next();
+  });
+
+  // Renseigner les coordonnées des documents créés avant le géocodage
+  schema.statics.backfillGeoLocations = async function(batchSize = 500) {
+    const cursor = this.find({ geoLocation: { $exists: false }, location: { $type: 'string' } })
+      .select('location')
+      .lean()
+      .cursor();
+
+    let operations = [];
+    let updated = 0;
+
+    for await (const doc of cursor) {
+      const point = toGeoPoint(doc.location);
+      if (!point) continue;
+
+      operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { geoLocation: point } } } });
+      if (operations.length >= batchSize) {
+        updated += (await this.bulkWrite(operations)).modifiedCount;
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      updated += (await this.bulkWrite(operations)).modifiedCount;
+    }
+
+    return updated;
+  };
+};
+
+module.exports = {
+  geoPointSchema,
+  geoLocationPlugin
+};
@@ -0,0 +1,27 @@
+// models/schemas/imageSchema.js - Image redimensionnée (avatar, logo d'entreprise)
+const mongoose = require('mongoose');
+
+// Une taille d'image, disponible en WebP et en JPEG
+const imageVariantSchema = new mongoose.Schema({
+  width: Number,
+  height: Number,
+  webp: String,
+  jpeg: String
+}, { _id: false });
+
+const imageSchema = new mongoose.Schema({
+  variants: {
+    thumb: imageVariantSchema,
+    medium: imageVariantSchema,
+    large: imageVariantSchema
+  },
+  original: {
+    width: Number,
+    height: Number,
+    format: String,
+    size: Number
+  },
+  uploadedAt: Date
+}, { _id: false });
+
+module.exports = imageSchema;
@@ -0,0 +1,42 @@
+// routes/admin.js
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const { auth, checkPermission, denyApiKey, validateUserParams } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Toutes les routes nécessitent un utilisateur authentifié (pas de clé API)
+router.use(auth, denyApiKey);
+
+// Politique de sécurité - 2FA obligatoire par rôle
+router.get('/security/two-factor', checkPermission('settings.manage'), adminController.getTwoFactorPolicy);
+router.put('/security/two-factor', checkPermission('settings.manage'), adminController.updateTwoFactorPolicy);
+
+// Gestion des comptes utilisateurs
+router.get('/users', checkPermission('user.manage'), adminController.listUsers);
+router.get('/users/:id', checkPermission('user.manage'), validateUserParams, adminController.getUser);
+router.post('/users/:id/suspend', checkPermission('user.manage'), validateUserParams, adminController.suspendUser);
+router.post('/users/:id/reactivate', checkPermission('user.manage'), validateUserParams, adminController.reactivateUser);
+router.put('/users/:id/role', checkPermission('user.manage'), validateUserParams, adminController.changeUserRole);
+router.post('/users/:id/force-password-reset', checkPermission('user.manage'), validateUserParams, adminController.forcePasswordReset);
+router.post('/users/:id/unlock', checkPermission('user.manage'), validateUserParams, adminController.unlockUser);
+
+// Journal d'audit
+router.get('/audit-logs', checkPermission('user.manage'), adminController.getAuditLogs);
+
+// Rôles et permissions
+router.get('/permissions', checkPermission('role.manage'), adminController.getPermissions);
+router.post('/permissions', checkPermission('role.manage'), adminController.createPermission);
+router.delete('/permissions/:key', checkPermission('role.manage'), adminController.deletePermission);
+
+router.get('/roles', checkPermission('role.manage'), adminController.getRoles);
+router.post('/roles', checkPermission('role.manage'), adminController.createRole);
+router.get('/roles/:name', checkPermission('role.manage'), adminController.getRole);
+router.put('/roles/:name', checkPermission('role.manage'), adminController.updateRole);
+router.delete('/roles/:name', checkPermission('role.manage'), adminController.deleteRole);
+
+// Permissions individuelles d'un utilisateur
+router.get('/users/:id/permissions', checkPermission('role.manage'), validateUserParams, adminController.getUserPermissionOverrides);
+router.put('/users/:id/permissions', checkPermission('role.manage'), validateUserParams, adminController.updateUserPermissionOverrides);
+
+module.exports = router;
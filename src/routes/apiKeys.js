@@ -0,0 +1,18 @@
+// routes/apiKeys.js
+const express = require('express');
+const apiKeyController = require('../controllers/apiKeyController');
+const { auth, checkPermission, denyApiKey } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { apiKeyValidators } = require('../utils/validators');
+
+const router = express.Router();
+
+// Gestion des clés réservée aux utilisateurs connectés (pas via une clé API)
+router.use(auth, denyApiKey, checkPermission('api_key.manage'));
+
+router.get('/scopes', apiKeyController.getScopes);
+router.get('/', apiKeyController.getMyApiKeys);
+router.post('/', validate(apiKeyValidators.create), apiKeyController.createApiKey);
+router.delete('/:id', apiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -2,7 +2,7 @@
 
 const express = require('express');
 const applicationController = require('../controllers/applicationController');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, checkPermission, denyApiKey, requireEmailVerification } = require('../middleware/auth');
 const { 
   uploadApplicationFiles, 
   handleUploadError, 
@@ -54,13 +54,14 @@ router.get('/test', (req, res) => {
 
 // Obtenir mes candidatures
 router.get('/my', 
-  authorize('candidate', 'admin'), 
+  checkPermission('application.view_own'), 
   applicationController.getMyApplications
 );
 
 // ✅ ROUTE CORRIGÉE: Créer une nouvelle candidature avec upload de fichiers
 router.post('/', 
-  authorize('candidate', 'admin'),
+  checkPermission('application.create'),
+  requireEmailVerification,
   cleanupFiles, // Middleware de nettoyage en cas d'erreur
   (req, res, next) => {
     console.log('\n📁 PROCESSING FILE UPLOAD FOR APPLICATION:');
@@ -102,23 +103,23 @@ router.post('/',
 
 // Retirer une candidature
 router.put('/:id/withdraw',
-  authorize('candidate', 'admin'),
+  checkPermission('application.withdraw'),
   applicationController.withdrawApplication
 );
 
 // =====================================
-// ROUTES POUR LES EMPLOYEURS
+// ROUTES POUR LES EMPLOYEURS (ACCESSIBLES AUX CLÉS API ATS)
 // =====================================
 
 // Obtenir les candidatures pour un job spécifique
 router.get('/job/:jobId',
-  authorize('employer', 'admin'),
+  checkPermission('application.view'),
   applicationController.getJobApplications
 );
 
 // Mettre à jour le statut d'une candidature
 router.put('/:id/status',
-  authorize('employer', 'admin'),
+  checkPermission('application.update'),
   (req, res, next) => {
     // Validation simple du statut
     const allowedStatuses = [
@@ -144,6 +145,7 @@ router.put('/:id/status',
 
 // Obtenir les statistiques des candidatures
 router.get('/stats',
+  denyApiKey,
   applicationController.getApplicationStats
 );
 
@@ -152,7 +154,7 @@ router.get('/stats',
 // =====================================
 if (process.env.NODE_ENV === 'development') {
   router.post('/test-upload',
-    authorize('candidate', 'admin'),
+    checkPermission('application.create'),
     cleanupFiles,
     (req, res, next) => {
       console.log('\n🧪 TEST UPLOAD ENDPOINT:');
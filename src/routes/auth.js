@@ -1,6 +1,9 @@
 const express = require('express');
 const authController = require('../controllers/authController');
-const { auth } = require('../middleware/auth');
+const twoFactorController = require('../controllers/twoFactorController');
+const oidcController = require('../controllers/oidcController');
+const { auth, optionalAuth, checkPermission, denyApiKey, loginLimiter } = require('../middleware/auth');
+const { verificationEmailLimiter, twoFactorLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
@@ -11,13 +14,38 @@ router.get('/test', (req, res) => {
 
 // Public routes
 router.post('/register', authController.register);
-router.post('/login', authController.login);
+router.post('/login', loginLimiter, authController.login);
+router.post('/2fa/verify-login', twoFactorLimiter, authController.verifyTwoFactorLogin);
+router.get('/password-policy', authController.getPasswordPolicy);
 router.post('/forgot-password', authController.forgotPassword);
 router.post('/reset-password', authController.resetPassword);
+router.post('/refresh', authController.refreshToken);
+router.get('/verify-email/:token', authController.verifyEmail);
+router.post('/email-change/cancel', authController.cancelEmailChange);
+router.post('/resend-verification', verificationEmailLimiter, authController.resendVerificationEmail);
+router.get('/deletion-receipts/:receiptId', authController.getDeletionReceipt);
+
+// Social login (OIDC)
+router.get('/oidc/providers', oidcController.getProviders);
+router.get('/oidc/:provider/authorize', oidcController.authorize);
+// optionalAuth : la liaison d'un fournisseur exige le compte qui l'a demandée
+router.post('/oidc/:provider/callback', optionalAuth, oidcController.callback);
 
 // Protected routes
-router.use(auth);
+router.use(auth, denyApiKey);
 router.post('/logout', authController.logout);
+router.post('/logout-all', authController.logoutAll);
 router.get('/me', authController.getMe);
 
+// Two-factor authentication
+router.get('/2fa', twoFactorController.getStatus);
+router.post('/2fa/setup', checkPermission('account.two_factor'), twoFactorController.setup);
+router.post('/2fa/enable', checkPermission('account.two_factor'), twoFactorLimiter, twoFactorController.enable);
+router.post('/2fa/disable', twoFactorLimiter, twoFactorController.disable);
+router.post('/2fa/recovery-codes', twoFactorLimiter, twoFactorController.regenerateRecoveryCodes);
+
+// Linked sign-in providers
+router.post('/oidc/:provider/link', oidcController.authorize);
+router.delete('/oidc/:provider', oidcController.unlink);
+
 module.exports = router;
\ No newline at end of file
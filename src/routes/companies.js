@@ -1,16 +1,25 @@
 // routes/companies.js
 const express = require('express');
 const companyController = require('../controllers/companyController');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, checkPermission } = require('../middleware/auth');
+const { uploadCompanyLogo, handleUploadError } = require('../middleware/uploadMiddleware');
 
 const router = express.Router();
 
 // ✅ IMPORTANT: Specific routes FIRST, before parameterized routes
 
 // Protected routes - require authentication and employer role
-router.get('/my', auth, authorize('employer', 'admin'), companyController.getMyCompany);
-router.post('/', auth, authorize('employer', 'admin'), companyController.createCompany);
-router.put('/my', auth, authorize('employer', 'admin'), companyController.updateCompany);
+router.get('/my', auth, checkPermission('company.view'), companyController.getMyCompany);
+router.post('/', auth, checkPermission('company.create'), companyController.createCompany);
+router.put('/my', auth, checkPermission('company.update'), companyController.updateCompany);
+router.put('/my/logo',
+  auth,
+  checkPermission('company.update'),
+  uploadCompanyLogo,
+  handleUploadError,
+  companyController.uploadLogo
+);
+router.delete('/my/logo', auth, checkPermission('company.update'), companyController.deleteLogo);
 
 // Public routes - accessible to everyone
 router.get('/', companyController.getCompanies);
@@ -19,7 +28,7 @@ router.get('/', companyController.getCompanies);
 router.get('/:id', companyController.getCompanyById);
 
 // Additional protected routes with specific IDs (optional)
-router.put('/:id', auth, authorize('employer', 'admin'), companyController.updateSpecificCompany);
-router.delete('/:id', auth, authorize('employer', 'admin'), companyController.deleteCompany);
+router.put('/:id', auth, checkPermission('company.update'), companyController.updateSpecificCompany);
+router.delete('/:id', auth, checkPermission('company.delete'), companyController.deleteCompany);
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,7 @@
 // routes/jobs.js
 const express = require('express');
 const jobController = require('../controllers/jobController');
-const { auth, authorize, optionalAuth } = require('../middleware/auth');
+const { auth, checkPermission, optionalAuth, requireEmailVerification } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
 const { jobValidators } = require('../utils/validators');
 
@@ -40,14 +40,16 @@ router.get('/stats', jobController.getJobStats);
 router.get('/:id', optionalAuth, jobController.getJobById);
 
 // Routes protégées (authentification requise)
+// checkPermission accepte aussi les clés API employeur ayant le scope correspondant
 
 // Obtenir mes emplois (pour les employeurs)
-router.get('/my/jobs', auth, authorize('employer', 'admin'), jobController.getMyJobs);
+router.get('/my/jobs', auth, checkPermission('job.view_all'), jobController.getMyJobs);
 
 // Créer un nouvel emploi
 router.post('/', 
   auth, 
-  authorize('employer', 'admin'), 
+  checkPermission('job.create'), 
+  requireEmailVerification,
   validate(jobValidators.createJob), 
   jobController.createJob
 );
@@ -55,7 +57,7 @@ router.post('/',
 // Mettre à jour un emploi
 router.put('/:id', 
   auth, 
-  authorize('employer', 'admin'), 
+  checkPermission('job.update'), 
   validate(jobValidators.updateJob), 
   jobController.updateJob
 );
@@ -63,7 +65,7 @@ router.put('/:id',
 // Supprimer un emploi
 router.delete('/:id', 
   auth, 
-  authorize('employer', 'admin'), 
+  checkPermission('job.delete'), 
   jobController.deleteJob
 );
 
@@ -0,0 +1,10 @@
+// routes/profiles.js
+const express = require('express');
+const profileController = require('../controllers/profileController');
+
+const router = express.Router();
+
+// Profils publics partagés par les candidats (aucune authentification)
+router.get('/:slug', profileController.getPublicProfile);
+
+module.exports = router;
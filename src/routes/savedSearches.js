@@ -0,0 +1,21 @@
+// routes/savedSearches.js
+const express = require('express');
+const savedSearchController = require('../controllers/savedSearchController');
+const { auth, checkPermission, denyApiKey } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Désinscription depuis l'email d'alerte (GET : confirmation, POST : désinscription)
+router.get('/unsubscribe/:token', savedSearchController.getUnsubscribe);
+router.post('/unsubscribe/:token', savedSearchController.unsubscribe);
+
+// Recherches sauvegardées et alertes des candidats
+router.use(auth, denyApiKey, checkPermission('job.search'));
+
+router.get('/', savedSearchController.getSavedSearches);
+router.post('/', savedSearchController.createSavedSearch);
+router.patch('/:id', savedSearchController.updateSavedSearch);
+router.delete('/:id', savedSearchController.deleteSavedSearch);
+router.get('/:id/jobs', savedSearchController.getSavedSearchJobs);
+
+module.exports = router;
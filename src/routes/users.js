@@ -1,14 +1,19 @@
 // routes/users.js
 const express = require('express');
 const userController = require('../controllers/userController');
-const { auth, authorize } = require('../middleware/auth');
+const documentController = require('../controllers/documentController');
+const { auth, authorize, checkPermission, denyApiKey } = require('../middleware/auth');
+const { uploadCandidateDocument, uploadAvatar, handleUploadError } = require('../middleware/uploadMiddleware');
 const { validate } = require('../middleware/validation');
 const { userValidators } = require('../utils/validators');
 
 const router = express.Router();
 
-// Toutes les routes nécessitent une authentification
-router.use(auth);
+// Téléchargement d'un export de données (authentifié par le token du lien temporaire)
+router.get('/data-exports/:id/download', userController.downloadDataExport);
+
+// Toutes les autres routes nécessitent une authentification (session utilisateur, pas de clé API)
+router.use(auth, denyApiKey);
 
 // Route de test
 router.get('/test', (req, res) => {
@@ -23,12 +28,36 @@ router.get('/test', (req, res) => {
     endpoints: [
       'GET /users/profile - Get user profile',
       'PUT /users/profile - Update user profile',
+      'GET /users/profile/completeness - Get profile completeness score and suggestions',
+      'PUT /users/profile/avatar - Upload a profile picture (field "avatar")',
+      'DELETE /users/profile/avatar - Remove the profile picture',
+      'GET /users/profile/public - Get public profile privacy settings',
+      'PUT /users/profile/public - Update public profile URL and privacy settings',
+      'GET /users/profile/:section - List skills, experience, education, languages or links',
+      'POST /users/profile/:section - Add an entry to a profile section',
+      'PUT /users/profile/:section/:entryId - Update a profile section entry',
+      'DELETE /users/profile/:section/:entryId - Delete a profile section entry',
       'GET /users/saved-jobs - Get saved jobs',
       'POST /users/save-job/:jobId - Save a job',
       'DELETE /users/save-job/:jobId - Remove saved job',
       'PUT /users/change-password - Change password',
+      'GET /users/sessions - List active sessions',
+      'DELETE /users/sessions/:id - Revoke a session',
       'GET /users/stats - Get user statistics',
-      'DELETE /users/profile - Delete account'
+      'POST /users/profile/email - Request an email change (confirmed from the new address)',
+      'GET /users/profile/email - Get the pending email change',
+      'POST /users/profile/email/confirm - Confirm the email change',
+      'DELETE /users/profile/email - Cancel the pending email change',
+      'DELETE /users/profile - Request account deletion',
+      'GET /users/profile/deletion - Get account deletion status',
+      'DELETE /users/profile/deletion - Cancel account deletion',
+      'GET /users/documents - List stored resumes and cover letters',
+      'POST /users/documents - Store a resume or cover letter',
+      'PATCH /users/documents/:id - Rename a document or make it the default',
+      'DELETE /users/documents/:id - Delete a stored document',
+      'POST /users/data-exports - Request a personal data export',
+      'GET /users/data-exports - List data exports',
+      'POST /users/data-exports/:id/link - Get a new download link'
     ]
   });
 });
@@ -44,8 +73,59 @@ router.put('/profile',
   userController.updateProfile
 );
 
-// Supprimer le compte
+// Score de complétude du profil et conseils d'amélioration
+router.get('/profile/completeness', userController.getProfileCompleteness);
+
+// Photo de profil (redimensionnée en plusieurs tailles)
+router.put('/profile/avatar',
+  uploadAvatar,
+  handleUploadError,
+  userController.uploadAvatar
+);
+router.delete('/profile/avatar', userController.deleteAvatar);
+
+// Profil public partageable et paramètres de confidentialité
+router.get('/profile/public', checkPermission('profile.update'), userController.getPublicProfileSettings);
+router.put('/profile/public',
+  checkPermission('profile.update'),
+  validate(userValidators.updatePublicProfile),
+  userController.updatePublicProfileSettings
+);
+
+// Sections structurées du profil (une entrée à la fois)
+const PROFILE_SECTION = `:section(${Object.keys(userController.PROFILE_SECTIONS).join('|')})`;
+
+router.get(`/profile/${PROFILE_SECTION}`, userController.getProfileSection);
+router.post(`/profile/${PROFILE_SECTION}`, userController.addProfileEntry);
+router.put(`/profile/${PROFILE_SECTION}/:entryId`, userController.updateProfileEntry);
+router.delete(`/profile/${PROFILE_SECTION}/:entryId`, userController.deleteProfileEntry);
+
+// Changement d'adresse email (confirmé depuis la nouvelle adresse)
+router.post('/profile/email', validate(userValidators.requestEmailChange), userController.requestEmailChange);
+router.get('/profile/email', userController.getEmailChange);
+router.post('/profile/email/confirm', validate(userValidators.confirmEmailChange), userController.confirmEmailChange);
+router.delete('/profile/email', userController.cancelEmailChange);
+
+// Supprimer le compte (effacement après un délai de grâce)
 router.delete('/profile', userController.deleteAccount);
+router.get('/profile/deletion', userController.getDeletionStatus);
+router.delete('/profile/deletion', userController.cancelDeletion);
+
+// Bibliothèque de documents réutilisables pour les candidatures
+router.get('/documents', checkPermission('application.create'), documentController.getDocuments);
+router.post('/documents',
+  checkPermission('application.create'),
+  uploadCandidateDocument,
+  handleUploadError,
+  documentController.createDocument
+);
+router.patch('/documents/:id', checkPermission('application.create'), documentController.updateDocument);
+router.delete('/documents/:id', checkPermission('application.create'), documentController.deleteDocument);
+
+// Export des données personnelles (portabilité)
+router.post('/data-exports', userController.requestDataExport);
+router.get('/data-exports', userController.getDataExports);
+router.post('/data-exports/:id/link', userController.createDataExportLink);
 
 // Routes des emplois sauvegardés
 
@@ -74,6 +154,12 @@ router.put('/change-password',
   userController.changePassword
 );
 
+// Lister les sessions actives (appareils connectés)
+router.get('/sessions', userController.getSessions);
+
+// Révoquer une session
+router.delete('/sessions/:id', userController.deleteSession);
+
 // Routes des statistiques
 
 // Obtenir les statistiques utilisateur
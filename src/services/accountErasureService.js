@@ -0,0 +1,291 @@
+// src/services/accountErasureService.js
+const User = require('../models/User');
+const Application = require('../models/Application');
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const ApiKey = require('../models/ApiKey');
+const LoginAttempt = require('../models/LoginAttempt');
+const AuditLog = require('../models/AuditLog');
+const DeletionReceipt = require('../models/DeletionReceipt');
+const DataExport = require('../models/DataExport');
+const CandidateDocument = require('../models/CandidateDocument');
+const SavedSearch = require('../models/SavedSearch');
+const emailService = require('./emailService');
+const { removeArchive } = require('./dataExportService');
+const { removeImage } = require('./imageService');
+const { deleteFile, getUploadPath } = require('../middleware/uploadMiddleware');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+const PROCESSING_TIMEOUT_MS = 30 * 60 * 1000; // Réservation abandonnée après 30 minutes
+const BATCH_SIZE = 20;
+
+// =====================================
+// PLANIFICATION / ANNULATION
+// =====================================
+
+// Planifier l'effacement d'un compte à la fin du délai de grâce
+const scheduleErasure = async (user, { reason } = {}) => {
+  const requestedAt = new Date();
+
+  user.deletion = {
+    requestedAt,
+    scheduledFor: new Date(requestedAt.getTime() + GRACE_PERIOD_DAYS * DAY_MS),
+    reason
+  };
+  await user.save({ validateBeforeSave: false });
+
+  return user.deletion;
+};
+
+// Annuler un effacement planifié (pendant le délai de grâce)
+const cancelErasure = async (user) => {
+  user.deletion = undefined;
+  await user.save({ validateBeforeSave: false });
+};
+
+// =====================================
+// EFFACEMENT
+// =====================================
+
+// Adresse unique et non nominative remplaçant l'email du compte effacé
+const anonymizedEmail = (user) => `deleted-${user._id}@erased.workwhile.com`;
+
+// Supprimer les fichiers locaux (les fichiers déjà absents sont ignorés).
+// Uniquement des URLs générées par nos routes de téléversement.
+const deleteUploadedFiles = async (urls) => {
+  let deleted = 0;
+
+  for (const url of urls) {
+    const filePath = getUploadPath(url);
+    if (!filePath) continue;
+
+    try {
+      await deleteFile(filePath);
+      deleted += 1;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not delete uploaded file ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  return deleted;
+};
+
+// Anonymiser les candidatures d'un candidat et supprimer les pièces jointes
+const anonymizeApplications = async (user) => {
+  const applications = await Application.find({ applicant: user._id })
+    .select('resume additionalDocuments')
+    .lean();
+
+  const fileUrls = applications.flatMap(application => [
+    application.resume?.url,
+    ...(application.additionalDocuments || []).map(document => document.url)
+  ]).filter(Boolean);
+
+  // Les candidatures restent visibles (statistiques des offres), sans données personnelles
+  const { modifiedCount } = await Application.updateMany(
+    { applicant: user._id },
+    {
+      $set: {
+        'personalInfo.firstName': 'Deleted',
+        'personalInfo.lastName': 'User',
+        'personalInfo.email': anonymizedEmail(user)
+      },
+      $unset: {
+        'personalInfo.phone': 1,
+        'personalInfo.address': 1,
+        coverLetter: 1,
+        resume: 1,
+        additionalDocuments: 1,
+        references: 1,
+        questionnaire: 1,
+        'experience.previousPositions': 1,
+        education: 1,
+        skills: 1,
+        'notes.applicantNotes': 1,
+        'timeline.$[].notes': 1
+      }
+    }
+  );
+
+  return {
+    applicationsAnonymized: modifiedCount,
+    filesDeleted: await deleteUploadedFiles(fileUrls)
+  };
+};
+
+// Fermer les offres d'un employeur et supprimer son entreprise
+const removeEmployerData = async (user) => {
+  const { modifiedCount: jobsClosed } = await Job.updateMany(
+    { postedBy: user._id, status: { $ne: 'closed' } },
+    { $set: { status: 'closed' } }
+  );
+
+  // Le champ libre "logo" peut désigner un fichier qui n'est pas le nôtre :
+  // seules les variantes générées à partir du logo téléversé sont supprimées
+  const companies = await Company.find({ employer: user._id }).select('logoImage').lean();
+  let filesDeleted = 0;
+  for (const company of companies) {
+    filesDeleted += await removeImage(company.logoImage);
+  }
+  const { deletedCount: companiesDeleted } = await Company.deleteMany({ employer: user._id });
+
+  return { jobsClosed, companiesDeleted, filesDeleted };
+};
+
+/**
+ * Effacer définitivement un compte : anonymisation des candidatures,
+ * suppression des fichiers, des entreprises, des sessions et des clés API,
+ * puis remplacement du compte par un enregistrement anonyme.
+ * Retourne le reçu de suppression.
+ */
+const eraseUser = async (user) => {
+  const originalEmail = user.email;
+  const firstName = user.firstName;
+
+  const candidateSummary = await anonymizeApplications(user);
+  const employerSummary = await removeEmployerData(user);
+  const avatarDeleted = await removeImage(user.profile?.avatarImage);
+
+  // Bibliothèque de CV et lettres de motivation
+  const documents = await CandidateDocument.find({ owner: user._id }).select('file.url').lean();
+  const documentFilesDeleted = await deleteUploadedFiles(documents.map(document => document.file?.url).filter(Boolean));
+  const { deletedCount: documentsDeleted } = await CandidateDocument.deleteMany({ owner: user._id });
+
+  // Les archives d'export contiennent une copie des données personnelles
+  const dataExports = await DataExport.find({ user: user._id }).select('+filePath');
+  for (const dataExport of dataExports) {
+    await removeArchive(dataExport.filePath);
+  }
+  await DataExport.deleteMany({ user: user._id });
+
+  const [sessions, , apiKeys, , auditEntries] = await Promise.all([
+    Session.deleteMany({ user: user._id }),
+    RefreshToken.deleteMany({ user: user._id }),
+    ApiKey.deleteMany({ owner: user._id }),
+    LoginAttempt.deleteMany({ key: LoginAttempt.buildKey('account', originalEmail) }),
+    // Le journal d'audit est conservé, sans données d'identification
+    AuditLog.updateMany(
+      { actor: user._id },
+      { $unset: { actorEmail: 1, ip: 1, userAgent: 1 } }
+    ),
+    SavedSearch.deleteMany({ user: user._id })
+  ]);
+
+  // Le document est conservé (références des candidatures) mais ne contient plus rien
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        firstName: 'Deleted',
+        lastName: 'User',
+        email: anonymizedEmail(user),
+        isActive: false,
+        emailVerified: false,
+        savedJobs: [],
+        'deletion.completedAt': new Date()
+      },
+      $unset: {
+        password: 1,
+        passwordHistory: 1,
+        profile: 1,
+        publicProfile: 1,
+        identities: 1,
+        twoFactor: 1,
+        permissionOverrides: 1,
+        suspension: 1,
+        emailVerificationToken: 1,
+        pendingEmailChange: 1,
+        emailVerificationSentAt: 1,
+        passwordResetToken: 1,
+        passwordResetExpires: 1,
+        lastLogin: 1,
+        'deletion.reason': 1,
+        'deletion.processingAt': 1
+      },
+      $inc: { tokenVersion: 1 }
+    }
+  );
+
+  const receipt = await DeletionReceipt.create({
+    receiptId: DeletionReceipt.generateReceiptId(),
+    user: user._id,
+    emailHash: DeletionReceipt.hashEmail(originalEmail),
+    role: user.role,
+    requestedAt: user.deletion?.requestedAt,
+    scheduledFor: user.deletion?.scheduledFor,
+    summary: {
+      applicationsAnonymized: candidateSummary.applicationsAnonymized,
+      filesDeleted: candidateSummary.filesDeleted + employerSummary.filesDeleted + avatarDeleted + documentFilesDeleted,
+      documentsDeleted,
+      companiesDeleted: employerSummary.companiesDeleted,
+      jobsClosed: employerSummary.jobsClosed,
+      sessionsDeleted: sessions.deletedCount,
+      apiKeysDeleted: apiKeys.deletedCount,
+      auditEntriesScrubbed: auditEntries.modifiedCount
+    }
+  });
+
+  emailService.sendAccountDeletedEmail({ email: originalEmail, firstName }, receipt)
+    .catch(error => logger.error('Account deletion email error:', error));
+
+  logger.info(`🗑️  Account erased: ${user._id} (receipt ${receipt.receiptId})`);
+
+  return receipt;
+};
+
+// Réserver de façon atomique le prochain compte dont le délai de grâce est écoulé
+// (hors comptes en échec pendant ce passage)
+const claimNextDueUser = (excludedIds = []) => {
+  const now = new Date();
+
+  return User.findOneAndUpdate(
+    {
+      _id: { $nin: excludedIds },
+      'deletion.scheduledFor': { $lte: now },
+      'deletion.completedAt': { $exists: false },
+      $or: [
+        { 'deletion.processingAt': { $exists: false } },
+        { 'deletion.processingAt': { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { 'deletion.processingAt': now } },
+    { new: true }
+  );
+};
+
+// Tâche planifiée : effacer les comptes arrivés à échéance
+const processDueErasures = async () => {
+  let processed = 0;
+  const failedIds = [];
+
+  while (processed + failedIds.length < BATCH_SIZE) {
+    const user = await claimNextDueUser(failedIds);
+    if (!user) break;
+
+    try {
+      await eraseUser(user);
+      processed += 1;
+    } catch (error) {
+      // Libérer la réservation : le compte sera repris au prochain passage
+      logger.error(`Account erasure failed for ${user._id}:`, error);
+      failedIds.push(user._id);
+      await User.updateOne({ _id: user._id }, { $unset: { 'deletion.processingAt': 1 } });
+    }
+  }
+
+  return processed;
+};
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  scheduleErasure,
+  cancelErasure,
+  eraseUser,
+  processDueErasures
+};
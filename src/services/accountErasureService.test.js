@@ -0,0 +1,149 @@
+// services/accountErasureService.test.js - Effacement des comptes arrivés à échéance
+jest.mock('../middleware/uploadMiddleware', () => ({
+  ...jest.requireActual('../middleware/uploadMiddleware'),
+  deleteFile: jest.fn().mockResolvedValue()
+}));
+
+const path = require('path');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Application = require('../models/Application');
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const ApiKey = require('../models/ApiKey');
+const LoginAttempt = require('../models/LoginAttempt');
+const AuditLog = require('../models/AuditLog');
+const DeletionReceipt = require('../models/DeletionReceipt');
+const DataExport = require('../models/DataExport');
+const CandidateDocument = require('../models/CandidateDocument');
+const SavedSearch = require('../models/SavedSearch');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+const { deleteFile } = require('../middleware/uploadMiddleware');
+const { eraseUser, processDueErasures } = require('./accountErasureService');
+
+const uploadsDir = path.join(__dirname, '../uploads');
+
+// Requête Mongoose simulée (chaînable et "thenable")
+const mockQuery = (result) => {
+  const query = {
+    select: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+const buildUser = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  email: 'candidate@example.com',
+  firstName: 'Yassine',
+  role: 'candidate',
+  deletion: { requestedAt: new Date(), scheduledFor: new Date() },
+  ...fields
+});
+
+let applications;
+let companies;
+
+beforeEach(() => {
+  applications = [];
+  companies = [];
+
+  jest.spyOn(logger, 'info').mockImplementation(() => {});
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+  jest.spyOn(Application, 'find').mockImplementation(() => mockQuery(applications));
+  jest.spyOn(Application, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Job, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(Company, 'find').mockImplementation(() => mockQuery(companies));
+  jest.spyOn(Company, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  jest.spyOn(CandidateDocument, 'find').mockImplementation(() => mockQuery([]));
+  jest.spyOn(CandidateDocument, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  jest.spyOn(DataExport, 'find').mockImplementation(() => mockQuery([]));
+  jest.spyOn(DataExport, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  jest.spyOn(Session, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  jest.spyOn(RefreshToken, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  jest.spyOn(ApiKey, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  jest.spyOn(LoginAttempt, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  jest.spyOn(AuditLog, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(SavedSearch, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(DeletionReceipt, 'create').mockImplementation(async (receipt) => receipt);
+  jest.spyOn(emailService, 'sendAccountDeletedEmail').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  deleteFile.mockClear();
+});
+
+describe('eraseUser', () => {
+  it('removes the personal data stored on applications', async () => {
+    await eraseUser(buildUser());
+
+    const [, update] = Application.updateMany.mock.calls[0];
+    expect(update.$set).toMatchObject({ 'personalInfo.firstName': 'Deleted', 'personalInfo.lastName': 'User' });
+    expect(Object.keys(update.$unset)).toEqual(expect.arrayContaining([
+      'personalInfo.phone',
+      'coverLetter',
+      'resume',
+      'experience.previousPositions',
+      'education',
+      'skills',
+      'notes.applicantNotes',
+      'timeline.$[].notes'
+    ]));
+  });
+
+  it('deletes application files and generated image variants only', async () => {
+    applications = [{ resume: { url: '/uploads/resumes/resume-1.pdf' } }];
+    companies = [{
+      logo: '/uploads/resumes/someone-else.pdf',
+      logoImage: { variants: { medium: { webp: '/uploads/images/logos/c1-medium.webp' } } }
+    }];
+    const user = buildUser({
+      role: 'employer',
+      profile: {
+        avatar: '/uploads/documents/someone-else.pdf',
+        avatarImage: { variants: { thumb: { jpeg: '/uploads/images/avatars/u1-thumb.jpg' } } }
+      }
+    });
+
+    const receipt = await eraseUser(user);
+
+    expect(deleteFile.mock.calls.map(([filePath]) => filePath).sort()).toEqual([
+      path.join(uploadsDir, 'images/avatars/u1-thumb.jpg'),
+      path.join(uploadsDir, 'images/logos/c1-medium.webp'),
+      path.join(uploadsDir, 'resumes/resume-1.pdf')
+    ]);
+    expect(receipt.summary.filesDeleted).toBe(3);
+  });
+});
+
+describe('processDueErasures', () => {
+  it('releases the claim of a failed account and continues with the next one', async () => {
+    const failing = buildUser({ email: 'failing@example.com' });
+    const next = buildUser({ email: 'next@example.com' });
+    const claim = jest.spyOn(User, 'findOneAndUpdate')
+      .mockResolvedValueOnce(failing)
+      .mockResolvedValueOnce(next)
+      .mockResolvedValueOnce(null);
+    Application.updateMany.mockRejectedValueOnce(new Error('write conflict'));
+
+    const processed = await processDueErasures();
+
+    expect(processed).toBe(1);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining(String(failing._id)), expect.any(Error));
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: failing._id },
+      { $unset: { 'deletion.processingAt': 1 } }
+    );
+    expect(DeletionReceipt.create).toHaveBeenCalledTimes(1);
+    // Le compte en échec n'est pas repris pendant ce passage
+    expect(claim.mock.calls[2][0]._id).toEqual({ $nin: [failing._id] });
+  });
+});
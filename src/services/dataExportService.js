@@ -0,0 +1,306 @@
+// src/services/dataExportService.js
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Application = require('../models/Application');
+const DataExport = require('../models/DataExport');
+const CandidateDocument = require('../models/CandidateDocument');
+const SavedSearch = require('../models/SavedSearch');
+const emailService = require('./emailService');
+const { getUploadPath } = require('../middleware/uploadMiddleware');
+const logger = require('../utils/logger');
+
+// Les archives sont stockées hors du dossier uploads (servi publiquement)
+const EXPORTS_DIR = process.env.DATA_EXPORT_DIR || path.join(__dirname, '../../storage/exports');
+const EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS, 10) || 48;
+const PROCESSING_TIMEOUT_MS = 30 * 60 * 1000;
+const MANIFEST_VERSION = 1;
+
+// Champs internes jamais exportés
+const USER_INTERNAL_FIELDS = ['tokenVersion', '__v'];
+
+// =====================================
+// OUTILS
+// =====================================
+
+const ensureExportsDir = () => {
+  if (!fs.existsSync(EXPORTS_DIR)) {
+    fs.mkdirSync(EXPORTS_DIR, { recursive: true });
+  }
+};
+
+// Nom de fichier sûr à l'intérieur de l'archive
+const safeName = (name) => String(name || 'file').replace(/[^\w.-]+/g, '_').slice(0, 100);
+
+const getDownloadUrl = (dataExport, token) => {
+  const baseUrl = process.env.BACKEND_URL || 'http://localhost:5000';
+  return `${baseUrl}/api/users/data-exports/${dataExport._id}/download?token=${token}`;
+};
+
+// Écrire l'archive ZIP sur disque, retourne sa taille en octets
+const writeArchive = (filePath, entries) => {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', () => resolve(archive.pointer()));
+    output.on('error', reject);
+    archive.on('error', reject);
+    archive.on('warning', reject);
+
+    archive.pipe(output);
+    entries.forEach(entry => {
+      if (entry.filePath) {
+        archive.file(entry.filePath, { name: entry.name });
+      } else {
+        archive.append(JSON.stringify(entry.data, null, 2), { name: entry.name });
+      }
+    });
+    archive.finalize();
+  });
+};
+
+// =====================================
+// CONSTRUCTION DE L'EXPORT
+// =====================================
+
+// Rassembler les données de l'utilisateur et la liste des fichiers de l'archive
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId)
+    .populate({
+      path: 'savedJobs',
+      select: 'title location type status company createdAt',
+      populate: { path: 'company', select: 'name' }
+    })
+    .lean();
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const { savedJobs = [], ...profile } = user;
+  USER_INTERNAL_FIELDS.forEach(field => delete profile[field]);
+  if (profile.deletion) delete profile.deletion.processingAt;
+
+  const applications = await Application.find({ applicant: userId })
+    .populate({
+      path: 'job',
+      select: 'title location type company',
+      populate: { path: 'company', select: 'name' }
+    })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const documents = await CandidateDocument.find({ owner: userId })
+    .sort({ type: 1, createdAt: -1 })
+    .lean();
+
+  const savedSearches = await SavedSearch.find({ user: userId })
+    .select('-processingAt -__v')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  // Pièces jointes des candidatures (CV, portfolio, documents)
+  const files = [];
+  const missingFiles = [];
+
+  const addFile = (url, name, details) => {
+    const filePath = getUploadPath(url);
+
+    if (filePath && fs.existsSync(filePath)) {
+      files.push({ name, filePath, ...details });
+    } else {
+      missingFiles.push({ ...details, name });
+    }
+  };
+
+  applications.forEach(application => {
+    const attachments = [
+      application.resume ? { ...application.resume, kind: 'resume' } : null,
+      ...(application.additionalDocuments || []).map(document => ({ ...document, kind: document.type || 'document' }))
+    ].filter(attachment => attachment && attachment.url);
+
+    attachments.forEach(attachment => {
+      const name = `files/applications/${application._id}/${attachment.kind}-${safeName(attachment.originalName || attachment.filename)}`;
+      addFile(attachment.url, name, { applicationId: application._id, kind: attachment.kind, size: attachment.size });
+    });
+  });
+
+  // Bibliothèque de CV et lettres de motivation
+  documents
+    .filter(document => document.file?.url)
+    .forEach(document => {
+      const name = `files/documents/${document._id}-${safeName(document.file.originalName || document.file.filename)}`;
+      addFile(document.file.url, name, { documentId: document._id, kind: document.type, size: document.file.size });
+    });
+
+  return { profile, applications, savedJobs, savedSearches, documents, files, missingFiles };
+};
+
+// Générer l'archive d'un export réservé (status = processing)
+const buildExport = async (dataExport) => {
+  const { profile, applications, savedJobs, savedSearches, documents, files, missingFiles } = await collectUserData(dataExport.user);
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    generatedAt: new Date().toISOString(),
+    exportId: dataExport._id,
+    userId: profile._id,
+    contents: [
+      { path: 'profile.json', description: 'Account and profile information' },
+      { path: 'applications.json', description: 'Job applications, including status timelines and interviews', count: applications.length },
+      { path: 'saved-jobs.json', description: 'Jobs saved to favorites', count: savedJobs.length },
+      { path: 'saved-searches.json', description: 'Saved job searches and alert settings', count: savedSearches.length },
+      { path: 'documents.json', description: 'Stored resumes and cover letters', count: documents.length },
+      ...files.map(file => ({
+        path: file.name,
+        description: file.documentId
+          ? `Stored ${file.kind} ${file.documentId}`
+          : `Uploaded ${file.kind} for application ${file.applicationId}`,
+        size: file.size
+      }))
+    ],
+    // Fichiers référencés mais introuvables sur le serveur
+    missingFiles
+  };
+
+  ensureExportsDir();
+  const filePath = path.join(EXPORTS_DIR, `${dataExport._id}.zip`);
+
+  const fileSize = await writeArchive(filePath, [
+    { name: 'manifest.json', data: manifest },
+    { name: 'profile.json', data: profile },
+    { name: 'applications.json', data: applications },
+    { name: 'saved-jobs.json', data: savedJobs },
+    { name: 'saved-searches.json', data: savedSearches },
+    { name: 'documents.json', data: documents },
+    ...files
+  ]);
+
+  return {
+    filePath,
+    fileSize,
+    contents: {
+      applications: applications.length,
+      savedJobs: savedJobs.length,
+      documents: documents.length,
+      files: files.length
+    }
+  };
+};
+
+// =====================================
+// CYCLE DE VIE D'UN EXPORT
+// =====================================
+
+// Traiter un export : réservation atomique, génération, lien de téléchargement
+const processExport = async (exportId) => {
+  const now = new Date();
+  const dataExport = await DataExport.findOneAndUpdate(
+    {
+      _id: exportId,
+      $or: [
+        { status: 'pending' },
+        { status: 'processing', startedAt: { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'processing', startedAt: now } },
+    { new: true }
+  );
+
+  if (!dataExport) return null;
+
+  try {
+    const result = await buildExport(dataExport);
+    const token = dataExport.createDownloadToken();
+
+    dataExport.set({
+      ...result,
+      status: 'ready',
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000),
+      error: undefined
+    });
+    await dataExport.save();
+
+    const user = await User.findById(dataExport.user).select('firstName email');
+    if (user) {
+      emailService.sendDataExportReadyEmail(user, getDownloadUrl(dataExport, token), dataExport.expiresAt)
+        .catch(error => logger.error('Data export email error:', error));
+    }
+
+    logger.info(`📦 Data export ready: ${dataExport._id} (${result.fileSize} bytes)`);
+    return dataExport;
+  } catch (error) {
+    logger.error(`Data export ${dataExport._id} failed:`, error);
+    dataExport.status = 'failed';
+    dataExport.error = 'The export could not be generated. Please request a new one.';
+    await dataExport.save();
+    return dataExport;
+  }
+};
+
+// Créer une demande d'export et lancer sa génération en arrière-plan
+const requestExport = async (userId) => {
+  const dataExport = await DataExport.create({ user: userId });
+
+  setImmediate(() => {
+    processExport(dataExport._id).catch(error => logger.error('Data export error:', error));
+  });
+
+  return dataExport;
+};
+
+// Émettre un nouveau lien de téléchargement pour un export prêt
+const createDownloadLink = async (dataExport) => {
+  const token = dataExport.createDownloadToken();
+  await dataExport.save();
+  return getDownloadUrl(dataExport, token);
+};
+
+// Supprimer l'archive d'un export (fichier déjà absent ignoré)
+const removeArchive = async (filePath) => {
+  if (!filePath) return;
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+// Tâche planifiée : traiter les exports en attente et supprimer les archives expirées
+const processDataExports = async () => {
+  const pending = await DataExport.find({
+    $or: [
+      { status: 'pending' },
+      { status: 'processing', startedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } }
+    ]
+  }).select('_id').limit(10);
+
+  for (const { _id } of pending) {
+    await processExport(_id);
+  }
+
+  const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } })
+    .select('+filePath');
+
+  for (const dataExport of expired) {
+    await removeArchive(dataExport.filePath);
+    dataExport.status = 'expired';
+    dataExport.filePath = undefined;
+    dataExport.downloadTokenHash = undefined;
+    await dataExport.save();
+  }
+
+  return { processed: pending.length, expired: expired.length };
+};
+
+module.exports = {
+  EXPORT_TTL_HOURS,
+  requestExport,
+  processExport,
+  createDownloadLink,
+  removeArchive,
+  processDataExports
+};
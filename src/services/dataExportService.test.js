@@ -0,0 +1,171 @@
+// services/dataExportService.test.js - Génération des exports, lien de téléchargement et nettoyage des archives
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const exportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workwhile-exports-'));
+process.env.DATA_EXPORT_DIR = exportsDir;
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Application = require('../models/Application');
+const CandidateDocument = require('../models/CandidateDocument');
+const SavedSearch = require('../models/SavedSearch');
+const DataExport = require('../models/DataExport');
+const emailService = require('./emailService');
+const { EXPORT_TTL_HOURS, processExport, createDownloadLink, processDataExports } = require('./dataExportService');
+
+// Requête Mongoose simulée (chaînable et "thenable")
+const mockQuery = (result) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+const HOUR = 60 * 60 * 1000;
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  firstName: 'Sara',
+  email: 'sara@example.com',
+  savedJobs: []
+};
+
+let dataExport;
+
+beforeEach(() => {
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  jest.spyOn(Application, 'find').mockReturnValue(mockQuery([]));
+  jest.spyOn(CandidateDocument, 'find').mockReturnValue(mockQuery([]));
+  jest.spyOn(SavedSearch, 'find').mockReturnValue(mockQuery([]));
+  jest.spyOn(emailService, 'sendDataExportReadyEmail').mockResolvedValue();
+
+  dataExport = new DataExport({ user: user._id, status: 'processing', startedAt: new Date() });
+  jest.spyOn(dataExport, 'save').mockResolvedValue(dataExport);
+  jest.spyOn(DataExport, 'findOneAndUpdate').mockResolvedValue(dataExport);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(exportsDir, { recursive: true, force: true });
+});
+
+describe('processExport', () => {
+  it('writes the archive outside the public uploads and emails a 48-hour link', async () => {
+    const before = Date.now();
+
+    await processExport(dataExport._id);
+
+    expect(dataExport.status).toBe('ready');
+    expect(dataExport.filePath).toBe(path.join(exportsDir, `${dataExport._id}.zip`));
+    expect(fs.statSync(dataExport.filePath).size).toBe(dataExport.fileSize);
+
+    expect(EXPORT_TTL_HOURS).toBe(48);
+    expect(dataExport.expiresAt.getTime()).toBeGreaterThanOrEqual(before + 48 * HOUR);
+    expect(dataExport.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 48 * HOUR);
+
+    const [recipient, downloadUrl, expiresAt] = emailService.sendDataExportReadyEmail.mock.calls[0];
+    expect(recipient).toBe(user);
+    expect(expiresAt).toBe(dataExport.expiresAt);
+    expect(downloadUrl).toMatch(new RegExp(`/api/users/data-exports/${dataExport._id}/download\\?token=[0-9a-f]{64}$`));
+  });
+
+  it('only stores the hash of the download token', async () => {
+    await processExport(dataExport._id);
+
+    const token = new URL(emailService.sendDataExportReadyEmail.mock.calls[0][1]).searchParams.get('token');
+    expect(dataExport.downloadTokenHash).toBe(DataExport.hashToken(token));
+    expect(JSON.stringify(dataExport)).not.toContain(dataExport.downloadTokenHash);
+  });
+
+  it('marks the export as failed when the archive cannot be built', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    User.findById.mockImplementation(() => mockQuery(null));
+
+    await processExport(dataExport._id);
+
+    expect(dataExport.status).toBe('failed');
+    expect(dataExport.error).toBe('The export could not be generated. Please request a new one.');
+    expect(emailService.sendDataExportReadyEmail).not.toHaveBeenCalled();
+  });
+
+  it('does nothing when another run already reserved the export', async () => {
+    DataExport.findOneAndUpdate.mockResolvedValue(null);
+
+    expect(await processExport(dataExport._id)).toBeNull();
+    expect(dataExport.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('createDownloadLink', () => {
+  it('replaces the previous token', async () => {
+    const firstLink = await createDownloadLink(dataExport);
+    const firstHash = dataExport.downloadTokenHash;
+
+    const secondLink = await createDownloadLink(dataExport);
+
+    expect(secondLink).not.toBe(firstLink);
+    expect(dataExport.downloadTokenHash).not.toBe(firstHash);
+  });
+});
+
+describe('processDataExports (scheduler)', () => {
+  it('deletes expired archives and invalidates their links', async () => {
+    const filePath = path.join(exportsDir, 'expired.zip');
+    fs.writeFileSync(filePath, 'zip');
+
+    const expired = new DataExport({
+      user: user._id,
+      status: 'ready',
+      filePath,
+      downloadTokenHash: DataExport.hashToken('token'),
+      expiresAt: new Date(Date.now() - HOUR)
+    });
+    jest.spyOn(expired, 'save').mockResolvedValue(expired);
+    const find = jest.spyOn(DataExport, 'find')
+      .mockReturnValueOnce(mockQuery([]))
+      .mockReturnValueOnce(mockQuery([expired]));
+
+    const summary = await processDataExports();
+
+    expect(summary).toEqual({ processed: 0, expired: 1 });
+    expect(find.mock.calls[1][0]).toEqual({ status: 'ready', expiresAt: { $lte: expect.any(Date) } });
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(expired.status).toBe('expired');
+    expect(expired.filePath).toBeUndefined();
+    expect(expired.downloadTokenHash).toBeUndefined();
+    expect(expired.save).toHaveBeenCalled();
+  });
+
+  it('expires an export whose archive is already gone', async () => {
+    const expired = new DataExport({ user: user._id, status: 'ready', filePath: path.join(exportsDir, 'missing.zip') });
+    jest.spyOn(expired, 'save').mockResolvedValue(expired);
+    jest.spyOn(DataExport, 'find')
+      .mockReturnValueOnce(mockQuery([]))
+      .mockReturnValueOnce(mockQuery([expired]));
+
+    await processDataExports();
+
+    expect(expired.status).toBe('expired');
+  });
+
+  it('resumes the pending exports', async () => {
+    jest.spyOn(DataExport, 'find')
+      .mockReturnValueOnce(mockQuery([{ _id: dataExport._id }]))
+      .mockReturnValueOnce(mockQuery([]));
+
+    const summary = await processDataExports();
+
+    expect(summary).toEqual({ processed: 1, expired: 0 });
+    expect(dataExport.status).toBe('ready');
+  });
+});
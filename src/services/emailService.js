@@ -2,6 +2,14 @@
 const nodemailer = require('nodemailer');
 const logger = require('../utils/logger');
 
+// Échapper le contenu saisi par des tiers (titres d'offres, noms d'entreprises)
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 class EmailService {
   constructor() {
     // Create reusable transporter
@@ -22,7 +30,8 @@ class EmailService {
         from: `"WorkWhile" <${process.env.SMTP_USER}>`,
         to: options.to,
         subject: options.subject,
-        html: options.html
+        html: options.html,
+        headers: options.headers
       };
 
       const info = await this.transporter.sendMail(mailOptions);
@@ -77,7 +86,7 @@ class EmailService {
         </div>
         <p>Or copy and paste this link into your browser:</p>
         <p style="word-break: break-all; color: #666;">${resetUrl}</p>
-        <p style="color: #666; font-size: 14px;">This link will expire in 10 minutes.</p>
+        <p style="color: #666; font-size: 14px;">This link will expire in 1 hour and can only be used once.</p>
         <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
         <p style="color: #999; font-size: 12px; text-align: center;">
           If you didn't request a password reset, please ignore this email. Your password will remain unchanged.
@@ -92,6 +101,259 @@ class EmailService {
     });
   }
 
+  async sendPasswordChangedEmail(user, details = {}) {
+    const changedAt = (details.changedAt || new Date()).toUTCString();
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3B82F6; text-align: center;">Your password was changed</h1>
+        <p>Hi ${escapeHtml(user.firstName)},</p>
+        <p>The password for your WorkWhile account was changed on <strong>${changedAt}</strong>.</p>
+        <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 0;"><strong>IP address:</strong> ${escapeHtml(details.ip || 'Unknown')}</p>
+          <p style="margin: 8px 0 0;"><strong>Device:</strong> ${escapeHtml(details.userAgent || 'Unknown')}</p>
+        </div>
+        <p>For your security, you have been signed out of all other devices.</p>
+        <p style="color: #666;">If you did not make this change, reset your password immediately and contact our support team.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.FRONTEND_URL}/forgot-password" style="background-color: #3B82F6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Reset Password
+          </a>
+        </div>
+      </div>
+    `;
+
+    await this.sendEmail({
+      to: user.email,
+      subject: 'Your WorkWhile password was changed',
+      html
+    });
+  }
+
+  async sendAccountLockedEmail(user, details = {}) {
+    const lockedUntil = (details.lockedUntil || new Date()).toUTCString();
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3B82F6; text-align: center;">Your account has been temporarily locked</h1>
+        <p>Hi ${escapeHtml(user.firstName)},</p>
+        <p>We noticed several failed sign-in attempts on your WorkWhile account, so we have locked it until <strong>${lockedUntil}</strong>.</p>
+        <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 0;"><strong>Last attempt from IP:</strong> ${escapeHtml(details.ip || 'Unknown')}</p>
+          <p style="margin: 8px 0 0;"><strong>Device:</strong> ${escapeHtml(details.userAgent || 'Unknown')}</p>
+        </div>
+        <p>You can sign in again once the lock expires.</p>
+        <p style="color: #666;">If these attempts were not made by you, we recommend resetting your password.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.FRONTEND_URL}/forgot-password" style="background-color: #3B82F6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Reset Password
+          </a>
+        </div>
+      </div>
+    `;
+
+    await this.sendEmail({
+      to: user.email,
+      subject: 'Your WorkWhile account has been temporarily locked',
+      html
+    });
+  }
+
+  async sendAccountDeletionScheduledEmail(user, deletion) {
+    const scheduledFor = deletion.scheduledFor.toUTCString();
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3B82F6; text-align: center;">Your account is scheduled for deletion</h1>
+        <p>Hi ${escapeHtml(user.firstName)},</p>
+        <p>We received a request to delete your WorkWhile account. Your account and personal data will be permanently erased on <strong>${scheduledFor}</strong>.</p>
+        <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 0;">Until then you can still sign in and cancel the deletion from your account settings.</p>
+        </div>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.FRONTEND_URL}/settings/account" style="background-color: #3B82F6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Keep My Account
+          </a>
+        </div>
+        <p style="color: #666;">If you did not request this, sign in and cancel the deletion, then change your password.</p>
+      </div>
+    `;
+
+    await this.sendEmail({
+      to: user.email,
+      subject: 'Your WorkWhile account is scheduled for deletion',
+      html
+    });
+  }
+
+  async sendAccountDeletedEmail(user, receipt) {
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3B82F6; text-align: center;">Your account has been deleted</h1>
+        <p>Hi ${escapeHtml(user.firstName)},</p>
+        <p>As requested, your WorkWhile account and personal data have been permanently erased.</p>
+        <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 0;"><strong>Deletion receipt:</strong> ${receipt.receiptId}</p>
+          <p style="margin: 8px 0 0;"><strong>Completed on:</strong> ${receipt.completedAt.toUTCString()}</p>
+          <p style="margin: 8px 0 0;"><strong>Applications anonymized:</strong> ${receipt.summary.applicationsAnonymized}</p>
+          <p style="margin: 8px 0 0;"><strong>Files deleted:</strong> ${receipt.summary.filesDeleted}</p>
+        </div>
+        <p style="color: #666;">Keep this receipt number: it lets our support team confirm the deletion without storing any of your personal data.</p>
+      </div>
+    `;
+
+    await this.sendEmail({
+      to: user.email,
+      subject: 'Your WorkWhile account has been deleted',
+      html
+    });
+  }
+
+  async sendDataExportReadyEmail(user, downloadUrl, expiresAt) {
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3B82F6; text-align: center;">Your data export is ready</h1>
+        <p>Hi ${escapeHtml(user.firstName)},</p>
+        <p>The copy of your WorkWhile data you requested is ready. It contains your profile, your applications and the files you uploaded.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${downloadUrl}" style="background-color: #3B82F6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Download My Data
+          </a>
+        </div>
+        <p style="color: #666; font-size: 14px;">This link will expire on ${expiresAt.toUTCString()}. You can generate a new link from your account settings until then.</p>
+        <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+        <p style="color: #999; font-size: 12px; text-align: center;">
+          If you didn't request this export, please change your password and contact our support team.
+        </p>
+      </div>
+    `;
+
+    await this.sendEmail({
+      to: user.email,
+      subject: 'Your WorkWhile data export is ready',
+      html
+    });
+  }
+
+  async sendEmailChangeConfirmationEmail(user, newEmail, token, expiresAt) {
+    const confirmUrl = `${process.env.FRONTEND_URL}/confirm-email-change/${token}`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3B82F6; text-align: center;">Confirm your new email address</h1>
+        <p>Hi ${escapeHtml(user.firstName)},</p>
+        <p>You asked to use <strong>${escapeHtml(newEmail)}</strong> for your WorkWhile account. Sign in and click the button below to confirm the change:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${confirmUrl}" style="background-color: #3B82F6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Confirm New Email
+          </a>
+        </div>
+        <p>Or copy and paste this link into your browser:</p>
+        <p style="word-break: break-all; color: #666;">${confirmUrl}</p>
+        <p style="color: #666; font-size: 14px;">This link will expire on ${expiresAt.toUTCString()}. Until then, keep signing in with your current email address.</p>
+        <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+        <p style="color: #999; font-size: 12px; text-align: center;">
+          If you didn't request this change, please ignore this email.
+        </p>
+      </div>
+    `;
+
+    await this.sendEmail({
+      to: newEmail,
+      subject: 'Confirm your new WorkWhile email address',
+      html
+    });
+  }
+
+  async sendEmailChangeRequestedEmail(user, newEmail, cancelToken) {
+    const cancelUrl = `${process.env.FRONTEND_URL}/cancel-email-change/${cancelToken}`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3B82F6; text-align: center;">Email change requested</h1>
+        <p>Hi ${escapeHtml(user.firstName)},</p>
+        <p>A request was made to change the email address of your WorkWhile account to <strong>${escapeHtml(newEmail)}</strong>. The change will only take effect once it is confirmed from the new address.</p>
+        <p style="color: #666;">If you did not make this request, cancel it now. You will be signed out of all devices; then change your password.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${cancelUrl}" style="background-color: #EF4444; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Cancel Email Change
+          </a>
+        </div>
+      </div>
+    `;
+
+    await this.sendEmail({
+      to: user.email,
+      subject: 'A change of your WorkWhile email address was requested',
+      html
+    });
+  }
+
+  async sendEmailChangedEmail(user, previousEmail) {
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3B82F6; text-align: center;">Your email address was changed</h1>
+        <p>Hi ${escapeHtml(user.firstName)},</p>
+        <p>Your WorkWhile account now uses <strong>${escapeHtml(user.email)}</strong>. This address (${escapeHtml(previousEmail)}) can no longer be used to sign in.</p>
+        <p>For your security, you have been signed out of all other devices.</p>
+        <p style="color: #666;">If you did not make this change, contact our support team immediately.</p>
+      </div>
+    `;
+
+    await this.sendEmail({
+      to: previousEmail,
+      subject: 'Your WorkWhile email address was changed',
+      html
+    });
+  }
+
+  async sendJobAlertEmail(user, savedSearch, jobs, total, unsubscribeUrl) {
+    const jobsUrl = `${process.env.FRONTEND_URL}/jobs`;
+    // Page de confirmation (le lien seul ne désinscrit pas, voir getUnsubscribe)
+    const unsubscribePageUrl = `${process.env.FRONTEND_URL}/unsubscribe/${savedSearch.unsubscribeToken}`;
+
+    const jobItems = jobs.map(job => `
+      <div style="border: 1px solid #eee; border-radius: 8px; padding: 16px; margin: 12px 0;">
+        <a href="${jobsUrl}/${job._id}" style="color: #3B82F6; font-size: 16px; font-weight: bold; text-decoration: none;">${escapeHtml(job.title)}</a>
+        <p style="margin: 6px 0 0; color: #444;">${escapeHtml(job.company?.name || 'Confidential company')} · ${escapeHtml(job.location)}${job.isRemote ? ' · Remote' : ''}</p>
+        <p style="margin: 6px 0 0; color: #666; font-size: 14px;">${escapeHtml(job.type)} · ${escapeHtml(job.experienceLevel)}</p>
+      </div>
+    `).join('');
+
+    const moreCount = total - jobs.length;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3B82F6; text-align: center;">New jobs for "${escapeHtml(savedSearch.name)}"</h1>
+        <p>Hi ${escapeHtml(user.firstName)},</p>
+        <p>${total} new job${total > 1 ? 's match' : ' matches'} your saved search.</p>
+        ${jobItems}
+        ${moreCount > 0 ? `<p style="color: #666;">And ${moreCount} more on WorkWhile.</p>` : ''}
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${jobsUrl}" style="background-color: #3B82F6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            View All Jobs
+          </a>
+        </div>
+        <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+        <p style="color: #999; font-size: 12px; text-align: center;">
+          You receive this ${savedSearch.frequency} alert because you saved this search.
+          <a href="${unsubscribePageUrl}" style="color: #999;">Unsubscribe from this alert</a>
+        </p>
+      </div>
+    `;
+
+    await this.sendEmail({
+      to: user.email,
+      subject: `${total} new job${total > 1 ? 's' : ''} for "${savedSearch.name}"`,
+      html,
+      // Désinscription en un clic depuis le client mail (RFC 8058)
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    });
+  }
+
   async sendWelcomeEmail(user) {
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -0,0 +1,105 @@
+// services/emailService.test.js - Contenu des emails
+const emailService = require('./emailService');
+
+describe('security notification emails', () => {
+  const user = { firstName: '<b>Sara</b>', email: 'sara@example.com' };
+  const details = { ip: '10.0.0.1', userAgent: '<img src=x onerror=alert(1)>' };
+
+  beforeEach(() => {
+    jest.spyOn(emailService, 'sendEmail').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ['password changed', () => emailService.sendPasswordChangedEmail(user, details)],
+    ['account locked', () => emailService.sendAccountLockedEmail(user, details)]
+  ])('escapes the User-Agent and name in the %s email', async (name, send) => {
+    await send();
+
+    const { html } = emailService.sendEmail.mock.calls[0][0];
+    expect(html).not.toContain('<img');
+    expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    expect(html).toContain('Hi &lt;b&gt;Sara&lt;/b&gt;,');
+  });
+});
+
+describe('account emails', () => {
+  const user = { firstName: '<b>Sara</b>', email: 'sara@example.com' };
+
+  beforeEach(() => {
+    jest.spyOn(emailService, 'sendEmail').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ['deletion scheduled', () => emailService.sendAccountDeletionScheduledEmail(user, { scheduledFor: new Date() })],
+    ['account deleted', () => emailService.sendAccountDeletedEmail(user, {
+      receiptId: 'receipt-1',
+      completedAt: new Date(),
+      summary: { applicationsAnonymized: 2, filesDeleted: 1 }
+    })],
+    ['data export ready', () => emailService.sendDataExportReadyEmail(user, 'https://api/exports/1/download?token=t', new Date())]
+  ])('escapes the name in the %s email', async (name, send) => {
+    await send();
+
+    const { html } = emailService.sendEmail.mock.calls[0][0];
+    expect(html).not.toContain('<b>Sara');
+    expect(html).toContain('Hi &lt;b&gt;Sara&lt;/b&gt;,');
+  });
+
+  it.each([
+    ['confirmation', () => emailService.sendEmailChangeConfirmationEmail(user, '<i>new</i>@example.com', 'token', new Date())],
+    ['request notice', () => emailService.sendEmailChangeRequestedEmail(user, '<i>new</i>@example.com', 'cancel-token')],
+    ['change notice', () => emailService.sendEmailChangedEmail({ ...user, email: '<i>new</i>@example.com' }, '<u>old</u>@example.com')]
+  ])('escapes the name and addresses in the email change %s', async (name, send) => {
+    await send();
+
+    const { html } = emailService.sendEmail.mock.calls[0][0];
+    expect(html).toContain('Hi &lt;b&gt;Sara&lt;/b&gt;,');
+    expect(html).toContain('<strong>&lt;i&gt;new&lt;/i&gt;@example.com</strong>');
+    expect(html).not.toMatch(/<(b|i|u)>/);
+  });
+});
+
+describe('job alert email', () => {
+  const OLD_FRONTEND_URL = process.env.FRONTEND_URL;
+
+  beforeEach(() => {
+    process.env.FRONTEND_URL = 'https://app.workwhile.com';
+    jest.spyOn(emailService, 'sendEmail').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    process.env.FRONTEND_URL = OLD_FRONTEND_URL;
+    jest.restoreAllMocks();
+  });
+
+  it('links to the confirmation page and keeps one-click unsubscribe for mail clients', async () => {
+    const savedSearch = { name: 'React', frequency: 'daily', unsubscribeToken: 'abc123' };
+    const apiUrl = 'https://api.workwhile.com/api/saved-searches/unsubscribe/abc123';
+
+    await emailService.sendJobAlertEmail({ firstName: 'Sara', email: 'sara@example.com' }, savedSearch, [], 1, apiUrl);
+
+    const { html, headers } = emailService.sendEmail.mock.calls[0][0];
+    expect(html).toContain('href="https://app.workwhile.com/unsubscribe/abc123"');
+    expect(html).not.toContain(apiUrl);
+    expect(headers['List-Unsubscribe']).toBe(`<${apiUrl}>`);
+    expect(headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+  });
+
+  it('escapes the name and the saved search name', async () => {
+    const savedSearch = { name: '<i>React</i>', frequency: 'daily', unsubscribeToken: 'abc123' };
+
+    await emailService.sendJobAlertEmail({ firstName: '<b>Sara</b>', email: 'sara@example.com' }, savedSearch, [], 1, 'https://api');
+
+    const { html } = emailService.sendEmail.mock.calls[0][0];
+    expect(html).toContain('Hi &lt;b&gt;Sara&lt;/b&gt;,');
+    expect(html).toContain('New jobs for "&lt;i&gt;React&lt;/i&gt;"');
+  });
+});
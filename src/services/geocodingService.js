@@ -0,0 +1,68 @@
+// src/services/geocodingService.js - Géocodage local des noms de ville
+const gazetteer = require('../config/gazetteer');
+
+const MAX_NGRAM_WORDS = 3;
+
+// Minuscules, sans accents (ni voyelles arabes) ni ponctuation : "Fès-Meknès" -> "fes meknes"
+const normalizePlaceName = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f\u064b-\u065f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+// Index nom/alias -> ville ; le premier enregistrement gagne (Maroc en tête)
+const places = new Map();
+gazetteer.forEach(([name, country, lat, lng, aliases = []]) => {
+  const place = { name, country, lat, lng };
+  [name, ...aliases].forEach(alias => {
+    const key = normalizePlaceName(alias);
+    if (key && !places.has(key)) places.set(key, place);
+  });
+});
+
+// Chercher un nom de ville dans un fragment : d'abord en entier, puis par
+// groupes de mots ("Hybride - Casablanca, Maroc" -> Casablanca)
+const matchFragment = (fragment) => {
+  const normalized = normalizePlaceName(fragment);
+  if (!normalized) return null;
+  if (places.has(normalized)) return places.get(normalized);
+
+  const words = normalized.split(' ');
+  for (let size = Math.min(MAX_NGRAM_WORDS, words.length); size > 0; size--) {
+    for (let start = 0; start + size <= words.length; start++) {
+      const place = places.get(words.slice(start, start + size).join(' '));
+      if (place) return place;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Géocode un lieu saisi librement ("Casablanca", "Rabat, Maroc", "Paris 8e").
+ * Retourne { name, country, lat, lng } ou null si aucune ville n'est reconnue.
+ */
+const geocodeLocation = (location) => {
+  if (!location || typeof location !== 'string') return null;
+
+  const fragments = location.split(/[,;/|()]/);
+  for (const fragment of fragments) {
+    const place = matchFragment(fragment);
+    if (place) return place;
+  }
+
+  return null;
+};
+
+// Point GeoJSON ([longitude, latitude]) pour un lieu, ou null
+const toGeoPoint = (location) => {
+  const place = geocodeLocation(location);
+  return place ? { type: 'Point', coordinates: [place.lng, place.lat] } : null;
+};
+
+module.exports = {
+  normalizePlaceName,
+  geocodeLocation,
+  toGeoPoint
+};
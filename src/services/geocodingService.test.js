@@ -0,0 +1,34 @@
+// services/geocodingService.test.js - Géocodage local des lieux saisis librement
+const { normalizePlaceName, geocodeLocation, toGeoPoint } = require('./geocodingService');
+
+describe('geocodeLocation', () => {
+  it('finds a city from a name, an alias or an accented spelling', () => {
+    expect(geocodeLocation('Casablanca')).toMatchObject({ name: 'Casablanca', country: 'MA' });
+    expect(geocodeLocation('Casa')).toMatchObject({ name: 'Casablanca' });
+    expect(geocodeLocation('FES')).toMatchObject({ name: 'Fès' });
+    expect(geocodeLocation('الرباط')).toMatchObject({ name: 'Rabat' });
+  });
+
+  it('finds the city inside a longer location', () => {
+    expect(geocodeLocation('Hybride - Casablanca, Maroc')).toMatchObject({ name: 'Casablanca' });
+    expect(geocodeLocation('Paris 8e')).toMatchObject({ name: 'Paris', country: 'FR' });
+  });
+
+  it('returns null for unknown places and non-strings', () => {
+    expect(geocodeLocation('Remote')).toBeNull();
+    expect(geocodeLocation({ $ne: null })).toBeNull();
+  });
+});
+
+describe('toGeoPoint', () => {
+  it('returns a GeoJSON point in [lng, lat] order', () => {
+    expect(toGeoPoint('Rabat')).toEqual({ type: 'Point', coordinates: [-6.8416, 34.0209] });
+    expect(toGeoPoint('Nowhere')).toBeNull();
+  });
+});
+
+describe('normalizePlaceName', () => {
+  it('lowercases and strips accents and punctuation', () => {
+    expect(normalizePlaceName('Fès-Meknès')).toBe('fes meknes');
+  });
+});
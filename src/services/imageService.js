@@ -0,0 +1,214 @@
+// src/services/imageService.js
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { AppError } = require('../utils/helpers');
+const { deleteFile, getUploadPath } = require('../middleware/uploadMiddleware');
+const logger = require('../utils/logger');
+
+const IMAGES_DIR = path.join(__dirname, '../uploads/images');
+
+// Protection contre les "image bombs" (petits fichiers, dimensions énormes)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+const MIN_DIMENSION = 32;
+
+// Tailles générées par type d'image. Les avatars sont recadrés au carré,
+// les logos gardent leurs proportions.
+const IMAGE_PRESETS = {
+  avatar: {
+    folder: 'avatars',
+    fit: 'cover',
+    variants: {
+      thumb: 64,
+      medium: 256,
+      large: 512
+    }
+  },
+  logo: {
+    folder: 'logos',
+    fit: 'inside',
+    variants: {
+      thumb: 64,
+      medium: 200,
+      large: 400
+    }
+  }
+};
+
+// Signatures binaires des formats acceptés
+const MAGIC_BYTES = [
+  { format: 'jpeg', matches: buffer => buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF },
+  { format: 'png', matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+  { format: 'webp', matches: buffer => buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+// =====================================
+// VALIDATION
+// =====================================
+
+// Détecter le format réel d'une image à partir de ses premiers octets
+// (le type MIME et l'extension envoyés par le client ne sont pas fiables)
+const detectImageFormat = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+  const match = MAGIC_BYTES.find(signature => signature.matches(buffer));
+  return match ? match.format : null;
+};
+
+// =====================================
+// TRAITEMENT
+// =====================================
+
+/**
+ * Génère les variantes d'une image (thumb/medium/large, WebP + JPEG) dans
+ * uploads/images/<dossier>. L'orientation EXIF est appliquée aux pixels puis
+ * toutes les métadonnées (EXIF, GPS, profil ICC...) sont supprimées.
+ * Retourne l'objet à enregistrer sur le document (voir models/schemas/imageSchema).
+ */
+const processImage = async (buffer, type, ownerId) => {
+  const preset = IMAGE_PRESETS[type];
+  if (!preset) {
+    throw new Error(`Unknown image type: ${type}`);
+  }
+
+  const format = detectImageFormat(buffer);
+  if (!format) {
+    throw new AppError('Unsupported image. Please upload a JPEG, PNG or WebP file.', 400);
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw new AppError('The image could not be read. It may be corrupted or too large.', 400);
+  }
+
+  if (metadata.format !== format) {
+    throw new AppError('The image content does not match its format.', 400);
+  }
+  if (metadata.width < MIN_DIMENSION || metadata.height < MIN_DIMENSION) {
+    throw new AppError(`Image must be at least ${MIN_DIMENSION}x${MIN_DIMENSION} pixels.`, 400);
+  }
+
+  const targetDir = path.join(IMAGES_DIR, preset.folder);
+  await fs.promises.mkdir(targetDir, { recursive: true });
+
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const baseName = `${type}-${ownerId}-${uniqueSuffix}`;
+  const writtenFiles = [];
+  const variants = {};
+
+  try {
+    // rotate() sans argument applique l'orientation EXIF ; sharp ne recopie
+    // aucune métadonnée dans les fichiers générés (pas de withMetadata())
+    const source = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+    for (const [variant, size] of Object.entries(preset.variants)) {
+      const resized = source.clone().resize(size, size, {
+        fit: preset.fit,
+        withoutEnlargement: preset.fit === 'inside'
+      });
+
+      const webpName = `${baseName}-${variant}.webp`;
+      const jpegName = `${baseName}-${variant}.jpg`;
+
+      const webpInfo = await resized.clone()
+        .webp({ quality: 82 })
+        .toFile(path.join(targetDir, webpName));
+      writtenFiles.push(path.join(targetDir, webpName));
+
+      // Le JPEG ne gère pas la transparence : fond blanc
+      await resized.clone()
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 85, mozjpeg: true })
+        .toFile(path.join(targetDir, jpegName));
+      writtenFiles.push(path.join(targetDir, jpegName));
+
+      variants[variant] = {
+        width: webpInfo.width,
+        height: webpInfo.height,
+        webp: `/uploads/images/${preset.folder}/${webpName}`,
+        jpeg: `/uploads/images/${preset.folder}/${jpegName}`
+      };
+    }
+  } catch (error) {
+    await Promise.all(writtenFiles.map(filePath => deleteFile(filePath).catch(() => {})));
+    logger.error(`Image processing failed for ${type} ${ownerId}: ${error.message}`);
+    throw new AppError('The image could not be processed. Please try another file.', 400);
+  }
+
+  return {
+    variants,
+    original: {
+      width: metadata.width,
+      height: metadata.height,
+      format,
+      size: buffer.length
+    },
+    uploadedAt: new Date()
+  };
+};
+
+// =====================================
+// NETTOYAGE
+// =====================================
+
+// URLs de tous les fichiers d'une image traitée
+const getImageUrls = (image) => {
+  if (!image || !image.variants) return [];
+
+  return Object.values(image.variants)
+    .filter(Boolean)
+    .flatMap(variant => [variant.webp, variant.jpeg])
+    .filter(Boolean);
+};
+
+// Chemin d'un fichier généré par processImage, ou null pour toute autre URL
+const getImageFilePath = (url) => {
+  const filePath = getUploadPath(url);
+  return filePath && filePath.startsWith(IMAGES_DIR + path.sep) ? filePath : null;
+};
+
+// URL pointant vers nos fichiers téléversés : refusée dans les champs libres
+// avatar/logo (seules les routes de téléversement les renseignent)
+const isLocalUploadUrl = (url) => {
+  if (typeof url !== 'string') return false;
+  try {
+    return Boolean(getUploadPath(url));
+  } catch (error) {
+    return true; // URL malformée (ex: "%" isolé) : refusée par prudence
+  }
+};
+
+// Supprimer les fichiers d'une image remplacée ou retirée.
+// Seules les variantes générées (uploads/images/) sont supprimées, jamais
+// l'URL libre avatar/logo qui peut désigner le fichier de quelqu'un d'autre.
+const removeImage = async (image) => {
+  const urls = [...new Set(getImageUrls(image))];
+  let deleted = 0;
+
+  for (const url of urls) {
+    const filePath = getImageFilePath(url);
+    if (!filePath) continue;
+
+    try {
+      await deleteFile(filePath);
+      deleted += 1;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not delete image file ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  return deleted;
+};
+
+module.exports = {
+  IMAGE_PRESETS,
+  detectImageFormat,
+  processImage,
+  getImageUrls,
+  isLocalUploadUrl,
+  removeImage
+};
@@ -0,0 +1,65 @@
+// services/imageService.test.js - Seuls les fichiers générés sont supprimés
+process.env.BACKEND_URL = 'http://localhost:5000';
+
+jest.mock('../middleware/uploadMiddleware', () => ({
+  ...jest.requireActual('../middleware/uploadMiddleware'),
+  deleteFile: jest.fn().mockResolvedValue()
+}));
+
+const path = require('path');
+const { deleteFile } = require('../middleware/uploadMiddleware');
+const { removeImage, isLocalUploadUrl } = require('./imageService');
+
+const uploadsDir = path.join(__dirname, '../uploads');
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('removeImage', () => {
+  it('deletes the generated variants', async () => {
+    const deleted = await removeImage({
+      variants: {
+        thumb: { webp: '/uploads/images/avatars/u1-thumb.webp', jpeg: '/uploads/images/avatars/u1-thumb.jpg' },
+        medium: { webp: 'http://localhost:5000/uploads/images/avatars/u1-medium.webp' }
+      }
+    });
+
+    expect(deleted).toBe(3);
+    expect(deleteFile).toHaveBeenCalledWith(path.join(uploadsDir, 'images/avatars/u1-thumb.webp'));
+    expect(deleteFile).toHaveBeenCalledWith(path.join(uploadsDir, 'images/avatars/u1-medium.webp'));
+  });
+
+  it('never deletes files outside uploads/images', async () => {
+    const deleted = await removeImage({
+      variants: {
+        medium: {
+          jpeg: '/uploads/resumes/resume-123.pdf',
+          webp: '/uploads/images/../resumes/resume-456.pdf'
+        },
+        large: { jpeg: 'https://evil.example.com/uploads/images/x.jpg' }
+      }
+    });
+
+    expect(deleted).toBe(0);
+    expect(deleteFile).not.toHaveBeenCalled();
+  });
+
+  it('ignores a missing image', async () => {
+    expect(await removeImage(undefined)).toBe(0);
+    expect(deleteFile).not.toHaveBeenCalled();
+  });
+});
+
+describe('isLocalUploadUrl', () => {
+  it.each([
+    ['/uploads/resumes/resume-123.pdf', true],
+    ['http://localhost:5000/uploads/documents/doc.pdf', true],
+    ['/uploads/%', true],
+    ['https://cdn.example.com/avatar.png', false],
+    ['/images/avatar.png', false],
+    [undefined, false]
+  ])('%s -> %s', (url, expected) => {
+    expect(isLocalUploadUrl(url)).toBe(expected);
+  });
+});
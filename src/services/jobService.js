@@ -0,0 +1,276 @@
+// src/services/jobService.js
+const Job = require('../models/Job');
+const { escapeRegex, AppError, calculateDistance } = require('../utils/helpers');
+const { buildTextSearchFilter } = require('../utils/textSearch');
+const { applyCursor, getCursorSort } = require('../utils/cursorPagination');
+
+// Critères de recherche d'offres acceptés (liste des emplois, recherches sauvegardées)
+const JOB_FILTER_FIELDS = ['search', 'location', 'type', 'category', 'experienceLevel', 'minSalary', 'maxSalary', 'isRemote'];
+
+// =====================================
+// FILTRE DE RECHERCHE DES OFFRES
+// =====================================
+
+/**
+ * Construit le filtre MongoDB des offres actives à partir des critères de
+ * recherche (paramètres de requête ou critères d'une recherche sauvegardée).
+ * `search` utilise l'index texte (expressions "entre guillemets" et
+ * exclusions -mot acceptées) ; les autres textes sont échappés.
+ */
+const buildJobFilter = (criteria = {}) => {
+  const {
+    search = '',
+    location = '',
+    type = '',
+    category = '',
+    experienceLevel = '',
+    minSalary = '',
+    maxSalary = '',
+    isRemote = ''
+  } = criteria;
+
+  const filter = { status: 'active' }; // Seulement les emplois actifs
+
+  // Recherche plein texte (index texte pondéré du modèle Job)
+  Object.assign(filter, buildTextSearchFilter(search));
+
+  // Filtres spécifiques
+  if (String(location).trim()) {
+    filter.location = { $regex: escapeRegex(String(location).trim()), $options: 'i' };
+  }
+
+  if (type) {
+    filter.type = type;
+  }
+
+  if (category) {
+    filter.category = { $regex: escapeRegex(category), $options: 'i' };
+  }
+
+  if (experienceLevel) {
+    filter.experienceLevel = experienceLevel;
+  }
+
+  if (isRemote === true || isRemote === 'true') {
+    filter.isRemote = true;
+  }
+
+  // Filtres de salaire
+  const min = parseInt(minSalary, 10);
+  const max = parseInt(maxSalary, 10);
+  if (!Number.isNaN(min)) filter['salary.min'] = { $gte: min };
+  if (!Number.isNaN(max)) filter['salary.max'] = { $lte: max };
+
+  return filter;
+};
+
+// =====================================
+// RECHERCHE PAR RAYON
+// =====================================
+
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 500;
+
+/**
+ * Lit lat/lng/radiusKm (paramètres de requête). Retourne null sans
+ * coordonnées, lève une AppError 400 si elles sont invalides.
+ */
+const parseGeoCriteria = ({ lat, lng, radiusKm } = {}) => {
+  const provided = [lat, lng].filter(value => value !== undefined && value !== '');
+  if (provided.length === 0) return null;
+  if (provided.length === 1) {
+    throw new AppError('Both lat and lng are required for a radius search', 400);
+  }
+
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+      !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    throw new AppError('lat must be between -90 and 90 and lng between -180 and 180', 400);
+  }
+
+  const radius = radiusKm === undefined || radiusKm === '' ? DEFAULT_RADIUS_KM : Number(radiusKm);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+    throw new AppError(`radiusKm must be greater than 0 and at most ${MAX_RADIUS_KM}`, 400);
+  }
+
+  return { lat: latitude, lng: longitude, radiusKm: radius };
+};
+
+// Offres situées dans le rayon (utilisable avec $text et dans un $match)
+const buildGeoFilter = (geo) => {
+  if (!geo) return {};
+  return {
+    geoLocation: {
+      $geoWithin: { $centerSphere: [[geo.lng, geo.lat], geo.radiusKm / EARTH_RADIUS_KM] }
+    }
+  };
+};
+
+// Distance (km, arrondie à 0,1) entre le point recherché et une offre géocodée
+const getDistanceKm = (geo, job) => {
+  const coordinates = job.geoLocation?.coordinates;
+  if (!geo || !coordinates) return null;
+  return Math.round(calculateDistance(geo.lat, geo.lng, coordinates[1], coordinates[0]) * 10) / 10;
+};
+
+// =====================================
+// TRI PAR PERTINENCE OU PAR DISTANCE
+// =====================================
+
+/**
+ * Offres triées par une valeur calculée : score de pertinence ($text, champ
+ * `score`) ou distance en mètres ($geoNear, champ `distance`). find() ne peut
+ * pas comparer ces valeurs à un curseur, l'agrégation le peut.
+ * `sort` : { field: 'score' | 'distance', direction }.
+ */
+const findRankedJobs = async ({ filter, geo, sort, cursor, skip = 0, limit }) => {
+  let rankStages;
+  if (sort.field === 'distance') {
+    // $geoNear applique déjà le rayon
+    const query = { ...filter };
+    delete query.geoLocation;
+    rankStages = [{
+      $geoNear: {
+        near: { type: 'Point', coordinates: [geo.lng, geo.lat] },
+        key: 'geoLocation',
+        distanceField: 'distance',
+        maxDistance: geo.radiusKm * 1000,
+        spherical: true,
+        query
+      }
+    }];
+  } else {
+    rankStages = [{ $match: filter }, { $addFields: { score: { $meta: 'textScore' } } }];
+  }
+
+  const jobs = await Job.aggregate([
+    ...rankStages,
+    { $match: applyCursor({}, cursor, sort.field, sort.direction) },
+    { $sort: getCursorSort(sort.field, sort.direction, cursor) },
+    { $skip: skip },
+    { $limit: limit }
+  ]);
+
+  return Job.populate(jobs, [
+    { path: 'company', select: 'name logo location' },
+    { path: 'postedBy', select: 'firstName lastName' }
+  ]);
+};
+
+// =====================================
+// FACETTES DE RECHERCHE
+// =====================================
+
+const FACET_LIMIT = 10;
+const SALARY_BUCKETS = [0, 5000, 10000, 20000, 50000, 100000];
+
+// Critères ignorés par chaque facette : ses propres compteurs ne dépendent
+// pas du filtre qu'elle représente ("Temps plein (42)" reste visible une
+// fois "Temps partiel" sélectionné)
+const FACET_CRITERIA = {
+  type: ['type'],
+  experienceLevel: ['experienceLevel'],
+  category: ['category'],
+  isRemote: ['isRemote'],
+  location: ['location'],
+  salary: ['minSalary', 'maxSalary']
+};
+
+// Conditions du filtre absentes du filtre de base (partagé par toutes les facettes)
+const omitKeys = (filter, baseFilter) => Object.fromEntries(
+  Object.entries(filter).filter(([key]) => !(key in baseFilter))
+);
+
+const valueCounts = (field, { limit } = {}) => [
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $match: { _id: { $nin: [null, ''] } } },
+  { $sort: { count: -1, _id: 1 } },
+  ...(limit ? [{ $limit: limit }] : [])
+];
+
+// Compléter les valeurs d'une énumération absentes des résultats (compteur 0)
+const withEnumValues = (counts, values) => values.map(value => ({
+  value,
+  count: counts.find(item => item._id === value)?.count || 0
+}));
+
+/**
+ * Compteurs par facette (type, niveau, catégorie, télétravail, lieu, salaire)
+ * pour les critères donnés, calculés en une seule agrégation $facet.
+ * La recherche textuelle et le rayon s'appliquent à toutes les facettes
+ * ($text doit être dans le premier $match du pipeline).
+ */
+const getJobFacets = async (criteria = {}, geo = null) => {
+  const baseFilter = { ...buildJobFilter({ search: criteria.search }), ...buildGeoFilter(geo) };
+
+  const facetMatch = (facet) => {
+    const ownCriteria = Object.fromEntries(FACET_CRITERIA[facet].map(field => [field, '']));
+    return { $match: omitKeys(buildJobFilter({ ...criteria, ...ownCriteria }), baseFilter) };
+  };
+
+  const [result] = await Job.aggregate([
+    { $match: baseFilter },
+    {
+      $facet: {
+        type: [facetMatch('type'), ...valueCounts('type')],
+        experienceLevel: [facetMatch('experienceLevel'), ...valueCounts('experienceLevel')],
+        category: [facetMatch('category'), ...valueCounts('category', { limit: FACET_LIMIT })],
+        isRemote: [facetMatch('isRemote'), ...valueCounts('isRemote')],
+        location: [facetMatch('location'), ...valueCounts('location', { limit: FACET_LIMIT })],
+        salary: [
+          facetMatch('salary'),
+          { $match: { 'salary.min': { $type: 'number' } } },
+          {
+            $bucket: {
+              groupBy: '$salary.min',
+              boundaries: SALARY_BUCKETS,
+              default: 'above',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const lastBoundary = SALARY_BUCKETS[SALARY_BUCKETS.length - 1];
+
+  return {
+    type: withEnumValues(result.type, Job.schema.path('type').enumValues),
+    experienceLevel: withEnumValues(result.experienceLevel, Job.schema.path('experienceLevel').enumValues),
+    category: result.category.map(item => ({ value: item._id, count: item.count })),
+    isRemote: withEnumValues(result.isRemote, [true, false]),
+    location: result.location.map(item => ({ value: item._id, count: item.count })),
+    // Tranches sur le salaire minimum (utilisables avec minSalary/maxSalary)
+    salary: [...SALARY_BUCKETS.slice(0, -1), 'above']
+      .map((boundary, index) => ({
+        min: boundary === 'above' ? lastBoundary : boundary,
+        max: boundary === 'above' ? null : SALARY_BUCKETS[index + 1],
+        count: result.salary.find(bucket => bucket._id === boundary)?.count || 0
+      }))
+  };
+};
+
+// Garder uniquement les critères de recherche renseignés
+const pickJobCriteria = (source = {}) => {
+  const criteria = {};
+  JOB_FILTER_FIELDS.forEach(field => {
+    if (source[field] !== undefined && source[field] !== '' && source[field] !== null) {
+      criteria[field] = source[field];
+    }
+  });
+  return criteria;
+};
+
+module.exports = {
+  JOB_FILTER_FIELDS,
+  buildJobFilter,
+  parseGeoCriteria,
+  buildGeoFilter,
+  getDistanceKm,
+  findRankedJobs,
+  getJobFacets,
+  pickJobCriteria
+};
@@ -0,0 +1,171 @@
+// services/jobService.test.js - Filtre de recherche des offres, rayon et facettes
+const Job = require('../models/Job');
+const {
+  buildJobFilter,
+  parseGeoCriteria,
+  buildGeoFilter,
+  getDistanceKm,
+  getJobFacets,
+  pickJobCriteria
+} = require('./jobService');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('buildJobFilter', () => {
+  it('only returns active jobs without criteria', () => {
+    expect(buildJobFilter()).toEqual({ status: 'active' });
+  });
+
+  it('combines the text search with the other criteria', () => {
+    expect(buildJobFilter({
+      search: 'react -php',
+      location: ' Casablanca ',
+      type: 'full-time',
+      category: 'IT',
+      experienceLevel: 'senior',
+      isRemote: 'true',
+      minSalary: '10000',
+      maxSalary: '30000'
+    })).toEqual({
+      status: 'active',
+      $text: { $search: 'react -php' },
+      location: { $regex: 'Casablanca', $options: 'i' },
+      type: 'full-time',
+      category: { $regex: 'IT', $options: 'i' },
+      experienceLevel: 'senior',
+      isRemote: true,
+      'salary.min': { $gte: 10000 },
+      'salary.max': { $lte: 30000 }
+    });
+  });
+
+  it('escapes free-text criteria and ignores invalid salaries', () => {
+    const filter = buildJobFilter({ location: 'Rabat (.*)', minSalary: 'abc', isRemote: 'false' });
+
+    expect(filter.location).toEqual({ $regex: 'Rabat \\(\\.\\*\\)', $options: 'i' });
+    expect(filter['salary.min']).toBeUndefined();
+    expect(filter.isRemote).toBeUndefined();
+  });
+});
+
+describe('pickJobCriteria', () => {
+  it('keeps only the filled-in search criteria', () => {
+    expect(pickJobCriteria({ search: 'react', type: '', location: null, page: '2', isRemote: false }))
+      .toEqual({ search: 'react', isRemote: false });
+  });
+});
+
+describe('parseGeoCriteria', () => {
+  it('returns null without coordinates', () => {
+    expect(parseGeoCriteria({})).toBeNull();
+    expect(parseGeoCriteria({ lat: '', lng: '' })).toBeNull();
+  });
+
+  it('reads the coordinates and defaults the radius to 50 km', () => {
+    expect(parseGeoCriteria({ lat: '33.57', lng: '-7.59' })).toEqual({ lat: 33.57, lng: -7.59, radiusKm: 50 });
+    expect(parseGeoCriteria({ lat: '33.57', lng: '-7.59', radiusKm: '20' }).radiusKm).toBe(20);
+  });
+
+  it.each([
+    ['only one coordinate', { lat: '33.57' }, 'Both lat and lng are required'],
+    ['an out-of-range latitude', { lat: '91', lng: '0' }, 'lat must be between -90 and 90'],
+    ['a non-numeric longitude', { lat: '0', lng: 'east' }, 'lat must be between -90 and 90'],
+    ['a radius above the maximum', { lat: '0', lng: '0', radiusKm: '501' }, 'radiusKm must be greater than 0'],
+    ['a zero radius', { lat: '0', lng: '0', radiusKm: '0' }, 'radiusKm must be greater than 0']
+  ])('rejects %s with a 400', (label, query, message) => {
+    expect(() => parseGeoCriteria(query)).toThrow(expect.objectContaining({
+      statusCode: 400,
+      message: expect.stringContaining(message)
+    }));
+  });
+});
+
+describe('buildGeoFilter', () => {
+  it('matches jobs within the radius on a sphere', () => {
+    const filter = buildGeoFilter({ lat: 33.57, lng: -7.59, radiusKm: 63.71 });
+
+    expect(filter).toEqual({
+      geoLocation: { $geoWithin: { $centerSphere: [[-7.59, 33.57], 0.01] } }
+    });
+    expect(buildGeoFilter(null)).toEqual({});
+  });
+});
+
+describe('getDistanceKm', () => {
+  it('rounds the distance to a geocoded job to 0.1 km', () => {
+    const distance = getDistanceKm(
+      { lat: 33.5731, lng: -7.5898 },
+      { geoLocation: { coordinates: [-6.8416, 34.0209] } }
+    );
+
+    expect(distance).toBeGreaterThan(80);
+    expect(distance).toBeLessThan(90);
+    expect(Math.round(distance * 10) / 10).toBe(distance);
+  });
+
+  it('returns null for a job without coordinates', () => {
+    expect(getDistanceKm({ lat: 0, lng: 0 }, { location: 'Remote' })).toBeNull();
+  });
+});
+
+describe('getJobFacets', () => {
+  const facetResult = () => ({
+    type: [{ _id: 'full-time', count: 12 }, { _id: 'contract', count: 3 }],
+    experienceLevel: [{ _id: 'senior', count: 5 }],
+    category: [{ _id: 'IT', count: 9 }],
+    isRemote: [{ _id: true, count: 4 }, { _id: false, count: 11 }],
+    location: [{ _id: 'Casablanca', count: 7 }],
+    salary: [{ _id: 10000, count: 6 }, { _id: 'above', count: 1 }]
+  });
+
+  const facetPipeline = () => Job.aggregate.mock.calls[0][0];
+
+  beforeEach(() => {
+    jest.spyOn(Job, 'aggregate').mockResolvedValue([facetResult()]);
+  });
+
+  it('applies the text search to every facet in the first $match', async () => {
+    await getJobFacets({ search: 'react', type: 'full-time' });
+
+    expect(facetPipeline()[0]).toEqual({ $match: { status: 'active', $text: { $search: 'react' } } });
+  });
+
+  it('counts only the jobs within the search radius', async () => {
+    await getJobFacets({}, { lat: 33.57, lng: -7.59, radiusKm: 20 });
+
+    expect(facetPipeline()[0].$match.geoLocation.$geoWithin.$centerSphere[0]).toEqual([-7.59, 33.57]);
+  });
+
+  it('leaves each facet\'s own criterion out of its counts', async () => {
+    await getJobFacets({ type: 'full-time', experienceLevel: 'senior', minSalary: '10000' });
+
+    const { $facet: facets } = facetPipeline()[1];
+    expect(facets.type[0]).toEqual({ $match: { experienceLevel: 'senior', 'salary.min': { $gte: 10000 } } });
+    expect(facets.experienceLevel[0]).toEqual({ $match: { type: 'full-time', 'salary.min': { $gte: 10000 } } });
+    expect(facets.salary[0]).toEqual({ $match: { type: 'full-time', experienceLevel: 'senior' } });
+  });
+
+  it('lists every enum value and every salary range, with zero counts', async () => {
+    const facets = await getJobFacets();
+
+    expect(facets.type).toEqual([
+      { value: 'full-time', count: 12 },
+      { value: 'part-time', count: 0 },
+      { value: 'contract', count: 3 },
+      { value: 'freelance', count: 0 },
+      { value: 'internship', count: 0 }
+    ]);
+    expect(facets.isRemote).toEqual([{ value: true, count: 4 }, { value: false, count: 11 }]);
+    expect(facets.category).toEqual([{ value: 'IT', count: 9 }]);
+    expect(facets.salary).toEqual([
+      { min: 0, max: 5000, count: 0 },
+      { min: 5000, max: 10000, count: 0 },
+      { min: 10000, max: 20000, count: 6 },
+      { min: 20000, max: 50000, count: 0 },
+      { min: 50000, max: 100000, count: 0 },
+      { min: 100000, max: null, count: 1 }
+    ]);
+  });
+});
@@ -0,0 +1,133 @@
+// src/services/loginThrottleService.js
+const LoginAttempt = require('../models/LoginAttempt');
+const emailService = require('./emailService');
+
+// =====================================
+// CONFIGURATION
+// =====================================
+const getConfig = () => ({
+  windowMs: parseInt(process.env.LOGIN_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  maxAccountAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5,
+  maxIpAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS_PER_IP) || 20,
+  lockoutMs: parseInt(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000, // 15 minutes
+  maxLockoutMs: parseInt(process.env.LOGIN_MAX_LOCKOUT_MS) || 24 * 60 * 60 * 1000, // 24 heures
+  backoffBaseMs: parseInt(process.env.LOGIN_BACKOFF_BASE_MS) || 1000,
+  backoffMaxMs: parseInt(process.env.LOGIN_BACKOFF_MAX_MS) || 30 * 1000,
+  retentionMs: 24 * 60 * 60 * 1000 // mémoire des verrouillages consécutifs
+});
+
+const getClientIp = (req) => {
+  return req.ip || req.connection?.remoteAddress || req.socket?.remoteAddress || 'unknown';
+};
+
+// =====================================
+// VÉRIFICATION AVANT TENTATIVE
+// =====================================
+
+/**
+ * Vérifie si une tentative de connexion est autorisée pour ce compte et cette IP.
+ * Retourne { allowed: true } ou { allowed: false, reason, retryAfter (secondes) }.
+ * Les comptes inexistants sont comptés de la même manière (pas d'énumération).
+ */
+const checkLoginAllowed = async (req, email) => {
+  const keys = [LoginAttempt.buildKey('ip', getClientIp(req))];
+  if (email) {
+    keys.push(LoginAttempt.buildKey('account', email));
+  }
+
+  const attempts = await LoginAttempt.find({ key: { $in: keys } }).lean();
+  const now = Date.now();
+
+  for (const attempt of attempts) {
+    if (attempt.lockedUntil && attempt.lockedUntil.getTime() > now) {
+      return {
+        allowed: false,
+        reason: attempt.scope === 'account' ? 'account-locked' : 'ip-locked',
+        retryAfter: Math.ceil((attempt.lockedUntil.getTime() - now) / 1000)
+      };
+    }
+  }
+
+  for (const attempt of attempts) {
+    if (attempt.nextAttemptAt && attempt.nextAttemptAt.getTime() > now) {
+      return {
+        allowed: false,
+        reason: 'backoff',
+        retryAfter: Math.ceil((attempt.nextAttemptAt.getTime() - now) / 1000)
+      };
+    }
+  }
+
+  return { allowed: true };
+};
+
+// =====================================
+// ENREGISTREMENT DES ÉCHECS
+// =====================================
+
+// Enregistrer un échec (mot de passe ou code 2FA) pour le compte et l'IP
+// `user` est optionnel: sans utilisateur, aucune notification n'est envoyée
+const recordFailedLogin = async (req, email, user = null) => {
+  const config = getConfig();
+  const ip = getClientIp(req);
+  const common = {
+    windowMs: config.windowMs,
+    lockoutMs: config.lockoutMs,
+    maxLockoutMs: config.maxLockoutMs,
+    retentionMs: config.retentionMs,
+    ip
+  };
+
+  await LoginAttempt.registerFailure('ip', ip, {
+    ...common,
+    maxAttempts: config.maxIpAttempts
+  });
+
+  if (!email) return null;
+
+  const { attempt, newlyLocked } = await LoginAttempt.registerFailure('account', email, {
+    ...common,
+    maxAttempts: config.maxAccountAttempts,
+    backoffBaseMs: config.backoffBaseMs,
+    backoffMaxMs: config.backoffMaxMs
+  });
+
+  if (newlyLocked && user) {
+    // Notification sans bloquer la réponse
+    emailService.sendAccountLockedEmail(user, {
+      lockedUntil: attempt.lockedUntil,
+      ip,
+      userAgent: req.get('User-Agent')
+    }).catch(error => {
+      console.error('  ❌ Failed to send account locked email:', error.message);
+    });
+  }
+
+  return attempt;
+};
+
+// Effacer les échecs du compte après une connexion réussie ou un déverrouillage
+// administrateur (le compteur IP n'est pas remis à zéro: il expire avec sa fenêtre)
+const resetLoginAttempts = (email) => {
+  return LoginAttempt.clear('account', email, { resetLockCount: true });
+};
+
+// Obtenir l'état de verrouillage d'un compte
+const getAccountLockState = async (email) => {
+  const attempt = await LoginAttempt.findOne({ key: LoginAttempt.buildKey('account', email) }).lean();
+  const locked = !!(attempt?.lockedUntil && attempt.lockedUntil.getTime() > Date.now());
+
+  return {
+    locked,
+    lockedUntil: locked ? attempt.lockedUntil : null,
+    failures: attempt?.failures || 0,
+    lockCount: attempt?.lockCount || 0
+  };
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordFailedLogin,
+  resetLoginAttempts,
+  getAccountLockState
+};
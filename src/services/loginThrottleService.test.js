@@ -0,0 +1,188 @@
+// services/loginThrottleService.test.js - Backoff, verrouillage par compte et par IP, email de verrouillage
+const LoginAttempt = require('../models/LoginAttempt');
+const emailService = require('./emailService');
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  resetLoginAttempts,
+  getAccountLockState
+} = require('./loginThrottleService');
+
+const MINUTE = 60 * 1000;
+
+// Collection LoginAttempt en mémoire : seuls les filtres et opérateurs
+// utilisés par le modèle sont interprétés
+let store;
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') return condition.some(alternative => matches(doc, alternative));
+
+  const value = doc[field];
+  if (condition === null) return value == null;
+  if (condition instanceof Date || typeof condition !== 'object') return String(value) === String(condition);
+  if (condition.$in) return condition.$in.includes(value);
+  if (condition.$lt) return value != null && value < condition.$lt;
+  if (condition.$lte) return value != null && value <= condition.$lte;
+  return false;
+});
+
+const applyUpdate = (doc, update, isNew) => {
+  Object.assign(doc, update.$set);
+  if (isNew) Object.assign(doc, update.$setOnInsert);
+  Object.entries(update.$inc || {}).forEach(([field, amount]) => {
+    doc[field] = (doc[field] || 0) + amount;
+  });
+  return doc;
+};
+
+const findStored = (filter) => [...store.values()].find(doc => matches(doc, filter));
+
+const leanQuery = (result) => ({ lean: () => Promise.resolve(result) });
+
+const req = (ip = '10.0.0.1') => ({ ip, get: () => 'Mozilla/5.0' });
+
+const user = { firstName: 'Sara', email: 'sara@example.com' };
+
+const failTimes = async (count, email = 'sara@example.com', options = {}) => {
+  for (let i = 0; i < count; i++) {
+    await recordFailedLogin(req(options.ip), email, options.user);
+  }
+};
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2024-05-01T10:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+  store = new Map();
+
+  jest.spyOn(LoginAttempt, 'find').mockImplementation(filter => leanQuery([...store.values()].filter(doc => matches(doc, filter))));
+  jest.spyOn(LoginAttempt, 'findOne').mockImplementation(filter => leanQuery(findStored(filter) || null));
+  jest.spyOn(LoginAttempt, 'updateOne').mockImplementation(async (filter, update) => {
+    const doc = findStored(filter);
+    if (doc) applyUpdate(doc, update, false);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  jest.spyOn(LoginAttempt, 'findOneAndUpdate').mockImplementation(async (filter, update, options) => {
+    let doc = findStored(filter);
+    if (!doc && !options.upsert) return null;
+    if (!doc) {
+      doc = { key: filter.key, failures: 0, lockCount: 0 };
+      store.set(filter.key, doc);
+      return { ...applyUpdate(doc, update, true) };
+    }
+    return { ...applyUpdate(doc, update, false) };
+  });
+
+  jest.spyOn(emailService, 'sendAccountLockedEmail').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('per-account backoff', () => {
+  it('doubles the delay after each failure', async () => {
+    const delays = [];
+    for (let i = 0; i < 4; i++) {
+      await failTimes(1);
+      delays.push((await checkLoginAllowed(req(), 'sara@example.com')).retryAfter);
+    }
+
+    expect(delays).toEqual([1, 2, 4, 8]);
+    expect(await checkLoginAllowed(req(), 'sara@example.com')).toMatchObject({ allowed: false, reason: 'backoff' });
+  });
+
+  it('allows the next attempt once the delay has passed', async () => {
+    await failTimes(2);
+
+    jest.advanceTimersByTime(2000);
+
+    expect(await checkLoginAllowed(req(), 'sara@example.com')).toEqual({ allowed: true });
+  });
+
+  it('counts failures by account whatever the case of the email', async () => {
+    await failTimes(1, 'Sara@Example.com');
+
+    expect((await checkLoginAllowed(req('10.0.0.2'), 'sara@example.com')).reason).toBe('backoff');
+  });
+
+  it('forgets failures older than the window', async () => {
+    await failTimes(4);
+
+    jest.advanceTimersByTime(16 * MINUTE);
+    await failTimes(1);
+
+    expect(store.get('account:sara@example.com').failures).toBe(1);
+    expect(store.get('account:sara@example.com').lockedUntil).toBeUndefined();
+  });
+});
+
+describe('account lockout', () => {
+  it('locks the account for 15 minutes after 5 failures', async () => {
+    await failTimes(5);
+
+    expect(await checkLoginAllowed(req('10.0.0.2'), 'sara@example.com')).toEqual({
+      allowed: false,
+      reason: 'account-locked',
+      retryAfter: 15 * 60
+    });
+    expect(await getAccountLockState('sara@example.com')).toMatchObject({ locked: true, failures: 0, lockCount: 1 });
+  });
+
+  it('doubles the lockout after each consecutive lock', async () => {
+    await failTimes(5);
+    jest.advanceTimersByTime(15 * MINUTE);
+    await failTimes(5);
+
+    expect((await checkLoginAllowed(req(), 'sara@example.com')).retryAfter).toBe(30 * 60);
+  });
+
+  it('emails the account owner once per lockout', async () => {
+    await failTimes(5, 'sara@example.com', { user });
+    await failTimes(2, 'sara@example.com', { user });
+
+    expect(emailService.sendAccountLockedEmail).toHaveBeenCalledTimes(1);
+    expect(emailService.sendAccountLockedEmail).toHaveBeenCalledWith(user, {
+      lockedUntil: new Date(Date.now() + 15 * MINUTE),
+      ip: '10.0.0.1',
+      userAgent: 'Mozilla/5.0'
+    });
+  });
+
+  it('locks unknown accounts the same way, without an email', async () => {
+    await failTimes(5, 'nobody@example.com');
+
+    expect((await checkLoginAllowed(req(), 'nobody@example.com')).reason).toBe('account-locked');
+    expect(emailService.sendAccountLockedEmail).not.toHaveBeenCalled();
+  });
+
+  it('is lifted by a successful login, which also resets the lock count', async () => {
+    await failTimes(5);
+
+    await resetLoginAttempts('sara@example.com');
+
+    expect(await getAccountLockState('sara@example.com')).toEqual({ locked: false, lockedUntil: null, failures: 0, lockCount: 0 });
+  });
+});
+
+describe('per-IP lockout', () => {
+  it('locks an address trying many accounts, without delaying each attempt', async () => {
+    for (let i = 0; i < 19; i++) {
+      await failTimes(1, `user${i}@example.com`);
+    }
+    expect(await checkLoginAllowed(req(), 'other@example.com')).toEqual({ allowed: true });
+    expect(store.get('ip:10.0.0.1').nextAttemptAt).toBeUndefined();
+
+    await failTimes(1, 'user19@example.com');
+
+    expect(await checkLoginAllowed(req(), 'other@example.com')).toMatchObject({ allowed: false, reason: 'ip-locked' });
+    expect(await checkLoginAllowed(req('10.0.0.2'), 'other@example.com')).toEqual({ allowed: true });
+  });
+
+  it('keeps the address counter after a successful login', async () => {
+    await failTimes(3);
+
+    await resetLoginAttempts('sara@example.com');
+
+    expect(store.get('ip:10.0.0.1').failures).toBe(3);
+  });
+});
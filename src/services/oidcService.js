@@ -0,0 +1,247 @@
+// src/services/oidcService.js
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const jwt = require('jsonwebtoken');
+const OidcState = require('../models/OidcState');
+const { AppError } = require('../utils/helpers');
+
+const STATE_TTL_MS = 10 * 60 * 1000; // 10 minutes pour terminer la connexion
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000; // 1 heure
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const ALLOWED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+// Caches mémoire des documents de découverte et des clés publiques (par URL)
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+// =====================================
+// REQUÊTES HTTP
+// =====================================
+
+// Requête HTTP(S) minimale retournant le JSON de la réponse
+const requestJson = (url, { method = 'GET', headers = {}, body } = {}) => {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+
+    const req = client.request(target, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        ...(body ? { 'Content-Length': Buffer.byteLength(body) } : {}),
+        ...headers
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        let json;
+        try {
+          json = data ? JSON.parse(data) : {};
+        } catch (error) {
+          return reject(new Error(`Invalid JSON response from ${target.origin}`));
+        }
+
+        if (res.statusCode >= 400) {
+          const error = new Error(json.error_description || json.error || `HTTP ${res.statusCode}`);
+          error.statusCode = res.statusCode;
+          return reject(error);
+        }
+
+        resolve(json);
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Request to ${target.origin} timed out`)));
+    req.on('error', reject);
+
+    if (body) req.write(body);
+    req.end();
+  });
+};
+
+// =====================================
+// DÉCOUVERTE ET CLÉS DU FOURNISSEUR
+// =====================================
+
+// Obtenir le document de découverte OpenID du fournisseur
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && Date.now() - cached.loadedAt < METADATA_CACHE_TTL_MS) {
+    return cached.metadata;
+  }
+
+  const metadata = await requestJson(`${provider.issuer}/.well-known/openid-configuration`);
+  discoveryCache.set(provider.issuer, { metadata, loadedAt: Date.now() });
+  return metadata;
+};
+
+// Obtenir la clé publique correspondant au kid (rechargement si clé inconnue)
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find(key => (!kid || key.kid === kid) && key.use !== 'enc');
+
+  let cached = jwksCache.get(jwksUri);
+  let jwk = cached && Date.now() - cached.loadedAt < METADATA_CACHE_TTL_MS
+    ? findKey(cached.keys)
+    : null;
+
+  if (!jwk) {
+    const { keys = [] } = await requestJson(jwksUri);
+    cached = { keys, loadedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw new AppError('Unable to verify identity token signature', 401);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// =====================================
+// FLUX AUTHORIZATION CODE + PKCE
+// =====================================
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Démarre une connexion : enregistre state/nonce/code_verifier et retourne
+ * l'URL d'autorisation vers laquelle rediriger le navigateur.
+ */
+const createAuthorizationRequest = async (provider, { linkUser } = {}) => {
+  const metadata = await discover(provider);
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  await OidcState.create({
+    state,
+    provider: provider.id,
+    codeVerifier,
+    nonce,
+    linkUser,
+    expiresAt: new Date(Date.now() + STATE_TTL_MS)
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes.join(' '),
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+    state
+  };
+};
+
+// Vérifier l'ID token (signature, émetteur, audience, expiration, nonce)
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new AppError('Invalid identity token', 401);
+  }
+
+  const publicKey = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, publicKey, {
+      algorithms: ALLOWED_ALGORITHMS,
+      issuer: metadata.issuer || provider.issuer,
+      audience: provider.clientId
+    });
+  } catch (error) {
+    console.log('  ❌ ID token verification failed:', error.message);
+    throw new AppError('Invalid identity token', 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new AppError('Invalid identity token', 401);
+  }
+
+  return claims;
+};
+
+/**
+ * Termine une connexion : consomme le state, échange le code contre les tokens
+ * du fournisseur et retourne l'identité vérifiée.
+ */
+const completeAuthorization = async (provider, { code, state }) => {
+  const pending = await OidcState.consume(state, provider.id);
+  if (!pending) {
+    throw new AppError('Invalid or expired login request. Please try again.', 400);
+  }
+
+  const metadata = await discover(provider);
+
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: pending.codeVerifier
+  });
+  if (provider.clientSecret) {
+    form.set('client_secret', provider.clientSecret);
+  }
+
+  let tokens;
+  try {
+    tokens = await requestJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: form.toString()
+    });
+  } catch (error) {
+    console.log('  ❌ Token exchange failed:', error.message);
+    throw new AppError('Could not complete sign-in with the identity provider', 401);
+  }
+
+  if (!tokens.id_token) {
+    throw new AppError('The identity provider did not return an identity token', 401);
+  }
+
+  const claims = await verifyIdToken(provider, metadata, tokens.id_token, pending.nonce);
+
+  // Compléter avec userinfo si l'ID token ne contient pas l'email
+  let profile = claims;
+  if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await requestJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+    if (userinfo.sub === claims.sub) {
+      profile = { ...userinfo, ...claims };
+    }
+  }
+
+  return {
+    linkUser: pending.linkUser,
+    identity: {
+      provider: provider.id,
+      subject: String(claims.sub),
+      email: profile.email ? String(profile.email).toLowerCase() : null,
+      emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+      firstName: profile.given_name || (profile.name ? String(profile.name).split(' ')[0] : null),
+      lastName: profile.family_name || (profile.name ? String(profile.name).split(' ').slice(1).join(' ') : null),
+      picture: profile.picture || null
+    }
+  };
+};
+
+module.exports = {
+  STATE_TTL_MS,
+  createAuthorizationRequest,
+  completeAuthorization
+};
@@ -0,0 +1,134 @@
+// src/services/passwordPolicyService.js
+const passwordPolicy = require('../config/passwordPolicy');
+const commonPasswords = require('../config/commonPasswords');
+const { AppError } = require('../utils/helpers');
+
+const COMMON_PASSWORDS = new Set(commonPasswords);
+const MIN_PERSONAL_INFO_LENGTH = 3;
+
+// Substitutions courantes (p@ssw0rd -> password)
+const LEET_SUBSTITUTIONS = { '@': 'a', '4': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+
+// =====================================
+// RÈGLES DE LA POLITIQUE
+// =====================================
+
+// Description des règles actives (affichée par le frontend)
+const getPolicy = () => {
+  const rules = [
+    { rule: 'minLength', message: `At least ${passwordPolicy.minLength} characters` },
+    { rule: 'maxLength', message: `At most ${passwordPolicy.maxLength} bytes (accented letters and emoji count as several)` }
+  ];
+
+  if (passwordPolicy.requireUppercase) rules.push({ rule: 'uppercase', message: 'At least one uppercase letter' });
+  if (passwordPolicy.requireLowercase) rules.push({ rule: 'lowercase', message: 'At least one lowercase letter' });
+  if (passwordPolicy.requireNumber) rules.push({ rule: 'number', message: 'At least one number' });
+  if (passwordPolicy.requireSpecial) rules.push({ rule: 'special', message: 'At least one special character' });
+  if (passwordPolicy.blockCommon) rules.push({ rule: 'common', message: 'Not a common or previously breached password' });
+  rules.push({ rule: 'personalInfo', message: 'Must not contain your name or email' });
+  if (passwordPolicy.historySize > 0) {
+    rules.push({ rule: 'history', message: `Must differ from your last ${passwordPolicy.historySize} passwords` });
+  }
+
+  return { ...passwordPolicy, rules };
+};
+
+// Vérifier si un mot de passe (ou une variante triviale) figure dans la liste
+const isCommonPassword = (password) => {
+  const lower = password.toLowerCase();
+  if (COMMON_PASSWORDS.has(lower)) return true;
+
+  const deleet = (value) => value.replace(/[@431!0$57]/g, char => LEET_SUBSTITUTIONS[char]);
+  // Chiffres et symboles ajoutés en début ou fin ("Password123!")
+  const stripStart = (value) => value.replace(/^[^a-z]+/, '');
+  const stripEnd = (value) => value.replace(/[^a-z]+$/, '');
+
+  // Un affixe peut lui-même ressembler à une substitution : on le retire avant
+  // et après celle-ci ("P@ssw0rd2024" et "4dmin!" retrouvent leur mot de base)
+  return [lower, stripStart(lower), stripEnd(lower), stripStart(stripEnd(lower))]
+    .flatMap(candidate => [candidate, deleet(candidate)])
+    .map(candidate => stripStart(stripEnd(candidate)))
+    .some(base => base.length >= 4 && COMMON_PASSWORDS.has(base));
+};
+
+// Vérifier si le mot de passe contient le nom ou l'email de l'utilisateur
+const containsPersonalInfo = (password, { email, firstName, lastName }) => {
+  const lower = password.toLowerCase();
+  const parts = [email ? email.split('@')[0] : null, firstName, lastName]
+    .filter(part => part && part.length >= MIN_PERSONAL_INFO_LENGTH)
+    .map(part => part.toLowerCase());
+
+  return parts.some(part => lower.includes(part));
+};
+
+/**
+ * Valider un mot de passe contre la politique.
+ * Retourne la liste des règles non respectées : [{ rule, message }].
+ */
+const validatePasswordRules = (password, context = {}) => {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return [{ rule: 'required', message: 'Password is required' }];
+  }
+
+  if (password.length < passwordPolicy.minLength) {
+    errors.push({ rule: 'minLength', message: `Password must be at least ${passwordPolicy.minLength} characters long` });
+  }
+  // Limite en octets UTF-8, celle de bcrypt (voir config/passwordPolicy)
+  if (Buffer.byteLength(password, 'utf8') > passwordPolicy.maxLength) {
+    errors.push({
+      rule: 'maxLength',
+      message: `Password cannot exceed ${passwordPolicy.maxLength} bytes (accented letters and emoji count as several)`
+    });
+  }
+  if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push({ rule: 'uppercase', message: 'Password must contain at least one uppercase letter' });
+  }
+  if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push({ rule: 'lowercase', message: 'Password must contain at least one lowercase letter' });
+  }
+  if (passwordPolicy.requireNumber && !/\d/.test(password)) {
+    errors.push({ rule: 'number', message: 'Password must contain at least one number' });
+  }
+  if (passwordPolicy.requireSpecial && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push({ rule: 'special', message: 'Password must contain at least one special character' });
+  }
+  if (passwordPolicy.blockCommon && isCommonPassword(password)) {
+    errors.push({ rule: 'common', message: 'This password is too common or has appeared in a data breach' });
+  }
+  if (containsPersonalInfo(password, context)) {
+    errors.push({ rule: 'personalInfo', message: 'Password must not contain your name or email address' });
+  }
+
+  return errors;
+};
+
+/**
+ * Valider un nouveau mot de passe (règles + historique si l'utilisateur existe).
+ * Retourne une AppError 400 détaillant chaque règle non respectée, ou null.
+ */
+const getPasswordPolicyError = async (password, { user, email, firstName, lastName } = {}) => {
+  const errors = validatePasswordRules(password, {
+    email: email || user?.email,
+    firstName: firstName || user?.firstName,
+    lastName: lastName || user?.lastName
+  });
+
+  if (errors.length === 0 && user && passwordPolicy.historySize > 0 && await user.isPasswordReused(password)) {
+    errors.push({
+      rule: 'history',
+      message: `You cannot reuse any of your last ${passwordPolicy.historySize} passwords`
+    });
+  }
+
+  if (errors.length === 0) return null;
+
+  return new AppError('Password does not meet the security requirements', 400, errors);
+};
+
+module.exports = {
+  getPolicy,
+  validatePasswordRules,
+  getPasswordPolicyError
+};
@@ -0,0 +1,166 @@
+// services/passwordPolicyService.test.js - Règles de la politique de mots de passe
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getPolicy, validatePasswordRules, getPasswordPolicyError } = require('./passwordPolicyService');
+
+const rulesOf = (errors) => errors.map(error => error.rule);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('validatePasswordRules', () => {
+  it('accepts a strong password', () => {
+    expect(validatePasswordRules('Tr4vel!Atlas-Mountains')).toEqual([]);
+  });
+
+  it('reports every rule that fails, each with its own message', () => {
+    const errors = validatePasswordRules('short');
+
+    expect(rulesOf(errors)).toEqual(['minLength', 'uppercase', 'number', 'special']);
+    errors.forEach(error => expect(error.message).toEqual(expect.any(String)));
+  });
+
+  it('requires a password', () => {
+    expect(validatePasswordRules('')).toEqual([{ rule: 'required', message: 'Password is required' }]);
+    expect(rulesOf(validatePasswordRules(undefined))).toEqual(['required']);
+  });
+
+  it('counts the maximum length in UTF-8 bytes, as bcrypt does', () => {
+    const ascii = `Aa1!${'x'.repeat(68)}`;
+    const accented = `Aa1!${'é'.repeat(35)}`;
+
+    expect(Buffer.byteLength(ascii)).toBe(72);
+    expect(validatePasswordRules(ascii)).toEqual([]);
+    expect(accented.length).toBeLessThan(72);
+    expect(rulesOf(validatePasswordRules(accented))).toEqual(['maxLength']);
+  });
+
+  it.each([
+    'Password1!',
+    'P@ssw0rd!',
+    '2024Azerty!!',
+    'L3tm31n!!',
+    'P@ssw0rd2024',
+    '4dmin!2024'
+  ])('rejects the common password variant %s', (password) => {
+    expect(rulesOf(validatePasswordRules(password))).toContain('common');
+  });
+
+  it('does not flag a password that only contains a short common word', () => {
+    expect(rulesOf(validatePasswordRules('Fes-Tr4vel!Guide'))).not.toContain('common');
+  });
+
+  it('rejects a password containing the name or the email local part', () => {
+    const context = { email: 'y.bennani@example.com', firstName: 'Yassine', lastName: 'Bennani' };
+
+    expect(rulesOf(validatePasswordRules('Yassine!2024x', context))).toContain('personalInfo');
+    expect(rulesOf(validatePasswordRules('xX-BENNANI-42!', context))).toContain('personalInfo');
+    expect(rulesOf(validatePasswordRules('My.Y.bennani#7', context))).toContain('personalInfo');
+    expect(rulesOf(validatePasswordRules('Tr4vel!Atlas-Mountains', context))).not.toContain('personalInfo');
+  });
+
+  it('ignores very short names', () => {
+    expect(rulesOf(validatePasswordRules('Tr4vel!Al-Atlas', { firstName: 'Al' }))).toEqual([]);
+  });
+});
+
+describe('getPasswordPolicyError', () => {
+  const hash = (password) => bcrypt.hashSync(password, 4);
+
+  const userWithHistory = (current, previous) => {
+    const user = new User({
+      _id: new mongoose.Types.ObjectId(),
+      firstName: 'Sara',
+      lastName: 'Alaoui',
+      email: 'sara@example.com',
+      password: 'placeholder'
+    });
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: () => Promise.resolve({
+        password: hash(current),
+        passwordHistory: previous.map(password => ({ hash: hash(password), changedAt: new Date() }))
+      })
+    });
+    return user;
+  };
+
+  it('returns a 400 AppError carrying the structured errors', async () => {
+    const error = await getPasswordPolicyError('password', { email: 'sara@example.com' });
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('Password does not meet the security requirements');
+    expect(rulesOf(error.errors)).toEqual(['uppercase', 'number', 'special', 'common']);
+  });
+
+  it('refuses the current password and those kept in the history', async () => {
+    const user = userWithHistory('Current!Pass-2024', ['Older!Pass-2023', 'Oldest!Pass-2022']);
+
+    const current = await getPasswordPolicyError('Current!Pass-2024', { user });
+    const older = await getPasswordPolicyError('Oldest!Pass-2022', { user });
+
+    expect(rulesOf(current.errors)).toEqual(['history']);
+    expect(older.errors[0].message).toBe('You cannot reuse any of your last 5 passwords');
+  });
+
+  it('accepts a password outside the history', async () => {
+    const user = userWithHistory('Current!Pass-2024', ['Older!Pass-2023']);
+
+    expect(await getPasswordPolicyError('Brand-New!Pass-99', { user })).toBeNull();
+  });
+
+  it('checks personal information of an existing user', async () => {
+    const user = userWithHistory('Current!Pass-2024', []);
+
+    const error = await getPasswordPolicyError('Alaoui!Pass-2024', { user });
+
+    expect(rulesOf(error.errors)).toEqual(['personalInfo']);
+    // L'historique n'est consulté que pour un mot de passe par ailleurs valide
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+});
+
+describe('environment overrides', () => {
+  const originalEnv = process.env;
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  const loadWithEnv = (env) => {
+    process.env = { ...originalEnv, ...env };
+    let service;
+    jest.isolateModules(() => {
+      service = require('./passwordPolicyService');
+    });
+    return service;
+  };
+
+  it('applies the configured rules', () => {
+    const service = loadWithEnv({
+      PASSWORD_MIN_LENGTH: '12',
+      PASSWORD_REQUIRE_SPECIAL: 'false',
+      PASSWORD_BLOCK_COMMON: 'false',
+      PASSWORD_HISTORY_SIZE: '0'
+    });
+
+    expect(rulesOf(service.validatePasswordRules('Password1'))).toEqual(['minLength']);
+    expect(service.validatePasswordRules('Password1234')).toEqual([]);
+    expect(rulesOf(service.getPolicy().rules)).not.toContain('history');
+  });
+
+  it('never raises the maximum above 72 bytes', () => {
+    const service = loadWithEnv({ PASSWORD_MAX_LENGTH: '128' });
+
+    expect(service.getPolicy().maxLength).toBe(72);
+    expect(rulesOf(service.validatePasswordRules(`Aa1!${'x'.repeat(69)}`))).toEqual(['maxLength']);
+  });
+
+  it('describes the default rules', () => {
+    expect(getPolicy()).toMatchObject({ minLength: 8, maxLength: 72, historySize: 5 });
+    expect(rulesOf(getPolicy().rules)).toEqual([
+      'minLength', 'maxLength', 'uppercase', 'lowercase', 'number', 'special', 'common', 'personalInfo', 'history'
+    ]);
+  });
+});
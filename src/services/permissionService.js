@@ -0,0 +1,119 @@
+// src/services/permissionService.js
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const { PERMISSIONS, DEFAULT_ROLES, hasPermission } = require('../config/permissions');
+
+const ROLES_CACHE_TTL_MS = 60 * 1000;
+
+// Cache mémoire des rôles (évite une requête par vérification de permission)
+let rolesCache = { roles: null, loadedAt: 0 };
+let defaultsPromise = null;
+
+// =====================================
+// INITIALISATION DES VALEURS PAR DÉFAUT
+// =====================================
+
+// Créer les permissions et rôles par défaut manquants (sans écraser l'existant)
+const ensureDefaults = () => {
+  if (!defaultsPromise) {
+    defaultsPromise = (async () => {
+      await Permission.bulkWrite(PERMISSIONS.map(permission => ({
+        updateOne: {
+          filter: { key: permission.key },
+          update: { $setOnInsert: { ...permission, isSystem: true } },
+          upsert: true
+        }
+      })));
+
+      await Role.bulkWrite(Object.entries(DEFAULT_ROLES).map(([name, role]) => ({
+        updateOne: {
+          filter: { name },
+          update: { $setOnInsert: { name, ...role, isSystem: true } },
+          upsert: true
+        }
+      })));
+    })().catch(error => {
+      defaultsPromise = null;
+      throw error;
+    });
+  }
+
+  return defaultsPromise;
+};
+
+// =====================================
+// LECTURE DES RÔLES
+// =====================================
+
+// Obtenir tous les rôles sous forme { nom: [permissions] }
+const getRolesMap = async () => {
+  if (rolesCache.roles && Date.now() - rolesCache.loadedAt < ROLES_CACHE_TTL_MS) {
+    return rolesCache.roles;
+  }
+
+  await ensureDefaults();
+
+  const roles = await Role.find().select('name permissions').lean();
+  const map = {};
+  roles.forEach(role => { map[role.name] = role.permissions; });
+
+  rolesCache = { roles: map, loadedAt: Date.now() };
+  return map;
+};
+
+// À appeler après toute modification d'un rôle
+const invalidateCache = () => {
+  rolesCache = { roles: null, loadedAt: 0 };
+};
+
+// Obtenir les permissions d'un rôle
+const getRolePermissions = async (roleName) => {
+  const roles = await getRolesMap();
+  return roles[roleName] || [];
+};
+
+// Vérifier qu'un rôle existe
+const roleExists = async (roleName) => {
+  const roles = await getRolesMap();
+  return Object.prototype.hasOwnProperty.call(roles, roleName);
+};
+
+/**
+ * Permissions effectives d'un utilisateur : celles de son rôle, plus les
+ * permissions accordées individuellement, moins celles qui lui sont retirées.
+ * Un rôle '*' (admin) ne peut pas être restreint.
+ */
+const getUserPermissions = async (user) => {
+  const rolePermissions = await getRolePermissions(user.role);
+  if (rolePermissions.includes('*')) return ['*'];
+
+  const granted = user.permissionOverrides?.granted || [];
+  const revoked = user.permissionOverrides?.revoked || [];
+
+  return [...new Set([...rolePermissions, ...granted])]
+    .filter(permission => !revoked.includes(permission));
+};
+
+// Vérifier si un utilisateur possède une permission
+const userHasPermission = async (user, permission) => {
+  return hasPermission(await getUserPermissions(user), permission);
+};
+
+// Retourner les clés inconnues parmi une liste de permissions
+const findUnknownPermissions = async (keys) => {
+  await ensureDefaults();
+
+  const requested = [...new Set(keys)].filter(key => key !== '*');
+  const existing = await Permission.find({ key: { $in: requested } }).distinct('key');
+  return requested.filter(key => !existing.includes(key));
+};
+
+module.exports = {
+  ensureDefaults,
+  invalidateCache,
+  getRolePermissions,
+  roleExists,
+  getUserPermissions,
+  userHasPermission,
+  findUnknownPermissions
+};
@@ -0,0 +1,75 @@
+// services/permissionService.test.js - Permissions effectives : rôle + ajustements individuels
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const {
+  invalidateCache,
+  getUserPermissions,
+  userHasPermission
+} = require('./permissionService');
+
+// Requête Mongoose simulée (chaînable et "thenable")
+const mockQuery = (result) => {
+  const query = {
+    select: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+const roles = [
+  { name: 'admin', permissions: ['*'] },
+  { name: 'employer', permissions: ['job.create', 'application.view', 'api_key.manage'] },
+  { name: 'candidate', permissions: ['job.view', 'application.create'] }
+];
+
+beforeEach(() => {
+  invalidateCache();
+  jest.spyOn(Permission, 'bulkWrite').mockResolvedValue({});
+  jest.spyOn(Role, 'bulkWrite').mockResolvedValue({});
+  jest.spyOn(Role, 'find').mockImplementation(() => mockQuery(roles));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getUserPermissions', () => {
+  it('returns the permissions of the user\'s role', async () => {
+    expect(await getUserPermissions({ role: 'candidate' })).toEqual(['job.view', 'application.create']);
+  });
+
+  it('adds granted and removes revoked permissions', async () => {
+    const user = {
+      role: 'employer',
+      permissionOverrides: { granted: ['job.view'], revoked: ['api_key.manage'] }
+    };
+
+    const permissions = await getUserPermissions(user);
+
+    expect(permissions).toEqual(['job.create', 'application.view', 'job.view']);
+    expect(await userHasPermission(user, 'api_key.manage')).toBe(false);
+    expect(await userHasPermission(user, 'job.view')).toBe(true);
+  });
+
+  it('never restricts an admin role', async () => {
+    const user = { role: 'admin', permissionOverrides: { revoked: ['role.manage'] } };
+
+    expect(await getUserPermissions(user)).toEqual(['*']);
+    expect(await userHasPermission(user, 'role.manage')).toBe(true);
+  });
+
+  it('gives no permission to an unknown role', async () => {
+    expect(await getUserPermissions({ role: 'deleted-role' })).toEqual([]);
+  });
+
+  it('caches the roles until the cache is invalidated', async () => {
+    await getUserPermissions({ role: 'candidate' });
+    await getUserPermissions({ role: 'employer' });
+    expect(Role.find).toHaveBeenCalledTimes(1);
+
+    invalidateCache();
+    await getUserPermissions({ role: 'candidate' });
+    expect(Role.find).toHaveBeenCalledTimes(2);
+  });
+});
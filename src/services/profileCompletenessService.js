@@ -0,0 +1,274 @@
+// src/services/profileCompletenessService.js
+const Company = require('../models/Company');
+const CandidateDocument = require('../models/CandidateDocument');
+const { getUserPermissions } = require('./permissionService');
+
+// Objectifs en dessous desquels un élément est considéré comme incomplet
+const TARGETS = {
+  bioLength: 100,
+  skills: 5,
+  companyDescriptionLength: 200,
+  benefits: 3
+};
+
+const LEVELS = [
+  { min: 90, level: 'excellent' },
+  { min: 70, level: 'good' },
+  { min: 40, level: 'fair' },
+  { min: 0, level: 'weak' }
+];
+
+const plural = (count, word) => `${count} more ${word}${count > 1 ? 's' : ''}`;
+
+// Élément rempli / partiellement rempli : { done: 0..1, message }
+const check = (done, message) => ({ done: Math.max(0, Math.min(1, done)), message });
+
+// =====================================
+// RÈGLES PAR SECTION
+// =====================================
+// Chaque règle a un poids ; `evaluate` retourne la part accomplie (0 à 1)
+// et le conseil affiché tant que l'élément n'est pas complet.
+
+const ACCOUNT_RULES = [
+  {
+    key: 'email_verified',
+    weight: 5,
+    evaluate: ({ user }) => check(user.emailVerified ? 1 : 0, 'Verify your email address')
+  },
+  {
+    key: 'avatar',
+    weight: 5,
+    evaluate: ({ user }) => check(user.profile?.avatar ? 1 : 0, 'Add a profile picture')
+  },
+  {
+    key: 'phone',
+    weight: 5,
+    evaluate: ({ user }) => check(user.profile?.phone ? 1 : 0, 'Add a phone number')
+  }
+];
+
+const CANDIDATE_RULES = [
+  {
+    key: 'location',
+    weight: 5,
+    evaluate: ({ user }) => check(user.profile?.location ? 1 : 0, 'Add your location so recruiters can find you')
+  },
+  {
+    key: 'bio',
+    weight: 10,
+    evaluate: ({ user }) => {
+      const length = (user.profile?.bio || '').trim().length;
+      if (length === 0) return check(0, 'Write a short bio describing what you do');
+      return check(length / TARGETS.bioLength, `Expand your bio to at least ${TARGETS.bioLength} characters`);
+    }
+  },
+  {
+    key: 'skills',
+    weight: 15,
+    evaluate: ({ user }) => {
+      const count = user.profile?.skills?.length || 0;
+      if (count === 0) return check(0, `Add at least ${TARGETS.skills} skills`);
+      return check(count / TARGETS.skills, `Add ${plural(TARGETS.skills - count, 'skill')}`);
+    }
+  },
+  {
+    key: 'experience',
+    weight: 15,
+    evaluate: ({ user }) => {
+      const experience = user.profile?.experience || {};
+      const positions = experience.positions || [];
+
+      if (positions.length === 0) {
+        return check(experience.summary ? 0.5 : 0, 'Add your work experience, one position at a time');
+      }
+
+      // Des postes sans description restent peu parlants pour un recruteur
+      const described = positions.filter(position => position.description).length;
+      return check(0.7 + 0.3 * (described / positions.length), 'Describe your responsibilities for each position');
+    }
+  },
+  {
+    key: 'education',
+    weight: 10,
+    evaluate: ({ user }) => check(user.profile?.education?.length > 0 ? 1 : 0, 'Add your education')
+  },
+  {
+    key: 'languages',
+    weight: 5,
+    evaluate: ({ user }) => check(user.profile?.languages?.length > 0 ? 1 : 0, 'Add the languages you speak')
+  },
+  {
+    key: 'links',
+    weight: 5,
+    evaluate: ({ user }) => check(user.profile?.links?.length > 0 ? 1 : 0, 'Add a link to your LinkedIn, GitHub or portfolio')
+  },
+  {
+    key: 'resume',
+    weight: 20,
+    evaluate: ({ resumeCount }) => check(resumeCount > 0 ? 1 : 0, 'Upload a resume to apply to jobs in one click')
+  }
+];
+
+const COMPANY_RULES = [
+  {
+    key: 'company_profile',
+    weight: 25,
+    evaluate: ({ company }) => check(company ? 1 : 0, 'Create your company profile')
+  },
+  {
+    key: 'company_description',
+    weight: 15,
+    evaluate: ({ company }) => {
+      const length = (company?.description || '').trim().length;
+      if (length === 0) return check(0, 'Describe your company');
+      return check(length / TARGETS.companyDescriptionLength, `Expand the company description to at least ${TARGETS.companyDescriptionLength} characters`);
+    }
+  },
+  {
+    key: 'company_logo',
+    weight: 10,
+    evaluate: ({ company }) => check(company?.logo ? 1 : 0, 'Upload your company logo')
+  },
+  {
+    key: 'company_website',
+    weight: 5,
+    evaluate: ({ company }) => check(company?.website ? 1 : 0, 'Add your company website')
+  },
+  {
+    key: 'company_email',
+    weight: 5,
+    evaluate: ({ company }) => check(company?.email ? 1 : 0, 'Add a contact email for your company')
+  },
+  {
+    key: 'company_culture',
+    weight: 5,
+    evaluate: ({ company }) => check(company?.culture ? 1 : 0, 'Describe your company culture')
+  },
+  {
+    key: 'company_benefits',
+    weight: 5,
+    evaluate: ({ company }) => {
+      const count = company?.benefits?.length || 0;
+      if (count === 0) return check(0, `List at least ${TARGETS.benefits} benefits you offer`);
+      return check(count / TARGETS.benefits, `Add ${plural(TARGETS.benefits - count, 'benefit')}`);
+    }
+  },
+  {
+    key: 'company_social',
+    weight: 5,
+    evaluate: ({ company }) => {
+      const social = company?.socialMedia || {};
+      return check(social.linkedin || social.twitter || social.facebook ? 1 : 0, 'Add your company social media pages');
+    }
+  },
+  {
+    key: 'company_founded',
+    weight: 3,
+    evaluate: ({ company }) => check(company?.founded ? 1 : 0, 'Add the year your company was founded')
+  }
+];
+
+// =====================================
+// CALCUL DU SCORE
+// =====================================
+
+const getLevel = (score) => LEVELS.find(entry => score >= entry.min).level;
+
+// Évaluer un ensemble de règles : score de la section et éléments incomplets
+const evaluateSection = (name, rules, context) => {
+  let totalWeight = 0;
+  let earned = 0;
+  const missing = [];
+
+  rules.forEach(rule => {
+    const result = rule.evaluate(context);
+    totalWeight += rule.weight;
+    earned += rule.weight * result.done;
+
+    if (result.done < 1) {
+      missing.push({
+        key: rule.key,
+        section: name,
+        message: result.message,
+        status: result.done === 0 ? 'missing' : 'weak',
+        weight: rule.weight,
+        gain: rule.weight * (1 - result.done)
+      });
+    }
+  });
+
+  return { totalWeight, earned, missing };
+};
+
+// Sections évaluées selon les permissions de l'utilisateur (rôles en base)
+const getSectionsFor = (permissions) => {
+  if (permissions.includes('*')) {
+    return { account: ACCOUNT_RULES };
+  }
+
+  const sections = { account: ACCOUNT_RULES };
+  if (permissions.includes('application.create')) sections.profile = CANDIDATE_RULES;
+  if (permissions.includes('company.create')) sections.company = COMPANY_RULES;
+  return sections;
+};
+
+/**
+ * Complétude pondérée du profil (0-100) avec la liste des éléments à
+ * compléter, classés par gain de points décroissant.
+ */
+const evaluateCompleteness = async (user) => {
+  const permissions = await getUserPermissions(user);
+  const sections = getSectionsFor(permissions);
+
+  const context = { user };
+  if (sections.profile) {
+    context.resumeCount = await CandidateDocument.countDocuments({ owner: user._id, type: 'resume' });
+  }
+  if (sections.company) {
+    context.company = await Company.findOne({ employer: user._id }).lean();
+  }
+
+  let totalWeight = 0;
+  let earned = 0;
+  const sectionScores = {};
+  const missing = [];
+
+  Object.entries(sections).forEach(([name, rules]) => {
+    const result = evaluateSection(name, rules, context);
+    totalWeight += result.totalWeight;
+    earned += result.earned;
+    missing.push(...result.missing);
+    sectionScores[name] = Math.round((result.earned / result.totalWeight) * 100);
+  });
+
+  const score = Math.round((earned / totalWeight) * 100);
+
+  // Sans entreprise, seul le conseil de la créer est utile
+  const actionable = sections.company && !context.company
+    ? missing.filter(item => item.section !== 'company' || item.key === 'company_profile')
+    : missing;
+
+  const suggestions = actionable
+    .sort((a, b) => b.gain - a.gain)
+    .map((item, index) => ({
+      rank: index + 1,
+      key: item.key,
+      section: item.section,
+      status: item.status,
+      message: item.message,
+      // Points gagnés sur le score global en complétant l'élément
+      points: Math.round((item.gain / totalWeight) * 1000) / 10,
+      priority: item.gain >= 10 ? 'high' : item.gain >= 5 ? 'medium' : 'low'
+    }));
+
+  return {
+    score,
+    level: getLevel(score),
+    sections: sectionScores,
+    suggestions
+  };
+};
+
+module.exports = {
+  evaluateCompleteness
+};
@@ -0,0 +1,154 @@
+// services/profileCompletenessService.test.js - Score de complétude du profil et conseils
+jest.mock('./permissionService', () => ({
+  ...jest.requireActual('./permissionService'),
+  getUserPermissions: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Company = require('../models/Company');
+const CandidateDocument = require('../models/CandidateDocument');
+const { getUserPermissions } = require('./permissionService');
+const { evaluateCompleteness } = require('./profileCompletenessService');
+
+const CANDIDATE_PERMISSIONS = ['application.create', 'profile.update'];
+const EMPLOYER_PERMISSIONS = ['job.create', 'company.create'];
+
+const buildUser = (profile = {}, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  emailVerified: true,
+  profile: { avatar: '/uploads/avatars/sara.webp', phone: '+212600000000', ...profile },
+  ...fields
+});
+
+const completeProfile = {
+  location: 'Casablanca',
+  bio: 'Frontend developer building accessible React interfaces for e-commerce and banking products since 2018.',
+  skills: ['React', 'TypeScript', 'Node.js', 'CSS', 'Testing'].map(name => ({ name })),
+  experience: { positions: [{ title: 'Frontend developer', company: 'Atlas', description: 'Led the checkout redesign' }] },
+  education: [{ degree: 'Master', institution: 'ENSIAS' }],
+  languages: [{ name: 'French', proficiency: 'fluent' }],
+  links: [{ type: 'github', url: 'https://github.com/sara' }]
+};
+
+const keysOf = (suggestions) => suggestions.map(suggestion => suggestion.key);
+
+beforeEach(() => {
+  getUserPermissions.mockResolvedValue(CANDIDATE_PERMISSIONS);
+  jest.spyOn(CandidateDocument, 'countDocuments').mockResolvedValue(1);
+  jest.spyOn(Company, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('evaluateCompleteness - candidates', () => {
+  it('scores a complete profile 100 without suggestions', async () => {
+    expect(await evaluateCompleteness(buildUser(completeProfile))).toEqual({
+      score: 100,
+      level: 'excellent',
+      sections: { account: 100, profile: 100 },
+      suggestions: []
+    });
+    expect(Company.findOne).not.toHaveBeenCalled();
+  });
+
+  it('scores an empty profile 0 and starts with the resume', async () => {
+    CandidateDocument.countDocuments.mockResolvedValue(0);
+
+    const result = await evaluateCompleteness({ _id: new mongoose.Types.ObjectId(), emailVerified: false });
+
+    expect(result).toMatchObject({ score: 0, level: 'weak', sections: { account: 0, profile: 0 } });
+    expect(result.suggestions[0]).toEqual({
+      rank: 1,
+      key: 'resume',
+      section: 'profile',
+      status: 'missing',
+      message: 'Upload a resume to apply to jobs in one click',
+      points: 20,
+      priority: 'high'
+    });
+    expect(result.suggestions).toHaveLength(11);
+  });
+
+  it('gives partial credit and ranks the suggestions by points to gain', async () => {
+    const result = await evaluateCompleteness(buildUser({
+      ...completeProfile,
+      bio: 'x'.repeat(50),
+      skills: completeProfile.skills.slice(0, 3),
+      experience: { positions: [{ title: 'Frontend developer', company: 'Atlas' }] },
+      languages: [],
+      links: []
+    }));
+
+    expect(result).toMatchObject({ score: 75, level: 'good', sections: { account: 100, profile: 70 } });
+    expect(result.suggestions.map(({ key, status, message, points, priority }) => ({ key, status, message, points, priority }))).toEqual([
+      { key: 'skills', status: 'weak', message: 'Add 2 more skills', points: 6, priority: 'medium' },
+      { key: 'bio', status: 'weak', message: 'Expand your bio to at least 100 characters', points: 5, priority: 'medium' },
+      { key: 'languages', status: 'missing', message: 'Add the languages you speak', points: 5, priority: 'medium' },
+      { key: 'links', status: 'missing', message: 'Add a link to your LinkedIn, GitHub or portfolio', points: 5, priority: 'medium' },
+      { key: 'experience', status: 'weak', message: 'Describe your responsibilities for each position', points: 4.5, priority: 'low' }
+    ]);
+  });
+
+  it('only counts the resumes of the candidate', async () => {
+    const user = buildUser(completeProfile);
+
+    await evaluateCompleteness(user);
+
+    expect(CandidateDocument.countDocuments).toHaveBeenCalledWith({ owner: user._id, type: 'resume' });
+  });
+
+  it('gives half credit for a legacy experience summary', async () => {
+    const result = await evaluateCompleteness(buildUser({ ...completeProfile, experience: { summary: '5 years', positions: [] } }));
+
+    expect(result.suggestions).toEqual([
+      expect.objectContaining({ key: 'experience', status: 'weak', message: 'Add your work experience, one position at a time' })
+    ]);
+  });
+});
+
+describe('evaluateCompleteness - employers and admins', () => {
+  beforeEach(() => {
+    getUserPermissions.mockResolvedValue(EMPLOYER_PERMISSIONS);
+  });
+
+  it('only suggests creating the company while there is none', async () => {
+    const result = await evaluateCompleteness(buildUser({ avatar: undefined, phone: undefined }));
+
+    expect(result).toMatchObject({ score: 5, level: 'weak', sections: { account: 33, company: 0 } });
+    expect(keysOf(result.suggestions)).toEqual(['company_profile', 'avatar', 'phone']);
+    // Points rapportés au poids total des sections évaluées (15 + 78)
+    expect(result.suggestions[0]).toMatchObject({ points: 26.9, priority: 'high' });
+    expect(CandidateDocument.countDocuments).not.toHaveBeenCalled();
+  });
+
+  it('lists what is missing from an existing company', async () => {
+    const user = buildUser();
+    Company.findOne.mockReturnValue({
+      lean: () => Promise.resolve({
+        name: 'Atlas',
+        description: 'd'.repeat(200),
+        logo: '/uploads/logos/atlas.webp',
+        website: 'https://atlas.ma',
+        email: 'jobs@atlas.ma',
+        benefits: ['Remote', 'Training'],
+        socialMedia: { linkedin: 'https://linkedin.com/company/atlas' }
+      })
+    });
+
+    const result = await evaluateCompleteness(user);
+
+    expect(Company.findOne).toHaveBeenCalledWith({ employer: user._id });
+    expect(keysOf(result.suggestions)).toEqual(['company_culture', 'company_founded', 'company_benefits']);
+    expect(result.suggestions[2].message).toBe('Add 1 more benefit');
+  });
+
+  it('only evaluates the account of an administrator', async () => {
+    getUserPermissions.mockResolvedValue(['*']);
+
+    const result = await evaluateCompleteness(buildUser());
+
+    expect(result).toEqual({ score: 100, level: 'excellent', sections: { account: 100 }, suggestions: [] });
+  });
+});
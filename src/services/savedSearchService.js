@@ -0,0 +1,142 @@
+// src/services/savedSearchService.js
+const Job = require('../models/Job');
+const User = require('../models/User');
+const SavedSearch = require('../models/SavedSearch');
+const emailService = require('./emailService');
+const { buildJobFilter } = require('./jobService');
+const logger = require('../utils/logger');
+
+const MAX_JOBS_PER_ALERT = 10;
+const BATCH_SIZE = 100;
+const PROCESSING_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Intervalle du planificateur : celui des alertes "instant"
+const ALERT_CHECK_INTERVAL_MS = SavedSearch.ALERT_INTERVALS_MS.instant;
+
+const getUnsubscribeUrl = (token) => {
+  const baseUrl = process.env.BACKEND_URL || 'http://localhost:5000';
+  return `${baseUrl}/api/saved-searches/unsubscribe/${token}`;
+};
+
+// =====================================
+// CORRESPONDANCE DES OFFRES
+// =====================================
+
+// Offres actives correspondant aux critères, publiées dans la période donnée.
+// La période porte sur publishedAt : un brouillon activé après la dernière
+// vérification est une nouvelle offre, même s'il a été créé avant.
+const findMatchingJobs = async (criteria, { since, until, limit = MAX_JOBS_PER_ALERT } = {}) => {
+  const filter = buildJobFilter(criteria);
+
+  if (since || until) {
+    filter.publishedAt = {};
+    if (since) filter.publishedAt.$gt = since;
+    if (until) filter.publishedAt.$lte = until;
+  }
+
+  const [jobs, total] = await Promise.all([
+    Job.find(filter)
+      .populate('company', 'name logo location')
+      .select('title location type experienceLevel salary isRemote company createdAt publishedAt')
+      .sort({ publishedAt: -1, createdAt: -1 })
+      .limit(limit)
+      .lean(),
+    Job.countDocuments(filter)
+  ]);
+
+  return { jobs, total };
+};
+
+// =====================================
+// ENVOI DES ALERTES
+// =====================================
+
+// Traiter une recherche réservée : envoyer les nouvelles offres et planifier la suivante
+const processSavedSearch = async (savedSearch, runStartedAt) => {
+  const user = await User.findById(savedSearch.user).select('firstName email isActive deletion');
+
+  // Compte désactivé ou en cours d'effacement : pas d'email, la recherche reste en place
+  const canNotify = user && user.isActive && !user.deletion?.scheduledFor;
+
+  const { jobs, total } = canNotify
+    ? await findMatchingJobs(savedSearch.toObject().criteria || {}, { since: savedSearch.lastCheckedAt, until: runStartedAt })
+    : { jobs: [], total: 0 };
+
+  if (jobs.length > 0) {
+    await emailService.sendJobAlertEmail(user, savedSearch, jobs, total, getUnsubscribeUrl(savedSearch.unsubscribeToken));
+  }
+
+  await SavedSearch.updateOne(
+    { _id: savedSearch._id },
+    {
+      $set: {
+        lastCheckedAt: runStartedAt,
+        nextRunAt: SavedSearch.getNextRunAt(savedSearch.frequency, runStartedAt),
+        lastMatchCount: total,
+        ...(jobs.length > 0 ? { lastSentAt: new Date() } : {})
+      },
+      $unset: { processingAt: 1 }
+    }
+  );
+
+  return total > 0 && canNotify;
+};
+
+/**
+ * Tâche planifiée : envoie les alertes des recherches arrivées à échéance.
+ * Chaque recherche est réservée de façon atomique (processingAt), une
+ * réservation abandonnée est reprise après PROCESSING_TIMEOUT_MS.
+ */
+const processSavedSearches = async () => {
+  const summary = { processed: 0, sent: 0, failed: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const now = new Date();
+    const savedSearch = await SavedSearch.findOneAndUpdate(
+      {
+        alertsEnabled: true,
+        nextRunAt: { $lte: now },
+        $or: [
+          { processingAt: { $exists: false } },
+          { processingAt: { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { processingAt: now } },
+      { new: true, sort: { nextRunAt: 1 } }
+    ).select('+unsubscribeToken');
+
+    if (!savedSearch) break;
+
+    summary.processed += 1;
+    try {
+      if (await processSavedSearch(savedSearch, now)) {
+        summary.sent += 1;
+      }
+    } catch (error) {
+      summary.failed += 1;
+      logger.error(`Job alert failed for saved search ${savedSearch._id}: ${error.message}`);
+
+      // Nouvel essai au prochain passage du planificateur
+      await SavedSearch.updateOne(
+        { _id: savedSearch._id },
+        {
+          $set: { nextRunAt: new Date(now.getTime() + ALERT_CHECK_INTERVAL_MS) },
+          $unset: { processingAt: 1 }
+        }
+      );
+    }
+  }
+
+  if (summary.processed > 0) {
+    logger.info(`🔔 Job alerts: ${summary.sent} sent, ${summary.processed} searches checked, ${summary.failed} failed`);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  ALERT_CHECK_INTERVAL_MS,
+  MAX_JOBS_PER_ALERT,
+  findMatchingJobs,
+  processSavedSearches
+};
@@ -0,0 +1,116 @@
+// services/savedSearchService.test.js - Alertes des recherches sauvegardées : offres publiées depuis la dernière vérification
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const SavedSearch = require('../models/SavedSearch');
+const emailService = require('./emailService');
+const { processSavedSearches } = require('./savedSearchService');
+
+// Requête Mongoose simulée (chaînable et "thenable")
+const mockQuery = (result) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+const MINUTE = 60 * 1000;
+
+// Enregistrer une offre sans base : seuls les hooks du modèle s'exécutent
+const saveJob = (job) => job.save({ validateBeforeSave: false, timestamps: false });
+
+let jobs;
+let savedSearch;
+let user;
+
+beforeEach(() => {
+  jest.spyOn(Job.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+  jest.spyOn(Job.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+
+  jobs = [];
+  user = { _id: new mongoose.Types.ObjectId(), firstName: 'Sara', email: 'sara@example.com', isActive: true };
+  savedSearch = new SavedSearch({
+    user: user._id,
+    name: 'React',
+    criteria: { search: 'react' },
+    frequency: 'instant',
+    unsubscribeToken: 'a'.repeat(48),
+    lastCheckedAt: new Date(Date.now() - 10 * MINUTE)
+  });
+
+  // Seul le critère de date est simulé : les offres publiées dans la période
+  const publishedBetween = (filter) => jobs.filter(job =>
+    job.publishedAt > filter.publishedAt.$gt && job.publishedAt <= filter.publishedAt.$lte);
+
+  jest.spyOn(Job, 'find').mockImplementation(filter => mockQuery(publishedBetween(filter)));
+  jest.spyOn(Job, 'countDocuments').mockImplementation(filter => Promise.resolve(publishedBetween(filter).length));
+  jest.spyOn(User, 'findById').mockReturnValue(mockQuery(user));
+  jest.spyOn(SavedSearch, 'findOneAndUpdate')
+    .mockReturnValueOnce(mockQuery(savedSearch))
+    .mockReturnValue(mockQuery(null));
+  jest.spyOn(SavedSearch, 'updateOne').mockResolvedValue({});
+  jest.spyOn(emailService, 'sendJobAlertEmail').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('job publication date', () => {
+  it('is only set when a draft is activated, and kept when it is paused again', async () => {
+    const job = new Job({ title: 'React developer', status: 'draft' });
+
+    await saveJob(job);
+    expect(job.publishedAt).toBeUndefined();
+
+    job.status = 'active';
+    await saveJob(job);
+    const { publishedAt } = job;
+    expect(publishedAt).toBeInstanceOf(Date);
+
+    job.status = 'paused';
+    await saveJob(job);
+    job.status = 'active';
+    await saveJob(job);
+    expect(job.publishedAt).toBe(publishedAt);
+  });
+});
+
+describe('processSavedSearches', () => {
+  it('alerts on a draft created before the last check and activated since', async () => {
+    const job = new Job({ title: 'React developer', status: 'draft', createdAt: new Date(Date.now() - 24 * 60 * MINUTE) });
+    await saveJob(job);
+    jobs.push(job);
+
+    // Brouillon : rien à envoyer
+    await processSavedSearches();
+    expect(emailService.sendJobAlertEmail).not.toHaveBeenCalled();
+
+    job.status = 'active';
+    await saveJob(job);
+    SavedSearch.findOneAndUpdate.mockReturnValueOnce(mockQuery(savedSearch));
+
+    const summary = await processSavedSearches();
+
+    expect(summary).toEqual({ processed: 1, sent: 1, failed: 0 });
+    expect(Job.find.mock.calls[1][0]).not.toHaveProperty('createdAt');
+    expect(emailService.sendJobAlertEmail).toHaveBeenCalledWith(user, savedSearch, [job], 1, expect.any(String));
+  });
+
+  it('does not alert again on a job published before the last check', async () => {
+    const job = new Job({ title: 'React developer', status: 'active' });
+    await saveJob(job);
+    job.publishedAt = new Date(savedSearch.lastCheckedAt.getTime() - MINUTE);
+    jobs.push(job);
+
+    const summary = await processSavedSearches();
+
+    expect(summary).toEqual({ processed: 1, sent: 0, failed: 0 });
+    expect(emailService.sendJobAlertEmail).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,90 @@
+// src/services/schedulerService.js
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+// Tâches périodiques exécutées dans le processus de l'API.
+// Chaque tâche doit être idempotente et tolérer une exécution sur plusieurs
+// instances (les documents sont "réservés" de façon atomique par les services).
+const jobs = new Map();
+let started = false;
+
+// =====================================
+// ENREGISTREMENT DES TÂCHES
+// =====================================
+
+const registerJob = (name, intervalMs, handler) => {
+  if (jobs.has(name)) {
+    throw new Error(`Scheduled job "${name}" is already registered`);
+  }
+
+  jobs.set(name, { name, intervalMs, handler, timer: null, running: false, lastRunAt: null });
+
+  if (started) {
+    scheduleJob(jobs.get(name));
+  }
+};
+
+// Exécuter une tâche (une seule exécution à la fois, base de données requise)
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown scheduled job "${name}"`);
+  }
+
+  if (job.running || mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  job.running = true;
+  try {
+    const result = await job.handler();
+    job.lastRunAt = new Date();
+    return result;
+  } catch (error) {
+    logger.error(`Scheduled job "${name}" failed:`, error);
+    return null;
+  } finally {
+    job.running = false;
+  }
+};
+
+const scheduleJob = (job) => {
+  job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+  // Ne pas empêcher l'arrêt du processus
+  if (job.timer.unref) job.timer.unref();
+};
+
+// =====================================
+// DÉMARRAGE / ARRÊT
+// =====================================
+
+const start = () => {
+  if (started || process.env.SCHEDULER_ENABLED === 'false') return;
+
+  started = true;
+  jobs.forEach(scheduleJob);
+  logger.info(`⏱️  Scheduler started (${jobs.size} job(s): ${[...jobs.keys()].join(', ')})`);
+};
+
+const stop = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+  started = false;
+};
+
+const getJobs = () => [...jobs.values()].map(({ name, intervalMs, running, lastRunAt }) => ({
+  name,
+  intervalMs,
+  running,
+  lastRunAt
+}));
+
+module.exports = {
+  registerJob,
+  runJob,
+  start,
+  stop,
+  getJobs
+};
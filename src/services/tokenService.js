@@ -0,0 +1,322 @@
+// src/services/tokenService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const { parseUserAgent } = require('../utils/userAgent');
+const { AppError } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// =====================================
+// SIGNATURE DES TOKENS
+// =====================================
+
+// Générer un token JWT avec logging pour debug
+const generateToken = (payload) => {
+  console.log('🎟️  GENERATING TOKEN:');
+  console.log('  Input payload:', payload);
+
+  // ✅ CORRECTION CRITIQUE: S'assurer que l'ID est bien présent
+  const tokenPayload = {
+    id: payload.id || payload._id,  // Support des deux formats
+    email: payload.email,
+    role: payload.role,
+    tv: payload.tokenVersion || 0, // Version comparée à user.tokenVersion par le middleware auth
+    sid: payload.family // Session (famille de refresh tokens) à laquelle appartient ce token
+  };
+
+  console.log('  Final token payload:', tokenPayload);
+  console.log('  JWT_SECRET present:', !!process.env.JWT_SECRET);
+  console.log('  JWT_EXPIRE:', process.env.JWT_EXPIRE || '15m');
+
+  // Le jti permet de révoquer ce token individuellement (logout)
+  const token = jwt.sign(tokenPayload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
+    jwtid: crypto.randomUUID()
+  });
+
+  console.log('  Token generated successfully, length:', token.length);
+  console.log('  Token preview:', token.substring(0, 20) + '...');
+
+  return token;
+};
+
+// Générer un refresh token (jti + family permettent la rotation)
+const generateRefreshToken = (payload) => {
+  console.log('🔄 GENERATING REFRESH TOKEN:');
+
+  const refreshPayload = {
+    id: payload.id || payload._id,
+    email: payload.email,
+    role: payload.role,
+    type: 'refresh',
+    tv: payload.tokenVersion || 0,
+    jti: payload.jti,
+    family: payload.family
+  };
+
+  console.log('  Refresh token payload:', refreshPayload);
+
+  const refreshToken = jwt.sign(refreshPayload, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d'
+  });
+
+  console.log('  Refresh token generated successfully');
+
+  return refreshToken;
+};
+
+// =====================================
+// ÉMISSION DES TOKENS D'AUTHENTIFICATION
+// =====================================
+
+/**
+ * Émet un access token et un refresh token persisté.
+ * Sans `options.family`, une nouvelle famille (nouvelle session) est créée.
+ */
+const issueAuthTokens = async (user, req, options = {}) => {
+  const family = options.family || crypto.randomUUID();
+  const jti = crypto.randomUUID();
+
+  const tokenPayload = {
+    id: user._id,
+    email: user.email,
+    role: user.role,
+    tokenVersion: user.tokenVersion
+  };
+
+  const token = generateToken({ ...tokenPayload, family });
+  const refreshToken = generateRefreshToken({ ...tokenPayload, jti, family });
+
+  // L'expiration stockée suit celle du JWT
+  const { exp } = jwt.decode(refreshToken);
+  const accessToken = jwt.decode(token);
+  const userAgent = req?.get ? req.get('User-Agent') : undefined;
+
+  await RefreshToken.create({
+    user: user._id,
+    jti,
+    family,
+    parent: options.parent,
+    createdByIp: req?.ip,
+    userAgent,
+    expiresAt: new Date(exp * 1000)
+  });
+
+  console.log('  💾 Refresh token stored (family:', family + ')');
+
+  const sessionUpdate = {
+    lastActiveAt: new Date(),
+    lastIp: req?.ip,
+    accessJti: accessToken.jti,
+    accessExpiresAt: new Date(accessToken.exp * 1000),
+    expiresAt: new Date(exp * 1000)
+  };
+
+  if (options.family) {
+    // Rotation : la session existante reste la même
+    await Session.updateOne({ family, revokedAt: null }, sessionUpdate);
+  } else {
+    // Nouvelle connexion : nouvelle session pour cet appareil
+    await Session.create({
+      user: user._id,
+      family,
+      device: parseUserAgent(userAgent),
+      userAgent,
+      ip: req?.ip,
+      lastLogin: user.lastLogin || new Date(),
+      ...sessionUpdate
+    });
+    console.log('  💻 Session created (family:', family + ')');
+  }
+
+  return { token, refreshToken, jti, family };
+};
+
+// =====================================
+// ROTATION DES REFRESH TOKENS
+// =====================================
+
+/**
+ * Échange un refresh token contre une nouvelle paire de tokens.
+ * Si un token déjà utilisé est présenté, toute sa famille est révoquée.
+ */
+const rotateRefreshToken = async (clientRefreshToken, req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(clientRefreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AppError('Refresh token has expired', 401);
+    }
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.jti || !decoded.family) {
+    console.log('  ❌ Refresh token without rotation claims');
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  // Marquer le token comme utilisé de façon atomique
+  const stored = await RefreshToken.findOneAndUpdate(
+    { jti: decoded.jti, usedAt: null, revokedAt: null },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!stored) {
+    const existing = await RefreshToken.findOne({ jti: decoded.jti });
+
+    if (existing && existing.usedAt && !existing.revokedAt) {
+      // Un token déjà échangé revient : il a probablement été volé
+      console.log('  🚨 Refresh token reuse detected, revoking family:', existing.family);
+      logger.warn(`Refresh token reuse detected for user ${existing.user} (family ${existing.family})`);
+      await revokeSession(existing.family, 'reuse-detected');
+      throw new AppError('Refresh token reuse detected. Please log in again.', 401);
+    }
+
+    console.log('  ❌ Refresh token unknown or revoked');
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  if (stored.user.toString() !== String(decoded.id)) {
+    await revokeSession(stored.family, 'subject-mismatch');
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  const user = await User.findById(stored.user).select('+isActive');
+  if (!user || !user.isActive) {
+    console.log('  ❌ User not found or inactive');
+    await revokeSession(stored.family, 'user-inactive');
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    console.log('  ❌ Refresh token issued before a global logout');
+    await revokeSession(stored.family, 'token-version');
+    throw new AppError('Your session has ended. Please log in again.', 401);
+  }
+
+  const tokens = await issueAuthTokens(user, req, {
+    family: stored.family,
+    parent: stored.jti
+  });
+
+  stored.replacedBy = tokens.jti;
+  await stored.save();
+
+  return { user, ...tokens };
+};
+
+// =====================================
+// RÉVOCATION
+// =====================================
+
+/**
+ * Termine une session : révoque sa famille de refresh tokens et le dernier
+ * access token émis pour elle, puis marque la session comme révoquée.
+ */
+const revokeSession = async (family, reason = 'revoked') => {
+  await RefreshToken.revokeFamily(family, reason);
+
+  const session = await Session.findOneAndUpdate(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  ).select('+accessJti +accessExpiresAt');
+
+  if (session && session.accessJti && session.accessExpiresAt > new Date()) {
+    await RevokedToken.revoke({
+      jti: session.accessJti,
+      id: session.user,
+      exp: Math.floor(session.accessExpiresAt.getTime() / 1000)
+    }, reason);
+  }
+
+  return session;
+};
+
+// Révoquer un access token décodé (ajout à la liste de révocation)
+const revokeAccessToken = async (decoded, reason = 'logout') => {
+  if (!decoded || !decoded.jti || !decoded.exp) return;
+  await RevokedToken.revoke(decoded, reason);
+};
+
+/**
+ * Révoque la famille d'un refresh token présenté par le client.
+ * Le token peut être expiré, mais doit être signé et appartenir à `userId`.
+ */
+const revokeRefreshToken = async (clientRefreshToken, userId, reason = 'logout') => {
+  let decoded;
+  try {
+    decoded = jwt.verify(clientRefreshToken, process.env.JWT_REFRESH_SECRET, {
+      ignoreExpiration: true
+    });
+  } catch (error) {
+    return false;
+  }
+
+  if (!decoded.family || String(decoded.id) !== String(userId)) return false;
+
+  await revokeSession(decoded.family, reason);
+  return true;
+};
+
+/**
+ * Vérifier un access token. Seuls les tokens émis par issueAuthTokens (jti et
+ * sid, sans "purpose" ni "type") sont acceptés : un autre JWT signé avec
+ * JWT_SECRET (challenge 2FA, ancien lien email) ne vaut pas une session.
+ */
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose || decoded.type || decoded.aud || !decoded.jti || !decoded.sid) {
+    throw new jwt.JsonWebTokenError('Token is not an access token');
+  }
+  return decoded;
+};
+
+/**
+ * Vérifier qu'un access token décodé n'a pas été révoqué pour cet utilisateur.
+ * Seul le dernier access token d'une session est sur la liste de révocation :
+ * ceux émis avant les rotations précédentes sont refusés via leur session (sid).
+ */
+const isAccessTokenRevoked = async (decoded, user) => {
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) return true;
+
+  const [tokenRevoked, sessionRevoked] = await Promise.all([
+    RevokedToken.isRevoked(decoded.jti),
+    Session.isRevoked(decoded.sid)
+  ]);
+  return tokenRevoked || sessionRevoked;
+};
+
+/**
+ * Après un changement de mot de passe : invalide toutes les sessions existantes
+ * (access et refresh tokens) puis émet de nouveaux tokens pour la requête courante.
+ */
+const reissueAfterPasswordChange = async (user, req) => {
+  await user.revokeAllSessions('password-change');
+  return issueAuthTokens(user, req);
+};
+
+// Même rotation après un changement d'adresse email (identifiant de connexion)
+const reissueAfterEmailChange = async (user, req) => {
+  await user.revokeAllSessions('email-change');
+  return issueAuthTokens(user, req);
+};
+
+module.exports = {
+  generateToken,
+  generateRefreshToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeRefreshToken,
+  revokeSession,
+  reissueAfterPasswordChange,
+  reissueAfterEmailChange,
+  verifyAccessToken,
+  isAccessTokenRevoked
+};
@@ -0,0 +1,164 @@
+// services/tokenService.test.js - Rotation des refresh tokens et révocation des sessions
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const logger = require('../utils/logger');
+const {
+  generateToken,
+  generateRefreshToken,
+  rotateRefreshToken,
+  revokeSession,
+  verifyAccessToken
+} = require('./tokenService');
+
+// Requête Mongoose simulée (chaînable et "thenable")
+const mockQuery = (result) => {
+  const query = {
+    select: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  email: 'sara@example.com',
+  role: 'candidate',
+  isActive: true,
+  tokenVersion: 0
+};
+
+const req = { ip: '10.0.0.1', get: () => 'jest' };
+
+const refreshTokenFor = (fields = {}) => generateRefreshToken({
+  id: user._id,
+  email: user.email,
+  role: user.role,
+  jti: 'refresh-1',
+  family: 'family-1',
+  ...fields
+});
+
+let activeSession;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+  activeSession = {
+    user: user._id,
+    family: 'family-1',
+    accessJti: 'access-1',
+    accessExpiresAt: new Date(Date.now() + 10 * 60 * 1000)
+  };
+
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  jest.spyOn(RefreshToken, 'create').mockResolvedValue({});
+  jest.spyOn(RefreshToken, 'revokeFamily').mockResolvedValue();
+  jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(() => mockQuery(activeSession));
+  jest.spyOn(RevokedToken, 'revoke').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rotateRefreshToken', () => {
+  it('exchanges an unused refresh token for a new pair in the same session', async () => {
+    const stored = { user: user._id, jti: 'refresh-1', family: 'family-1', save: jest.fn().mockResolvedValue() };
+    const claim = jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(stored);
+
+    const result = await rotateRefreshToken(refreshTokenFor(), req);
+
+    expect(claim).toHaveBeenCalledWith(
+      { jti: 'refresh-1', usedAt: null, revokedAt: null },
+      { usedAt: expect.any(Date) },
+      { new: true }
+    );
+    expect(result.family).toBe('family-1');
+    expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({ family: 'family-1', parent: 'refresh-1' }));
+    expect(stored.replacedBy).toBe(result.jti);
+    expect(verifyAccessToken(result.token).sid).toBe('family-1');
+    expect(jwt.decode(result.refreshToken).jti).toBe(result.jti);
+  });
+
+  it('revokes the whole session when a used refresh token comes back', async () => {
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue({
+      user: user._id, jti: 'refresh-1', family: 'family-1', usedAt: new Date(), revokedAt: null
+    });
+
+    await expect(rotateRefreshToken(refreshTokenFor(), req)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Refresh token reuse detected. Please log in again.'
+    });
+
+    expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('family-1', 'reuse-detected');
+    // Le dernier access token de la session est révoqué lui aussi
+    expect(RevokedToken.revoke).toHaveBeenCalledWith(expect.objectContaining({ jti: 'access-1' }), 'reuse-detected');
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('ends the session when the token predates a "log out everywhere"', async () => {
+    const stored = { user: user._id, jti: 'refresh-1', family: 'family-1', save: jest.fn() };
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(stored);
+    User.findById.mockImplementation(() => mockQuery({ ...user, tokenVersion: 1 }));
+
+    await expect(rotateRefreshToken(refreshTokenFor(), req)).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('family-1', 'token-version');
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses an access token presented as a refresh token', async () => {
+    const claim = jest.spyOn(RefreshToken, 'findOneAndUpdate');
+    const accessToken = generateToken({ id: user._id, email: user.email, role: user.role, family: 'family-1' });
+
+    await expect(rotateRefreshToken(accessToken, req)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Invalid refresh token'
+    });
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  it('refuses a refresh token without rotation claims', async () => {
+    const claim = jest.spyOn(RefreshToken, 'findOneAndUpdate');
+    const legacy = jwt.sign({ id: user._id, type: 'refresh' }, process.env.JWT_REFRESH_SECRET, { expiresIn: '7d' });
+
+    await expect(rotateRefreshToken(legacy, req)).rejects.toMatchObject({ statusCode: 401 });
+    expect(claim).not.toHaveBeenCalled();
+  });
+});
+
+describe('revokeSession', () => {
+  it('marks the session revoked and blocks its last access token until expiry', async () => {
+    await revokeSession('family-1', 'logout');
+
+    expect(Session.findOneAndUpdate).toHaveBeenCalledWith(
+      { family: 'family-1', revokedAt: null },
+      { revokedAt: expect.any(Date), revokedReason: 'logout' },
+      { new: true }
+    );
+    expect(RevokedToken.revoke).toHaveBeenCalledWith({
+      jti: 'access-1',
+      id: user._id,
+      exp: Math.floor(activeSession.accessExpiresAt.getTime() / 1000)
+    }, 'logout');
+  });
+
+  it('skips the revocation list once the access token has expired', async () => {
+    activeSession.accessExpiresAt = new Date(Date.now() - 1000);
+
+    await revokeSession('family-1');
+
+    expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('family-1', 'revoked');
+    expect(RevokedToken.revoke).not.toHaveBeenCalled();
+  });
+});
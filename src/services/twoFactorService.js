@@ -0,0 +1,132 @@
+// src/services/twoFactorService.js
+const jwt = require('jsonwebtoken');
+const Setting = require('../models/Setting');
+const Role = require('../models/Role');
+const { ensureDefaults } = require('./permissionService');
+const { createSimpleHash } = require('../utils/helpers');
+const {
+  verifyTOTP,
+  normalizeRecoveryCode,
+  decryptSecret
+} = require('../utils/totp');
+
+const REQUIRED_ROLES_KEY = 'security.twoFactorRequiredRoles';
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+const CHALLENGE_EXPIRE = '5m';
+// Audience dédiée : un challenge token n'est jamais accepté comme access token
+const CHALLENGE_AUDIENCE = '2fa-challenge';
+
+// Cache mémoire de la politique (évite une requête par appel authentifié)
+let policyCache = { roles: null, loadedAt: 0 };
+
+// =====================================
+// POLITIQUE D'OBLIGATION PAR RÔLE
+// =====================================
+
+// Obtenir la liste des rôles pour lesquels la 2FA est obligatoire
+const getRequiredRoles = async () => {
+  if (policyCache.roles && Date.now() - policyCache.loadedAt < POLICY_CACHE_TTL_MS) {
+    return policyCache.roles;
+  }
+
+  const roles = await Setting.getValue(REQUIRED_ROLES_KEY, []);
+  policyCache = { roles, loadedAt: Date.now() };
+  return roles;
+};
+
+// Définir les rôles pour lesquels la 2FA est obligatoire
+const setRequiredRoles = async (roles, updatedBy) => {
+  const uniqueRoles = [...new Set(roles)];
+  await Setting.setValue(REQUIRED_ROLES_KEY, uniqueRoles, updatedBy);
+  policyCache = { roles: uniqueRoles, loadedAt: Date.now() };
+  return uniqueRoles;
+};
+
+// Rôles dont les utilisateurs peuvent activer la 2FA (permission account.two_factor)
+const getEligibleRoles = async () => {
+  await ensureDefaults();
+  return Role.find({ permissions: { $in: ['*', 'account.two_factor'] } }).distinct('name');
+};
+
+// Vérifier si la 2FA est obligatoire pour un rôle
+const isRequiredForRole = async (role) => {
+  const roles = await getRequiredRoles();
+  return roles.includes(role);
+};
+
+// =====================================
+// CHALLENGE DE CONNEXION
+// =====================================
+
+// Token de courte durée émis après le mot de passe, avant le vrai JWT
+const createChallengeToken = (user) => {
+  return jwt.sign(
+    { id: user._id, purpose: '2fa-challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRE, audience: CHALLENGE_AUDIENCE }
+  );
+};
+
+// Vérifier un challenge token, retourne l'ID utilisateur ou null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+    return decoded.purpose === '2fa-challenge' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// =====================================
+// VÉRIFICATION DES CODES
+// =====================================
+
+/**
+ * Vérifie un code TOTP ou un code de récupération pour un utilisateur chargé
+ * avec +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep.
+ * Met à jour l'utilisateur (code de récupération consommé, dernier pas utilisé)
+ * mais ne le sauvegarde pas.
+ */
+const verifyUserCode = (user, { code, recoveryCode }) => {
+  if (code && user.twoFactor.secret) {
+    const step = verifyTOTP(decryptSecret(user.twoFactor.secret), code);
+
+    // Refuser un code déjà utilisé (rejeu dans la même fenêtre de 30s)
+    if (step !== null && (user.twoFactor.lastUsedStep === undefined || step > user.twoFactor.lastUsedStep)) {
+      user.twoFactor.lastUsedStep = step;
+      return { valid: true, method: 'totp' };
+    }
+  }
+
+  if (recoveryCode) {
+    const hashed = createSimpleHash(normalizeRecoveryCode(recoveryCode));
+    const codes = user.twoFactor.recoveryCodes || [];
+
+    if (codes.includes(hashed)) {
+      user.twoFactor.recoveryCodes = codes.filter(existing => existing !== hashed);
+      return {
+        valid: true,
+        method: 'recovery-code',
+        remainingRecoveryCodes: user.twoFactor.recoveryCodes.length
+      };
+    }
+  }
+
+  return { valid: false };
+};
+
+// Hasher des codes de récupération pour le stockage
+const hashRecoveryCodes = (codes) => {
+  return codes.map(code => createSimpleHash(normalizeRecoveryCode(code)));
+};
+
+module.exports = {
+  getEligibleRoles,
+  getRequiredRoles,
+  setRequiredRoles,
+  isRequiredForRole,
+  createChallengeToken,
+  verifyChallengeToken,
+  verifyUserCode,
+  hashRecoveryCodes
+};
@@ -0,0 +1,146 @@
+// utils/cursorPagination.js - Pagination par curseur (défilement infini)
+//
+// Un curseur est un jeton opaque (base64url) contenant la clé de tri, le sens,
+// la valeur de tri et l'_id de l'élément de bordure. Contrairement à
+// skip/limit, les éléments publiés entre deux pages ne décalent pas la liste.
+const mongoose = require('mongoose');
+const { AppError } = require('./helpers');
+
+// Seules des valeurs simples peuvent être comparées : un objet ({ $ne: null })
+// deviendrait un opérateur dans la requête
+const isScalar = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+// Lire une valeur (éventuellement imbriquée : "salary.min") d'un document
+const getSortValue = (item, field) => {
+  if (typeof item.get === 'function') return item.get(field);
+  return field.split('.').reduce((value, key) => (value == null ? value : value[key]), item);
+};
+
+const encodeCursor = (item, sortField, sortDirection) => {
+  const value = getSortValue(item, sortField);
+  const payload = {
+    k: sortField,
+    d: sortDirection,
+    v: value === undefined ? null : value,
+    id: String(item._id)
+  };
+  if (value instanceof Date) {
+    payload.v = value.toISOString();
+    payload.t = 'date';
+  }
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (token, sortField, sortDirection) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AppError('Invalid pagination cursor', 400);
+  }
+
+  if (!payload || typeof payload !== 'object' || typeof payload.id !== 'string' ||
+      !mongoose.Types.ObjectId.isValid(payload.id)) {
+    throw new AppError('Invalid pagination cursor', 400);
+  }
+  if (payload.k !== sortField || payload.d !== sortDirection) {
+    throw new AppError('Pagination cursor does not match the current sort order', 400);
+  }
+
+  if (!isScalar(payload.v) || (payload.t !== undefined && payload.t !== 'date') ||
+      (payload.t === 'date' && typeof payload.v !== 'string')) {
+    throw new AppError('Invalid pagination cursor', 400);
+  }
+
+  const value = payload.t === 'date' ? new Date(payload.v) : payload.v;
+  if (value instanceof Date && Number.isNaN(value.getTime())) {
+    throw new AppError('Invalid pagination cursor', 400);
+  }
+
+  return { value, id: new mongoose.Types.ObjectId(payload.id) };
+};
+
+/**
+ * Lit ?after= ou ?before= (un seul des deux). Retourne null en mode page.
+ */
+const parseCursor = (query, sortField, sortDirection) => {
+  const { after, before } = query;
+  if (after && before) {
+    throw new AppError('Use either after or before, not both', 400);
+  }
+  if (!after && !before) return null;
+
+  return {
+    direction: after ? 'after' : 'before',
+    ...decodeCursor(after || before, sortField, sortDirection)
+  };
+};
+
+/**
+ * Ajoute au filtre la condition "après/avant le curseur" pour le tri
+ * { sortField, _id }. Les valeurs nulles sont classées comme MongoDB le fait
+ * (avant toute autre valeur en ordre croissant).
+ */
+const applyCursor = (filter, cursor, sortField, sortDirection) => {
+  if (!cursor) return filter;
+
+  const { value, id } = cursor;
+  const greater = (sortDirection === 1) === (cursor.direction === 'after');
+  const idCondition = { _id: greater ? { $gt: id } : { $lt: id } };
+
+  let conditions;
+  if (value === null) {
+    conditions = greater
+      ? [{ [sortField]: { $ne: null } }, { [sortField]: null, ...idCondition }]
+      : [{ [sortField]: null, ...idCondition }];
+  } else {
+    conditions = greater
+      ? [{ [sortField]: { $gt: value } }, { [sortField]: value, ...idCondition }]
+      : [{ [sortField]: { $lt: value } }, { [sortField]: value, ...idCondition }, { [sortField]: null }];
+  }
+
+  return { ...filter, $and: [...(filter.$and || []), { $or: conditions }] };
+};
+
+// Tri stable (départage par _id), inversé pour remonter avec ?before=
+const getCursorSort = (sortField, sortDirection, cursor) => {
+  const direction = cursor?.direction === 'before' ? -sortDirection : sortDirection;
+  return { [sortField]: direction, _id: direction };
+};
+
+/**
+ * Met en forme une page lue avec limit + 1 éléments (l'élément en trop
+ * indique qu'il reste une page dans le sens du parcours).
+ * Retourne { items, cursors: { nextCursor, prevCursor, hasNextPage, hasPrevPage } }.
+ * En mode page (`cursor` null), `page` indique s'il existe une page précédente.
+ */
+const buildCursorPage = (items, { limit, cursor, sortField, sortDirection, page = 1 }) => {
+  const hasMore = items.length > limit;
+  const pageItems = items.slice(0, limit);
+  if (cursor?.direction === 'before') pageItems.reverse();
+
+  const hasNextPage = cursor?.direction === 'before' ? true : hasMore;
+  const hasPrevPage = cursor ? (cursor.direction === 'before' ? hasMore : true) : page > 1;
+
+  const first = pageItems[0];
+  const last = pageItems[pageItems.length - 1];
+
+  return {
+    items: pageItems,
+    cursors: {
+      nextCursor: hasNextPage && last ? encodeCursor(last, sortField, sortDirection) : null,
+      prevCursor: hasPrevPage && first ? encodeCursor(first, sortField, sortDirection) : null,
+      hasNextPage,
+      hasPrevPage
+    }
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  parseCursor,
+  applyCursor,
+  getCursorSort,
+  buildCursorPage
+};
@@ -0,0 +1,124 @@
+// utils/cursorPagination.test.js - Curseurs opaques (after / before)
+const mongoose = require('mongoose');
+const {
+  encodeCursor,
+  decodeCursor,
+  parseCursor,
+  applyCursor,
+  getCursorSort,
+  buildCursorPage
+} = require('./cursorPagination');
+
+const encodePayload = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+const id = new mongoose.Types.ObjectId();
+
+describe('decodeCursor', () => {
+  it('reads back the sort value and _id of an encoded item', () => {
+    const createdAt = new Date('2024-05-01T10:00:00Z');
+    const cursor = decodeCursor(encodeCursor({ _id: id, createdAt }, 'createdAt', -1), 'createdAt', -1);
+
+    expect(cursor.value).toEqual(createdAt);
+    expect(cursor.id.equals(id)).toBe(true);
+  });
+
+  it('keeps computed values such as the text score', () => {
+    const cursor = decodeCursor(encodeCursor({ _id: id, score: 2.0833333333333335 }, 'score', -1), 'score', -1);
+
+    expect(cursor.value).toBe(2.0833333333333335);
+  });
+
+  it.each([
+    ['an operator object', { $ne: null }],
+    ['an array', [1, 2]],
+    ['a nested object', { nested: { $gt: '' } }]
+  ])('rejects %s as the sort value', (label, value) => {
+    const token = encodePayload({ k: 'createdAt', d: -1, v: value, id: String(id) });
+
+    expect(() => decodeCursor(token, 'createdAt', -1)).toThrow('Invalid pagination cursor');
+  });
+
+  it('rejects unknown type tags and non-string dates', () => {
+    const unknownTag = encodePayload({ k: 'createdAt', d: -1, v: 'x', t: 'regex', id: String(id) });
+    const numericDate = encodePayload({ k: 'createdAt', d: -1, v: 0, t: 'date', id: String(id) });
+
+    expect(() => decodeCursor(unknownTag, 'createdAt', -1)).toThrow('Invalid pagination cursor');
+    expect(() => decodeCursor(numericDate, 'createdAt', -1)).toThrow('Invalid pagination cursor');
+  });
+
+  it('rejects a cursor built for another sort order', () => {
+    const token = encodeCursor({ _id: id, createdAt: new Date() }, 'createdAt', -1);
+
+    expect(() => decodeCursor(token, 'createdAt', 1)).toThrow('does not match');
+  });
+
+  it('rejects garbage and malformed ids', () => {
+    expect(() => decodeCursor('not-a-cursor', 'createdAt', -1)).toThrow('Invalid pagination cursor');
+    expect(() => decodeCursor(encodePayload({ k: 'createdAt', d: -1, v: null, id: { $gt: '' } }), 'createdAt', -1))
+      .toThrow('Invalid pagination cursor');
+  });
+});
+
+describe('parseCursor', () => {
+  it('refuses after and before together', () => {
+    const token = encodeCursor({ _id: id, createdAt: new Date() }, 'createdAt', -1);
+
+    expect(() => parseCursor({ after: token, before: token }, 'createdAt', -1)).toThrow('either after or before');
+  });
+
+  it('returns null without a cursor', () => {
+    expect(parseCursor({}, 'createdAt', -1)).toBeNull();
+  });
+});
+
+describe('applyCursor', () => {
+  it('continues a descending sort after the boundary item', () => {
+    const createdAt = new Date('2024-05-01T10:00:00Z');
+    const filter = applyCursor({ status: 'active' }, { direction: 'after', value: createdAt, id }, 'createdAt', -1);
+
+    expect(filter).toEqual({
+      status: 'active',
+      $and: [{
+        $or: [
+          { createdAt: { $lt: createdAt } },
+          { createdAt, _id: { $lt: id } },
+          { createdAt: null }
+        ]
+      }]
+    });
+    expect(getCursorSort('createdAt', -1, { direction: 'after' })).toEqual({ createdAt: -1, _id: -1 });
+  });
+
+  it('walks back up with before (reversed comparison and sort)', () => {
+    const filter = applyCursor({}, { direction: 'before', value: 3, id }, 'distance', 1);
+
+    expect(filter.$and[0].$or).toEqual([
+      { distance: { $lt: 3 } },
+      { distance: 3, _id: { $lt: id } },
+      { distance: null }
+    ]);
+    expect(getCursorSort('distance', 1, { direction: 'before' })).toEqual({ distance: -1, _id: -1 });
+  });
+});
+
+describe('buildCursorPage', () => {
+  const items = [3, 2, 1].map(score => ({ _id: new mongoose.Types.ObjectId(), score }));
+
+  it('drops the extra item and points the next cursor at the last one', () => {
+    const { items: page, cursors } = buildCursorPage(items, { limit: 2, cursor: null, sortField: 'score', sortDirection: -1 });
+
+    expect(page).toHaveLength(2);
+    expect(cursors.hasNextPage).toBe(true);
+    expect(cursors.hasPrevPage).toBe(false);
+    expect(decodeCursor(cursors.nextCursor, 'score', -1).value).toBe(2);
+  });
+
+  it('restores the display order when paging backwards', () => {
+    const { items: page, cursors } = buildCursorPage([...items].reverse(), {
+      limit: 2, cursor: { direction: 'before' }, sortField: 'score', sortDirection: -1
+    });
+
+    expect(page.map(item => item.score)).toEqual([2, 1]);
+    expect(cursors.hasPrevPage).toBe(true);
+    expect(cursors.hasNextPage).toBe(true);
+  });
+});
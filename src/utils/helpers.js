@@ -2,12 +2,17 @@
 
 // Classe d'erreur personnalisée
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, errors) {
     super(message);
     
     this.statusCode = statusCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
+
+    // Détail par champ ou par règle (ex: politique de mots de passe)
+    if (errors) {
+      this.errors = errors;
+    }
     
     Error.captureStackTrace(this, this.constructor);
   }
@@ -166,6 +171,11 @@ const sanitizeString = (str) => {
     .replace(/on\w+=/gi, ''); // Supprimer les gestionnaires d'événements
 };
 
+// Échapper les caractères spéciaux d'une chaîne avant de l'utiliser dans une RegExp
+const escapeRegex = (str) => {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
 // Valider un numéro de téléphone
 const isValidPhone = (phone) => {
   const phoneRegex = /^\+?[\d\s\-()]{10,}$/;
@@ -276,6 +286,7 @@ module.exports = {
   generateRandomToken,
   capitalize,
   sanitizeString,
+  escapeRegex,
   isValidPhone,
   stringToBoolean,
   createErrorResponse,
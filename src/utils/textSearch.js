@@ -0,0 +1,170 @@
+// utils/textSearch.js - Recherche plein texte MongoDB ($text) et surlignage
+const { escapeRegex } = require('./helpers');
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_TOKENS = 20;
+const SNIPPET_LENGTH = 160;
+
+// =====================================
+// ANALYSE DE LA REQUÊTE
+// =====================================
+
+/**
+ * Découpe une recherche saisie par l'utilisateur :
+ *   react "senior developer" -php -"no remote"
+ * en mots, expressions exactes (entre guillemets) et exclusions (préfixe -).
+ */
+const parseSearchQuery = (query) => {
+  const parsed = { terms: [], phrases: [], excludedTerms: [], excludedPhrases: [] };
+  const input = String(query || '').slice(0, MAX_QUERY_LENGTH);
+
+  const tokenPattern = /(-?)"([^"]*)"|(\S+)/g;
+  let match;
+  let count = 0;
+
+  while ((match = tokenPattern.exec(input)) !== null && count < MAX_TOKENS) {
+    if (match[2] !== undefined) {
+      const phrase = match[2].replace(/[\\"]/g, ' ').replace(/\s+/g, ' ').trim();
+      if (phrase) {
+        (match[1] ? parsed.excludedPhrases : parsed.phrases).push(phrase);
+        count += 1;
+      }
+      continue;
+    }
+
+    const negated = match[3].startsWith('-');
+    // Les guillemets et antislashs isolés n'ont pas de sens pour $text
+    const term = match[3].replace(/^-+/, '').replace(/[\\"]/g, '').trim();
+    if (term) {
+      (negated ? parsed.excludedTerms : parsed.terms).push(term);
+      count += 1;
+    }
+  }
+
+  return parsed;
+};
+
+// Une recherche $text doit contenir au moins un mot ou une expression à trouver
+const hasPositiveTerms = (parsed) => parsed.terms.length > 0 || parsed.phrases.length > 0;
+
+// Reconstruire une chaîne $search sûre à partir de la requête analysée
+const toTextSearch = (parsed) => [
+  ...parsed.phrases.map(phrase => `"${phrase}"`),
+  ...parsed.terms,
+  ...parsed.excludedPhrases.map(phrase => `-"${phrase}"`),
+  ...parsed.excludedTerms.map(term => `-${term}`)
+].join(' ');
+
+// =====================================
+// FILTRE MONGODB
+// =====================================
+
+/**
+ * Filtre de recherche plein texte. Utilise l'index texte ($text) ; une requête
+ * composée uniquement d'exclusions (ex: "-stage") ne peut pas utiliser $text et
+ * se rabat sur des expressions régulières échappées.
+ * `fields` : champs exclus dans ce cas de repli.
+ */
+const buildTextSearchFilter = (query, fields = ['title', 'description', 'skills']) => {
+  const parsed = parseSearchQuery(query);
+
+  if (hasPositiveTerms(parsed)) {
+    return { $text: { $search: toTextSearch(parsed) } };
+  }
+
+  const excluded = [...parsed.excludedTerms, ...parsed.excludedPhrases];
+  if (excluded.length === 0) return {};
+
+  return {
+    $nor: excluded.flatMap(value => fields.map(field => ({
+      [field]: { $regex: escapeRegex(value), $options: 'i' }
+    })))
+  };
+};
+
+// Indique si le filtre utilise l'index texte (tri par pertinence possible)
+const usesTextIndex = (filter) => Boolean(filter && filter.$text);
+
+// =====================================
+// SURLIGNAGE DES RÉSULTATS
+// =====================================
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Expression trouvant les mots recherchés (début de mot, pour couvrir les
+// variantes trouvées par le stemming de MongoDB : develop -> developer)
+const buildHighlightPattern = (parsed) => {
+  const values = [...parsed.phrases, ...parsed.terms]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex);
+
+  if (values.length === 0) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${values.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+};
+
+// Échapper le texte puis entourer les correspondances de <mark>
+const markMatches = (text, pattern) => {
+  let result = '';
+  let lastIndex = 0;
+  let found = false;
+
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    found = true;
+    result += escapeHtml(text.slice(lastIndex, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return found ? result + escapeHtml(text.slice(lastIndex)) : null;
+};
+
+// Extrait de texte centré sur la première correspondance
+const buildSnippet = (text, pattern) => {
+  pattern.lastIndex = 0;
+  const match = pattern.exec(text);
+  if (!match) return null;
+
+  const start = Math.max(0, match.index - Math.floor(SNIPPET_LENGTH / 3));
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const excerpt = text.slice(start, end);
+
+  return `${start > 0 ? '…' : ''}${markMatches(excerpt, pattern) || escapeHtml(excerpt)}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Extraits surlignés d'une offre pour une recherche : le HTML retourné est
+ * échappé, seules les balises <mark> sont ajoutées.
+ */
+const buildHighlights = (job, query) => {
+  const pattern = buildHighlightPattern(parseSearchQuery(query));
+  if (!pattern) return null;
+
+  const highlights = {};
+
+  const title = job.title ? markMatches(job.title, pattern) : null;
+  if (title) highlights.title = title;
+
+  const description = job.description ? buildSnippet(job.description, pattern) : null;
+  if (description) highlights.description = description;
+
+  const skills = (job.skills || [])
+    .map(skill => markMatches(skill, pattern))
+    .filter(Boolean);
+  if (skills.length > 0) highlights.skills = skills;
+
+  return Object.keys(highlights).length > 0 ? highlights : null;
+};
+
+module.exports = {
+  parseSearchQuery,
+  buildTextSearchFilter,
+  usesTextIndex,
+  buildHighlights
+};
@@ -0,0 +1,90 @@
+// utils/textSearch.test.js - Analyse des recherches, filtre $text et surlignage
+const {
+  parseSearchQuery,
+  buildTextSearchFilter,
+  usesTextIndex,
+  buildHighlights
+} = require('./textSearch');
+
+describe('parseSearchQuery', () => {
+  it('splits terms, exact phrases and exclusions', () => {
+    expect(parseSearchQuery('react "senior developer" -php -"no remote"')).toEqual({
+      terms: ['react'],
+      phrases: ['senior developer'],
+      excludedTerms: ['php'],
+      excludedPhrases: ['no remote']
+    });
+  });
+
+  it('drops stray quotes, backslashes and empty tokens', () => {
+    expect(parseSearchQuery('node\\" - "" -')).toEqual({
+      terms: ['node'],
+      phrases: [],
+      excludedTerms: [],
+      excludedPhrases: []
+    });
+  });
+
+  it('caps the number of tokens', () => {
+    const query = Array.from({ length: 30 }, (_, index) => `term${index}`).join(' ');
+
+    expect(parseSearchQuery(query).terms).toHaveLength(20);
+  });
+});
+
+describe('buildTextSearchFilter', () => {
+  it('rebuilds a safe $search string for the text index', () => {
+    const filter = buildTextSearchFilter('react "senior developer" -php');
+
+    expect(filter).toEqual({ $text: { $search: '"senior developer" react -php' } });
+    expect(usesTextIndex(filter)).toBe(true);
+  });
+
+  it('falls back to escaped regexes when the query only excludes', () => {
+    const filter = buildTextSearchFilter('-c++', ['title']);
+
+    expect(filter).toEqual({ $nor: [{ title: { $regex: 'c\\+\\+', $options: 'i' } }] });
+    expect(usesTextIndex(filter)).toBe(false);
+  });
+
+  it('returns no filter for an empty query', () => {
+    expect(buildTextSearchFilter('   ')).toEqual({});
+  });
+});
+
+describe('buildHighlights', () => {
+  it('marks word variants in the title, description and skills', () => {
+    const highlights = buildHighlights({
+      title: 'Senior React Developer',
+      description: 'You will develop React interfaces.',
+      skills: ['React', 'Node.js']
+    }, 'react develop');
+
+    expect(highlights).toEqual({
+      title: 'Senior <mark>React</mark> <mark>Developer</mark>',
+      description: 'You will <mark>develop</mark> <mark>React</mark> interfaces.',
+      skills: ['<mark>React</mark>']
+    });
+  });
+
+  it('escapes the job text around the marks', () => {
+    const highlights = buildHighlights({ title: '<script>React</script>' }, 'react');
+
+    expect(highlights.title).toBe('&lt;script&gt;<mark>React</mark>&lt;/script&gt;');
+  });
+
+  it('trims long descriptions around the first match', () => {
+    const description = `${'a '.repeat(200)}react${' b'.repeat(200)}`;
+
+    const { description: snippet } = buildHighlights({ description }, 'react');
+
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('<mark>react</mark>');
+  });
+
+  it('returns null without a match or positive term', () => {
+    expect(buildHighlights({ title: 'Accountant' }, 'react')).toBeNull();
+    expect(buildHighlights({ title: 'React' }, '-react')).toBeNull();
+  });
+});
@@ -0,0 +1,173 @@
+// utils/totp.js - TOTP (RFC 6238) basé sur le module crypto de Node
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_STEP = 30; // secondes
+const DEFAULT_DIGITS = 6;
+
+// Encoder un buffer en base32 (RFC 4648, sans padding)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Décoder une chaîne base32 en buffer
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Générer un secret aléatoire (160 bits, recommandé par la RFC 4226)
+const generateSecret = (length = 20) => {
+  return base32Encode(crypto.randomBytes(length));
+};
+
+// Calculer le code HOTP pour un compteur donné (RFC 4226)
+const generateHOTP = (secret, counter, digits = DEFAULT_DIGITS) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+
+  // Troncature dynamique
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    ((hmac[offset + 1] & 0xff) << 16) |
+    ((hmac[offset + 2] & 0xff) << 8) |
+    (hmac[offset + 3] & 0xff);
+
+  return (binary % 10 ** digits).toString().padStart(digits, '0');
+};
+
+// Obtenir le pas de temps courant
+const getTimeStep = (time = Date.now(), step = DEFAULT_STEP) => {
+  return Math.floor(time / 1000 / step);
+};
+
+// Générer le code TOTP courant
+const generateTOTP = (secret, time = Date.now()) => {
+  return generateHOTP(secret, getTimeStep(time));
+};
+
+/**
+ * Vérifier un code TOTP en tolérant `window` pas de décalage d'horloge.
+ * Retourne le pas de temps correspondant, ou null si le code est invalide.
+ */
+const verifyTOTP = (secret, code, window = 1, time = Date.now()) => {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getTimeStep(time);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateHOTP(secret, currentStep + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+// Construire l'URI de provisioning (à encoder en QR code côté frontend)
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Générer des codes de récupération lisibles (ex: 9f3a-72c1-0b8e)
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(6).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8, 12)}`;
+  });
+};
+
+// Normaliser un code de récupération avant de le hasher
+const normalizeRecoveryCode = (code) => {
+  return String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+};
+
+// =====================================
+// CHIFFREMENT DU SECRET EN BASE (AES-256-GCM)
+// =====================================
+const getEncryptionKey = () => {
+  const key = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '';
+  return crypto.createHash('sha256').update(key).digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [iv, tag, encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  encryptSecret,
+  decryptSecret
+};
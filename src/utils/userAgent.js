@@ -0,0 +1,54 @@
+// utils/userAgent.js - Détection simple de l'appareil à partir du User-Agent
+
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ },
+  { name: 'Postman', pattern: /PostmanRuntime\/([\d.]+)/ },
+  { name: 'curl', pattern: /curl\/([\d.]+)/ }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'Windows', pattern: /Windows NT/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+// Analyser un User-Agent et retourner navigateur, système et type d'appareil
+const parseUserAgent = (userAgent = '') => {
+  const ua = String(userAgent || '');
+
+  const browserMatch = BROWSERS.find(browser => browser.pattern.test(ua));
+  const os = OPERATING_SYSTEMS.find(system => system.pattern.test(ua));
+
+  let type = 'desktop';
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+    type = 'tablet';
+  } else if (/Mobi|iPhone|iPod|Android/.test(ua)) {
+    type = 'mobile';
+  } else if (!ua || /PostmanRuntime|curl|bot|spider/i.test(ua)) {
+    type = 'other';
+  }
+
+  const browser = browserMatch ? browserMatch.name : 'Unknown browser';
+  const version = browserMatch ? ua.match(browserMatch.pattern)[1].split('.')[0] : null;
+  const osName = os ? os.name : 'Unknown OS';
+
+  return {
+    browser,
+    browserVersion: version,
+    os: osName,
+    type,
+    label: `${browser}${version ? ' ' + version : ''} on ${osName}`
+  };
+};
+
+module.exports = {
+  parseUserAgent
+};
@@ -1,5 +1,14 @@
 // utils/validators.js
 const Joi = require('joi');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+// Nouveau mot de passe : longueur, complexité et historique sont vérifiés par
+// passwordPolicyService (erreurs détaillées par règle)
+const newPassword = (label = 'Password') => Joi.string()
+  .required()
+  .messages({
+    'any.required': `${label} is required`
+  });
 
 // Validateurs pour l'authentification
 const authValidators = {
@@ -36,15 +45,7 @@ const authValidators = {
         'any.required': 'Email is required'
       }),
     
-    password: Joi.string()
-      .min(8)
-      .pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]'))
-      .required()
-      .messages({
-        'string.min': 'Password must be at least 8 characters long',
-        'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
-        'any.required': 'Password is required'
-      }),
+    password: newPassword(),
     
     role: Joi.string()
       .valid('candidate', 'employer')
@@ -84,6 +85,18 @@ const authValidators = {
       })
   }),
 
+  resendVerification: Joi.object({
+    email: Joi.string()
+      .email()
+      .trim()
+      .lowercase()
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
+      })
+  }),
+
   resetPassword: Joi.object({
     token: Joi.string()
       .required()
@@ -91,15 +104,7 @@ const authValidators = {
         'any.required': 'Reset token is required'
       }),
     
-    password: Joi.string()
-      .min(8)
-      .pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]'))
-      .required()
-      .messages({
-        'string.min': 'Password must be at least 8 characters long',
-        'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
-        'any.required': 'Password is required'
-      })
+    password: newPassword()
   })
 };
 
@@ -312,6 +317,111 @@ const applicationValidators = {
   })
 };
 
+// Entrées des sections structurées du profil (créées / modifiées une par une)
+const profileEntryValidators = {
+  skills: Joi.object({
+    name: Joi.string().trim().max(50).required(),
+    level: Joi.string().valid('beginner', 'intermediate', 'advanced', 'expert').optional(),
+    yearsOfExperience: Joi.number().min(0).max(50).optional()
+  }),
+
+  experience: Joi.object({
+    title: Joi.string().trim().max(100).required(),
+    company: Joi.string().trim().max(100).allow('').optional(),
+    location: Joi.string().trim().max(100).allow('').optional(),
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional()
+      .messages({ 'date.min': 'End date must be after start date' }),
+    current: Joi.boolean().default(false),
+    description: Joi.string().trim().max(2000).allow('').optional()
+  }),
+
+  education: Joi.object({
+    degree: Joi.string().trim().max(100).optional(),
+    field: Joi.string().trim().max(100).optional(),
+    institution: Joi.string().trim().max(150).optional(),
+    startYear: Joi.number().integer().min(1950).max(new Date().getFullYear() + 10).optional(),
+    graduationYear: Joi.number().integer().min(1950).max(new Date().getFullYear() + 10).optional(),
+    gpa: Joi.number().min(0).max(4).optional(),
+    description: Joi.string().trim().max(1000).allow('').optional()
+  }).or('degree', 'institution', 'description'),
+
+  languages: Joi.object({
+    name: Joi.string().trim().max(50).required(),
+    proficiency: Joi.string().valid('basic', 'conversational', 'fluent', 'native').optional()
+  }),
+
+  links: Joi.object({
+    type: Joi.string().valid('linkedin', 'github', 'portfolio', 'website', 'other').default('other'),
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+    label: Joi.string().trim().max(50).optional()
+  })
+};
+
+// Bibliothèque de documents du candidat (CV, lettres de motivation)
+const documentValidators = {
+  create: Joi.object({
+    name: Joi.string().trim().max(100).required().messages({
+      'any.required': 'Document name is required'
+    }),
+    type: Joi.string().valid('resume', 'cover_letter').required().messages({
+      'any.only': 'Document type must be either resume or cover_letter',
+      'any.required': 'Document type is required'
+    }),
+    isDefault: Joi.boolean().default(false),
+    content: Joi.string().trim().max(2000).optional()
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().max(100).optional(),
+    isDefault: Joi.boolean().valid(true).optional().messages({
+      'any.only': 'Choose another document as default instead'
+    }),
+    content: Joi.string().trim().max(2000).optional()
+  }).min(1)
+};
+
+// Validateurs pour les recherches sauvegardées (mêmes critères que GET /api/jobs)
+const savedSearchCriteria = Joi.object({
+  search: Joi.string().trim().max(100).allow('').optional(),
+  location: Joi.string().trim().max(100).allow('').optional(),
+  type: Joi.string().valid('full-time', 'part-time', 'contract', 'freelance', 'internship').optional(),
+  category: Joi.string().trim().max(50).allow('').optional(),
+  experienceLevel: Joi.string().valid('entry', 'mid', 'senior', 'executive').optional(),
+  minSalary: Joi.number().min(0).optional(),
+  maxSalary: Joi.number().min(0).when('minSalary', {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref('minSalary'))
+  }).optional(),
+  isRemote: Joi.boolean().optional()
+}).min(1).messages({
+  'object.min': 'Choose at least one search criterion'
+});
+
+const savedSearchValidators = {
+  create: Joi.object({
+    name: Joi.string().trim().max(100).required().messages({
+      'any.required': 'Saved search name is required'
+    }),
+    criteria: savedSearchCriteria.required().messages({
+      'any.required': 'Search criteria are required'
+    }),
+    frequency: Joi.string().valid('instant', 'daily', 'weekly').default('daily').messages({
+      'any.only': 'Frequency must be one of: instant, daily, weekly'
+    }),
+    alertsEnabled: Joi.boolean().default(true)
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().max(100).optional(),
+    criteria: savedSearchCriteria.optional(),
+    frequency: Joi.string().valid('instant', 'daily', 'weekly').optional().messages({
+      'any.only': 'Frequency must be one of: instant, daily, weekly'
+    }),
+    alertsEnabled: Joi.boolean().optional()
+  }).min(1)
+};
+
 // Validateurs pour les utilisateurs
 const userValidators = {
   updateProfile: Joi.object({
@@ -348,19 +458,36 @@ const userValidators = {
           'string.max': 'Bio cannot exceed 500 characters'
         }),
       
+      // Les sections structurées remplacent la section entière ; voir aussi
+      // les routes /users/profile/:section pour modifier une entrée à la fois.
+      // Les anciens formats (chaînes) restent acceptés.
       skills: Joi.array()
-        .items(Joi.string().trim().max(50))
+        .items(Joi.alternatives().try(Joi.string().trim().max(50), profileEntryValidators.skills))
         .max(50)
         .optional(),
       
-      experience: Joi.string()
-        .max(1000)
-        .trim()
-        .optional(),
+      experience: Joi.alternatives().try(
+        Joi.string().max(1000).trim(),
+        Joi.object({
+          totalYears: Joi.number().min(0).max(50).optional(),
+          summary: Joi.string().trim().max(1000).allow('').optional(),
+          positions: Joi.array().items(profileEntryValidators.experience).max(30).optional()
+        })
+      ).optional(),
       
-      education: Joi.string()
-        .max(1000)
-        .trim()
+      education: Joi.alternatives().try(
+        Joi.string().max(1000).trim(),
+        Joi.array().items(profileEntryValidators.education).max(20)
+      ).optional(),
+
+      languages: Joi.array()
+        .items(profileEntryValidators.languages)
+        .max(20)
+        .optional(),
+
+      links: Joi.array()
+        .items(profileEntryValidators.links)
+        .max(10)
         .optional(),
       
       avatar: Joi.string()
@@ -376,16 +503,63 @@ const userValidators = {
         'any.required': 'Current password is required'
       }),
     
-    newPassword: Joi.string()
-      .min(8)
-      .pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]'))
+    newPassword: newPassword('New password')
+  }),
+
+  deleteAccount: Joi.object({
+    // Obligatoire si le compte a un mot de passe (vérifié dans le contrôleur)
+    password: Joi.string().optional(),
+    reason: Joi.string().trim().max(500).allow('').optional()
+  }),
+
+  requestEmailChange: Joi.object({
+    newEmail: Joi.string()
+      .email()
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'New email address is required'
+      }),
+    // Obligatoire si le compte a un mot de passe (vérifié dans le contrôleur)
+    password: Joi.string().optional()
+  }),
+
+  confirmEmailChange: Joi.object({
+    token: Joi.string()
+      .hex()
+      .length(64)
       .required()
       .messages({
-        'string.min': 'New password must be at least 8 characters long',
-        'string.pattern.base': 'New password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
-        'any.required': 'New password is required'
+        'any.required': 'Confirmation token is required',
+        'string.hex': 'Invalid confirmation token',
+        'string.length': 'Invalid confirmation token'
       })
-  })
+  }),
+
+  updatePublicProfile: Joi.object({
+    visibility: Joi.string()
+      .valid('private', 'public')
+      .optional(),
+
+    slug: Joi.string()
+      .trim()
+      .lowercase()
+      .min(3)
+      .max(60)
+      .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Profile URL can only contain lowercase letters, numbers and hyphens'
+      }),
+
+    hideContactInfo: Joi.boolean().optional(),
+    hideCurrentEmployer: Joi.boolean().optional(),
+
+    hiddenSections: Joi.array()
+      .items(Joi.string().valid('bio', 'skills', 'experience', 'education', 'languages', 'links'))
+      .unique()
+      .optional()
+  }).min(1)
 };
 
 // Validateurs pour les entreprises
@@ -586,10 +760,130 @@ const companyValidators = {
   })
 };
 
+// Validateurs pour les clés API
+const apiKeyValidators = {
+  create: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'any.required': 'API key name is required',
+        'string.max': 'API key name cannot exceed 100 characters'
+      }),
+
+    scopes: Joi.array()
+      .items(Joi.string().valid(...API_KEY_SCOPES))
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        'any.only': `Invalid scope. Allowed scopes: ${API_KEY_SCOPES.join(', ')}`,
+        'array.min': 'At least one scope is required',
+        'any.required': 'Scopes are required'
+      }),
+
+    expiresInDays: Joi.number()
+      .integer()
+      .min(1)
+      .max(365)
+      .optional()
+      .messages({
+        'number.max': 'API keys cannot be valid for more than 365 days'
+      })
+  })
+};
+
+// Validateurs pour l'administration des rôles et permissions
+const permissionKey = Joi.string()
+  .trim()
+  .lowercase()
+  .pattern(/^[a-z_]+(\.[a-z_]+)+$/)
+  .messages({
+    'string.pattern.base': 'Permission keys must look like "resource.action"'
+  });
+
+const adminValidators = {
+  createPermission: Joi.object({
+    key: permissionKey.required(),
+    description: Joi.string().trim().max(200).optional(),
+    category: Joi.string().trim().lowercase().max(50).optional()
+  }),
+
+  createRole: Joi.object({
+    name: Joi.string()
+      .trim()
+      .lowercase()
+      .pattern(/^[a-z][a-z0-9_-]{1,29}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Role name must be 2-30 lowercase letters, digits, "-" or "_"',
+        'any.required': 'Role name is required'
+      }),
+    description: Joi.string().trim().max(200).optional(),
+    permissions: Joi.array().items(permissionKey).unique().default([])
+  }),
+
+  updateRole: Joi.object({
+    description: Joi.string().trim().max(200).optional(),
+    permissions: Joi.array().items(permissionKey).unique().optional()
+  }).min(1),
+
+  userPermissions: Joi.object({
+    granted: Joi.array().items(permissionKey).unique().default([]),
+    revoked: Joi.array().items(permissionKey).unique().default([])
+  }),
+
+  listUsers: Joi.object({
+    q: Joi.string().trim().max(100).allow('').optional(),
+    role: Joi.string().trim().lowercase().optional(),
+    status: Joi.string().valid('active', 'suspended', 'deactivated').optional(),
+    emailVerified: Joi.boolean().optional(),
+    createdFrom: Joi.date().iso().optional(),
+    createdTo: Joi.date().iso().min(Joi.ref('createdFrom')).optional(),
+    sortBy: Joi.string().valid('createdAt', 'lastLogin', 'email', 'lastName').default('createdAt'),
+    sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  suspendUser: Joi.object({
+    reason: Joi.string()
+      .trim()
+      .min(3)
+      .max(500)
+      .required()
+      .messages({
+        'any.required': 'A reason is required to suspend an account'
+      })
+  }),
+
+  changeRole: Joi.object({
+    role: Joi.string().trim().lowercase().required(),
+    reason: Joi.string().trim().max(500).optional()
+  }),
+
+  auditLogs: Joi.object({
+    action: Joi.string().trim().optional(),
+    actor: Joi.string().hex().length(24).optional(),
+    target: Joi.string().hex().length(24).optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50)
+  })
+};
+
 module.exports = {
   authValidators,
   jobValidators,
   applicationValidators,
   userValidators,
-  companyValidators
+  profileEntryValidators,
+  documentValidators,
+  savedSearchValidators,
+  companyValidators,
+  apiKeyValidators,
+  adminValidators
 };
\ No newline at end of file